@@ -15,13 +15,49 @@ document.addEventListener('alpine:init', () => {
         snapToGrid: true,
         snapToPoints: true,
         snapToLines: true,
+        inferParallel: true,
+        inferPerpendicular: true,
+        snapModes: {
+            endpoint: true,
+            intersection: true,
+            midpoint: true,
+            center: true,
+            quadrant: true,
+            tangent: true,
+            perpendicular: true,
+            nearest: true
+        },
+        snapLabel: '',
+        polarTracking: true,
+        polarIncrement: 15,
+        snapTracking: true,
         snapDistance: 10,
+        zoomLevel: 100,
+        zoomPreset: '',
         maxUndoSteps: 50,
         autoSaveEnabled: true,
         canUndo: false,
         canRedo: false,
+        layers: [],
+        variables: [],
+        activeLayerId: '',
         debugMode: false,
         logs: [],
+        arrayDialog: {
+            open: false,
+            type: 'rectangular',
+            rows: 2,
+            columns: 3,
+            rowSpacing: 20,
+            columnSpacing: 20,
+            count: 6,
+            totalAngle: 360,
+            centerX: 0,
+            centerY: 0,
+            rotateItems: true,
+            error: ''
+        },
+        constraintType: 'coincident',
         
         // Methods
         activateTool(toolName) {
@@ -88,6 +124,90 @@ document.addEventListener('alpine:init', () => {
             }
         },
         
+        toggleParallelInference() {
+            if (window.appStateManager) {
+                window.appStateManager.toggleParallelInference();
+            } else {
+                this.inferParallel = !this.inferParallel;
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        togglePolarTracking() {
+            if (window.appStateManager) {
+                window.appStateManager.togglePolarTracking();
+            } else {
+                this.polarTracking = !this.polarTracking;
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        setPolarIncrement() {
+            if (window.appStateManager) {
+                // Convert to number since x-model binds as string
+                const increment = parseFloat(this.polarIncrement);
+                window.appStateManager.setPolarIncrement(increment);
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        toggleSnapTracking() {
+            if (window.appStateManager) {
+                window.appStateManager.toggleSnapTracking();
+            } else {
+                this.snapTracking = !this.snapTracking;
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        toggleSnapMode(mode) {
+            if (window.appStateManager) {
+                window.appStateManager.toggleSnapMode(mode);
+            } else {
+                this.snapModes[mode] = !this.snapModes[mode];
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        togglePerpendicularInference() {
+            if (window.appStateManager) {
+                window.appStateManager.togglePerpendicularInference();
+            } else {
+                this.inferPerpendicular = !this.inferPerpendicular;
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        setZoomPreset() {
+            if (window.appStateManager) {
+                // Convert to number since x-model binds as string
+                const percent = parseInt(this.zoomPreset, 10);
+                window.appStateManager.setZoomLevel(percent);
+            } else {
+                console.error('appStateManager not initialized');
+            }
+            
+            // Reset the select so it shows the current zoom level again
+            this.zoomPreset = '';
+        },
+        
+        zoomToFit() {
+            if (window.appStateManager) {
+                window.appStateManager.zoomToFit();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        zoomToSelection() {
+            if (window.appStateManager) {
+                window.appStateManager.zoomToSelection();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
         toggleDebugMode() {
             if (window.appStateManager) {
                 window.appStateManager.toggleDebugMode();
@@ -141,12 +261,194 @@ document.addEventListener('alpine:init', () => {
             }
         },
         
+        saveProject() {
+            if (window.appStateManager) {
+                window.appStateManager.saveProject();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        openProject() {
+            if (window.appStateManager) {
+                window.appStateManager.openProject();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        importSVG() {
+            if (window.appStateManager) {
+                window.appStateManager.importSVG();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        importDXF() {
+            if (window.appStateManager) {
+                window.appStateManager.importDXF();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
         exportSVG() {
             if (window.appStateManager) {
                 window.appStateManager.exportSVG();
             } else {
                 console.error('appStateManager not initialized');
             }
+        },
+        
+        exportDXF() {
+            if (window.appStateManager) {
+                window.appStateManager.exportDXF();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        openArrayDialog() {
+            if (window.appStateManager) {
+                window.appStateManager.openArrayDialog();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        updateArrayPreview() {
+            if (window.appStateManager) {
+                window.appStateManager.previewArray({ ...this.arrayDialog });
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        applyArray() {
+            if (window.appStateManager) {
+                window.appStateManager.applyArray({ ...this.arrayDialog });
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        closeArrayDialog() {
+            if (window.appStateManager) {
+                window.appStateManager.closeArrayDialog();
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        activateConstraintTool(type) {
+            if (window.appStateManager) {
+                window.appStateManager.activateConstraintTool(type);
+            } else {
+                console.error('appStateManager not initialized');
+            }
+        },
+        
+        addVariable() {
+            if (window.constraintManager) {
+                const name = prompt('Variable name:', '');
+                if (name === null) return;
+                
+                const expression = prompt(`Value of ${name} (a number or an expression):`, '0');
+                if (expression !== null) {
+                    window.constraintManager.setVariable(name.trim(), expression);
+                }
+            } else {
+                console.error('constraintManager not initialized');
+            }
+        },
+        
+        editVariable(variable) {
+            if (window.constraintManager) {
+                const expression = prompt(`Value of ${variable.name}:`, variable.expression);
+                if (expression !== null) {
+                    window.constraintManager.setVariable(variable.name, expression);
+                }
+            } else {
+                console.error('constraintManager not initialized');
+            }
+        },
+        
+        removeVariable(variable) {
+            if (window.constraintManager) {
+                window.constraintManager.removeVariable(variable.name);
+            } else {
+                console.error('constraintManager not initialized');
+            }
+        },
+        
+        addLayer() {
+            if (window.layerManager) {
+                window.layerManager.addLayer();
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        setActiveLayer(id) {
+            if (window.layerManager) {
+                window.layerManager.setActiveLayer(id);
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        renameLayer(layer) {
+            if (window.layerManager) {
+                const name = prompt('Layer name:', layer.name);
+                if (name !== null) {
+                    window.layerManager.renameLayer(layer.id, name);
+                }
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        moveLayer(id, direction) {
+            if (window.layerManager) {
+                window.layerManager.moveLayer(id, direction);
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        deleteLayer(layer) {
+            if (window.layerManager) {
+                if (confirm(`Delete layer "${layer.name}" and all shapes on it?`)) {
+                    window.layerManager.deleteLayer(layer.id);
+                }
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        toggleLayerVisibility(id) {
+            if (window.layerManager) {
+                window.layerManager.setLayerVisible(id);
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        toggleLayerLock(id) {
+            if (window.layerManager) {
+                window.layerManager.setLayerLocked(id);
+            } else {
+                console.error('layerManager not initialized');
+            }
+        },
+        
+        setLayerColor(id, color) {
+            if (window.layerManager) {
+                window.layerManager.setLayerColor(id, color);
+            } else {
+                console.error('layerManager not initialized');
+            }
         }
     }));
 });
@@ -233,6 +535,13 @@ function initManagers(svgCanvas, canvasOverlay) {
         console.error('canvasManager not found');
     }
     
+    // Initialize Layer Manager
+    if (window.layerManager) {
+        layerManager.init(canvasManager);
+    } else {
+        console.error('layerManager not found');
+    }
+    
     // Initialize Constraint Manager
     if (window.constraintManager) {
         constraintManager.init(canvasManager);
@@ -303,6 +612,69 @@ function registerTools() {
         console.error('arcTool not found');
     }
     
+    // Register Polyline Tool
+    if (window.polylineTool) {
+        appStateManager.registerTool(polylineTool);
+    } else {
+        console.error('polylineTool not found');
+    }
+    
+    // Register Ellipse Tool
+    if (window.ellipseTool) {
+        appStateManager.registerTool(ellipseTool);
+    } else {
+        console.error('ellipseTool not found');
+    }
+    
+    // Register Trim Tool
+    if (window.trimTool) {
+        appStateManager.registerTool(trimTool);
+    } else {
+        console.error('trimTool not found');
+    }
+    
+    // Register Extend Tool
+    if (window.extendTool) {
+        appStateManager.registerTool(extendTool);
+    } else {
+        console.error('extendTool not found');
+    }
+    
+    // Register Fillet Tool
+    if (window.filletTool) {
+        appStateManager.registerTool(filletTool);
+    } else {
+        console.error('filletTool not found');
+    }
+    
+    // Register Chamfer Tool
+    if (window.chamferTool) {
+        appStateManager.registerTool(chamferTool);
+    } else {
+        console.error('chamferTool not found');
+    }
+    
+    // Register Offset Tool
+    if (window.offsetTool) {
+        appStateManager.registerTool(offsetTool);
+    } else {
+        console.error('offsetTool not found');
+    }
+
+    // Register Mirror Tool
+    if (window.mirrorTool) {
+        appStateManager.registerTool(mirrorTool);
+    } else {
+        console.error('mirrorTool not found');
+    }
+
+    // Register Constraint Tool
+    if (window.constraintTool) {
+        appStateManager.registerTool(constraintTool);
+    } else {
+        console.error('constraintTool not found');
+    }
+
     if (window.logger) {
         logger.info('Tools registered');
     } else {
@@ -16,6 +16,10 @@ class AppStateManager {
         this.snapToGrid = true;
         this.snapToPoints = true;
         this.snapToLines = true;
+        this.inferParallel = true;
+        this.inferPerpendicular = true;
+        this.polarTracking = true;
+        this.snapTracking = true;
         this.debugMode = false;
         this.canvasManager = null;
         this.constraintManager = null;
@@ -23,6 +27,15 @@ class AppStateManager {
         this.redoStack = [];
         this.maxUndoSteps = 50;
         this.autoSaveEnabled = true;
+        this.spacePressed = false;
+        this.panState = null;
+        this.projectName = 'Untitled';
+        this.projectCreated = null;
+        this.clipboard = null;
+        this.pasteCount = 0;
+        this.pasteInPlace = false;
+        this.pointerOnCanvas = false;
+        this.arrayDialogOpen = false;
     }
 
     /**
@@ -102,14 +115,21 @@ class AppStateManager {
         // Mouse events
         overlay.addEventListener('mousedown', this.handleMouseDown.bind(this));
         overlay.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        overlay.addEventListener('mouseleave', () => { this.pointerOnCanvas = false; });
         overlay.addEventListener('mouseup', this.handleMouseUp.bind(this));
         overlay.addEventListener('dblclick', this.handleDoubleClick.bind(this));
         overlay.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+        overlay.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
         
         // Keyboard events
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
         document.addEventListener('keyup', this.handleKeyUp.bind(this));
         
+        // Clipboard events
+        document.addEventListener('copy', this.handleCopy.bind(this));
+        document.addEventListener('cut', this.handleCut.bind(this));
+        document.addEventListener('paste', this.handlePaste.bind(this));
+        
         // Window events
         window.addEventListener('resize', this.handleWindowResize.bind(this));
         
@@ -236,6 +256,107 @@ class AppStateManager {
         logger.info(`Snap to lines: ${this.snapToLines ? 'On' : 'Off'}`);
     }
 
+    /**
+     * Toggle one object snap mode
+     * @param {string} mode - The snap mode, see ObjectSnap.MODES
+     */
+    toggleSnapMode(mode) {
+        if (!this.constraintManager) return;
+        
+        this.constraintManager.toggleSnapMode(mode);
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.snapModes = { ...this.constraintManager.snapModes };
+        }
+    }
+
+    /**
+     * Toggle polar tracking from the point being drawn from
+     */
+    togglePolarTracking() {
+        this.polarTracking = !this.polarTracking;
+        
+        if (this.constraintManager) {
+            this.constraintManager.toggleTracking('polarTracking', this.polarTracking);
+        }
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.polarTracking = this.polarTracking;
+        }
+    }
+
+    /**
+     * Toggle tracking from acquired object snap points
+     */
+    toggleSnapTracking() {
+        this.snapTracking = !this.snapTracking;
+        
+        if (this.constraintManager) {
+            this.constraintManager.toggleTracking('snapTracking', this.snapTracking);
+        }
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.snapTracking = this.snapTracking;
+        }
+    }
+
+    /**
+     * Set the angle increment of polar tracking
+     * @param {number} increment - The increment in degrees
+     */
+    setPolarIncrement(increment) {
+        if (!this.constraintManager) {
+            logger.warn('Constraint Manager not initialized');
+            return;
+        }
+        
+        this.constraintManager.setPolarIncrement(increment);
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.polarIncrement = this.constraintManager.polarIncrement;
+        }
+    }
+
+    /**
+     * Toggle locking lines being drawn parallel to a hovered reference line
+     */
+    toggleParallelInference() {
+        this.inferParallel = !this.inferParallel;
+        
+        if (this.constraintManager) {
+            this.constraintManager.toggleConstraint('parallel', this.inferParallel);
+        }
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.inferParallel = this.inferParallel;
+        }
+        
+        logger.info(`Parallel inference: ${this.inferParallel ? 'On' : 'Off'}`);
+    }
+
+    /**
+     * Toggle locking lines being drawn perpendicular to a hovered reference line
+     */
+    togglePerpendicularInference() {
+        this.inferPerpendicular = !this.inferPerpendicular;
+        
+        if (this.constraintManager) {
+            this.constraintManager.toggleConstraint('perpendicular', this.inferPerpendicular);
+        }
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.inferPerpendicular = this.inferPerpendicular;
+        }
+        
+        logger.info(`Perpendicular inference: ${this.inferPerpendicular ? 'On' : 'Off'}`);
+    }
+
     /**
      * Set the grid size
      * @param {number} size - The new grid size
@@ -281,6 +402,12 @@ class AppStateManager {
      * @param {MouseEvent} event - The mouse event
      */
     handleMouseDown(event) {
+        // Middle button or Space + left button pans the view
+        if (event.button === 1 || (event.button === 0 && this.spacePressed)) {
+            this.startPan(event);
+            return;
+        }
+        
         if (this.activeTool) {
             this.activeTool.onMouseDown(event);
         }
@@ -291,6 +418,18 @@ class AppStateManager {
      * @param {MouseEvent} event - The mouse event
      */
     handleMouseMove(event) {
+        this.pointerOnCanvas = true;
+        
+        if (this.panState) {
+            // The button may have been released outside the canvas
+            if (event.buttons === 0) {
+                this.endPan();
+            } else {
+                this.updatePan(event);
+                return;
+            }
+        }
+        
         if (this.activeTool) {
             this.activeTool.onMouseMove(event);
         }
@@ -301,11 +440,105 @@ class AppStateManager {
      * @param {MouseEvent} event - The mouse event
      */
     handleMouseUp(event) {
+        if (this.panState) {
+            this.endPan();
+            return;
+        }
+        
         if (this.activeTool) {
             this.activeTool.onMouseUp(event);
         }
     }
 
+    /**
+     * Handle wheel event
+     * @param {WheelEvent} event - The wheel event
+     */
+    handleWheel(event) {
+        if (this.activeTool && typeof this.activeTool.onWheel === 'function') {
+            this.activeTool.onWheel(event);
+        }
+    }
+
+    /**
+     * Start panning the view
+     * @param {MouseEvent} event - The mouse event that started the pan
+     */
+    startPan(event) {
+        event.preventDefault();
+        
+        this.panState = { x: event.clientX, y: event.clientY };
+        this.canvasManager.canvasOverlay.style.cursor = 'grabbing';
+    }
+
+    /**
+     * Pan the view by the mouse movement since the last event
+     * @param {MouseEvent} event - The mouse event
+     */
+    updatePan(event) {
+        const dx = event.clientX - this.panState.x;
+        const dy = event.clientY - this.panState.y;
+        
+        // CanvasManager.pan moves the view, so move it against the mouse to drag the drawing along
+        this.canvasManager.pan(-dx, -dy);
+        
+        this.panState = { x: event.clientX, y: event.clientY };
+    }
+
+    /**
+     * Stop panning the view
+     */
+    endPan() {
+        this.panState = null;
+        this.canvasManager.canvasOverlay.style.cursor = this.spacePressed ? 'grab' : '';
+    }
+
+    /**
+     * Zoom to fit all shapes in the view
+     */
+    zoomToFit() {
+        if (!this.canvasManager) return;
+        
+        this.canvasManager.zoomToFitAll();
+    }
+
+    /**
+     * Zoom to fit the selected shapes in the view
+     */
+    zoomToSelection() {
+        if (!this.canvasManager) return;
+        
+        this.canvasManager.zoomToSelection();
+    }
+
+    /**
+     * Set the zoom level around the center of the canvas
+     * @param {number} percent - The zoom level in percent
+     */
+    setZoomLevel(percent) {
+        if (!this.canvasManager || !(percent > 0)) return;
+        
+        this.canvasManager.setZoom(percent / 100);
+    }
+
+    /**
+     * Zoom in one step around the center of the canvas
+     */
+    zoomIn() {
+        if (!this.canvasManager) return;
+        
+        this.canvasManager.setZoom(this.canvasManager.zoom * this.canvasManager.zoomStep);
+    }
+
+    /**
+     * Zoom out one step around the center of the canvas
+     */
+    zoomOut() {
+        if (!this.canvasManager) return;
+        
+        this.canvasManager.setZoom(this.canvasManager.zoom / this.canvasManager.zoomStep);
+    }
+
     /**
      * Handle double click event
      * @param {MouseEvent} event - The mouse event
@@ -331,6 +564,9 @@ class AppStateManager {
      * @param {KeyboardEvent} event - The keyboard event
      */
     handleKeyDown(event) {
+        // Ignore navigation keys while typing in form fields
+        const isTyping = this.isTypingTarget(event.target);
+        
         // Handle global shortcuts
         if (event.ctrlKey || event.metaKey) {
             switch (event.key.toLowerCase()) {
@@ -349,23 +585,123 @@ class AppStateManager {
                     return;
                     
                 case 's':
-                    this.exportSVG();
+                    this.saveProject();
+                    event.preventDefault();
+                    return;
+                    
+                case 'o':
+                    this.openProject();
+                    event.preventDefault();
+                    return;
+                    
+                case 'c':
+                case 'x':
+                    // Left to the browser, which fires the copy or cut event
+                    return;
+                    
+                case 'v':
+                    // Shift pastes in place; the browser then fires the paste event
+                    this.pasteInPlace = event.shiftKey;
+                    return;
+                    
+                case 'd':
+                    if (isTyping) return;
+                    this.duplicateSelection();
+                    event.preventDefault();
+                    return;
+                    
+                case 'g':
+                    if (event.shiftKey) {
+                        this.ungroupSelection();
+                    } else {
+                        this.groupSelection();
+                    }
+                    event.preventDefault();
+                    return;
+                    
+                case '0':
+                    this.setZoomLevel(100);
+                    event.preventDefault();
+                    return;
+                    
+                case '=':
+                case '+':
+                    this.zoomIn();
+                    event.preventDefault();
+                    return;
+                    
+                case '-':
+                    this.zoomOut();
                     event.preventDefault();
                     return;
             }
         }
         
+        // Escape closes the Array dialog before it reaches the tool
+        if (event.key === 'Escape' && this.arrayDialogOpen) {
+            this.closeArrayDialog();
+            event.preventDefault();
+            return;
+        }
+        
+        // Hold Space to pan with the left mouse button
+        if (event.code === 'Space' && !isTyping) {
+            if (!this.spacePressed) {
+                this.spacePressed = true;
+                if (!this.panState) {
+                    this.canvasManager.canvasOverlay.style.cursor = 'grab';
+                }
+            }
+            event.preventDefault();
+            return;
+        }
+        
+        // F10 and F11 switch polar and object snap tracking, as in other CAD programs
+        if (event.key === 'F10' || event.key === 'F11') {
+            if (event.key === 'F10') {
+                this.togglePolarTracking();
+            } else {
+                this.toggleSnapTracking();
+            }
+            event.preventDefault();
+            return;
+        }
+        
+        // Home zooms to fit the whole drawing
+        if (event.key === 'Home' && !isTyping) {
+            this.zoomToFit();
+            event.preventDefault();
+            return;
+        }
+        
         // Pass to active tool
         if (this.activeTool) {
             this.activeTool.onKeyDown(event);
         }
     }
 
+    /**
+     * Check whether an event target is a form field being typed in
+     * @param {EventTarget} target - The event target
+     * @returns {boolean} True if the target is a form field
+     */
+    isTypingTarget(target) {
+        return !!target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+    }
+
     /**
      * Handle key up event
      * @param {KeyboardEvent} event - The keyboard event
      */
     handleKeyUp(event) {
+        if (event.code === 'Space' && this.spacePressed) {
+            this.spacePressed = false;
+            if (!this.panState) {
+                this.canvasManager.canvasOverlay.style.cursor = '';
+            }
+            return;
+        }
+        
         if (this.activeTool) {
             this.activeTool.onKeyUp(event);
         }
@@ -519,9 +855,7 @@ class AppStateManager {
         if (!this.canvasManager) return;
         
         // Get current state
-        const state = {
-            shapes: this.canvasManager.getShapesSnapshot()
-        };
+        const state = this.getUndoSnapshot();
         
         // Push to undo stack
         this.undoStack.push(state);
@@ -543,6 +877,34 @@ class AppStateManager {
         logger.debug('Undo state saved');
     }
 
+    /**
+     * Get a snapshot of the drawing for the undo and redo stacks
+     * @returns {Object} The shapes, layers, constraints and variables snapshot
+     */
+    getUndoSnapshot() {
+        return {
+            shapes: this.canvasManager.getShapesSnapshot(),
+            layers: window.layerManager ? window.layerManager.getSnapshot() : undefined,
+            constraints: this.constraintManager.getSnapshot(),
+            variables: this.constraintManager.getVariablesSnapshot()
+        };
+    }
+
+    /**
+     * Restore the drawing from an undo or redo snapshot
+     * @param {Object} state - The snapshot to restore
+     */
+    restoreUndoSnapshot(state) {
+        // Snapshots saved before layers existed only hold shapes
+        if (state.layers && window.layerManager) {
+            window.layerManager.restoreSnapshot(state.layers);
+        }
+        
+        this.canvasManager.restoreShapesFromSnapshot(state.shapes);
+        this.constraintManager.restoreVariablesSnapshot(state.variables);
+        this.constraintManager.restoreSnapshot(state.constraints);
+    }
+
     /**
      * Undo the last action
      */
@@ -553,9 +915,7 @@ class AppStateManager {
         }
         
         // Get current state for redo
-        const currentState = {
-            shapes: this.canvasManager.getShapesSnapshot()
-        };
+        const currentState = this.getUndoSnapshot();
         
         // Push current state to redo stack
         this.redoStack.push(currentState);
@@ -564,7 +924,7 @@ class AppStateManager {
         const state = this.undoStack.pop();
         
         // Apply state
-        this.canvasManager.restoreShapesFromSnapshot(state.shapes);
+        this.restoreUndoSnapshot(state);
         
         // Save to localStorage
         this.saveUndoRedoState();
@@ -585,9 +945,7 @@ class AppStateManager {
         }
         
         // Get current state for undo
-        const currentState = {
-            shapes: this.canvasManager.getShapesSnapshot()
-        };
+        const currentState = this.getUndoSnapshot();
         
         // Push current state to undo stack
         this.undoStack.push(currentState);
@@ -596,7 +954,7 @@ class AppStateManager {
         const state = this.redoStack.pop();
         
         // Apply state
-        this.canvasManager.restoreShapesFromSnapshot(state.shapes);
+        this.restoreUndoSnapshot(state);
         
         // Save to localStorage
         this.saveUndoRedoState();
@@ -622,6 +980,7 @@ class AppStateManager {
         
         // Clear canvas
         this.canvasManager.clearShapes();
+        this.constraintManager.restoreSnapshot([]);
         
         // Update UI
         this.updateUndoRedoState();
@@ -636,14 +995,39 @@ class AppStateManager {
         if (!this.canvasManager) return;
         
         const svgContent = this.canvasManager.exportSVG();
+        this.downloadFile(svgContent, 'cad-drawing.svg', 'image/svg+xml');
+        
+        logger.info('SVG exported');
+    }
+
+    /**
+     * Export the drawing as a DXF file
+     */
+    exportDXF() {
+        if (!this.canvasManager) return;
+        
+        const dxfContent = DXFExporter.export(this.canvasManager.shapes, {
+            getLayerName: shape => (window.layerManager ? window.layerManager.getLayerForShape(shape).name : undefined)
+        });
+        this.downloadFile(dxfContent, 'cad-drawing.dxf', 'application/dxf');
         
+        logger.info('DXF exported');
+    }
+
+    /**
+     * Offer content to the user as a file download
+     * @param {string} content - The file content
+     * @param {string} filename - The suggested file name
+     * @param {string} mimeType - The MIME type of the content
+     */
+    downloadFile(content, filename, mimeType) {
         // Create a blob and download link
-        const blob = new Blob([svgContent], { type: 'image/svg+xml' });
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'cad-drawing.svg';
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -652,8 +1036,701 @@ class AppStateManager {
         setTimeout(() => {
             URL.revokeObjectURL(url);
         }, 100);
+    }
+
+    /**
+     * Let the user pick a file and read it as text
+     * @param {string} accept - The accepted file types for the file picker
+     * @param {Function} onLoad - Called with the file contents and the File object
+     */
+    openFilePicker(accept, onLoad) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => onLoad(reader.result, file);
+            reader.onerror = () => logger.error(`Failed to read ${file.name}: ${reader.error && reader.error.message}`);
+            reader.readAsText(file);
+        });
         
-        logger.info('SVG exported');
+        input.click();
+    }
+
+    /**
+     * Import an SVG file chosen by the user into the drawing
+     */
+    importSVG() {
+        if (!this.canvasManager) return;
+        
+        this.openFilePicker('.svg,image/svg+xml', (text, file) => {
+            this.importSVGText(text, file.name);
+        });
+    }
+
+    /**
+     * Import SVG content into the drawing as a single undo step
+     * @param {string} text - The SVG document
+     * @param {string} [fileName] - The name of the file, used in log messages
+     * @returns {Array} The imported shapes
+     */
+    importSVGText(text, fileName = 'SVG') {
+        let result;
+        
+        try {
+            result = SVGImporter.parse(text);
+        } catch (error) {
+            logger.error(`Failed to import ${fileName}: ${error.message}`);
+            
+            if (window.appData) {
+                window.appData.statusHint = `Could not import SVG: ${error.message}`;
+            }
+            return [];
+        }
+        
+        // Report everything that could not be imported exactly
+        const unsupported = Object.entries(result.unsupported)
+            .map(([name, count]) => `<${name}> x${count}`)
+            .join(', ');
+        
+        if (unsupported) {
+            logger.warn(`SVG import skipped unsupported elements: ${unsupported}`);
+        }
+        
+        if (result.approximated > 0) {
+            logger.info(`SVG import approximated ${result.approximated} curve(s) with line segments`);
+        }
+        
+        if (result.shapes.length === 0) {
+            logger.warn(`No shapes found in ${fileName}`);
+            return [];
+        }
+        
+        // Save state for undo once for the whole import
+        this.pushUndoState();
+        
+        result.shapes.forEach(shape => {
+            this.canvasManager.addShape(shape, false);
+        });
+        
+        logger.info(`Imported ${result.shapes.length} shapes from ${fileName}`);
+        return result.shapes;
+    }
+
+    /**
+     * Import a DXF file chosen by the user into the drawing
+     */
+    importDXF() {
+        if (!this.canvasManager) return;
+        
+        this.openFilePicker('.dxf,application/dxf,image/vnd.dxf', (text, file) => {
+            this.importDXFText(text, file.name);
+        });
+    }
+
+    /**
+     * Import DXF content into the drawing as a single undo step
+     * @param {string} text - The DXF document
+     * @param {string} [fileName] - The name of the file, used in log messages
+     * @returns {Array} The imported shapes
+     */
+    importDXFText(text, fileName = 'DXF') {
+        let result;
+        
+        try {
+            result = DXFImporter.parse(text);
+        } catch (error) {
+            logger.error(`Failed to import ${fileName}: ${error.message}`);
+            
+            if (window.appData) {
+                window.appData.statusHint = `Could not import DXF: ${error.message}`;
+            }
+            return [];
+        }
+        
+        // Report every entity type that could not be imported
+        const skipped = Object.entries(result.skipped)
+            .map(([type, count]) => `${type} x${count}`)
+            .join(', ');
+        
+        if (skipped) {
+            logger.warn(`DXF import skipped unsupported entities: ${skipped}`);
+        }
+        
+        if (result.shapes.length === 0) {
+            logger.warn(`No shapes found in ${fileName}`);
+            return [];
+        }
+        
+        // Save state for undo once for the whole import
+        this.pushUndoState();
+        
+        result.shapes.forEach(shape => {
+            // Put the shape on the layer with its DXF layer name, creating the layer if needed
+            if (shape.layer && window.layerManager) {
+                shape.layerId = window.layerManager.getLayerByName(shape.layer, true).id;
+            }
+            delete shape.layer;
+            
+            this.canvasManager.addShape(shape, false);
+        });
+        
+        logger.info(`Imported ${result.shapes.length} shapes from ${fileName}`);
+        return result.shapes;
+    }
+
+    /**
+     * Create a project document from the current drawing and settings
+     * @returns {Object} The project document
+     */
+    getProjectDocument() {
+        return ProjectFile.create({
+            shapes: this.canvasManager.shapes,
+            layers: window.layerManager ? window.layerManager.getSnapshot() : [],
+            constraints: this.constraintManager.getSnapshot(),
+            variables: this.constraintManager.getVariablesSnapshot(),
+            settings: {
+                gridSize: this.canvasManager.gridSize,
+                gridVisible: this.gridVisible,
+                snapToGrid: this.snapToGrid,
+                snapToPoints: this.snapToPoints,
+                snapToLines: this.snapToLines,
+                inferParallel: this.inferParallel,
+                inferPerpendicular: this.inferPerpendicular,
+                snapModes: { ...this.constraintManager.snapModes },
+                polarTracking: this.polarTracking,
+                polarIncrement: this.constraintManager.polarIncrement,
+                snapTracking: this.snapTracking,
+                snapDistance: this.constraintManager.snapDistance
+            },
+            view: {
+                zoom: this.canvasManager.zoom,
+                panX: this.canvasManager.panX,
+                panY: this.canvasManager.panY
+            },
+            metadata: {
+                name: this.projectName,
+                created: this.projectCreated
+            }
+        });
+    }
+
+    /**
+     * Save the drawing as a project file
+     */
+    saveProject() {
+        if (!this.canvasManager || !this.constraintManager) return;
+        
+        const doc = this.getProjectDocument();
+        this.projectCreated = doc.metadata.created;
+        
+        const filename = `${this.projectName.replace(/[\\/:*?"<>|]+/g, '_')}${ProjectFile.EXTENSION}`;
+        this.downloadFile(ProjectFile.serialize(doc), filename, ProjectFile.MIME_TYPE);
+        
+        logger.info(`Project saved as ${filename}`);
+    }
+
+    /**
+     * Open a project file chosen by the user
+     */
+    openProject() {
+        if (!this.canvasManager) return;
+        
+        this.openFilePicker(`${ProjectFile.EXTENSION},.json,${ProjectFile.MIME_TYPE}`, (text, file) => {
+            this.loadProject(text, file.name);
+        });
+    }
+
+    /**
+     * Load a project from file contents
+     * @param {string} text - The project file contents
+     * @param {string} [fileName] - The name of the file, used when the project has no name
+     * @returns {boolean} True if the project was loaded
+     */
+    loadProject(text, fileName) {
+        let doc;
+        
+        try {
+            doc = ProjectFile.parse(text);
+        } catch (error) {
+            logger.error(`Failed to open project${fileName ? ` ${fileName}` : ''}: ${error.message}`);
+            
+            if (window.appData) {
+                window.appData.statusHint = `Could not open project: ${error.message}`;
+            }
+            return false;
+        }
+        
+        this.applyProjectDocument(doc);
+        
+        const metadata = doc.metadata || {};
+        this.projectName = fileName ? fileName.replace(/(\.cad)?\.json$/i, '') : (metadata.name || 'Untitled');
+        this.projectCreated = metadata.created || null;
+        
+        logger.info(`Opened project ${this.projectName} with ${doc.shapes.length} shapes`);
+        return true;
+    }
+
+    /**
+     * Apply a validated project document to the editor
+     * @param {Object} doc - The project document
+     */
+    applyProjectDocument(doc) {
+        const settings = doc.settings || {};
+        const view = doc.view || {};
+        
+        // A newly opened project starts with a fresh history
+        this.undoStack = [];
+        this.redoStack = [];
+        this.clearUndoRedoState();
+        
+        if (window.layerManager) {
+            window.layerManager.restoreSnapshot(doc.layers);
+        }
+        
+        this.canvasManager.importShapes(doc.shapes);
+        this.constraintManager.restoreVariablesSnapshot(doc.variables);
+        this.constraintManager.restoreSnapshot(doc.constraints);
+        
+        if (settings.gridSize !== undefined) {
+            this.setGridSize(settings.gridSize);
+        }
+        
+        if (settings.snapDistance !== undefined) {
+            this.setSnapDistance(settings.snapDistance);
+            
+            if (window.appData) {
+                window.appData.snapDistance = this.constraintManager.snapDistance;
+            }
+        }
+        
+        if (settings.gridVisible !== undefined && settings.gridVisible !== this.gridVisible) {
+            this.toggleGrid();
+        }
+        
+        if (settings.snapToGrid !== undefined && settings.snapToGrid !== this.snapToGrid) {
+            this.toggleSnapToGrid();
+        }
+        
+        if (settings.snapToPoints !== undefined && settings.snapToPoints !== this.snapToPoints) {
+            this.toggleSnapToPoints();
+        }
+        
+        if (settings.snapToLines !== undefined && settings.snapToLines !== this.snapToLines) {
+            this.toggleSnapToLines();
+        }
+        
+        if (settings.inferParallel !== undefined && settings.inferParallel !== this.inferParallel) {
+            this.toggleParallelInference();
+        }
+        
+        if (settings.inferPerpendicular !== undefined && settings.inferPerpendicular !== this.inferPerpendicular) {
+            this.togglePerpendicularInference();
+        }
+        
+        if (settings.polarTracking !== undefined && settings.polarTracking !== this.polarTracking) {
+            this.togglePolarTracking();
+        }
+        
+        if (settings.polarIncrement !== undefined) {
+            this.setPolarIncrement(settings.polarIncrement);
+        }
+        
+        if (settings.snapTracking !== undefined && settings.snapTracking !== this.snapTracking) {
+            this.toggleSnapTracking();
+        }
+        
+        if (settings.snapModes !== undefined) {
+            Object.keys(settings.snapModes).forEach(mode => {
+                if (settings.snapModes[mode] !== this.constraintManager.snapModes[mode]) {
+                    this.toggleSnapMode(mode);
+                }
+            });
+        }
+        
+        this.canvasManager.setView(
+            view.zoom !== undefined ? view.zoom : 1,
+            view.panX !== undefined ? view.panX : 0,
+            view.panY !== undefined ? view.panY : 0
+        );
+        
+        // Update UI
+        this.updateUndoRedoState();
+    }
+
+    /**
+     * Group the selected shapes into a single shape
+     */
+    groupSelection() {
+        if (!this.canvasManager) return;
+        
+        const group = this.canvasManager.groupShapes(this.canvasManager.selectedElements.map(shape => shape.id));
+        
+        if (group) {
+            this.selectShapes([group]);
+        }
+    }
+
+    /**
+     * Replace the selected groups with the shapes inside them
+     */
+    ungroupSelection() {
+        if (!this.canvasManager) return;
+        
+        const shapes = this.canvasManager.ungroupShapes(this.canvasManager.selectedElements.map(shape => shape.id));
+        
+        if (shapes.length > 0) {
+            this.selectShapes(shapes);
+        }
+    }
+
+    /**
+     * Copy the selected shapes to the editor clipboard
+     * @returns {Array} The copied shapes
+     */
+    copySelection() {
+        if (!this.canvasManager) return [];
+        
+        const shapes = [...this.canvasManager.selectedElements];
+        if (shapes.length === 0) return [];
+        
+        this.clipboard = ShapeClipboard.toJSON(shapes);
+        this.pasteCount = 0;
+        
+        logger.info(`Copied ${shapes.length} shapes`);
+        return shapes;
+    }
+
+    /**
+     * Copy the selected shapes to the editor clipboard and delete them as a single undo step
+     * @returns {Array} The cut shapes
+     */
+    cutSelection() {
+        const shapes = this.copySelection();
+        if (shapes.length === 0) return [];
+        
+        this.pushUndoState();
+        
+        shapes.forEach(shape => {
+            this.canvasManager.removeShape(shape.id, false);
+        });
+        
+        this.canvasManager.deselectAll();
+        
+        if (this.activeTool && this.activeTool.selectedShapes) {
+            this.activeTool.selectedShapes = [];
+            this.activeTool.updateStatusHint();
+            
+            if (this.activeTool.propertiesPanel) {
+                this.activeTool.propertiesPanel.hideProperties();
+            }
+        }
+        
+        logger.info(`Cut ${shapes.length} shapes`);
+        return shapes;
+    }
+
+    /**
+     * Paste the shapes on the editor clipboard
+     * @param {boolean} [inPlace=false] - Whether to keep the copied positions instead of pasting at the cursor
+     * @returns {Array} The pasted shapes
+     */
+    pasteClipboard(inPlace = false) {
+        const objects = ShapeClipboard.parse(this.clipboard);
+        if (!objects) return [];
+        
+        return this.pasteObjects(objects, inPlace ? 'inPlace' : 'cursor');
+    }
+
+    /**
+     * Copy the selected shapes next to the originals without touching the clipboard
+     * @returns {Array} The new shapes
+     */
+    duplicateSelection() {
+        if (!this.canvasManager) return [];
+        
+        const objects = this.canvasManager.selectedElements.map(shape => shape.toObject());
+        if (objects.length === 0) return [];
+        
+        return this.pasteObjects(objects, 'offset');
+    }
+
+    /**
+     * Add copies of shape objects to the drawing as a single undo step and select them
+     * @param {Array<Object>} objects - The copied shape objects
+     * @param {string} placement - 'cursor' to center them on the mouse, 'offset' to shift them one grid step, or 'inPlace'
+     * @returns {Array} The pasted shapes
+     */
+    pasteObjects(objects, placement) {
+        if (!this.canvasManager) return [];
+        
+        const shapes = ShapeClipboard.createShapes(objects);
+        if (shapes.length === 0) return [];
+        
+        if (placement !== 'inPlace') {
+            const offset = this.getPasteOffset(shapes, placement);
+            shapes.forEach(shape => shape.move(offset.x, offset.y));
+        }
+        
+        this.pushUndoState();
+        
+        shapes.forEach(shape => {
+            // Shapes from another drawing, or from a hidden or locked layer, go on the active layer
+            const layer = window.layerManager ? window.layerManager.getLayer(shape.layerId) : null;
+            if (!layer || !layer.isEditable()) {
+                delete shape.layerId;
+            }
+            
+            this.canvasManager.addShape(shape, false);
+        });
+        
+        const pasted = shapes.map(shape => this.canvasManager.getShapeById(shape.id)).filter(Boolean);
+        this.selectShapes(pasted);
+        
+        logger.info(`Pasted ${pasted.length} shapes`);
+        return pasted;
+    }
+
+    /**
+     * Get how far to move pasted shapes from their copied position
+     * @param {Array} shapes - The pasted shapes
+     * @param {string} placement - 'cursor' or 'offset'; cursor falls back to offset when the mouse is off the canvas
+     * @returns {Object} The offset {x, y}
+     */
+    getPasteOffset(shapes, placement) {
+        const gridSize = this.canvasManager.gridSize;
+        
+        if (placement === 'cursor' && this.pointerOnCanvas) {
+            const center = new Group(shapes).getCenter();
+            let x = this.mousePosition.x - center.x;
+            let y = this.mousePosition.y - center.y;
+            
+            // Keep pasted geometry on the grid it was drawn on
+            if (this.snapToGrid) {
+                x = Math.round(x / gridSize) * gridSize;
+                y = Math.round(y / gridSize) * gridSize;
+            }
+            
+            return { x, y };
+        }
+        
+        // Repeated pastes step further away so the copies do not stack
+        const steps = placement === 'offset' ? 1 : ++this.pasteCount;
+        return { x: gridSize * steps, y: gridSize * steps };
+    }
+
+    /**
+     * Handle the copy event by writing the selection to the system clipboard
+     * @param {ClipboardEvent} event - The clipboard event
+     */
+    handleCopy(event) {
+        if (this.isTypingTarget(event.target)) return;
+        
+        const shapes = this.copySelection();
+        if (shapes.length === 0) return;
+        
+        this.writeClipboardData(event.clipboardData, shapes);
+        event.preventDefault();
+    }
+
+    /**
+     * Handle the cut event by writing the selection to the system clipboard and deleting it
+     * @param {ClipboardEvent} event - The clipboard event
+     */
+    handleCut(event) {
+        if (this.isTypingTarget(event.target)) return;
+        
+        const shapes = this.cutSelection();
+        if (shapes.length === 0) return;
+        
+        this.writeClipboardData(event.clipboardData, shapes);
+        event.preventDefault();
+    }
+
+    /**
+     * Write JSON and SVG copies of shapes to the system clipboard so they can be pasted in other tabs and applications
+     * @param {DataTransfer} clipboardData - The clipboard data of the event
+     * @param {Array} shapes - The copied shapes
+     */
+    writeClipboardData(clipboardData, shapes) {
+        if (!clipboardData) return;
+        
+        clipboardData.setData('text/plain', this.clipboard);
+        clipboardData.setData(ShapeClipboard.MIME_TYPE, this.clipboard);
+        clipboardData.setData('image/svg+xml', ShapeClipboard.toSVG(shapes));
+    }
+
+    /**
+     * Handle the paste event by pasting shapes from the system clipboard.
+     * Falls back to the editor clipboard when the system clipboard holds no shapes.
+     * @param {ClipboardEvent} event - The clipboard event
+     */
+    handlePaste(event) {
+        const inPlace = this.pasteInPlace;
+        this.pasteInPlace = false;
+        
+        if (this.isTypingTarget(event.target)) return;
+        
+        const clipboardData = event.clipboardData;
+        const text = clipboardData
+            ? clipboardData.getData(ShapeClipboard.MIME_TYPE) || clipboardData.getData('text/plain')
+            : '';
+        
+        const objects = ShapeClipboard.parse(text);
+        
+        if (objects) {
+            // Text from another tab becomes the editor clipboard so repeated pastes step on from it
+            if (text !== this.clipboard) {
+                this.clipboard = text;
+                this.pasteCount = 0;
+            }
+            
+            this.pasteObjects(objects, inPlace ? 'inPlace' : 'cursor');
+        } else if (/<svg[\s>]/i.test(text)) {
+            // SVG markup copied from another application
+            const shapes = this.importSVGText(text, 'clipboard');
+            if (shapes.length > 0) {
+                this.selectShapes(shapes.map(shape => this.canvasManager.getShapeById(shape.id)).filter(Boolean));
+            }
+        } else {
+            this.pasteClipboard(inPlace);
+        }
+        
+        event.preventDefault();
+    }
+
+    /**
+     * Activate the Constraint tool for one kind of constraint
+     * @param {string} type - The constraint type, see Constraint.TYPES
+     */
+    activateConstraintTool(type) {
+        if (!this.tools.constrain) {
+            logger.error("Cannot activate tool: Tool 'constrain' not found");
+            return;
+        }
+        
+        this.tools.constrain.setConstraintType(type);
+        this.activateTool('constrain');
+    }
+
+    /**
+     * Open the Array dialog for the selected shapes, starting the spacing at the selection size plus a grid step
+     */
+    openArrayDialog() {
+        if (!this.canvasManager || !window.appData) return;
+        
+        const shapes = this.canvasManager.selectedElements;
+        
+        if (shapes.length === 0) {
+            window.appData.statusHint = 'Array: Select the shapes to replicate first';
+            return;
+        }
+        
+        const bbox = new Group(shapes).getBoundingBox();
+        const options = window.appData.arrayDialog;
+        
+        options.columnSpacing = MathUtils.round(bbox.width + this.canvasManager.gridSize, 2);
+        options.rowSpacing = MathUtils.round(bbox.height + this.canvasManager.gridSize, 2);
+        options.open = true;
+        this.arrayDialogOpen = true;
+        
+        this.previewArray(options);
+        logger.info(`Array dialog opened for ${shapes.length} shapes`);
+    }
+
+    /**
+     * Preview the array of the selected shapes
+     * @param {Object} options - The array options from the dialog, see ShapeArray
+     */
+    previewArray(options) {
+        if (!this.canvasManager || !this.arrayDialogOpen) return;
+        
+        const error = ShapeArray.validate(options);
+        
+        if (window.appData) {
+            window.appData.arrayDialog.error = error || '';
+        }
+        
+        const copies = error ? [] : ShapeArray.create(this.canvasManager.selectedElements, options);
+        
+        if (copies.length > 0) {
+            this.canvasManager.setPreviewElement(copies);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+
+    /**
+     * Add the array of the selected shapes as a single undo step and select the originals with the copies
+     * @param {Object} options - The array options from the dialog, see ShapeArray
+     * @returns {Array} The new shapes
+     */
+    applyArray(options) {
+        if (!this.canvasManager) return [];
+        
+        const error = ShapeArray.validate(options);
+        
+        if (error) {
+            if (window.appData) {
+                window.appData.arrayDialog.error = error;
+            }
+            return [];
+        }
+        
+        const originals = [...this.canvasManager.selectedElements];
+        const copies = ShapeArray.create(originals, options);
+        
+        this.closeArrayDialog();
+        if (copies.length === 0) return [];
+        
+        this.pushUndoState();
+        
+        copies.forEach(shape => {
+            this.canvasManager.addShape(shape, false);
+        });
+        
+        const added = copies.map(shape => this.canvasManager.getShapeById(shape.id)).filter(Boolean);
+        this.selectShapes([...originals, ...added]);
+        
+        logger.info(`Created a ${options.type} array with ${added.length} new shapes`);
+        return added;
+    }
+
+    /**
+     * Close the Array dialog and remove its preview
+     */
+    closeArrayDialog() {
+        this.arrayDialogOpen = false;
+        
+        if (window.appData) {
+            window.appData.arrayDialog.open = false;
+        }
+        
+        if (this.canvasManager) {
+            this.canvasManager.clearPreview();
+        }
+    }
+
+    /**
+     * Select shapes with the Select tool and show their properties
+     * @param {Array} shapes - The shapes to select
+     */
+    selectShapes(shapes) {
+        if (this.activeTool !== this.tools['select']) {
+            this.activateTool('select');
+        }
+        
+        this.canvasManager.selectElements(shapes);
+        this.activeTool.selectedShapes = [...shapes];
+        this.activeTool.updateStatusHint();
+        
+        if (this.activeTool.propertiesPanel) {
+            this.activeTool.propertiesPanel.showSelectionProperties(shapes);
+        }
     }
 
     /**
@@ -16,17 +16,25 @@ class CanvasManager {
         this.previewGroup = null;
         this.selectionGroup = null;
         this.measurementGroup = null;
+        this.dimensionGroup = null;
         this.shapes = [];
         this.selectedElements = [];
+        this.openGroupId = null; // Group whose children are being edited, null at the top level
         this.previewElement = null;
         this.gridSize = 10;
         this.gridVisible = true;
         this.snapEnabled = true;
         this.zoom = 1;
+        this.minZoom = 0.1;
+        this.maxZoom = 10;
+        this.zoomStep = 1.1; // Zoom factor per mouse wheel step
+        this.minGridSpacing = 5; // Minimum distance between grid lines in screen pixels
         this.panX = 0;
         this.panY = 0;
         this.width = 800;
         this.height = 600;
+        this.handleSize = 8; // Selection handle size in screen pixels
+        this.rotateHandleOffset = 25; // Distance of the rotate handle above the selection in screen pixels
         this.appState = null;
     }
 
@@ -60,9 +68,10 @@ class CanvasManager {
             this.previewGroup = document.getElementById('preview-group');
             this.selectionGroup = document.getElementById('selection-group');
             this.measurementGroup = document.getElementById('measurement-group');
+            this.dimensionGroup = document.getElementById('dimension-group');
             
             if (!this.gridGroup || !this.shapesGroup || !this.previewGroup || 
-                !this.selectionGroup || !this.measurementGroup) {
+                !this.selectionGroup || !this.measurementGroup || !this.dimensionGroup) {
                 throw new Error('SVG groups not found');
             }
             
@@ -213,13 +222,19 @@ class CanvasManager {
         const worldWidth = this.width / this.zoom;
         const worldHeight = this.height / this.zoom;
         
-        const startX = Math.floor((-this.panX) / this.gridSize) * this.gridSize;
-        const startY = Math.floor((-this.panY) / this.gridSize) * this.gridSize;
+        // Coarsen the displayed grid when zoomed out so lines stay readable
+        let step = this.gridSize;
+        while (step * this.zoom < this.minGridSpacing) {
+            step *= 2;
+        }
+        
+        const startX = Math.floor((-this.panX) / step) * step;
+        const startY = Math.floor((-this.panY) / step) * step;
         const endX = (-this.panX) + worldWidth;
         const endY = (-this.panY) + worldHeight;
         
         // Draw vertical grid lines
-        for (let x = startX; x <= endX; x += this.gridSize) {
+        for (let x = startX; x <= endX; x += step) {
             const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
             line.setAttribute('x1', x);
             line.setAttribute('y1', startY);
@@ -230,7 +245,7 @@ class CanvasManager {
         }
         
         // Draw horizontal grid lines
-        for (let y = startY; y <= endY; y += this.gridSize) {
+        for (let y = startY; y <= endY; y += step) {
             const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
             line.setAttribute('x1', startX);
             line.setAttribute('y1', y);
@@ -247,8 +262,10 @@ class CanvasManager {
      * @param {number} centerX - X coordinate of the zoom center (in screen coordinates)
      * @param {number} centerY - Y coordinate of the zoom center (in screen coordinates)
      */
-    setZoom(zoom, centerX, centerY) {
-        if (zoom < 0.1 || zoom > 10) return;
+    setZoom(zoom, centerX = this.width / 2, centerY = this.height / 2) {
+        zoom = MathUtils.clamp(zoom, this.minZoom, this.maxZoom);
+        
+        if (zoom === this.zoom) return;
         
         const worldCenterBefore = this.screenToWorld(centerX, centerY);
         
@@ -263,9 +280,101 @@ class CanvasManager {
         this.updateViewBox();
         this.drawGrid();
         
+        // Handle sizes and dimension labels depend on the zoom level
+        this.renderSelection();
+        this.renderDimensions();
+        
         logger.info(`Zoom set to ${zoom.toFixed(2)}`);
     }
 
+    /**
+     * Zoom and pan so that a world rectangle fills the canvas
+     * @param {Object} bounds - The rectangle {x, y, width, height} in world coordinates
+     * @param {number} [padding=20] - Margin around the rectangle in screen pixels
+     */
+    zoomToBounds(bounds, padding = 20) {
+        if (!bounds) return;
+        
+        const availableWidth = Math.max(1, this.width - 2 * padding);
+        const availableHeight = Math.max(1, this.height - 2 * padding);
+        
+        // A degenerate rectangle (a single point) keeps the current zoom level
+        let zoom = this.zoom;
+        if (bounds.width > 0 || bounds.height > 0) {
+            zoom = Math.min(
+                bounds.width > 0 ? availableWidth / bounds.width : Infinity,
+                bounds.height > 0 ? availableHeight / bounds.height : Infinity
+            );
+        }
+        
+        this.zoom = MathUtils.clamp(zoom, this.minZoom, this.maxZoom);
+        
+        // Center the rectangle in the view
+        this.panX = this.width / (2 * this.zoom) - (bounds.x + bounds.width / 2);
+        this.panY = this.height / (2 * this.zoom) - (bounds.y + bounds.height / 2);
+        
+        this.updateViewBox();
+        this.drawGrid();
+        this.renderSelection();
+        this.renderDimensions();
+        
+        logger.info(`Zoom set to ${this.zoom.toFixed(2)}`);
+    }
+
+    /**
+     * Zoom to fit all shapes in the view
+     */
+    zoomToFitAll() {
+        const bounds = this.getShapesBoundingBox(this.shapes);
+        
+        if (!bounds) {
+            this.resetView();
+            return;
+        }
+        
+        this.zoomToBounds(bounds);
+    }
+
+    /**
+     * Zoom to fit the selected shapes in the view
+     */
+    zoomToSelection() {
+        const bounds = this.getShapesBoundingBox(this.selectedElements);
+        
+        if (!bounds) {
+            logger.warn('Nothing selected to zoom to');
+            return;
+        }
+        
+        this.zoomToBounds(bounds);
+    }
+
+    /**
+     * Reset the view to 100% zoom at the origin
+     */
+    resetView() {
+        this.setView(1, 0, 0);
+        
+        logger.info('View reset');
+    }
+
+    /**
+     * Set the zoom level and pan offset directly
+     * @param {number} zoom - The zoom level
+     * @param {number} panX - The X pan offset
+     * @param {number} panY - The Y pan offset
+     */
+    setView(zoom, panX, panY) {
+        this.zoom = MathUtils.clamp(zoom, this.minZoom, this.maxZoom);
+        this.panX = panX;
+        this.panY = panY;
+        
+        this.updateViewBox();
+        this.drawGrid();
+        this.renderSelection();
+        this.renderDimensions();
+    }
+
     /**
      * Pan the canvas
      * @param {number} dx - X distance to pan
@@ -286,6 +395,11 @@ class CanvasManager {
         if (!this.canvas) return;
         
         this.canvas.setAttribute('viewBox', `${-this.panX} ${-this.panY} ${this.width / this.zoom} ${this.height / this.zoom}`);
+        
+        // Update Alpine.js data
+        if (window.appData) {
+            window.appData.zoomLevel = Math.round(this.zoom * 100);
+        }
     }
 
     /**
@@ -302,35 +416,17 @@ class CanvasManager {
         }
         
         // Ensure the shape is an instance of its respective class
-        let shapeInstance;
+        const shapeInstance = ShapeFactory.fromObject(shape) || shape;
         
-        switch (shape.type) {
-            case 'line':
-                shapeInstance = new Line(shape.x1, shape.y1, shape.x2, shape.y2);
-                shapeInstance.id = shape.id || `line_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-                break;
-                
-            case 'rectangle':
-                shapeInstance = new Rectangle(shape.x, shape.y, shape.width, shape.height);
-                shapeInstance.id = shape.id || `rectangle_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-                break;
-                
-            case 'circle':
-                shapeInstance = new Circle(shape.cx, shape.cy, shape.radius);
-                shapeInstance.id = shape.id || `circle_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-                break;
-                
-            case 'arc':
-                shapeInstance = new Arc(shape.cx, shape.cy, shape.radius, shape.startAngle, shape.endAngle);
-                shapeInstance.id = shape.id || `arc_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-                break;
-                
-            default:
-                shapeInstance = shape;
-                break;
+        // Shapes added while a group is open go into that group, on its layer
+        const openGroup = this.getOpenGroup();
+        
+        // New shapes are drawn on the active layer
+        if (!shapeInstance.layerId && window.layerManager) {
+            shapeInstance.layerId = openGroup ? openGroup.layerId : window.layerManager.getActiveLayer().id;
         }
         
-        this.shapes.push(shapeInstance);
+        (openGroup ? openGroup.children : this.shapes).push(shapeInstance);
         this.render();
         
         logger.info(`Added ${shapeInstance.type} with ID ${shapeInstance.id}`);
@@ -347,15 +443,23 @@ class CanvasManager {
             window.appStateManager.pushUndoState();
         }
         
-        const index = this.shapes.findIndex(shape => shape.id === id);
+        const location = this.findShapeLocation(id);
         
-        if (index !== -1) {
-            const shape = this.shapes[index];
-            this.shapes.splice(index, 1);
+        if (location) {
+            const shape = location.list[location.index];
+            location.list.splice(location.index, 1);
             
             // Remove from selection if selected
             this.deselectElement(id);
             
+            // A group that loses its last child goes with it
+            if (location.parent && location.parent.children.length === 0) {
+                if (this.openGroupId === location.parent.id) {
+                    this.closeGroup();
+                }
+                this.removeShape(location.parent.id, false);
+            }
+            
             this.render();
             
             logger.info(`Removed ${shape.type} with ID ${shape.id}`);
@@ -375,52 +479,257 @@ class CanvasManager {
             window.appStateManager.pushUndoState();
         }
         
-        const index = this.shapes.findIndex(s => s.id === shape.id);
+        const location = this.findShapeLocation(shape.id);
         
-        if (index !== -1) {
+        if (location) {
             // Ensure the shape is an instance of its respective class
-            let shapeInstance;
+            const shapeInstance = ShapeFactory.fromObject(shape) || shape;
             
-            switch (shape.type) {
-                case 'line':
-                    shapeInstance = new Line(shape.x1, shape.y1, shape.x2, shape.y2);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                case 'rectangle':
-                    shapeInstance = new Rectangle(shape.x, shape.y, shape.width, shape.height);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                case 'circle':
-                    shapeInstance = new Circle(shape.cx, shape.cy, shape.radius);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                case 'arc':
-                    shapeInstance = new Arc(shape.cx, shape.cy, shape.radius, shape.startAngle, shape.endAngle);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                default:
-                    shapeInstance = shape;
-                    break;
-            }
-            
-            this.shapes[index] = shapeInstance;
+            location.list[location.index] = shapeInstance;
             this.render();
             
             logger.info(`Updated ${shapeInstance.type} with ID ${shapeInstance.id}`);
         }
     }
 
+    /**
+     * Replace a shape with other shapes at the same place in the drawing order
+     * @param {string} id - The ID of the shape to replace
+     * @param {Array<Object>} shapes - The replacement shapes; none removes the shape
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {Array<Object>} The shapes added to the canvas
+     */
+    replaceShape(id, shapes, recordUndo = true) {
+        const location = this.findShapeLocation(id);
+        if (!location) return [];
+        
+        if (shapes.length === 0) {
+            this.removeShape(id, recordUndo);
+            return [];
+        }
+        
+        // Save state for undo if needed
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        const original = location.list[location.index];
+        const instances = shapes.map(shape => ShapeFactory.fromObject(shape) || shape);
+        
+        // Replacements stay on the layer of the shape they replace
+        instances.forEach(shape => {
+            if (!shape.layerId) {
+                shape.layerId = original.layerId;
+            }
+        });
+        
+        location.list.splice(location.index, 1, ...instances);
+        
+        if (!instances.some(shape => shape.id === id)) {
+            this.deselectElement(id);
+        }
+        
+        this.render();
+        
+        logger.info(`Replaced ${original.type} with ID ${id} by ${instances.length} shapes`);
+        return instances;
+    }
+
     /**
      * Get a shape by ID
      * @param {string} id - The ID of the shape to get
      * @returns {Object|null} The shape or null if not found
      */
     getShapeById(id) {
-        return this.shapes.find(shape => shape.id === id) || null;
+        const location = this.findShapeLocation(id);
+        return location ? location.list[location.index] : null;
+    }
+
+    /**
+     * Find where a shape is stored, looking inside groups
+     * @param {string} id - The ID of the shape
+     * @param {Array} [shapes] - The list to search, defaults to the top-level shapes
+     * @param {Group|null} [parent=null] - The group that owns the list
+     * @returns {Object|null} The location {list, index, parent} or null if not found
+     */
+    findShapeLocation(id, shapes = this.shapes, parent = null) {
+        const index = shapes.findIndex(shape => shape.id === id);
+        if (index !== -1) {
+            return { list: shapes, index, parent };
+        }
+        
+        for (const shape of shapes) {
+            if (shape.type === 'group') {
+                const location = this.findShapeLocation(id, shape.children, shape);
+                if (location) return location;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Get the top-level shape that holds a shape
+     * @param {string} id - The ID of the shape
+     * @returns {Object|null} The shape itself if it is top-level, its outermost group otherwise
+     */
+    getRootShape(id) {
+        let location = this.findShapeLocation(id);
+        
+        while (location && location.parent) {
+            location = this.findShapeLocation(location.parent.id);
+        }
+        
+        return location ? location.list[location.index] : null;
+    }
+
+    /**
+     * Get the group whose children are being edited
+     * @returns {Group|null} The open group or null at the top level
+     */
+    getOpenGroup() {
+        const group = this.openGroupId ? this.getShapeById(this.openGroupId) : null;
+        return group && group.type === 'group' ? group : null;
+    }
+
+    /**
+     * Get the shapes that can be picked and selected: the children of the open group, or the top-level shapes
+     * @returns {Array} The pickable shapes
+     */
+    getPickableShapes() {
+        const group = this.getOpenGroup();
+        
+        if (!group) {
+            return this.shapes.filter(shape => this.isShapeEditable(shape));
+        }
+        
+        // Children are on the layer of the outermost group
+        return this.isShapeEditable(this.getRootShape(group.id)) ? group.children : [];
+    }
+
+    /**
+     * Get the shapes that can be snapped to, with groups replaced by the shapes inside them
+     * @param {Array<string>} [excludeIds=[]] - IDs of shapes to leave out
+     * @returns {Array} The snappable shapes
+     */
+    getSnapShapes(excludeIds = []) {
+        return this.shapes
+            .filter(shape => !excludeIds.includes(shape.id) && this.isShapeEditable(shape))
+            .reduce((shapes, shape) => shapes.concat(shape.type === 'group' ? shape.getLeafShapes() : [shape]), [])
+            .filter(shape => !excludeIds.includes(shape.id));
+    }
+
+    /**
+     * Start editing the children of a group
+     * @param {string} id - The ID of the group
+     */
+    openGroup(id) {
+        const group = this.getShapeById(id);
+        if (!group || group.type !== 'group') return;
+        
+        this.deselectAll();
+        this.openGroupId = id;
+        this.render();
+        
+        logger.info(`Editing group ${id}`);
+    }
+
+    /**
+     * Stop editing the open group and return to its parent group
+     * @param {boolean} [toTopLevel=false] - Whether to leave all nested groups at once
+     */
+    closeGroup(toTopLevel = false) {
+        if (!this.openGroupId) return;
+        
+        const location = this.findShapeLocation(this.openGroupId);
+        this.openGroupId = !toTopLevel && location && location.parent ? location.parent.id : null;
+        
+        this.deselectAll();
+        this.render();
+        
+        logger.info(this.openGroupId ? `Editing group ${this.openGroupId}` : 'Stopped editing group');
+    }
+
+    /**
+     * Replace sibling shapes with a group holding them
+     * @param {Array<string>} ids - The IDs of the shapes to group
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {Group|null} The new group or null if fewer than two sibling shapes were given
+     */
+    groupShapes(ids, recordUndo = true) {
+        const locations = ids.map(id => this.findShapeLocation(id)).filter(Boolean);
+        const list = locations.length > 0 ? locations[0].list : null;
+        
+        if (locations.length < 2 || locations.some(location => location.list !== list)) {
+            logger.warn('Cannot group: Select at least two shapes at the same level');
+            return null;
+        }
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        // Keep the drawing order and put the group where the topmost shape was
+        const indices = locations.map(location => location.index).sort((a, b) => a - b);
+        const children = indices.map(index => list[index]);
+        const group = new Group(children);
+        group.layerId = children[children.length - 1].layerId;
+        
+        indices.slice().reverse().forEach(index => list.splice(index, 1));
+        list.splice(indices[indices.length - 1] - indices.length + 1, 0, group);
+        
+        this.deselectAll();
+        this.render();
+        
+        logger.info(`Grouped ${children.length} shapes into ${group.id}`);
+        return group;
+    }
+
+    /**
+     * Replace groups with the shapes inside them
+     * @param {Array<string>} ids - The IDs of the groups; other shapes are ignored
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {Array} The shapes that were inside the groups
+     */
+    ungroupShapes(ids, recordUndo = true) {
+        const groups = ids.map(id => this.getShapeById(id)).filter(shape => shape && shape.type === 'group');
+        const released = [];
+        
+        if (groups.length === 0) {
+            logger.warn('Cannot ungroup: No group selected');
+            return released;
+        }
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        groups.forEach(group => {
+            const location = this.findShapeLocation(group.id);
+            
+            // The released shapes stay on the layer the group was drawn on
+            group.children.forEach(child => {
+                child.layerId = group.layerId;
+            });
+            
+            location.list.splice(location.index, 1, ...group.children);
+            released.push(...group.children);
+        });
+        
+        this.deselectAll();
+        this.render();
+        
+        logger.info(`Ungrouped ${released.length} shapes`);
+        return released;
+    }
+
+    /**
+     * Check whether a shape can be picked, selected and snapped to
+     * @param {Object} shape - The shape
+     * @returns {boolean} True unless the shape is on a hidden or locked layer
+     */
+    isShapeEditable(shape) {
+        return !window.layerManager || window.layerManager.isShapeEditable(shape);
     }
 
     /**
@@ -432,23 +741,39 @@ class CanvasManager {
      */
     findShapesAtPoint(x, y, tolerance = 5) {
         // Find all shapes that contain the point
-        const shapesAtPoint = this.shapes.filter(shape => {
-            if (shape.type === 'line') {
-                return shape.isPointOnLine(x, y, tolerance);
-            } else if (shape.type === 'rectangle') {
-                return shape.containsPoint(x, y);
-            } else if (shape.type === 'circle') {
-                return shape.isPointOnCircumference(x, y, tolerance);
-            } else if (shape.type === 'arc') {
-                return shape.isPointOnArc(x, y, tolerance);
-            }
-            return false;
-        });
+        const shapesAtPoint = this.getPickableShapes().filter(shape => this.isShapeAtPoint(shape, x, y, tolerance));
         
         // Sort shapes by their ID to ensure consistent ordering
         return shapesAtPoint.sort((a, b) => a.id.localeCompare(b.id));
     }
 
+    /**
+     * Check whether a point hits a shape
+     * @param {Object} shape - The shape
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} tolerance - Tolerance for hit detection
+     * @returns {boolean} True if the point is on the shape, or on any shape inside a group
+     */
+    isShapeAtPoint(shape, x, y, tolerance) {
+        if (shape.type === 'line') {
+            return shape.isPointOnLine(x, y, tolerance);
+        } else if (shape.type === 'rectangle') {
+            return shape.containsPoint(x, y);
+        } else if (shape.type === 'circle') {
+            return shape.isPointOnCircumference(x, y, tolerance);
+        } else if (shape.type === 'arc') {
+            return shape.isPointOnArc(x, y, tolerance);
+        } else if (shape.type === 'polyline') {
+            return shape.isPointOnPolyline(x, y, tolerance) || shape.containsPoint(x, y);
+        } else if (shape.type === 'ellipse') {
+            return shape.isPointOnEllipse(x, y, tolerance);
+        } else if (shape.type === 'group') {
+            return shape.children.some(child => this.isShapeAtPoint(child, x, y, tolerance));
+        }
+        return false;
+    }
+
     /**
      * Find shapes within a rectangle
      * @param {number} x - X coordinate of the top-left corner
@@ -461,22 +786,30 @@ class CanvasManager {
         const rect = new Rectangle(x, y, width, height);
         
         // Find all shapes that intersect with the rectangle
-        const shapesInRect = this.shapes.filter(shape => {
-            if (shape.type === 'line') {
-                return shape.intersectsWithRect(x, y, width, height);
-            } else if (shape.type === 'rectangle') {
-                return rect.intersectsWithRectangle(shape);
-            } else if (shape.type === 'circle' || shape.type === 'arc') {
-                const bbox = shape.getBoundingBox();
-                return rect.intersectsWithRectangle(new Rectangle(bbox.x, bbox.y, bbox.width, bbox.height));
-            }
-            return false;
-        });
+        const shapesInRect = this.getPickableShapes().filter(shape => this.isShapeInRect(shape, rect));
         
         // Sort shapes by their ID to ensure consistent ordering
         return shapesInRect.sort((a, b) => a.id.localeCompare(b.id));
     }
 
+    /**
+     * Check whether a shape intersects with a rectangle
+     * @param {Object} shape - The shape
+     * @param {Rectangle} rect - The rectangle
+     * @returns {boolean} True if the shape, or any shape inside a group, intersects with the rectangle
+     */
+    isShapeInRect(shape, rect) {
+        if (shape.type === 'line' || shape.type === 'polyline' || shape.type === 'ellipse') {
+            return shape.intersectsWithRect(rect.x, rect.y, rect.width, rect.height);
+        } else if (shape.type === 'rectangle' || shape.type === 'circle' || shape.type === 'arc') {
+            const bbox = shape.getBoundingBox();
+            return rect.intersectsWithRectangle(new Rectangle(bbox.x, bbox.y, bbox.width, bbox.height));
+        } else if (shape.type === 'group') {
+            return shape.children.some(child => this.isShapeInRect(child, rect));
+        }
+        return false;
+    }
+
     /**
      * Select elements
      * @param {Array|Object} elements - The element(s) to select
@@ -559,7 +892,7 @@ class CanvasManager {
 
     /**
      * Set a preview element
-     * @param {Object} element - The element to preview
+     * @param {Object|Array} element - The element (or elements) to preview
      */
     setPreviewElement(element) {
         this.previewElement = element;
@@ -585,6 +918,16 @@ class CanvasManager {
             this.shapesGroup.removeChild(this.shapesGroup.firstChild);
         }
         
+        // Each layer is a group, bottom layer first, so shapes inherit its visibility and stroke colour
+        const layerGroups = {};
+        
+        if (window.layerManager) {
+            window.layerManager.layers.forEach(layer => {
+                layerGroups[layer.id] = layer.toSVGElement();
+                this.shapesGroup.appendChild(layerGroups[layer.id]);
+            });
+        }
+        
         // Render each shape
         this.shapes.forEach(shape => {
             let element;
@@ -616,15 +959,33 @@ class CanvasManager {
             if (element) {
                 element.setAttribute('data-id', shape.id);
                 element.setAttribute('data-type', shape.type);
-                this.shapesGroup.appendChild(element);
+                
+                const layer = window.layerManager ? window.layerManager.getLayerForShape(shape) : null;
+                (layer ? layerGroups[layer.id] : this.shapesGroup).appendChild(element);
             }
         });
         
-        // Re-render selection and preview
+        // Re-render dimensions, selection and preview
+        this.renderDimensions();
         this.renderSelection();
         this.renderPreview();
     }
 
+    /**
+     * Render the dimensional constraints
+     */
+    renderDimensions() {
+        if (!this.dimensionGroup) return;
+        
+        while (this.dimensionGroup.firstChild) {
+            this.dimensionGroup.removeChild(this.dimensionGroup.firstChild);
+        }
+        
+        if (window.constraintManager) {
+            window.constraintManager.renderDimensions(this.dimensionGroup);
+        }
+    }
+
     /**
      * Render the selection
      */
@@ -636,6 +997,22 @@ class CanvasManager {
             this.selectionGroup.removeChild(this.selectionGroup.firstChild);
         }
         
+        // Keep the selection outline a constant distance from the shape on screen
+        const padding = 5 / this.zoom;
+        
+        // Outline the group being edited
+        const openGroup = this.getOpenGroup();
+        if (openGroup) {
+            const bbox = openGroup.getBoundingBox();
+            const outline = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            outline.setAttribute('x', bbox.x - 2 * padding);
+            outline.setAttribute('y', bbox.y - 2 * padding);
+            outline.setAttribute('width', bbox.width + 4 * padding);
+            outline.setAttribute('height', bbox.height + 4 * padding);
+            outline.setAttribute('class', 'open-group');
+            this.selectionGroup.appendChild(outline);
+        }
+        
         // Render selection for each selected element
         this.selectedElements.forEach(element => {
             let selectionElement;
@@ -644,25 +1021,18 @@ class CanvasManager {
                 // For lines, draw a selection rectangle around the line
                 const bbox = element.getBoundingBox();
                 selectionElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                selectionElement.setAttribute('x', bbox.x - 5);
-                selectionElement.setAttribute('y', bbox.y - 5);
-                selectionElement.setAttribute('width', bbox.width + 10);
-                selectionElement.setAttribute('height', bbox.height + 10);
-            } else if (element.type === 'rectangle') {
-                // For rectangles, draw a selection rectangle slightly larger
-                selectionElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                selectionElement.setAttribute('x', element.x - 5);
-                selectionElement.setAttribute('y', element.y - 5);
-                selectionElement.setAttribute('width', element.width + 10);
-                selectionElement.setAttribute('height', element.height + 10);
-            } else if (element.type === 'circle' || element.type === 'arc') {
-                // For circles and arcs, draw a selection rectangle around the bounding box
+                selectionElement.setAttribute('x', bbox.x - padding);
+                selectionElement.setAttribute('y', bbox.y - padding);
+                selectionElement.setAttribute('width', bbox.width + 2 * padding);
+                selectionElement.setAttribute('height', bbox.height + 2 * padding);
+            } else if (element.type === 'rectangle' || element.type === 'circle' || element.type === 'arc' || element.type === 'polyline' || element.type === 'ellipse' || element.type === 'group') {
+                // For rectangles, circles, arcs, polylines, ellipses and groups, draw a selection rectangle around the bounding box
                 const bbox = element.getBoundingBox();
                 selectionElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                selectionElement.setAttribute('x', bbox.x - 5);
-                selectionElement.setAttribute('y', bbox.y - 5);
-                selectionElement.setAttribute('width', bbox.width + 10);
-                selectionElement.setAttribute('height', bbox.height + 10);
+                selectionElement.setAttribute('x', bbox.x - padding);
+                selectionElement.setAttribute('y', bbox.y - padding);
+                selectionElement.setAttribute('width', bbox.width + 2 * padding);
+                selectionElement.setAttribute('height', bbox.height + 2 * padding);
             }
             
             if (selectionElement) {
@@ -671,6 +1041,171 @@ class CanvasManager {
                 this.selectionGroup.appendChild(selectionElement);
             }
         });
+        
+        // Draw resize handles when a single element is selected
+        if (this.selectedElements.length === 1) {
+            const element = this.selectedElements[0];
+            const size = this.handleSize / this.zoom;
+            
+            this.getResizeHandles(element).forEach(handle => {
+                const handleElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                handleElement.setAttribute('x', handle.x - size / 2);
+                handleElement.setAttribute('y', handle.y - size / 2);
+                handleElement.setAttribute('width', size);
+                handleElement.setAttribute('height', size);
+                handleElement.setAttribute('class', 'selection-handle');
+                handleElement.setAttribute('data-for', element.id);
+                handleElement.setAttribute('data-handle', handle.id);
+                this.selectionGroup.appendChild(handleElement);
+            });
+        }
+        
+        // Draw the rotate handle above the selection
+        const rotateHandle = this.getRotateHandle();
+        
+        if (rotateHandle) {
+            const stem = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            stem.setAttribute('x1', rotateHandle.stemX);
+            stem.setAttribute('y1', rotateHandle.stemY);
+            stem.setAttribute('x2', rotateHandle.x);
+            stem.setAttribute('y2', rotateHandle.y);
+            stem.setAttribute('class', 'rotate-stem');
+            this.selectionGroup.appendChild(stem);
+            
+            const handleElement = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            handleElement.setAttribute('cx', rotateHandle.x);
+            handleElement.setAttribute('cy', rotateHandle.y);
+            handleElement.setAttribute('r', this.handleSize / 2 / this.zoom);
+            handleElement.setAttribute('class', 'rotate-handle');
+            this.selectionGroup.appendChild(handleElement);
+        }
+    }
+
+    /**
+     * Get the combined bounding box of a set of shapes
+     * @param {Array} shapes - The shapes to measure
+     * @returns {Object|null} The bounding box {x, y, width, height} or null if there are no shapes
+     */
+    getShapesBoundingBox(shapes) {
+        const boxes = shapes
+            .filter(shape => typeof shape.getBoundingBox === 'function')
+            .map(shape => shape.getBoundingBox());
+        
+        if (boxes.length === 0) return null;
+        
+        const minX = Math.min(...boxes.map(box => box.x));
+        const minY = Math.min(...boxes.map(box => box.y));
+        const maxX = Math.max(...boxes.map(box => box.x + box.width));
+        const maxY = Math.max(...boxes.map(box => box.y + box.height));
+        
+        return {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    }
+
+    /**
+     * Get the rotate handle for the current selection
+     * @returns {Object|null} The handle {x, y, stemX, stemY, center} in world coordinates or null if nothing is selected
+     */
+    getRotateHandle() {
+        const bbox = this.getShapesBoundingBox(this.selectedElements);
+        
+        if (!bbox) return null;
+        
+        // The stem starts at the top of the selection outline
+        const stemX = bbox.x + bbox.width / 2;
+        const stemY = bbox.y - 5 / this.zoom;
+        
+        return {
+            x: stemX,
+            y: stemY - this.rotateHandleOffset / this.zoom,
+            stemX,
+            stemY,
+            center: new Point(bbox.x + bbox.width / 2, bbox.y + bbox.height / 2)
+        };
+    }
+
+    /**
+     * Get the resize handles for a shape
+     * @param {Object} shape - The shape to get handles for
+     * @returns {Array} Array of handles {id, x, y} in world coordinates
+     */
+    getResizeHandles(shape) {
+        if (!shape) return [];
+        
+        switch (shape.type) {
+            case 'line':
+                return [
+                    { id: 'start', x: shape.x1, y: shape.y1 },
+                    { id: 'end', x: shape.x2, y: shape.y2 }
+                ];
+                
+            case 'rectangle': {
+                const left = shape.x;
+                const top = shape.y;
+                const right = shape.x + shape.width;
+                const bottom = shape.y + shape.height;
+                const centerX = shape.x + shape.width / 2;
+                const centerY = shape.y + shape.height / 2;
+                
+                // Handles are laid out in the unrotated frame and then rotated with the rectangle
+                return [
+                    { id: 'nw', x: left, y: top },
+                    { id: 'n', x: centerX, y: top },
+                    { id: 'ne', x: right, y: top },
+                    { id: 'e', x: right, y: centerY },
+                    { id: 'se', x: right, y: bottom },
+                    { id: 's', x: centerX, y: bottom },
+                    { id: 'sw', x: left, y: bottom },
+                    { id: 'w', x: left, y: centerY }
+                ].map(handle => {
+                    const point = shape.localToWorld(handle.x, handle.y);
+                    return { id: handle.id, x: point.x, y: point.y };
+                });
+            }
+                
+            case 'circle':
+                return [
+                    { id: 'e', x: shape.cx + shape.radius, y: shape.cy },
+                    { id: 's', x: shape.cx, y: shape.cy + shape.radius },
+                    { id: 'w', x: shape.cx - shape.radius, y: shape.cy },
+                    { id: 'n', x: shape.cx, y: shape.cy - shape.radius }
+                ];
+                
+            case 'arc': {
+                const startPoint = shape.getStartPoint();
+                const endPoint = shape.getEndPoint();
+                const midPoint = shape.pointAtPercentage(0.5);
+                
+                return [
+                    { id: 'start', x: startPoint.x, y: startPoint.y },
+                    { id: 'end', x: endPoint.x, y: endPoint.y },
+                    { id: 'radius', x: midPoint.x, y: midPoint.y }
+                ];
+            }
+                
+            case 'polyline':
+                // One handle per vertex, identified by its index
+                return shape.points.map((point, index) => ({ id: `vertex-${index}`, x: point.x, y: point.y }));
+                
+            case 'ellipse': {
+                // Handles sit on the quadrant points and follow the rotation
+                const [east, south, west, north] = shape.getQuadrantPoints();
+                
+                return [
+                    { id: 'e', x: east.x, y: east.y },
+                    { id: 's', x: south.x, y: south.y },
+                    { id: 'w', x: west.x, y: west.y },
+                    { id: 'n', x: north.x, y: north.y }
+                ];
+            }
+                
+            default:
+                return [];
+        }
     }
 
     /**
@@ -684,39 +1219,56 @@ class CanvasManager {
             this.previewGroup.removeChild(this.previewGroup.firstChild);
         }
         
-        // Render preview element if exists
-        if (this.previewElement) {
-            let previewElement;
-            
-            if (this.previewElement.toSVGElement) {
-                previewElement = this.previewElement.toSVGElement();
-            } else if (this.previewElement.type === 'line') {
-                previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                previewElement.setAttribute('x1', this.previewElement.x1);
-                previewElement.setAttribute('y1', this.previewElement.y1);
-                previewElement.setAttribute('x2', this.previewElement.x2);
-                previewElement.setAttribute('y2', this.previewElement.y2);
-            } else if (this.previewElement.type === 'rectangle') {
-                previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                previewElement.setAttribute('x', this.previewElement.x);
-                previewElement.setAttribute('y', this.previewElement.y);
-                previewElement.setAttribute('width', this.previewElement.width);
-                previewElement.setAttribute('height', this.previewElement.height);
-            } else if (this.previewElement.type === 'circle') {
-                previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                previewElement.setAttribute('cx', this.previewElement.cx);
-                previewElement.setAttribute('cy', this.previewElement.cy);
-                previewElement.setAttribute('r', this.previewElement.radius);
-            } else if (this.previewElement.type === 'arc') {
-                previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                previewElement.setAttribute('d', this.previewElement.toSVGPathData());
-            }
+        if (!this.previewElement) return;
+        
+        // The preview may be a single element or an array of elements
+        const elements = Array.isArray(this.previewElement) ? this.previewElement : [this.previewElement];
+        
+        elements.forEach(element => {
+            const previewElement = this.createPreviewSVGElement(element);
             
             if (previewElement) {
                 previewElement.setAttribute('class', 'preview');
                 this.previewGroup.appendChild(previewElement);
             }
+        });
+    }
+
+    /**
+     * Create the SVG element for a preview element
+     * @param {Object} element - The element to preview
+     * @returns {SVGElement|null} The SVG element or null if the element cannot be rendered
+     */
+    createPreviewSVGElement(element) {
+        if (!element) return null;
+        
+        let previewElement = null;
+        
+        if (element.toSVGElement) {
+            previewElement = element.toSVGElement();
+        } else if (element.type === 'line') {
+            previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            previewElement.setAttribute('x1', element.x1);
+            previewElement.setAttribute('y1', element.y1);
+            previewElement.setAttribute('x2', element.x2);
+            previewElement.setAttribute('y2', element.y2);
+        } else if (element.type === 'rectangle') {
+            previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            previewElement.setAttribute('x', element.x);
+            previewElement.setAttribute('y', element.y);
+            previewElement.setAttribute('width', element.width);
+            previewElement.setAttribute('height', element.height);
+        } else if (element.type === 'circle') {
+            previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            previewElement.setAttribute('cx', element.cx);
+            previewElement.setAttribute('cy', element.cy);
+            previewElement.setAttribute('r', element.radius);
+        } else if (element.type === 'arc') {
+            previewElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            previewElement.setAttribute('d', element.toSVGPathData());
         }
+        
+        return previewElement;
     }
 
     /**
@@ -725,6 +1277,7 @@ class CanvasManager {
     clear() {
         this.shapes = [];
         this.selectedElements = [];
+        this.openGroupId = null;
         this.previewElement = null;
         
         this.render();
@@ -768,17 +1321,7 @@ class CanvasManager {
         this.clear();
         
         shapes.forEach(shapeData => {
-            let shape;
-            
-            if (shapeData.type === 'line') {
-                shape = Line.fromObject(shapeData);
-            } else if (shapeData.type === 'rectangle') {
-                shape = Rectangle.fromObject(shapeData);
-            } else if (shapeData.type === 'circle') {
-                shape = Circle.fromObject(shapeData);
-            } else if (shapeData.type === 'arc') {
-                shape = Arc.fromObject(shapeData);
-            }
+            const shape = ShapeFactory.fromObject(shapeData);
             
             if (shape) {
                 this.shapes.push(shape);
@@ -819,37 +1362,7 @@ class CanvasManager {
         }
         
         // Convert plain objects to shape instances
-        this.shapes = shapesSnapshot.map(shape => {
-            let shapeInstance;
-            
-            switch (shape.type) {
-                case 'line':
-                    shapeInstance = new Line(shape.x1, shape.y1, shape.x2, shape.y2);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                case 'rectangle':
-                    shapeInstance = new Rectangle(shape.x, shape.y, shape.width, shape.height);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                case 'circle':
-                    shapeInstance = new Circle(shape.cx, shape.cy, shape.radius);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                case 'arc':
-                    shapeInstance = new Arc(shape.cx, shape.cy, shape.radius, shape.startAngle, shape.endAngle);
-                    shapeInstance.id = shape.id;
-                    break;
-                    
-                default:
-                    shapeInstance = shape;
-                    break;
-            }
-            
-            return shapeInstance;
-        });
+        this.shapes = shapesSnapshot.map(shape => ShapeFactory.fromObject(shape) || shape);
         
         // Clear selection
         this.selectedElements = [];
@@ -865,6 +1378,7 @@ class CanvasManager {
     clearShapes() {
         this.shapes = [];
         this.selectedElements = [];
+        this.openGroupId = null;
         this.render();
         
         logger.info('All shapes cleared');
@@ -881,48 +1395,9 @@ class CanvasManager {
         this.clearPreview();
         
         // Create a preview element based on the shape type
-        let previewElement;
+        const previewElement = ShapeFactory.fromObject(updatedShape);
         
-        switch (updatedShape.type) {
-            case 'line':
-                previewElement = new Line(
-                    updatedShape.x1,
-                    updatedShape.y1,
-                    updatedShape.x2,
-                    updatedShape.y2
-                );
-                break;
-                
-            case 'rectangle':
-                previewElement = new Rectangle(
-                    updatedShape.x,
-                    updatedShape.y,
-                    updatedShape.width,
-                    updatedShape.height
-                );
-                break;
-                
-            case 'circle':
-                previewElement = new Circle(
-                    updatedShape.cx,
-                    updatedShape.cy,
-                    updatedShape.radius
-                );
-                break;
-                
-            case 'arc':
-                previewElement = new Arc(
-                    updatedShape.cx,
-                    updatedShape.cy,
-                    updatedShape.radius,
-                    updatedShape.startAngle,
-                    updatedShape.endAngle
-                );
-                break;
-                
-            default:
-                return;
-        }
+        if (!previewElement) return;
         
         // Set the preview element
         this.setPreviewElement(previewElement);
@@ -1,6 +1,6 @@
 /**
  * Constraint Manager for the CAD Editor
- * Handles snapping and geometric constraints
+ * Handles snapping while drawing and the geometric constraints stored with the drawing
  */
 class ConstraintManager {
     /**
@@ -15,11 +15,33 @@ class ConstraintManager {
         this.activeConstraints = {
             horizontal: false,
             vertical: false,
-            parallel: false,
-            perpendicular: false
+            parallel: true,
+            perpendicular: true
         };
+        this.snapModes = {
+            endpoint: true,
+            intersection: true,
+            midpoint: true,
+            center: true,
+            quadrant: true,
+            tangent: true,
+            perpendicular: true,
+            nearest: true
+        };
+        this.inferenceTolerance = 5; // Degrees within which a line being drawn locks to the reference
+        this.polarTracking = true;
+        this.polarIncrement = 15; // Degrees between polar tracking angles
+        this.snapTracking = true;
+        this.trackedPoints = [];
+        this.trackingHover = null;
+        this.trackingTimer = null;
+        this.trackingTooltip = null;
         this.referenceElement = null;
         this.referencePoint = null;
+        this.constraints = [];
+        this.variables = [];
+        this.dimensionLabels = [];
+        this.dimensionEditor = null;
     }
 
     /**
@@ -99,13 +121,18 @@ class ConstraintManager {
      * Apply constraints to a point
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
+     * @param {Array<string>} [excludeIds=[]] - IDs of shapes to ignore when snapping
      * @returns {Object} Constrained coordinates {x, y}
      */
-    applyConstraints(x, y) {
+    applyConstraints(x, y, excludeIds = []) {
         if (!this.initialized) return { x, y };
         
         let result = { x, y };
         
+        // The snap glyph and tracking lines are redrawn for this position
+        this.clearSnapIndicator();
+        this.clearTracking();
+        
         // Apply active constraints first (horizontal/vertical)
         if (this.referencePoint) {
             if (this.activeConstraints.horizontal) {
@@ -124,17 +151,33 @@ class ConstraintManager {
         
         // Apply point snapping if enabled and no active constraints
         if (this.snapToPoints && !this.activeConstraints.horizontal && !this.activeConstraints.vertical) {
-            const snappedToPoint = this.snapToNearestPoint(result.x, result.y);
+            const snappedToPoint = this.snapToNearestPoint(result.x, result.y, excludeIds);
+            
+            // Resting on a snap point acquires it for object snap tracking
+            this.hoverTrackingPoint(snappedToPoint);
+            
             if (snappedToPoint) {
                 result = snappedToPoint;
+                this.showTracking(null);
                 // Point snapping takes precedence over line snapping
                 return result;
             }
         }
         
+        // Apply polar and object snap tracking if no active constraints
+        if (!this.activeConstraints.horizontal && !this.activeConstraints.vertical) {
+            const alignment = this.findTracking(result.x, result.y);
+            this.showTracking(alignment);
+            
+            if (alignment) {
+                const polar = alignment.lines.every(line => line.kind === 'polar');
+                return { x: alignment.x, y: alignment.y, mode: polar ? 'polar' : 'tracking' };
+            }
+        }
+        
         // Apply line snapping if enabled and no active constraints
         if (this.snapToLines && !this.activeConstraints.horizontal && !this.activeConstraints.vertical) {
-            const snappedToLine = this.snapToNearestLine(result.x, result.y);
+            const snappedToLine = this.snapToNearestLine(result.x, result.y, excludeIds);
             if (snappedToLine) {
                 result = snappedToLine;
             }
@@ -147,151 +190,56 @@ class ConstraintManager {
      * Snap to the nearest point
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @returns {Object|null} Snapped coordinates {x, y} or null if no snap
+     * @param {Array<string>} [excludeIds=[]] - IDs of shapes to ignore
+     * @returns {Object|null} Snapped coordinates {x, y, mode} or null if no snap
      */
-    snapToNearestPoint(x, y) {
+    snapToNearestPoint(x, y, excludeIds = []) {
         if (!this.canvasManager) return null;
         
-        const shapes = this.canvasManager.shapes;
-        let closestPoint = null;
-        let minDistance = this.snapDistance;
+        // Every enabled mode except nearest, which snaps to lines
+        const modes = ObjectSnap.MODES.filter(mode => mode !== 'nearest' && this.snapModes[mode]);
         
-        // Convert snap distance from screen to world coordinates
-        const worldSnapDistance = this.snapDistance / this.canvasManager.zoom;
-        
-        // Check all shapes for snap points
-        for (const shape of shapes) {
-            let snapPoints = [];
-            
-            if (shape.type === 'line') {
-                // Line endpoints
-                snapPoints.push({ x: shape.x1, y: shape.y1 });
-                snapPoints.push({ x: shape.x2, y: shape.y2 });
-                snapPoints.push({ x: (shape.x1 + shape.x2) / 2, y: (shape.y1 + shape.y2) / 2 }); // Midpoint
-            } else if (shape.type === 'rectangle') {
-                // Rectangle corners
-                snapPoints.push({ x: shape.x, y: shape.y }); // Top-left
-                snapPoints.push({ x: shape.x + shape.width, y: shape.y }); // Top-right
-                snapPoints.push({ x: shape.x, y: shape.y + shape.height }); // Bottom-left
-                snapPoints.push({ x: shape.x + shape.width, y: shape.y + shape.height }); // Bottom-right
-                snapPoints.push({ x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 }); // Center
-            } else if (shape.type === 'circle') {
-                // Circle center and cardinal points
-                snapPoints.push({ x: shape.cx, y: shape.cy }); // Center
-                snapPoints.push({ x: shape.cx + shape.radius, y: shape.cy }); // East
-                snapPoints.push({ x: shape.cx, y: shape.cy + shape.radius }); // South
-                snapPoints.push({ x: shape.cx - shape.radius, y: shape.cy }); // West
-                snapPoints.push({ x: shape.cx, y: shape.cy - shape.radius }); // North
-            } else if (shape.type === 'arc') {
-                // Arc center, start, end, and midpoint
-                snapPoints.push({ x: shape.cx, y: shape.cy }); // Center
-                
-                const startPoint = shape.getStartPoint();
-                const endPoint = shape.getEndPoint();
-                const midPoint = shape.pointAtPercentage(0.5);
-                
-                snapPoints.push({ x: startPoint.x, y: startPoint.y }); // Start
-                snapPoints.push({ x: endPoint.x, y: endPoint.y }); // End
-                snapPoints.push({ x: midPoint.x, y: midPoint.y }); // Midpoint
-            }
-            
-            // Find the closest snap point
-            for (const point of snapPoints) {
-                const distance = MathUtils.distance(x, y, point.x, point.y);
-                
-                if (distance < worldSnapDistance && distance < minDistance) {
-                    minDistance = distance;
-                    closestPoint = point;
-                }
-            }
-        }
-        
-        // Visual feedback for snap points (in debug mode)
-        if (closestPoint && this.canvasManager.appState && this.canvasManager.appState.debugMode) {
-            this.showSnapIndicator(closestPoint.x, closestPoint.y, 'point');
-        }
-        
-        return closestPoint;
+        return this.findObjectSnap(x, y, excludeIds, modes);
     }
 
     /**
      * Snap to the nearest line
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @returns {Object|null} Snapped coordinates {x, y} or null if no snap
+     * @param {Array<string>} [excludeIds=[]] - IDs of shapes to ignore
+     * @returns {Object|null} Snapped coordinates {x, y, mode} or null if no snap
      */
-    snapToNearestLine(x, y) {
-        if (!this.canvasManager) return null;
+    snapToNearestLine(x, y, excludeIds = []) {
+        if (!this.canvasManager || !this.snapModes.nearest) return null;
         
-        const shapes = this.canvasManager.shapes;
-        let closestPoint = null;
-        let minDistance = this.snapDistance;
+        return this.findObjectSnap(x, y, excludeIds, ['nearest']);
+    }
+
+    /**
+     * Find the object snap within the snap distance and mark it on the canvas
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Array<string>} excludeIds - IDs of shapes to ignore
+     * @param {Array<string>} modes - The snap modes to try, see ObjectSnap.MODES
+     * @returns {Object|null} Snapped coordinates {x, y, mode} or null if no snap
+     */
+    findObjectSnap(x, y, excludeIds, modes) {
+        if (modes.length === 0) return null;
+        
+        // Groups are searched through, so shapes inside them can be snapped to
+        const shapes = this.canvasManager.getSnapShapes(excludeIds);
         
         // Convert snap distance from screen to world coordinates
         const worldSnapDistance = this.snapDistance / this.canvasManager.zoom;
         
-        // Check all shapes for snap lines
-        for (const shape of shapes) {
-            if (shape.type === 'line') {
-                // Project point onto line
-                const projectedPoint = this.projectPointOnLine(x, y, shape.x1, shape.y1, shape.x2, shape.y2);
-                
-                if (projectedPoint) {
-                    const distance = MathUtils.distance(x, y, projectedPoint.x, projectedPoint.y);
-                    
-                    if (distance < worldSnapDistance && distance < minDistance) {
-                        minDistance = distance;
-                        closestPoint = projectedPoint;
-                    }
-                }
-            } else if (shape.type === 'rectangle') {
-                // Check each edge of the rectangle
-                const edges = [
-                    { x1: shape.x, y1: shape.y, x2: shape.x + shape.width, y2: shape.y }, // Top
-                    { x1: shape.x + shape.width, y1: shape.y, x2: shape.x + shape.width, y2: shape.y + shape.height }, // Right
-                    { x1: shape.x, y1: shape.y + shape.height, x2: shape.x + shape.width, y2: shape.y + shape.height }, // Bottom
-                    { x1: shape.x, y1: shape.y, x2: shape.x, y2: shape.y + shape.height } // Left
-                ];
-                
-                for (const edge of edges) {
-                    const projectedPoint = this.projectPointOnLine(x, y, edge.x1, edge.y1, edge.x2, edge.y2);
-                    
-                    if (projectedPoint) {
-                        const distance = MathUtils.distance(x, y, projectedPoint.x, projectedPoint.y);
-                        
-                        if (distance < worldSnapDistance && distance < minDistance) {
-                            minDistance = distance;
-                            closestPoint = projectedPoint;
-                        }
-                    }
-                }
-            } else if (shape.type === 'circle' || shape.type === 'arc') {
-                // Snap to the circle/arc at the angle from center to point
-                const angle = MathUtils.angle(shape.cx, shape.cy, x, y);
-                
-                if (shape.type === 'circle' || 
-                    (shape.type === 'arc' && Arc.isAngleBetween(angle, shape.startAngle, shape.endAngle))) {
-                    const snapPoint = {
-                        x: shape.cx + shape.radius * Math.cos(angle),
-                        y: shape.cy + shape.radius * Math.sin(angle)
-                    };
-                    
-                    const distance = MathUtils.distance(x, y, snapPoint.x, snapPoint.y);
-                    
-                    if (distance < worldSnapDistance && distance < minDistance) {
-                        minDistance = distance;
-                        closestPoint = snapPoint;
-                    }
-                }
-            }
-        }
+        // Tangent and perpendicular snaps are taken from the point being drawn from
+        const snap = ObjectSnap.findSnap(shapes, x, y, worldSnapDistance, modes, this.referencePoint);
         
-        // Visual feedback for snap lines (in debug mode)
-        if (closestPoint && this.canvasManager.appState && this.canvasManager.appState.debugMode) {
-            this.showSnapIndicator(closestPoint.x, closestPoint.y, 'line');
+        if (snap) {
+            this.showSnapIndicator(snap.x, snap.y, snap.mode);
         }
         
-        return closestPoint;
+        return snap;
     }
 
     /**
@@ -337,18 +285,9 @@ class ConstraintManager {
         
         const refLine = this.referenceElement;
         const refAngle = Math.atan2(refLine.y2 - refLine.y1, refLine.x2 - refLine.x1);
-        const distance = MathUtils.distance(x1, y1, x2, y2);
-        const currentAngle = Math.atan2(y2 - y1, x2 - x1);
         
-        // Calculate the angle difference and adjust
-        const angleDiff = refAngle - currentAngle;
-        const newAngle = currentAngle + angleDiff;
-        
-        // Calculate the new point
-        return {
-            x: x1 + distance * Math.cos(newAngle),
-            y: y1 + distance * Math.sin(newAngle)
-        };
+        // Run along the reference in whichever direction is closer to the current one
+        return this.alignToAngle(x1, y1, x2, y2, [refAngle, refAngle + Math.PI]);
     }
 
     /**
@@ -366,56 +305,1165 @@ class ConstraintManager {
         
         const refLine = this.referenceElement;
         const refAngle = Math.atan2(refLine.y2 - refLine.y1, refLine.x2 - refLine.x1);
-        const perpAngle = refAngle + Math.PI / 2; // Add 90 degrees
+        
+        // Cross the reference on whichever side is closer to the current direction
+        return this.alignToAngle(x1, y1, x2, y2, [refAngle + Math.PI / 2, refAngle - Math.PI / 2]);
+    }
+
+    /**
+     * Turn a segment about its first point onto the closest of several directions, keeping its length
+     * @param {number} x1 - X coordinate of the first point
+     * @param {number} y1 - Y coordinate of the first point
+     * @param {number} x2 - X coordinate of the second point
+     * @param {number} y2 - Y coordinate of the second point
+     * @param {Array<number>} angles - The directions in radians
+     * @returns {Object} The new second point {x, y}
+     */
+    alignToAngle(x1, y1, x2, y2, angles) {
         const distance = MathUtils.distance(x1, y1, x2, y2);
+        const currentAngle = Math.atan2(y2 - y1, x2 - x1);
+        const turn = angle => Math.abs(MathUtils.normalizeAngle(angle - currentAngle));
+        const angle = angles.reduce((best, candidate) => (turn(candidate) < turn(best) ? candidate : best));
         
-        // Calculate the new point
-        return {
-            x: x1 + distance * Math.cos(perpAngle),
-            y: y1 + distance * Math.sin(perpAngle)
+        return MathUtils.pointAtDistanceAndAngle(x1, y1, distance, angle);
+    }
+
+    /**
+     * Make the line or edge under a point the reference for parallel and perpendicular inference.
+     * The reference is kept when the point is not over a line, so it can be acquired and then left.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Array<string>} [excludeIds=[]] - IDs of shapes to ignore
+     * @returns {Line|null} The reference line
+     */
+    acquireReference(x, y, excludeIds = []) {
+        if (!this.canvasManager || (!this.activeConstraints.parallel && !this.activeConstraints.perpendicular)) {
+            return this.referenceElement;
+        }
+        
+        const tolerance = this.snapDistance / this.canvasManager.zoom;
+        
+        // Lines and the straight edges of rectangles and polylines can be references
+        const candidates = [];
+        this.canvasManager.getSnapShapes(excludeIds).forEach(shape => {
+            if (shape.type === 'line') {
+                candidates.push(shape);
+            } else if (shape.type === 'rectangle') {
+                candidates.push(...shape.getEdgeLines());
+            } else if (shape.type === 'polyline') {
+                candidates.push(...shape.getSegments());
+            }
+        });
+        
+        const line = candidates.find(candidate => candidate.getLength() > 0 &&
+            MathUtils.isPointOnLine(x, y, candidate.x1, candidate.y1, candidate.x2, candidate.y2, tolerance));
+            
+        if (line && !this.isReference(line)) {
+            this.setReferenceElement(line);
+        }
+        
+        return this.referenceElement;
+    }
+
+    /**
+     * Check whether a line runs between the same points as the reference
+     * @param {Line} line - The line
+     * @returns {boolean} True if the line is the reference
+     */
+    isReference(line) {
+        const reference = this.referenceElement;
+        
+        return !!reference && reference.type === 'line' &&
+            reference.x1 === line.x1 && reference.y1 === line.y1 &&
+            reference.x2 === line.x2 && reference.y2 === line.y2;
+    }
+
+    /**
+     * Lock a rubber band parallel or perpendicular to the reference line when it is within the inference tolerance
+     * @param {number} x1 - X coordinate of the fixed point
+     * @param {number} y1 - Y coordinate of the fixed point
+     * @param {number} x2 - X coordinate of the moving point
+     * @param {number} y2 - Y coordinate of the moving point
+     * @returns {Object} The moving point {x, y, relation}, where relation is 'parallel', 'perpendicular' or null
+     */
+    inferDirection(x1, y1, x2, y2) {
+        const reference = this.referenceElement;
+        const unlocked = { x: x2, y: y2, relation: null };
+        
+        if (!reference || reference.type !== 'line' || MathUtils.distance(x1, y1, x2, y2) === 0) {
+            return unlocked;
+        }
+        
+        // The angle between the rubber band and the reference, folded into 0-90 degrees
+        const refAngle = Math.atan2(reference.y2 - reference.y1, reference.x2 - reference.x1);
+        const between = Math.abs(MathUtils.normalizeAngle(Math.atan2(y2 - y1, x2 - x1) - refAngle));
+        const folded = MathUtils.radiansToDegrees(Math.min(between, Math.PI - between));
+        
+        if (this.activeConstraints.parallel && folded <= this.inferenceTolerance) {
+            return { ...this.applyParallelConstraint(x1, y1, x2, y2), relation: 'parallel' };
+        }
+        
+        if (this.activeConstraints.perpendicular && 90 - folded <= this.inferenceTolerance) {
+            return { ...this.applyPerpendicularConstraint(x1, y1, x2, y2), relation: 'perpendicular' };
+        }
+        
+        return unlocked;
+    }
+
+    /**
+     * Acquire the reference under the cursor and lock a rubber band to it, showing the inference on the canvas
+     * @param {Point|null} start - The fixed point of the rubber band, or null before drawing starts
+     * @param {Object} point - The moving point {x, y, mode} of the rubber band, as returned by applyConstraints
+     * @param {Object} cursor - The cursor position {x, y} used to acquire the reference
+     * @returns {Point} The moving point, locked if the rubber band is parallel or perpendicular to the reference
+     */
+    applyInference(start, point, cursor) {
+        this.acquireReference(cursor.x, cursor.y);
+        
+        // A point taken from object snap or tracking keeps its position
+        const inferred = start && !point.mode
+            ? this.inferDirection(start.x, start.y, point.x, point.y)
+            : { x: point.x, y: point.y, relation: null };
+        this.showInference(start, inferred);
+        
+        return new Point(inferred.x, inferred.y);
+    }
+
+    /**
+     * Draw the reference line and, when the rubber band is locked, a parallel or perpendicular glyph on it
+     * @param {Point|null} start - The fixed point of the rubber band
+     * @param {Object} inferred - The result of inferDirection
+     */
+    showInference(start, inferred) {
+        this.clearInference();
+        
+        const reference = this.referenceElement;
+        if (!this.canvasManager || !this.canvasManager.measurementGroup || !reference || reference.type !== 'line') return;
+        
+        const ns = 'http://www.w3.org/2000/svg';
+        const zoom = this.canvasManager.zoom;
+        const group = document.createElementNS(ns, 'g');
+        group.setAttribute('class', `inference-glyph${inferred.relation ? ' locked' : ''}`);
+        
+        const line = document.createElementNS(ns, 'line');
+        line.setAttribute('x1', reference.x1);
+        line.setAttribute('y1', reference.y1);
+        line.setAttribute('x2', reference.x2);
+        line.setAttribute('y2', reference.y2);
+        line.setAttribute('stroke-width', 2 / zoom);
+        line.setAttribute('stroke-dasharray', `${4 / zoom} ${3 / zoom}`);
+        group.appendChild(line);
+        
+        if (inferred.relation) {
+            // The glyph sits beside the middle of the rubber band
+            const text = document.createElementNS(ns, 'text');
+            text.setAttribute('x', (start.x + inferred.x) / 2 + 8 / zoom);
+            text.setAttribute('y', (start.y + inferred.y) / 2 - 8 / zoom);
+            text.setAttribute('style', `font-size: ${14 / zoom}px`);
+            text.textContent = inferred.relation === 'parallel' ? '\u2225' : '\u22A5';
+            group.appendChild(text);
+        }
+        
+        this.canvasManager.measurementGroup.appendChild(group);
+    }
+
+    /**
+     * Remove the inference drawing from the canvas
+     */
+    clearInference() {
+        document.querySelectorAll('.inference-glyph').forEach(glyph => glyph.remove());
+    }
+
+    /**
+     * Forget the reference line and remove the inference drawing, when drawing stops
+     */
+    resetInference() {
+        this.clearInference();
+        this.referenceElement = null;
+    }
+
+    /**
+     * Set the angle increment of polar tracking
+     * @param {number} increment - The increment in degrees
+     */
+    setPolarIncrement(increment) {
+        if (!(increment > 0 && increment <= 180)) {
+            logger.warn('Polar angle increment must be more than 0 and at most 180 degrees');
+            return;
+        }
+        
+        this.polarIncrement = increment;
+        logger.info(`Polar angle increment set to ${increment}°`);
+    }
+
+    /**
+     * Turn polar tracking or object snap tracking on or off
+     * @param {string} name - 'polarTracking' or 'snapTracking'
+     * @param {boolean} [enabled] - Whether tracking should be on; toggles it if omitted
+     */
+    toggleTracking(name, enabled) {
+        if (name !== 'polarTracking' && name !== 'snapTracking') {
+            logger.warn(`Unknown tracking mode: ${name}`);
+            return;
+        }
+        
+        this[name] = enabled !== undefined ? enabled : !this[name];
+        
+        if (name === 'snapTracking' && !this.snapTracking) {
+            this.resetTracking();
+        }
+        
+        logger.info(`${name === 'polarTracking' ? 'Polar' : 'Object snap'} tracking ${this[name] ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Follow the snap point under the cursor; one the cursor rests on for a moment is acquired for tracking,
+     * or released if it already was
+     * @param {Object|null} snap - The snap point {x, y, mode} under the cursor, or null
+     */
+    hoverTrackingPoint(snap) {
+        const hover = this.trackingHover;
+        
+        if (snap && hover && snap.x === hover.x && snap.y === hover.y) return;
+        
+        clearTimeout(this.trackingTimer);
+        this.trackingTimer = null;
+        this.trackingHover = null;
+        
+        // Points along outlines are not worth tracking
+        if (!this.snapTracking || !snap || snap.mode === 'nearest') return;
+        
+        this.trackingHover = { x: snap.x, y: snap.y, mode: snap.mode };
+        this.trackingTimer = setTimeout(() => {
+            this.trackingTimer = null;
+            this.toggleTrackingPoint(this.trackingHover);
+        }, AlignmentTracking.ACQUIRE_DELAY);
+    }
+
+    /**
+     * Acquire a point for object snap tracking, or release it if it is already tracked
+     * @param {Object} point - The point {x, y, mode}
+     */
+    toggleTrackingPoint(point) {
+        const index = this.trackedPoints.findIndex(tracked => tracked.x === point.x && tracked.y === point.y);
+        
+        if (index !== -1) {
+            this.trackedPoints.splice(index, 1);
+        } else {
+            this.trackedPoints.push({ ...point });
+            
+            if (this.trackedPoints.length > AlignmentTracking.MAX_POINTS) {
+                this.trackedPoints.shift();
+            }
+        }
+        
+        this.clearTracking();
+        this.showTracking(null);
+    }
+
+    /**
+     * Find where the cursor lines up with a polar angle from the reference point or with the tracked points
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} The aligned point {x, y, lines}, or null if the cursor is not near a tracking line
+     */
+    findTracking(x, y) {
+        if (!this.canvasManager) return null;
+        
+        const tolerance = this.snapDistance / this.canvasManager.zoom;
+        const lines = this.snapTracking ? AlignmentTracking.getAlignmentLines(this.trackedPoints) : [];
+        
+        if (this.polarTracking && this.referencePoint) {
+            const polar = AlignmentTracking.getPolarLine(this.referencePoint, x, y, this.polarIncrement, tolerance);
+            
+            if (polar) {
+                lines.push(polar);
+            }
+        }
+        
+        return AlignmentTracking.findAlignment(lines, x, y, tolerance);
+    }
+
+    /**
+     * Mark the tracked points and draw the tracking lines through an aligned point, with a tooltip over the canvas
+     * @param {Object|null} alignment - The result of findTracking
+     */
+    showTracking(alignment) {
+        if (!this.canvasManager || !this.canvasManager.measurementGroup) return;
+        
+        const ns = 'http://www.w3.org/2000/svg';
+        const zoom = this.canvasManager.zoom;
+        const group = document.createElementNS(ns, 'g');
+        group.setAttribute('class', 'tracking-glyph');
+        group.setAttribute('stroke-width', 1 / zoom);
+        
+        const addLine = (x1, y1, x2, y2, className) => {
+            const line = document.createElementNS(ns, 'line');
+            line.setAttribute('x1', x1);
+            line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2);
+            line.setAttribute('y2', y2);
+            line.setAttribute('class', className);
+            group.appendChild(line);
+            return line;
         };
+        
+        // A small cross on each tracked point
+        const size = 4 / zoom;
+        this.trackedPoints.forEach(point => {
+            addLine(point.x - size, point.y, point.x + size, point.y, 'tracking-point');
+            addLine(point.x, point.y - size, point.x, point.y + size, 'tracking-point');
+        });
+        
+        if (alignment) {
+            // Each line runs from its point through the aligned point and on past the cursor
+            const reach = 2000 / zoom;
+            
+            alignment.lines.forEach(line => {
+                const direction = AlignmentTracking.getDirection(line);
+                const along = (alignment.x - line.x) * direction.x + (alignment.y - line.y) * direction.y;
+                const end = along >= 0 ? along + reach : along - reach;
+                
+                addLine(line.x, line.y, line.x + end * direction.x, line.y + end * direction.y, 'tracking-line')
+                    .setAttribute('stroke-dasharray', `${4 / zoom} ${4 / zoom}`);
+            });
+        }
+        
+        if (group.childNodes.length > 0) {
+            this.canvasManager.measurementGroup.appendChild(group);
+        }
+        
+        this.showTrackingTooltip(alignment);
     }
 
     /**
-     * Show a visual indicator for snap points or lines
+     * Show the distances and angles of an alignment next to the cursor, on the canvas overlay
+     * @param {Object|null} alignment - The result of findTracking, or null to hide the tooltip
+     */
+    showTrackingTooltip(alignment) {
+        const overlay = this.canvasManager.canvasOverlay;
+        if (!overlay) return;
+        
+        if (!this.trackingTooltip) {
+            this.trackingTooltip = document.createElement('div');
+            this.trackingTooltip.className = 'tracking-tooltip';
+            overlay.appendChild(this.trackingTooltip);
+        }
+        
+        const tooltip = this.trackingTooltip;
+        
+        if (!alignment) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        
+        const screenPos = this.canvasManager.worldToScreen(alignment.x, alignment.y);
+        tooltip.textContent = alignment.lines.map(line => AlignmentTracking.describe(line, alignment)).join(', ');
+        tooltip.style.left = `${screenPos.x + 16}px`;
+        tooltip.style.top = `${screenPos.y + 16}px`;
+        tooltip.style.display = 'block';
+    }
+
+    /**
+     * Remove the tracking lines and tooltip, keeping the tracked points
+     */
+    clearTracking() {
+        document.querySelectorAll('.tracking-glyph').forEach(glyph => glyph.remove());
+        
+        if (this.trackingTooltip) {
+            this.trackingTooltip.style.display = 'none';
+        }
+    }
+
+    /**
+     * Release the tracked points, when drawing stops
+     */
+    resetTracking() {
+        clearTimeout(this.trackingTimer);
+        this.trackingTimer = null;
+        this.trackingHover = null;
+        this.trackedPoints = [];
+        this.clearTracking();
+    }
+
+    /**
+     * Show the glyph of an object snap mode at the snap point
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {string} type - Type of snap ('point' or 'line')
+     * @param {string} type - The snap mode, see ObjectSnap.MODES
      */
     showSnapIndicator(x, y, type) {
         if (!this.canvasManager || !this.canvasManager.measurementGroup) return;
         
-        // Clear previous indicators
-        const existingIndicators = document.querySelectorAll('.snap-indicator');
-        existingIndicators.forEach(indicator => indicator.remove());
-        
-        // Create indicator
-        const indicator = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        indicator.setAttribute('cx', x);
-        indicator.setAttribute('cy', y);
-        indicator.setAttribute('r', 5 / this.canvasManager.zoom); // Size adjusted for zoom
-        indicator.setAttribute('class', 'snap-indicator');
-        
-        // Different styles for point vs line snapping
-        if (type === 'point') {
-            indicator.setAttribute('fill', 'rgba(0, 255, 0, 0.5)');
-            indicator.setAttribute('stroke', 'green');
-        } else {
-            indicator.setAttribute('fill', 'rgba(0, 0, 255, 0.5)');
-            indicator.setAttribute('stroke', 'blue');
-        }
+        this.clearSnapIndicator();
         
-        indicator.setAttribute('stroke-width', 1 / this.canvasManager.zoom);
+        // Glyph outlines, for a glyph 2 units across centered on the snap point
+        const glyphs = {
+            endpoint: 'M -1 -1 L 1 -1 L 1 1 L -1 1 Z',
+            intersection: 'M -1 -1 L 1 1 M 1 -1 L -1 1',
+            midpoint: 'M 0 -1 L 1 0.8 L -1 0.8 Z',
+            center: 'M -1 0 A 1 1 0 1 0 1 0 A 1 1 0 1 0 -1 0 M -0.3 0 L 0.3 0 M 0 -0.3 L 0 0.3',
+            quadrant: 'M 0 -1 L 1 0 L 0 1 L -1 0 Z',
+            tangent: 'M -0.7 0.3 A 0.7 0.7 0 1 0 0.7 0.3 A 0.7 0.7 0 1 0 -0.7 0.3 M -1 -1 L 1 -1',
+            perpendicular: 'M -1 1 L 1 1 M -1 1 L -1 -1 M -1 0 L 0 0 L 0 1',
+            nearest: 'M -1 -1 L 1 -1 L -1 1 L 1 1 Z'
+        };
+        
+        const size = 6 / this.canvasManager.zoom; // Size adjusted for zoom
+        const indicator = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        indicator.setAttribute('d', glyphs[type] || glyphs.endpoint);
+        indicator.setAttribute('transform', `translate(${x} ${y}) scale(${size})`);
+        indicator.setAttribute('class', `snap-indicator snap-${type}`);
+        indicator.setAttribute('stroke-width', 1.5 / size);
         
         // Add to measurement group
         this.canvasManager.measurementGroup.appendChild(indicator);
         
-        // Remove after a short delay
-        setTimeout(() => {
-            if (indicator.parentNode) {
-                indicator.parentNode.removeChild(indicator);
+        // Name the snap next to the cursor
+        if (window.appData) {
+            window.appData.snapLabel = ObjectSnap.LABELS[type] || '';
+        }
+    }
+
+    /**
+     * Remove the object snap glyph from the canvas
+     */
+    clearSnapIndicator() {
+        document.querySelectorAll('.snap-indicator').forEach(indicator => indicator.remove());
+        
+        if (window.appData) {
+            window.appData.snapLabel = '';
+        }
+    }
+
+    /**
+     * Turn one object snap mode on or off
+     * @param {string} mode - The snap mode, see ObjectSnap.MODES
+     * @param {boolean} [enabled] - Whether the mode should be on; toggles it if omitted
+     */
+    toggleSnapMode(mode, enabled) {
+        if (!this.snapModes.hasOwnProperty(mode)) {
+            logger.warn(`Unknown snap mode: ${mode}`);
+            return;
+        }
+        
+        this.snapModes[mode] = enabled !== undefined ? enabled : !this.snapModes[mode];
+        logger.info(`${ObjectSnap.LABELS[mode]} snap ${this.snapModes[mode] ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Get the stored constraints that apply to a shape
+     * @param {string} shapeId - The shape ID
+     * @returns {Array<Constraint>} The constraints
+     */
+    getConstraintsForShape(shapeId) {
+        return this.constraints.filter(constraint => constraint.involves(shapeId));
+    }
+
+    /**
+     * Add a constraint between shapes, moving the shapes so it holds.
+     * The first shape stays where it is if it can; a constraint that conflicts with others is not added.
+     * @param {string} type - The constraint type, see Constraint.TYPES
+     * @param {Array<Object>} refs - The references {shapeId, point}
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {Constraint|null} The constraint, or null if it could not be added
+     */
+    addConstraint(type, refs, recordUndo = true) {
+        const shapes = refs.map(ref => this.canvasManager.getShapeById(ref.shapeId));
+        const problem = ConstraintSolver.checkShapes(type, shapes);
+        
+        if (problem) {
+            logger.warn(`Cannot add constraint: ${problem}`);
+            return null;
+        }
+        
+        // A fixed shape is held at its current parameters
+        const value = type === 'fixed' ? ConstraintSolver.getParameters(shapes[0]) : undefined;
+        const constraint = new Constraint(type, refs, value);
+        
+        // A dimension starts at the size the shapes have now
+        if (constraint.isDimension()) {
+            const measured = ConstraintSolver.measure(constraint, new Map(shapes.map(shape => [shape.id, shape])));
+            constraint.value = { expression: String(MathUtils.round(measured, 2)) };
+        }
+        
+        const others = this.getAffectedConstraints(constraint.getShapeIds());
+        const result = this.findSolution([...others, constraint], [refs[0].shapeId]);
+        
+        if (!result.solved) {
+            const conflicts = this.findConflictingConstraints(constraint, others, [refs[0].shapeId]);
+            this.reportConflictsWith(`Cannot add ${constraint.describe(id => this.canvasManager.getShapeById(id))}`, conflicts);
+            return null;
+        }
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        this.constraints.push(constraint);
+        result.shapes.forEach(shape => this.canvasManager.updateShape(shape, false));
+        this.canvasManager.renderDimensions();
+        
+        logger.info(`Added constraint ${constraint.toString()}`);
+        return constraint;
+    }
+
+    /**
+     * Remove a stored constraint
+     * @param {string} id - The constraint ID
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     */
+    removeConstraint(id, recordUndo = true) {
+        const index = this.constraints.findIndex(constraint => constraint.id === id);
+        if (index === -1) return;
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        const [constraint] = this.constraints.splice(index, 1);
+        this.canvasManager.renderDimensions();
+        
+        logger.info(`Removed constraint ${constraint.toString()}`);
+    }
+
+    /**
+     * Change the value of a dimensional constraint, moving the shapes to the new size
+     * @param {string} id - The constraint ID
+     * @param {string} expression - The new value, a number or an expression using variables
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {boolean} True if the dimension was changed
+     */
+    setDimension(id, expression, recordUndo = true) {
+        const constraint = this.constraints.find(candidate => candidate.id === id);
+        if (!constraint || !constraint.isDimension()) return false;
+        
+        const text = String(expression).trim();
+        
+        try {
+            this.evaluate(text);
+        } catch (error) {
+            logger.warn(`Cannot set ${Constraint.TYPES[constraint.type].label.toLowerCase()}: ${error.message}`);
+            return false;
+        }
+        
+        // Solve with the new value before changing anything, so a conflict leaves the drawing as it was
+        const changed = constraint.clone();
+        changed.value = { expression: text };
+        
+        const others = this.getAffectedConstraints(constraint.getShapeIds())
+            .filter(candidate => candidate.id !== id);
+        const result = this.findSolution([...others, changed], []);
+        
+        if (!result.solved) {
+            const conflicts = this.findConflictingConstraints(changed, others, []);
+            this.reportConflictsWith(`Cannot set ${changed.describe(shapeId => this.canvasManager.getShapeById(shapeId))}`, conflicts);
+            return false;
+        }
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        constraint.value = { expression: text };
+        result.shapes.forEach(shape => this.canvasManager.updateShape(shape, false));
+        this.canvasManager.renderDimensions();
+        
+        logger.info(`Set constraint ${constraint.toString()} to ${text}`);
+        return true;
+    }
+
+    /**
+     * Evaluate an expression with the drawing's variables
+     * @param {string} expression - The expression
+     * @param {Array<string>} [visiting] - Variables being evaluated, to catch variables that refer to themselves
+     * @returns {number} The value
+     * @throws {Error} If the expression cannot be evaluated
+     */
+    evaluate(expression, visiting = []) {
+        return Expression.evaluate(expression, name => {
+            const variable = this.variables.find(candidate => candidate.name === name);
+            if (!variable) return undefined;
+            
+            if (visiting.includes(name)) {
+                throw new Error(`Variable "${name}" refers to itself`);
+            }
+            
+            return this.evaluate(variable.expression, [...visiting, name]);
+        });
+    }
+
+    /**
+     * Create or change a variable, moving the shapes whose dimensions use it
+     * @param {string} name - The variable name
+     * @param {string} expression - The value, a number or an expression using other variables
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {boolean} True if the variable was set
+     */
+    setVariable(name, expression, recordUndo = true) {
+        const text = String(expression).trim();
+        
+        if (!Expression.NAME_PATTERN.test(name) || Expression.FUNCTIONS[name] || Expression.CONSTANTS[name] !== undefined) {
+            logger.warn(`Cannot set variable: "${name}" is not a valid name`);
+            return false;
+        }
+        
+        const previous = this.variables;
+        const index = previous.findIndex(variable => variable.name === name);
+        const next = index === -1
+            ? [...previous, { name, expression: text }]
+            : previous.map(variable => (variable.name === name ? { name, expression: text } : variable));
+            
+        // Every dimension may depend on the variable through other variables, so all of them are solved
+        this.variables = next;
+        let result;
+        
+        try {
+            this.evaluate(text, [name]);
+            
+            const dimensionIds = this.constraints
+                .filter(constraint => constraint.isDimension())
+                .reduce((ids, constraint) => ids.concat(constraint.getShapeIds()), []);
+            result = this.findSolution(this.getAffectedConstraints(dimensionIds), []);
+        } catch (error) {
+            logger.warn(`Cannot set variable ${name}: ${error.message}`);
+            return false;
+        } finally {
+            this.variables = previous;
+        }
+        
+        if (!result.solved) {
+            this.reportConflicts(`Cannot set variable ${name} = ${text}`, result.conflicts);
+            return false;
+        }
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        this.variables = next;
+        result.shapes.forEach(shape => this.canvasManager.updateShape(shape, false));
+        this.canvasManager.renderDimensions();
+        this.updateUI();
+        
+        logger.info(`Set variable ${name} = ${text}`);
+        return true;
+    }
+
+    /**
+     * Remove a variable that no dimension or other variable uses
+     * @param {string} name - The variable name
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {boolean} True if the variable was removed
+     */
+    removeVariable(name, recordUndo = true) {
+        if (!this.variables.some(variable => variable.name === name)) return false;
+        
+        const users = [
+            ...this.constraints.map(constraint => constraint.getExpression()),
+            ...this.variables.filter(variable => variable.name !== name).map(variable => variable.expression)
+        ].filter(expression => expression !== null && Expression.getNames(expression).includes(name));
+        
+        if (users.length > 0) {
+            logger.warn(`Cannot remove variable ${name}: it is used by ${users.join(', ')}`);
+            return false;
+        }
+        
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        this.variables = this.variables.filter(variable => variable.name !== name);
+        this.updateUI();
+        
+        logger.info(`Removed variable ${name}`);
+        return true;
+    }
+
+    /**
+     * Evaluate the values of dimensional constraints, leaving out those whose expression cannot be evaluated
+     * @param {Array<Constraint>} constraints - The constraints
+     * @returns {Map<string, number>} The values by constraint ID
+     */
+    getTargets(constraints) {
+        const targets = new Map();
+        
+        constraints.filter(constraint => constraint.isDimension()).forEach(constraint => {
+            try {
+                targets.set(constraint.id, this.evaluate(constraint.getExpression()));
+            } catch (error) {
+                logger.warn(`Ignoring ${constraint.toString()}: ${error.message}`);
             }
-        }, 500);
+        });
+        
+        return targets;
+    }
+
+    /**
+     * Re-solve the constraints after shapes were edited, moving the other shapes to keep them.
+     * The edited shapes stay as they are unless the constraints cannot hold otherwise.
+     * Solver changes are not recorded for undo, so they belong to the edit that caused them.
+     * @param {Array<string>} shapeIds - IDs of the edited shapes; groups stand for the shapes inside them
+     * @returns {boolean} True if every affected constraint holds
+     */
+    solveConstraints(shapeIds) {
+        if (!this.initialized || this.constraints.length === 0) return true;
+        
+        const ids = this.getLeafIds(shapeIds);
+        const constraints = this.getAffectedConstraints(ids);
+        if (constraints.length === 0) return true;
+        
+        const result = this.findSolution(constraints, ids);
+        
+        if (!result.solved) {
+            this.reportConflicts('Over-constrained', result.conflicts);
+            return false;
+        }
+        
+        result.shapes.forEach(shape => this.canvasManager.updateShape(shape, false));
+        
+        if (result.shapes.length > 0) {
+            logger.info(`Solved ${constraints.length} constraints, moving ${result.shapes.length} shapes`);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Get the constraints connected to shapes, directly or through other constrained shapes
+     * @param {Array<string>} shapeIds - The shape IDs
+     * @returns {Array<Constraint>} The constraints
+     */
+    getAffectedConstraints(shapeIds) {
+        const ids = new Set(shapeIds);
+        const result = [];
+        let grown = true;
+        
+        while (grown) {
+            grown = false;
+            
+            this.constraints.forEach(constraint => {
+                if (result.includes(constraint) || !constraint.getShapeIds().some(id => ids.has(id))) return;
+                
+                result.push(constraint);
+                constraint.getShapeIds().forEach(id => ids.add(id));
+                grown = true;
+            });
+        }
+        
+        return result;
+    }
+
+    /**
+     * Solve constraints on copies of their shapes, first keeping the locked shapes still and then letting them move
+     * @param {Array<Constraint>} constraints - The constraints
+     * @param {Array<string>} lockedIds - IDs of the shapes to keep still if possible
+     * @returns {Object} {solved, shapes, conflicts} with the copies of the shapes that changed
+     */
+    findSolution(constraints, lockedIds) {
+        const ids = [...new Set(constraints.reduce((all, constraint) => all.concat(constraint.getShapeIds()), []))];
+        const originals = ids.map(id => this.canvasManager.getShapeById(id)).filter(Boolean);
+        const targets = this.getTargets(constraints);
+        let conflicts = [];
+        
+        for (const locked of [lockedIds, []]) {
+            const copies = originals.map(shape => ShapeFactory.fromObject(shape.toObject()));
+            const result = ConstraintSolver.solve(constraints, copies, locked, targets);
+            
+            if (result.solved) {
+                const changed = copies.filter((copy, index) => {
+                    const before = ConstraintSolver.getParameters(originals[index]);
+                    const after = ConstraintSolver.getParameters(copy);
+                    return Object.keys(before).some(key => Math.abs(before[key] - after[key]) > ConstraintSolver.TOLERANCE);
+                });
+                
+                // Arc angles may have run past a full turn
+                changed.filter(shape => shape.type === 'arc').forEach(shape => {
+                    shape.startAngle = MathUtils.normalizeAngle(shape.startAngle);
+                    shape.endAngle = MathUtils.normalizeAngle(shape.endAngle);
+                });
+                
+                return { solved: true, shapes: changed, conflicts: [] };
+            }
+            
+            conflicts = result.conflicts;
+        }
+        
+        return { solved: false, shapes: [], conflicts };
+    }
+
+    /**
+     * Find the stored constraints that keep a new or changed constraint from holding.
+     * A single constraint whose removal lets the solve succeed is looked for first; otherwise the
+     * others are put back one at a time and those that break the solve again are left out,
+     * so no constraint in the set could be kept without the conflict returning.
+     * @param {Constraint} constraint - The constraint being added or changed
+     * @param {Array<Constraint>} others - The stored constraints it is solved with
+     * @param {Array<string>} lockedIds - IDs of the shapes to keep still if possible
+     * @returns {Array<Constraint>} The conflicting constraints; none if the constraint cannot hold on its own
+     */
+    findConflictingConstraints(constraint, others, lockedIds) {
+        const solves = kept => this.findSolution([...kept, constraint], lockedIds).solved;
+        
+        if (!solves([])) return [];
+        
+        const single = others.find(candidate => solves(others.filter(other => other !== candidate)));
+        if (single) return [single];
+        
+        const kept = [];
+        const conflicts = [];
+        
+        others.forEach(candidate => {
+            if (solves([...kept, candidate])) {
+                kept.push(candidate);
+            } else {
+                conflicts.push(candidate);
+            }
+        });
+        
+        return conflicts;
+    }
+
+    /**
+     * Log the constraints a new or changed constraint conflicts with
+     * @param {string} message - What was being done
+     * @param {Array<Constraint>} conflicts - The result of findConflictingConstraints
+     */
+    reportConflictsWith(message, conflicts) {
+        if (conflicts.length === 0) {
+            logger.warn(`${message}: it cannot be satisfied by these shapes`);
+            return;
+        }
+        
+        const getShape = id => this.canvasManager.getShapeById(id);
+        const list = conflicts.map(constraint => constraint.describe(getShape)).join('; ');
+        
+        logger.warn(`${message}: it conflicts with ${list}`);
+    }
+
+    /**
+     * Log constraints that could not be satisfied
+     * @param {string} message - What was being done
+     * @param {Array<Constraint>} conflicts - The constraints that do not hold
+     */
+    reportConflicts(message, conflicts) {
+        const getShape = id => this.canvasManager.getShapeById(id);
+        const list = conflicts.map(constraint => constraint.describe(getShape)).join('; ');
+        
+        logger.warn(`${message}: ${conflicts.length} constraints cannot be satisfied${list ? ` (${list})` : ''}`);
+    }
+
+    /**
+     * Get the IDs of the shapes inside groups, along with the other IDs
+     * @param {Array<string>} shapeIds - The shape IDs
+     * @returns {Array<string>} The IDs with group members added
+     */
+    getLeafIds(shapeIds) {
+        const ids = [];
+        
+        shapeIds.forEach(id => {
+            ids.push(id);
+            
+            const shape = this.canvasManager.getShapeById(id);
+            if (shape && shape.type === 'group') {
+                shape.getLeafShapes().forEach(leaf => ids.push(leaf.id));
+            }
+        });
+        
+        return ids;
+    }
+
+    /**
+     * Get the stored constraints as plain objects, leaving out those whose shapes are gone
+     * @returns {Array<Object>} The constraints snapshot
+     */
+    getSnapshot() {
+        const exists = id => !this.canvasManager || this.canvasManager.getShapeById(id) !== null;
+        
+        return this.constraints
+            .filter(constraint => constraint.getShapeIds().every(exists))
+            .map(constraint => constraint.toObject());
+    }
+
+    /**
+     * Restore the stored constraints from a snapshot
+     * @param {Array<Object>} constraintsSnapshot - The constraints snapshot to restore
+     */
+    restoreSnapshot(constraintsSnapshot) {
+        this.constraints = Array.isArray(constraintsSnapshot)
+            ? constraintsSnapshot.map(constraint => Constraint.fromObject(constraint))
+            : [];
+            
+        if (this.canvasManager) {
+            this.canvasManager.renderDimensions();
+        }
+    }
+
+    /**
+     * Get the variables as plain objects
+     * @returns {Array<Object>} The variables snapshot [{name, expression}]
+     */
+    getVariablesSnapshot() {
+        return this.variables.map(variable => ({ ...variable }));
+    }
+
+    /**
+     * Restore the variables from a snapshot
+     * @param {Array<Object>} variablesSnapshot - The variables snapshot to restore
+     */
+    restoreVariablesSnapshot(variablesSnapshot) {
+        this.variables = Array.isArray(variablesSnapshot)
+            ? variablesSnapshot.map(variable => ({ name: variable.name, expression: variable.expression }))
+            : [];
+            
+        this.updateUI();
+        
+        if (this.canvasManager) {
+            this.canvasManager.renderDimensions();
+        }
+    }
+
+    /**
+     * Draw the dimensional constraints as labelled dimension lines
+     * @param {SVGGElement} group - The group to draw into, which is already empty
+     */
+    renderDimensions(group) {
+        this.dimensionLabels = [];
+        if (!this.canvasManager) return;
+        
+        const zoom = this.canvasManager.zoom;
+        const shapes = new Map();
+        const svg = (tagName, attributes) => {
+            const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+            Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+            return element;
+        };
+        
+        this.constraints.filter(constraint => constraint.isDimension()).forEach(constraint => {
+            constraint.getShapeIds().forEach(id => {
+                const shape = this.canvasManager.getShapeById(id);
+                if (shape) shapes.set(id, shape);
+            });
+            
+            if (!ConstraintSolver.canEvaluate(constraint, shapes)) return;
+            
+            const layout = this.getDimensionLayout(constraint, shapes);
+            const measured = ConstraintSolver.measure(constraint, shapes);
+            let target = null;
+            
+            try {
+                target = this.evaluate(constraint.getExpression());
+            } catch (error) {
+                target = null;
+            }
+            
+            layout.lines.forEach(([x1, y1, x2, y2]) => {
+                group.appendChild(svg('line', { x1, y1, x2, y2 }));
+            });
+            
+            const expression = constraint.getExpression();
+            const value = MathUtils.round(target === null ? measured : target, 2);
+            const number = constraint.type === 'angle' ? `${value}°` : `${layout.prefix}${value}`;
+            const text = Expression.isNumber(expression) ? number : `${expression} = ${number}`;
+            const holds = target !== null && Math.abs(measured - target) < 1e-3;
+            
+            // Labels keep the same size on screen at every zoom level
+            const fontSize = 12 / zoom;
+            const label = svg('text', {
+                x: layout.x,
+                y: layout.y,
+                style: `font-size: ${fontSize}px`,
+                'text-anchor': 'middle',
+                'dominant-baseline': 'middle',
+                class: holds ? 'dimension-label' : 'dimension-label dimension-conflict',
+                'data-constraint-id': constraint.id
+            });
+            label.textContent = text;
+            group.appendChild(label);
+            
+            // Text is not measured in every browser, so the clickable box is estimated from its length
+            this.dimensionLabels.push({
+                id: constraint.id,
+                x: layout.x,
+                y: layout.y,
+                width: text.length * fontSize * 0.6,
+                height: fontSize
+            });
+        });
+    }
+
+    /**
+     * Work out where to draw a dimension
+     * @param {Constraint} constraint - The dimensional constraint
+     * @param {Map<string, Object>} shapes - The shapes by ID
+     * @returns {Object} {lines, x, y, prefix} with the lines as [x1, y1, x2, y2] and the label center
+     */
+    getDimensionLayout(constraint, shapes) {
+        const refs = constraint.refs.map(ref => shapes.get(ref.shapeId));
+        const points = constraint.refs.map((ref, index) => (ref.point ? ConstraintSolver.getPoint(refs[index], ref.point) : null));
+        const offset = 12 / this.canvasManager.zoom;
+        const [p, q] = points;
+        const [a, b] = refs;
+        
+        switch (constraint.type) {
+            case 'horizontalDistance':
+                return {
+                    lines: [[p.x, p.y, q.x, p.y], [q.x, p.y, q.x, q.y]],
+                    x: (p.x + q.x) / 2,
+                    y: p.y - offset,
+                    prefix: ''
+                };
+            case 'verticalDistance':
+                return {
+                    lines: [[p.x, p.y, p.x, q.y], [p.x, q.y, q.x, q.y]],
+                    x: p.x - offset * 2,
+                    y: (p.y + q.y) / 2,
+                    prefix: ''
+                };
+            case 'angle':
+                return {
+                    lines: [],
+                    x: ((a.x1 + a.x2) / 2 + (b.x1 + b.x2) / 2) / 2,
+                    y: ((a.y1 + a.y2) / 2 + (b.y1 + b.y2) / 2) / 2,
+                    prefix: ''
+                };
+            case 'radius':
+            case 'diameter': {
+                // Along the middle of an arc, or at 45° on a circle
+                const angle = a.type === 'arc' ? a.startAngle + MathUtils.normalizeAngle(a.endAngle - a.startAngle) / 2 : -Math.PI / 4;
+                const dx = Math.cos(angle) * a.radius;
+                const dy = Math.sin(angle) * a.radius;
+                const start = constraint.type === 'diameter' ? [a.cx - dx, a.cy - dy] : [a.cx, a.cy];
+                return {
+                    lines: [[...start, a.cx + dx, a.cy + dy]],
+                    x: a.cx + dx / 2,
+                    y: a.cy + dy / 2 - offset,
+                    prefix: constraint.type === 'diameter' ? 'Ø' : 'R'
+                };
+            }
+            default: {
+                // Beside the middle of the line between the points
+                const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+                return {
+                    lines: [[p.x, p.y, q.x, q.y]],
+                    x: (p.x + q.x) / 2 + (q.y - p.y) / length * offset,
+                    y: (p.y + q.y) / 2 - (q.x - p.x) / length * offset,
+                    prefix: ''
+                };
+            }
+        }
+    }
+
+    /**
+     * Find the dimension label at a point
+     * @param {number} x - X coordinate in world units
+     * @param {number} y - Y coordinate in world units
+     * @returns {Constraint|null} The dimensional constraint whose label is there, or null
+     */
+    getDimensionAt(x, y) {
+        const label = this.dimensionLabels.find(candidate =>
+            Math.abs(x - candidate.x) <= candidate.width / 2 && Math.abs(y - candidate.y) <= candidate.height / 2);
+            
+        return label ? this.constraints.find(constraint => constraint.id === label.id) || null : null;
+    }
+
+    /**
+     * Show a text box for typing the value of a dimension
+     * @param {string} id - The constraint ID
+     * @param {Object} position - The position {x, y} in screen coordinates
+     */
+    editDimension(id, position) {
+        const constraint = this.constraints.find(candidate => candidate.id === id);
+        if (!constraint || !constraint.isDimension()) return;
+        
+        if (!this.dimensionEditor) {
+            this.dimensionEditor = this.createDimensionEditor();
+        }
+        
+        const { container, label, input } = this.dimensionEditor;
+        
+        this.dimensionEditor.constraintId = id;
+        label.textContent = `${Constraint.TYPES[constraint.type].label}:`;
+        input.value = constraint.getExpression();
+        
+        container.style.left = `${position.x + 20}px`;
+        container.style.top = `${position.y - 10}px`;
+        container.style.display = 'flex';
+        
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Create the text box for editing dimensions, styled like the dimension input
+     * @returns {Object} The editor elements {container, label, input, constraintId}
+     */
+    createDimensionEditor() {
+        const container = document.createElement('div');
+        container.className = 'dimension-input-container dimension-editor';
+        container.style.display = 'none';
+        
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.title = 'A number, or an expression using variables such as wall*2';
+        
+        const applyButton = document.createElement('button');
+        applyButton.textContent = '✓';
+        
+        const editor = { container, label, input, constraintId: null };
+        
+        const apply = () => {
+            if (this.setDimension(editor.constraintId, input.value)) {
+                container.style.display = 'none';
+            } else {
+                // Flash the input to show the value was not accepted
+                input.style.backgroundColor = '#ffdddd';
+                setTimeout(() => {
+                    input.style.backgroundColor = '';
+                }, 200);
+            }
+        };
+        
+        input.addEventListener('keydown', event => {
+            if (event.key === 'Enter') {
+                apply();
+                event.preventDefault();
+            } else if (event.key === 'Escape') {
+                container.style.display = 'none';
+                event.preventDefault();
+            }
+            
+            // Keep editor shortcuts away from the text being typed
+            event.stopPropagation();
+        });
+        applyButton.addEventListener('click', apply);
+        
+        container.appendChild(label);
+        container.appendChild(input);
+        container.appendChild(applyButton);
+        document.body.appendChild(container);
+        
+        return editor;
+    }
+
+    /**
+     * Update the variables shown in the UI
+     */
+    updateUI() {
+        if (window.appData) {
+            window.appData.variables = this.variables.map(variable => {
+                let value = null;
+                
+                try {
+                    value = MathUtils.round(this.evaluate(variable.expression, [variable.name]), 4);
+                } catch (error) {
+                    value = null;
+                }
+                
+                return { ...variable, value };
+            });
+        }
     }
 }
 
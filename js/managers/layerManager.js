@@ -0,0 +1,371 @@
+/**
+ * Layer Manager for the CAD Editor
+ * Manages the layer list, the active layer and the layer panel state
+ */
+class LayerManager {
+    /**
+     * Create a new Layer Manager
+     */
+    constructor() {
+        this.initialized = false;
+        this.canvasManager = null;
+        this.layers = []; // Bottom layer first, in drawing order
+        this.activeLayerId = null;
+        this.defaultLayerName = '0';
+    }
+
+    /**
+     * Initialize the Layer Manager
+     * @param {CanvasManager} canvasManager - The Canvas Manager instance
+     */
+    init(canvasManager) {
+        if (this.initialized) {
+            logger.warn('Layer Manager already initialized');
+            return;
+        }
+        
+        this.canvasManager = canvasManager;
+        this.restoreSnapshot([]);
+        
+        this.initialized = true;
+        logger.info('Layer Manager initialized successfully');
+    }
+
+    /**
+     * Get a layer by ID
+     * @param {string} id - The ID of the layer
+     * @returns {Layer|null} The layer or null if not found
+     */
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    /**
+     * Get a layer by name, optionally creating it
+     * @param {string} name - The layer name
+     * @param {boolean} [create=false] - Whether to add the layer if it does not exist
+     * @returns {Layer|null} The layer or null if not found
+     */
+    getLayerByName(name, create = false) {
+        const layer = this.layers.find(candidate => candidate.name === name);
+        
+        if (layer || !create) {
+            return layer || null;
+        }
+        
+        return this.addLayer(name, false);
+    }
+
+    /**
+     * Get the active layer new shapes are drawn on
+     * @returns {Layer} The active layer
+     */
+    getActiveLayer() {
+        return this.getLayer(this.activeLayerId) || this.layers[0];
+    }
+
+    /**
+     * Get the layer a shape is drawn on
+     * @param {Object} shape - The shape
+     * @returns {Layer} The shape's layer, or the bottom layer if the shape has none
+     */
+    getLayerForShape(shape) {
+        return this.getLayer(shape.layerId) || this.layers[0];
+    }
+
+    /**
+     * Check whether a shape can be picked, selected and snapped to
+     * @param {Object} shape - The shape
+     * @returns {boolean} True if the shape's layer is visible and unlocked
+     */
+    isShapeEditable(shape) {
+        return this.getLayerForShape(shape).isEditable();
+    }
+
+    /**
+     * Set the active layer
+     * @param {string} id - The ID of the layer
+     */
+    setActiveLayer(id) {
+        const layer = this.getLayer(id);
+        
+        if (!layer) {
+            logger.warn(`Cannot activate layer: Layer '${id}' not found`);
+            return;
+        }
+        
+        this.activeLayerId = id;
+        this.updateUI();
+        
+        logger.info(`Active layer set to ${layer.name}`);
+    }
+
+    /**
+     * Add a layer on top of the others
+     * @param {string} [name] - The layer name, generated if omitted
+     * @param {boolean} [recordUndo=true] - Whether to record this action for undo
+     * @returns {Layer} The new layer
+     */
+    addLayer(name, recordUndo = true) {
+        if (recordUndo && window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        const layer = new Layer(name || this.getUniqueName('Layer'));
+        this.layers.push(layer);
+        
+        this.updateUI();
+        this.render();
+        
+        logger.info(`Added layer ${layer.name}`);
+        return layer;
+    }
+
+    /**
+     * Rename a layer
+     * @param {string} id - The ID of the layer
+     * @param {string} name - The new name
+     * @returns {boolean} True if the layer was renamed
+     */
+    renameLayer(id, name) {
+        const layer = this.getLayer(id);
+        const newName = (name || '').trim();
+        
+        if (!layer || !newName || newName === layer.name) return false;
+        
+        if (this.layers.some(other => other !== layer && other.name === newName)) {
+            logger.warn(`Cannot rename layer: A layer named ${newName} already exists`);
+            return false;
+        }
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        logger.info(`Renamed layer ${layer.name} to ${newName}`);
+        
+        layer.name = newName;
+        this.updateUI();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Move a layer up or down the drawing order
+     * @param {string} id - The ID of the layer
+     * @param {number} direction - 1 to move the layer up (drawn later), -1 to move it down
+     */
+    moveLayer(id, direction) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        const newIndex = index + direction;
+        
+        if (index === -1 || newIndex < 0 || newIndex >= this.layers.length) return;
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(newIndex, 0, layer);
+        
+        this.updateUI();
+        this.render();
+        
+        logger.info(`Moved layer ${layer.name} ${direction > 0 ? 'up' : 'down'}`);
+    }
+
+    /**
+     * Delete a layer together with its shapes
+     * @param {string} id - The ID of the layer
+     * @returns {boolean} True if the layer was deleted
+     */
+    deleteLayer(id) {
+        const layer = this.getLayer(id);
+        if (!layer) return false;
+        
+        if (this.layers.length === 1) {
+            logger.warn('Cannot delete the last layer');
+            return false;
+        }
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        // Shapes without a known layer belong to the bottom layer, so collect them before it changes
+        const shapes = this.getShapesOnLayer(id);
+        
+        this.layers = this.layers.filter(other => other !== layer);
+        
+        if (this.activeLayerId === id) {
+            this.activeLayerId = this.layers[this.layers.length - 1].id;
+        }
+        
+        if (this.canvasManager) {
+            shapes.forEach(shape => this.canvasManager.removeShape(shape.id, false));
+        }
+        
+        this.updateUI();
+        this.render();
+        
+        logger.info(`Deleted layer ${layer.name} with ${shapes.length} shape(s)`);
+        return true;
+    }
+
+    /**
+     * Show or hide a layer
+     * @param {string} id - The ID of the layer
+     * @param {boolean} [visible] - Whether the layer should be visible, toggled if omitted
+     */
+    setLayerVisible(id, visible) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        layer.visible = visible !== undefined ? visible : !layer.visible;
+        this.deselectShapesOnLayer(layer);
+        
+        this.updateUI();
+        this.render();
+        
+        logger.info(`Layer ${layer.name} ${layer.visible ? 'shown' : 'hidden'}`);
+    }
+
+    /**
+     * Lock or unlock a layer
+     * @param {string} id - The ID of the layer
+     * @param {boolean} [locked] - Whether the layer should be locked, toggled if omitted
+     */
+    setLayerLocked(id, locked) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        layer.locked = locked !== undefined ? locked : !layer.locked;
+        this.deselectShapesOnLayer(layer);
+        
+        this.updateUI();
+        this.render();
+        
+        logger.info(`Layer ${layer.name} ${layer.locked ? 'locked' : 'unlocked'}`);
+    }
+
+    /**
+     * Set the default stroke colour of a layer
+     * @param {string} id - The ID of the layer
+     * @param {string} color - The colour as a #rrggbb string
+     */
+    setLayerColor(id, color) {
+        const layer = this.getLayer(id);
+        if (!layer || !/^#[0-9a-f]{6}$/i.test(color) || color === layer.color) return;
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        layer.color = color;
+        
+        this.updateUI();
+        this.render();
+        
+        logger.info(`Layer ${layer.name} colour set to ${color}`);
+    }
+
+    /**
+     * Get the shapes drawn on a layer
+     * @param {string} id - The ID of the layer
+     * @returns {Array} The shapes on the layer
+     */
+    getShapesOnLayer(id) {
+        if (!this.canvasManager) return [];
+        
+        return this.canvasManager.shapes.filter(shape => this.getLayerForShape(shape).id === id);
+    }
+
+    /**
+     * Remove the shapes of a layer that can no longer be edited from the selection
+     * @param {Layer} layer - The layer
+     */
+    deselectShapesOnLayer(layer) {
+        if (!this.canvasManager || layer.isEditable()) return;
+        
+        this.canvasManager.selectedElements
+            .filter(shape => this.getLayerForShape(shape) === layer)
+            .forEach(shape => this.canvasManager.deselectElement(shape.id));
+    }
+
+    /**
+     * Generate a layer name that is not in use
+     * @param {string} prefix - The name prefix
+     * @returns {string} The unused name
+     */
+    getUniqueName(prefix) {
+        let index = this.layers.length;
+        let name = `${prefix} ${index}`;
+        
+        while (this.layers.some(layer => layer.name === name)) {
+            index++;
+            name = `${prefix} ${index}`;
+        }
+        
+        return name;
+    }
+
+    /**
+     * Get a snapshot of the current layers
+     * @returns {Array} Plain copies of the layers
+     */
+    getSnapshot() {
+        return this.layers.map(layer => layer.toObject());
+    }
+
+    /**
+     * Restore the layers from a snapshot
+     * @param {Array} layersSnapshot - The layers snapshot to restore
+     */
+    restoreSnapshot(layersSnapshot) {
+        this.layers = Array.isArray(layersSnapshot) ? layersSnapshot.map(layer => Layer.fromObject(layer)) : [];
+        
+        // There is always at least one layer to draw on
+        if (this.layers.length === 0) {
+            this.layers.push(new Layer(this.defaultLayerName));
+        }
+        
+        if (!this.getLayer(this.activeLayerId)) {
+            this.activeLayerId = this.layers[0].id;
+        }
+        
+        this.updateUI();
+    }
+
+    /**
+     * Redraw the canvas after a layer change
+     */
+    render() {
+        if (this.canvasManager) {
+            this.canvasManager.render();
+        }
+    }
+
+    /**
+     * Update the layer panel in the UI
+     */
+    updateUI() {
+        if (window.appData) {
+            window.appData.layers = this.getSnapshot();
+            window.appData.activeLayerId = this.activeLayerId;
+        }
+    }
+}
+
+// Create a singleton instance
+const layerManager = new LayerManager();
+
+// Make layerManager available globally
+window.layerManager = layerManager;
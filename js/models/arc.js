@@ -18,7 +18,7 @@ class Arc {
         this.startAngle = startAngle || 0;
         this.endAngle = endAngle || 0;
         this.type = 'arc';
-        this.id = `arc_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        this.id = ShapeFactory.generateId('arc');
     }
 
     /**
@@ -130,6 +130,41 @@ class Arc {
         return new Arc(center.x, center.y, radius, finalStartAngle, finalEndAngle);
     }
 
+    /**
+     * Create an Arc that leaves a start point along a tangent direction and ends at a given point
+     * @param {Point} startPoint - The start point of the arc
+     * @param {Object} direction - The direction of travel {x, y} at the start point
+     * @param {Point} endPoint - The end point of the arc
+     * @returns {Arc|null} A new Arc instance or null if the end point lies on the tangent
+     */
+    static fromTangent(startPoint, direction, endPoint) {
+        const length = Math.hypot(direction.x, direction.y);
+        if (length === 0) return null;
+        
+        // The center lies on the normal through the start point, equally far from both points
+        const normal = { x: -direction.y / length, y: direction.x / length };
+        const chord = { x: endPoint.x - startPoint.x, y: endPoint.y - startPoint.y };
+        const projection = chord.x * normal.x + chord.y * normal.y;
+        
+        if (Math.abs(projection) < 0.001) return null; // End point is on the tangent
+        
+        const signedRadius = (chord.x * chord.x + chord.y * chord.y) / (2 * projection);
+        const center = new Point(
+            startPoint.x + normal.x * signedRadius,
+            startPoint.y + normal.y * signedRadius
+        );
+        
+        const startAngle = MathUtils.angle(center.x, center.y, startPoint.x, startPoint.y);
+        const endAngle = MathUtils.angle(center.x, center.y, endPoint.x, endPoint.y);
+        
+        // Arcs run with increasing angle, so a tangent turning the other way swaps the ends
+        if (signedRadius > 0) {
+            return new Arc(center.x, center.y, Math.abs(signedRadius), startAngle, endAngle);
+        }
+        
+        return new Arc(center.x, center.y, Math.abs(signedRadius), endAngle, startAngle);
+    }
+
     /**
      * Create an Arc from an object with cx, cy, radius, startAngle, endAngle properties
      * @param {Object} obj - The object with arc properties
@@ -255,6 +290,51 @@ class Arc {
         return Arc.isAngleBetween(angle, this.startAngle, this.endAngle);
     }
 
+    /**
+     * Get the full circle this Arc lies on
+     * @returns {Circle} The circle
+     */
+    getCircle() {
+        return new Circle(this.cx, this.cy, this.radius);
+    }
+
+    /**
+     * Keep the points that lie within the angle span of this Arc
+     * @param {Array<Point>} points - Points on the circle of this Arc
+     * @returns {Array<Point>} The points on the arc
+     */
+    filterPointsOnArc(points) {
+        return points.filter(point =>
+            Arc.isAngleBetween(MathUtils.angle(this.cx, this.cy, point.x, point.y), this.startAngle, this.endAngle));
+    }
+
+    /**
+     * Calculate the intersection points of this Arc with a Line
+     * @param {Line} line - The Line
+     * @returns {Array<Point>} Array of intersection points (0, 1, or 2 points)
+     */
+    intersectWithLine(line) {
+        return this.filterPointsOnArc(this.getCircle().intersectWithLine(line));
+    }
+
+    /**
+     * Calculate the intersection points of this Arc with a Circle
+     * @param {Circle} circle - The Circle
+     * @returns {Array<Point>} Array of intersection points (0, 1, or 2 points)
+     */
+    intersectWithCircle(circle) {
+        return this.filterPointsOnArc(this.getCircle().intersectWithCircle(circle));
+    }
+
+    /**
+     * Calculate the intersection points of this Arc with another Arc
+     * @param {Arc} arc - The other Arc
+     * @returns {Array<Point>} Array of intersection points (0, 1, or 2 points)
+     */
+    intersectWithArc(arc) {
+        return arc.filterPointsOnArc(this.intersectWithCircle(arc.getCircle()));
+    }
+
     /**
      * Calculate a point on this Arc at a given angle
      * @param {number} angle - The angle in radians
@@ -361,6 +441,37 @@ class Arc {
         this.cy += dy;
     }
 
+    /**
+     * Rotate this Arc around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the center)
+     */
+    rotate(angle, pivot = this.getCenter()) {
+        const center = MathUtils.rotatePoint(this.cx, this.cy, pivot.x, pivot.y, angle);
+        
+        this.cx = center.x;
+        this.cy = center.y;
+        this.startAngle = MathUtils.normalizeAngle(this.startAngle + angle);
+        this.endAngle = MathUtils.normalizeAngle(this.endAngle + angle);
+    }
+
+    /**
+     * Mirror this Arc about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        const center = MathUtils.reflectPoint(this.cx, this.cy, axis.x1, axis.y1, axis.x2, axis.y2);
+        const axisAngle = MathUtils.angle(axis.x1, axis.y1, axis.x2, axis.y2);
+        const startAngle = MathUtils.reflectAngle(this.endAngle, axisAngle);
+        const endAngle = MathUtils.reflectAngle(this.startAngle, axisAngle);
+        
+        // A reflection reverses the direction of travel, so the ends swap to keep the arc running with increasing angle
+        this.cx = center.x;
+        this.cy = center.y;
+        this.startAngle = startAngle;
+        this.endAngle = endAngle;
+    }
+
     /**
      * Resize this Arc
      * @param {number} newRadius - The new radius
@@ -405,7 +516,7 @@ class Arc {
         path.setAttribute('d', this.toSVGPathData());
         path.setAttribute('data-id', this.id);
         path.setAttribute('data-type', this.type);
-        return path;
+        return ShapeStyle.applyToElement(this, path);
     }
 
     /**
@@ -427,6 +538,10 @@ class Arc {
         return {
             type: this.type,
             id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
             cx: this.cx,
             cy: this.cy,
             radius: this.radius,
@@ -14,7 +14,7 @@ class Circle {
         this.cy = cy || 0;
         this.radius = radius || 0;
         this.type = 'circle';
-        this.id = `circle_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        this.id = ShapeFactory.generateId('circle');
     }
 
     /**
@@ -38,6 +38,29 @@ class Circle {
         return new Circle(center.x, center.y, radius);
     }
 
+    /**
+     * Create a Circle whose diameter runs between two points
+     * @param {Point} p1 - The first end of the diameter
+     * @param {Point} p2 - The second end of the diameter
+     * @returns {Circle} A new Circle instance
+     */
+    static fromDiameter(p1, p2) {
+        return new Circle((p1.x + p2.x) / 2, (p1.y + p2.y) / 2, p1.distanceTo(p2) / 2);
+    }
+
+    /**
+     * Create a Circle through three points
+     * @param {Point} p1 - First point on the circle
+     * @param {Point} p2 - Second point on the circle
+     * @param {Point} p3 - Third point on the circle
+     * @returns {Circle|null} A new Circle instance or null if the points are collinear
+     */
+    static fromThreePoints(p1, p2, p3) {
+        // The arc through the points lies on the same circle
+        const arc = Arc.fromThreePoints(p1, p2, p3);
+        return arc ? new Circle(arc.cx, arc.cy, arc.radius) : null;
+    }
+
     /**
      * Create a Circle from an object with cx, cy, radius properties
      * @param {Object} obj - The object with circle properties
@@ -201,6 +224,39 @@ class Circle {
         return distance < this.radius + circle.radius;
     }
 
+    /**
+     * Calculate the intersection points of this Circle with another Circle
+     * @param {Circle} circle - The other Circle
+     * @returns {Array<Point>} Array of intersection points (0, 1, or 2 points)
+     */
+    intersectWithCircle(circle) {
+        const distance = MathUtils.distance(this.cx, this.cy, circle.cx, circle.cy);
+        
+        // Separate, nested or concentric circles do not cross
+        if (distance === 0 || distance > this.radius + circle.radius || distance < Math.abs(this.radius - circle.radius)) {
+            return [];
+        }
+        
+        // Distance from this center to the chord joining the intersections, and half the chord
+        const along = (distance * distance + this.radius * this.radius - circle.radius * circle.radius) / (2 * distance);
+        const half = Math.sqrt(Math.max(0, this.radius * this.radius - along * along));
+        
+        const ux = (circle.cx - this.cx) / distance;
+        const uy = (circle.cy - this.cy) / distance;
+        const baseX = this.cx + along * ux;
+        const baseY = this.cy + along * uy;
+        
+        if (half === 0) {
+            // One intersection (tangent)
+            return [new Point(baseX, baseY)];
+        }
+        
+        return [
+            new Point(baseX - half * uy, baseY + half * ux),
+            new Point(baseX + half * uy, baseY - half * ux)
+        ];
+    }
+
     /**
      * Create a copy of this Circle
      * @returns {Circle} A new Circle with the same properties
@@ -235,6 +291,29 @@ class Circle {
         this.cy += dy;
     }
 
+    /**
+     * Rotate this Circle around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the center)
+     */
+    rotate(angle, pivot = this.getCenter()) {
+        const center = MathUtils.rotatePoint(this.cx, this.cy, pivot.x, pivot.y, angle);
+        
+        this.cx = center.x;
+        this.cy = center.y;
+    }
+
+    /**
+     * Mirror this Circle about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        const center = MathUtils.reflectPoint(this.cx, this.cy, axis.x1, axis.y1, axis.x2, axis.y2);
+        
+        this.cx = center.x;
+        this.cy = center.y;
+    }
+
     /**
      * Resize this Circle
      * @param {number} newRadius - The new radius
@@ -278,7 +357,7 @@ class Circle {
         circle.setAttribute('r', this.radius);
         circle.setAttribute('data-id', this.id);
         circle.setAttribute('data-type', this.type);
-        return circle;
+        return ShapeStyle.applyToElement(this, circle);
     }
 
     /**
@@ -297,6 +376,11 @@ class Circle {
         return {
             type: this.type,
             id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
+            fill: this.fill,
             cx: this.cx,
             cy: this.cy,
             radius: this.radius
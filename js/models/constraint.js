@@ -0,0 +1,148 @@
+/**
+ * Constraint class for the CAD Editor
+ * Represents a geometric relationship between shapes that is kept when the shapes are edited
+ */
+class Constraint {
+    /**
+     * Create a new Constraint
+     * @param {string} type - The constraint type, one of the keys of Constraint.TYPES
+     * @param {Array<Object>} refs - The shapes or shape points it applies to, as {shapeId, point}; point is
+     *     'start', 'end' or 'center' for point references and left out for whole shapes
+     * @param {Object} [value] - Extra data for the type, such as the parameters a fixed shape is held at
+     */
+    constructor(type, refs = [], value = undefined) {
+        this.type = type;
+        this.refs = refs.map(ref => (ref.point ? { shapeId: ref.shapeId, point: ref.point } : { shapeId: ref.shapeId }));
+        this.value = value;
+        this.id = ShapeFactory.generateId('constraint');
+    }
+
+    /**
+     * Create a Constraint from an object with constraint properties
+     * @param {Object} obj - The object with constraint properties
+     * @returns {Constraint} A new Constraint instance with the same ID
+     */
+    static fromObject(obj) {
+        const constraint = new Constraint(obj.type, obj.refs || [], obj.value);
+        
+        if (obj.id) {
+            constraint.id = obj.id;
+        }
+        
+        return constraint;
+    }
+
+    /**
+     * Get the IDs of the shapes this Constraint applies to
+     * @returns {Array<string>} The shape IDs, without repeats
+     */
+    getShapeIds() {
+        return [...new Set(this.refs.map(ref => ref.shapeId))];
+    }
+
+    /**
+     * Check whether this Constraint applies to a shape
+     * @param {string} shapeId - The shape ID
+     * @returns {boolean} True if one of the references is the shape
+     */
+    involves(shapeId) {
+        return this.refs.some(ref => ref.shapeId === shapeId);
+    }
+
+    /**
+     * Check whether this Constraint sets a dimension rather than a relationship
+     * @returns {boolean} True for distance, angle, radius and diameter constraints
+     */
+    isDimension() {
+        const info = Constraint.TYPES[this.type];
+        return Boolean(info && info.dimension);
+    }
+
+    /**
+     * Get the expression a dimensional Constraint drives its dimension to
+     * @returns {string|null} The expression, e.g. "120" or "wall*2", or null for other constraints
+     */
+    getExpression() {
+        return this.isDimension() && this.value ? this.value.expression : null;
+    }
+
+    /**
+     * Describe this Constraint for lists and messages
+     * @param {Function} [getShape] - Looks up a shape by ID, to name the shape types
+     * @returns {string} The description, e.g. "Coincident: line end, arc start" or "Distance: line start, line end = 120"
+     */
+    describe(getShape) {
+        const info = Constraint.TYPES[this.type];
+        const names = this.refs.map(ref => {
+            const shape = getShape ? getShape(ref.shapeId) : null;
+            const name = shape ? shape.type : ref.shapeId;
+            return ref.point ? `${name} ${ref.point}` : name;
+        });
+        const expression = this.getExpression();
+        
+        return `${info ? info.label : this.type}: ${names.join(', ')}${expression !== null ? ` = ${expression}` : ''}`;
+    }
+
+    /**
+     * Create a copy of this Constraint
+     * @returns {Constraint} A new Constraint with the same properties and ID
+     */
+    clone() {
+        return Constraint.fromObject(this.toObject());
+    }
+
+    /**
+     * Convert this Constraint to a plain object
+     * @returns {Object} The constraint properties
+     */
+    toObject() {
+        const obj = {
+            type: this.type,
+            id: this.id,
+            refs: this.refs.map(ref => ({ ...ref }))
+        };
+        
+        if (this.value !== undefined) {
+            obj.value = JSON.parse(JSON.stringify(this.value));
+        }
+        
+        return obj;
+    }
+
+    /**
+     * Convert this Constraint to a string
+     * @returns {string} String representation of the constraint
+     */
+    toString() {
+        return `Constraint(${this.type}, ${this.refs.map(ref => ref.point ? `${ref.shapeId}.${ref.point}` : ref.shapeId).join(', ')})`;
+    }
+}
+
+// The constraint types, with the kind of reference each pick takes:
+// 'point' a shape point, 'line' a line, 'curve' a circle or arc, 'edge' a line, circle or arc
+Constraint.TYPES = {
+    coincident: { label: 'Coincident', refs: ['point', 'point'] },
+    horizontal: { label: 'Horizontal', refs: ['line'] },
+    vertical: { label: 'Vertical', refs: ['line'] },
+    parallel: { label: 'Parallel', refs: ['line', 'line'] },
+    perpendicular: { label: 'Perpendicular', refs: ['line', 'line'] },
+    tangent: { label: 'Tangent', refs: ['edge', 'edge'] },
+    equal: { label: 'Equal', refs: ['edge', 'edge'] },
+    concentric: { label: 'Concentric', refs: ['curve', 'curve'] },
+    fixed: { label: 'Fixed', refs: ['edge'] },
+    symmetric: { label: 'Symmetric', refs: ['point', 'point', 'line'] },
+
+    // Dimensional constraints hold a value {expression}, evaluated with the drawing's variables
+    distance: { label: 'Distance', refs: ['point', 'point'], dimension: true },
+    horizontalDistance: { label: 'Horizontal distance', refs: ['point', 'point'], dimension: true },
+    verticalDistance: { label: 'Vertical distance', refs: ['point', 'point'], dimension: true },
+    angle: { label: 'Angle', refs: ['line', 'line'], dimension: true },
+    radius: { label: 'Radius', refs: ['curve'], dimension: true },
+    diameter: { label: 'Diameter', refs: ['curve'], dimension: true }
+};
+
+// Shape types that constraints can apply to
+Constraint.SHAPE_TYPES = ['line', 'circle', 'arc'];
+
+// Make Constraint available globally
+window.Constraint = Constraint;
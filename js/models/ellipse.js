@@ -0,0 +1,404 @@
+/**
+ * Ellipse class for the CAD Editor
+ * Represents an ellipse defined by its center point, two radii and a rotation
+ */
+class Ellipse {
+    /**
+     * Create a new Ellipse
+     * @param {number} cx - X coordinate of the center
+     * @param {number} cy - Y coordinate of the center
+     * @param {number} rx - Radius along the ellipse's own x axis
+     * @param {number} ry - Radius along the ellipse's own y axis
+     * @param {number} rotation - Rotation around the center in radians
+     */
+    constructor(cx, cy, rx, ry, rotation = 0) {
+        this.cx = cx || 0;
+        this.cy = cy || 0;
+        this.rx = rx || 0;
+        this.ry = ry || 0;
+        this.rotation = rotation || 0;
+        this.type = 'ellipse';
+        this.id = ShapeFactory.generateId('ellipse');
+    }
+
+    /**
+     * Create an Ellipse from a center Point, the end point of one axis and the other radius
+     * @param {Point} center - The center point
+     * @param {Point} axisEnd - The end point of the first axis
+     * @param {number} otherRadius - The radius perpendicular to the first axis
+     * @returns {Ellipse} A new Ellipse instance
+     */
+    static fromCenterAndAxis(center, axisEnd, otherRadius) {
+        const radius = center.distanceTo(axisEnd);
+        const rotation = MathUtils.angle(center.x, center.y, axisEnd.x, axisEnd.y);
+        return new Ellipse(center.x, center.y, radius, otherRadius, rotation);
+    }
+
+    /**
+     * Create an axis-aligned Ellipse inscribed in the box spanned by two corners
+     * @param {Point} corner1 - The first corner
+     * @param {Point} corner2 - The opposite corner
+     * @returns {Ellipse} A new Ellipse instance
+     */
+    static fromBoundingBox(corner1, corner2) {
+        return new Ellipse(
+            (corner1.x + corner2.x) / 2,
+            (corner1.y + corner2.y) / 2,
+            Math.abs(corner2.x - corner1.x) / 2,
+            Math.abs(corner2.y - corner1.y) / 2
+        );
+    }
+
+    /**
+     * Create an Ellipse from an object with cx, cy, rx, ry and rotation properties
+     * @param {Object} obj - The object with ellipse properties
+     * @returns {Ellipse} A new Ellipse instance
+     */
+    static fromObject(obj) {
+        return new Ellipse(obj.cx, obj.cy, obj.rx, obj.ry, obj.rotation);
+    }
+
+    /**
+     * Transform a point from the unrotated frame of this Ellipse to world coordinates
+     * @param {number} x - X coordinate in the unrotated frame
+     * @param {number} y - Y coordinate in the unrotated frame
+     * @returns {Point} The point in world coordinates
+     */
+    localToWorld(x, y) {
+        if (!this.rotation) {
+            return new Point(x, y);
+        }
+        
+        const rotated = MathUtils.rotatePoint(x, y, this.cx, this.cy, this.rotation);
+        return new Point(rotated.x, rotated.y);
+    }
+
+    /**
+     * Transform a point from world coordinates to the unrotated frame of this Ellipse
+     * @param {number} x - X coordinate in world coordinates
+     * @param {number} y - Y coordinate in world coordinates
+     * @returns {Point} The point in the unrotated frame
+     */
+    worldToLocal(x, y) {
+        if (!this.rotation) {
+            return new Point(x, y);
+        }
+        
+        const unrotated = MathUtils.rotatePoint(x, y, this.cx, this.cy, -this.rotation);
+        return new Point(unrotated.x, unrotated.y);
+    }
+
+    /**
+     * Get the center point of this Ellipse
+     * @returns {Point} The center point
+     */
+    getCenter() {
+        return new Point(this.cx, this.cy);
+    }
+
+    /**
+     * Get the area of this Ellipse
+     * @returns {number} The area
+     */
+    getArea() {
+        return Math.PI * this.rx * this.ry;
+    }
+
+    /**
+     * Get the perimeter of this Ellipse
+     * @returns {number} The perimeter, using Ramanujan's second approximation
+     */
+    getPerimeter() {
+        const sum = this.rx + this.ry;
+        if (sum === 0) return 0;
+        
+        const h = Math.pow(this.rx - this.ry, 2) / Math.pow(sum, 2);
+        return Math.PI * sum * (1 + 3 * h / (10 + Math.sqrt(4 - 3 * h)));
+    }
+
+    /**
+     * Calculate a point on this Ellipse at a given parametric angle
+     * @param {number} angle - The parametric angle in radians, measured in the unrotated frame
+     * @returns {Point} The point on the ellipse
+     */
+    pointAtAngle(angle) {
+        return this.localToWorld(
+            this.cx + this.rx * Math.cos(angle),
+            this.cy + this.ry * Math.sin(angle)
+        );
+    }
+
+    /**
+     * Get the quadrant points of this Ellipse, where its axes cross the outline
+     * @returns {Array<Point>} The points at parametric angles 0°, 90°, 180° and 270°
+     */
+    getQuadrantPoints() {
+        return [0, 0.5, 1, 1.5].map(turn => this.pointAtAngle(turn * Math.PI));
+    }
+
+    /**
+     * Get the axis-aligned bounding box of this Ellipse
+     * @returns {Object} The bounding box {x, y, width, height}
+     */
+    getBoundingBox() {
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const halfWidth = Math.sqrt(Math.pow(this.rx * cos, 2) + Math.pow(this.ry * sin, 2));
+        const halfHeight = Math.sqrt(Math.pow(this.rx * sin, 2) + Math.pow(this.ry * cos, 2));
+        
+        return {
+            x: this.cx - halfWidth,
+            y: this.cy - halfHeight,
+            width: halfWidth * 2,
+            height: halfHeight * 2
+        };
+    }
+
+    /**
+     * Check if a point is inside this Ellipse
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @returns {boolean} True if the point is inside the ellipse
+     */
+    containsPoint(x, y) {
+        if (this.rx <= 0 || this.ry <= 0) return false;
+        
+        const local = this.worldToLocal(x, y);
+        const u = (local.x - this.cx) / this.rx;
+        const v = (local.y - this.cy) / this.ry;
+        return u * u + v * v <= 1;
+    }
+
+    /**
+     * Find the point on the outline of this Ellipse closest to a given point
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @returns {Point} The closest point on the outline
+     */
+    getClosestPoint(x, y) {
+        const local = this.worldToLocal(x, y);
+        const px = Math.abs(local.x - this.cx);
+        const py = Math.abs(local.y - this.cy);
+        const a = this.rx;
+        const b = this.ry;
+        
+        // Iterate towards the foot point in the first quadrant, starting at 45°
+        let tx = Math.SQRT1_2;
+        let ty = Math.SQRT1_2;
+        
+        for (let i = 0; i < 4; i++) {
+            const ex = (a * a - b * b) * Math.pow(tx, 3) / (a || 1);
+            const ey = (b * b - a * a) * Math.pow(ty, 3) / (b || 1);
+            const r = Math.hypot(a * tx - ex, b * ty - ey);
+            const q = Math.hypot(px - ex, py - ey);
+            
+            if (q === 0) break;
+            
+            const nextX = MathUtils.clamp(((px - ex) * r / q + ex) / (a || 1), 0, 1);
+            const nextY = MathUtils.clamp(((py - ey) * r / q + ey) / (b || 1), 0, 1);
+            const t = Math.hypot(nextX, nextY);
+            
+            if (t === 0) break;
+            
+            tx = nextX / t;
+            ty = nextY / t;
+        }
+        
+        return this.localToWorld(
+            this.cx + Math.sign(local.x - this.cx || 1) * a * tx,
+            this.cy + Math.sign(local.y - this.cy || 1) * b * ty
+        );
+    }
+
+    /**
+     * Check if a point is on the outline of this Ellipse
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @param {number} tolerance - Distance tolerance
+     * @returns {boolean} True if the point is on the outline
+     */
+    isPointOnEllipse(x, y, tolerance = 5) {
+        const closest = this.getClosestPoint(x, y);
+        return MathUtils.distance(x, y, closest.x, closest.y) <= tolerance;
+    }
+
+    /**
+     * Approximate the outline of this Ellipse with evenly spaced points
+     * @param {number} segments - The number of points
+     * @returns {Array<Point>} The outline points, starting at parametric angle 0
+     */
+    getOutlinePoints(segments = 64) {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            points.push(this.pointAtAngle(2 * Math.PI * i / segments));
+        }
+        return points;
+    }
+
+    /**
+     * Check if the outline of this Ellipse intersects with a rectangle
+     * @param {number} x - X coordinate of the rectangle's top-left corner
+     * @param {number} y - Y coordinate of the rectangle's top-left corner
+     * @param {number} width - Width of the rectangle
+     * @param {number} height - Height of the rectangle
+     * @returns {boolean} True if the ellipse intersects with the rectangle
+     */
+    intersectsWithRect(x, y, width, height) {
+        const points = this.getOutlinePoints();
+        
+        return points.some((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return new Line(point.x, point.y, next.x, next.y).intersectsWithRect(x, y, width, height);
+        });
+    }
+
+    /**
+     * Create a copy of this Ellipse
+     * @returns {Ellipse} A new Ellipse with the same properties
+     */
+    clone() {
+        return new Ellipse(this.cx, this.cy, this.rx, this.ry, this.rotation);
+    }
+
+    /**
+     * Check if this Ellipse is equal to another Ellipse
+     * @param {Ellipse} ellipse - The Ellipse to compare with
+     * @param {number} tolerance - The tolerance for equality
+     * @returns {boolean} True if the ellipses are equal within the tolerance
+     */
+    equals(ellipse, tolerance = 0.001) {
+        if (!ellipse) return false;
+        
+        return (
+            Math.abs(this.cx - ellipse.cx) <= tolerance &&
+            Math.abs(this.cy - ellipse.cy) <= tolerance &&
+            Math.abs(this.rx - ellipse.rx) <= tolerance &&
+            Math.abs(this.ry - ellipse.ry) <= tolerance &&
+            Math.abs(MathUtils.normalizeAngle((this.rotation || 0) - (ellipse.rotation || 0))) <= tolerance
+        );
+    }
+
+    /**
+     * Move this Ellipse by a specified offset
+     * @param {number} dx - The x offset
+     * @param {number} dy - The y offset
+     */
+    move(dx, dy) {
+        this.cx += dx;
+        this.cy += dy;
+    }
+
+    /**
+     * Rotate this Ellipse around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the center)
+     */
+    rotate(angle, pivot = this.getCenter()) {
+        const center = MathUtils.rotatePoint(this.cx, this.cy, pivot.x, pivot.y, angle);
+        
+        this.cx = center.x;
+        this.cy = center.y;
+        this.rotation = MathUtils.normalizeAngle(this.rotation + angle);
+    }
+
+    /**
+     * Mirror this Ellipse about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        const center = MathUtils.reflectPoint(this.cx, this.cy, axis.x1, axis.y1, axis.x2, axis.y2);
+        const axisAngle = MathUtils.angle(axis.x1, axis.y1, axis.x2, axis.y2);
+        
+        // An ellipse is symmetric about its own axes, so its reflection is the same ellipse turned
+        this.cx = center.x;
+        this.cy = center.y;
+        this.rotation = MathUtils.reflectAngle(this.rotation, axisAngle);
+    }
+
+    /**
+     * Resize this Ellipse
+     * @param {number} rx - The new x radius
+     * @param {number} ry - The new y radius
+     */
+    resize(rx, ry) {
+        this.rx = Math.max(0, rx);
+        this.ry = Math.max(0, ry);
+    }
+
+    /**
+     * Snap this Ellipse to the grid
+     * @param {number} gridSize - The grid size
+     */
+    snapToGrid(gridSize) {
+        const snappedCenter = MathUtils.snapPointToGrid(this.cx, this.cy, gridSize);
+        this.cx = snappedCenter.x;
+        this.cy = snappedCenter.y;
+    }
+
+    /**
+     * Generate the SVG path data for this Ellipse
+     * @returns {string} The SVG path data
+     */
+    toSVGPathData() {
+        // Two half-ellipse arcs between the ends of the x axis
+        const [right, , left] = this.getQuadrantPoints();
+        const degrees = MathUtils.radiansToDegrees(this.rotation);
+        
+        return `M ${left.x} ${left.y} ` +
+               `A ${this.rx} ${this.ry} ${degrees} 1 0 ${right.x} ${right.y} ` +
+               `A ${this.rx} ${this.ry} ${degrees} 1 0 ${left.x} ${left.y}`;
+    }
+
+    /**
+     * Generate an SVG element for this Ellipse
+     * @returns {SVGElement} The SVG ellipse element
+     */
+    toSVGElement() {
+        const ellipse = document.createElementNS('http://www.w3.org/2000/svg', 'ellipse');
+        ellipse.setAttribute('cx', this.cx);
+        ellipse.setAttribute('cy', this.cy);
+        ellipse.setAttribute('rx', this.rx);
+        ellipse.setAttribute('ry', this.ry);
+        
+        if (this.rotation) {
+            ellipse.setAttribute('transform', `rotate(${MathUtils.radiansToDegrees(this.rotation)} ${this.cx} ${this.cy})`);
+        }
+        
+        ellipse.setAttribute('data-id', this.id);
+        ellipse.setAttribute('data-type', this.type);
+        return ShapeStyle.applyToElement(this, ellipse);
+    }
+
+    /**
+     * Convert this Ellipse to a string representation
+     * @returns {string} The string representation of this Ellipse
+     */
+    toString() {
+        return `Ellipse at (${MathUtils.round(this.cx, 2)}, ${MathUtils.round(this.cy, 2)}) with radii ${MathUtils.round(this.rx, 2)} and ${MathUtils.round(this.ry, 2)}` +
+            (this.rotation ? ` rotated ${MathUtils.round(MathUtils.radiansToDegrees(this.rotation), 2)}°` : '');
+    }
+
+    /**
+     * Convert this Ellipse to an object
+     * @returns {Object} The object representation of this Ellipse
+     */
+    toObject() {
+        return {
+            type: this.type,
+            id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
+            fill: this.fill,
+            cx: this.cx,
+            cy: this.cy,
+            rx: this.rx,
+            ry: this.ry,
+            rotation: this.rotation
+        };
+    }
+}
+
+// Make Ellipse available globally
+window.Ellipse = Ellipse;
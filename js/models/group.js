@@ -0,0 +1,151 @@
+/**
+ * Group class for the CAD Editor
+ * Represents an assembly of shapes, including other groups, that is selected and transformed as one
+ */
+class Group {
+    /**
+     * Create a new Group
+     * @param {Array<Object>} children - The shapes in the group, in drawing order
+     */
+    constructor(children = []) {
+        this.children = children || [];
+        this.type = 'group';
+        this.id = ShapeFactory.generateId('group');
+    }
+
+    /**
+     * Create a Group from an object with a list of child shape objects
+     * @param {Object} obj - The object with group properties
+     * @returns {Group} A new Group instance whose children keep their IDs
+     */
+    static fromObject(obj) {
+        const children = (obj.children || [])
+            .map(child => ShapeFactory.fromObject(child))
+            .filter(Boolean);
+            
+        return new Group(children);
+    }
+
+    /**
+     * Get the shapes inside this Group, looking through nested groups
+     * @returns {Array<Object>} The shapes that are not groups themselves
+     */
+    getLeafShapes() {
+        return this.children.reduce((shapes, child) =>
+            shapes.concat(child.type === 'group' ? child.getLeafShapes() : [child]), []);
+    }
+
+    /**
+     * Get the center of the bounding box of this Group
+     * @returns {Point} The center point
+     */
+    getCenter() {
+        const bbox = this.getBoundingBox();
+        return new Point(bbox.x + bbox.width / 2, bbox.y + bbox.height / 2);
+    }
+
+    /**
+     * Get the bounding box around all children of this Group
+     * @returns {Object} The bounding box {x, y, width, height}
+     */
+    getBoundingBox() {
+        if (this.children.length === 0) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+        
+        const boxes = this.children.map(child => child.getBoundingBox());
+        const minX = Math.min(...boxes.map(box => box.x));
+        const minY = Math.min(...boxes.map(box => box.y));
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...boxes.map(box => box.x + box.width)) - minX,
+            height: Math.max(...boxes.map(box => box.y + box.height)) - minY
+        };
+    }
+
+    /**
+     * Create a copy of this Group
+     * @returns {Group} A new Group with copies of the children
+     */
+    clone() {
+        return new Group(this.children.map(child => child.clone()));
+    }
+
+    /**
+     * Move this Group by a specified offset
+     * @param {number} dx - The x offset
+     * @param {number} dy - The y offset
+     */
+    move(dx, dy) {
+        this.children.forEach(child => child.move(dx, dy));
+    }
+
+    /**
+     * Rotate this Group around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the bounding box center)
+     */
+    rotate(angle, pivot = this.getCenter()) {
+        this.children.forEach(child => child.rotate(angle, pivot));
+    }
+
+    /**
+     * Mirror this Group about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        this.children.forEach(child => child.mirror(axis));
+    }
+
+    /**
+     * Snap the children of this Group to the grid
+     * @param {number} gridSize - The grid size
+     */
+    snapToGrid(gridSize) {
+        this.children.forEach(child => child.snapToGrid(gridSize));
+    }
+
+    /**
+     * Generate an SVG group element holding the elements of the children
+     * @returns {SVGElement} The SVG g element
+     */
+    toSVGElement() {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('data-id', this.id);
+        group.setAttribute('data-type', this.type);
+        
+        this.children.forEach(child => group.appendChild(child.toSVGElement()));
+        
+        // Style set on the group is inherited by children without their own
+        return ShapeStyle.applyToElement(this, group);
+    }
+
+    /**
+     * Convert this Group to a string representation
+     * @returns {string} The string representation of this Group
+     */
+    toString() {
+        return `Group of ${this.children.length} shapes`;
+    }
+
+    /**
+     * Convert this Group to an object
+     * @returns {Object} The object representation of this Group
+     */
+    toObject() {
+        return {
+            type: this.type,
+            id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
+            children: this.children.map(child => child.toObject())
+        };
+    }
+}
+
+// Make Group available globally
+window.Group = Group;
@@ -0,0 +1,97 @@
+/**
+ * Layer class for the CAD Editor
+ * Represents a named group of shapes that share visibility, locking and a default stroke colour
+ */
+class Layer {
+    /**
+     * Create a new Layer
+     * @param {string} name - The layer name
+     * @param {string} [color='#000000'] - The default stroke colour of shapes on the layer
+     */
+    constructor(name, color = '#000000') {
+        this.name = name || '';
+        this.color = color;
+        this.visible = true;
+        this.locked = false;
+        this.type = 'layer';
+        this.id = ShapeFactory.generateId('layer');
+    }
+
+    /**
+     * Create a Layer from an object with layer properties
+     * @param {Object} obj - The object with layer properties
+     * @returns {Layer} A new Layer instance with the same ID
+     */
+    static fromObject(obj) {
+        const layer = new Layer(obj.name, obj.color || '#000000');
+        
+        if (obj.id) {
+            layer.id = obj.id;
+        }
+        
+        layer.visible = obj.visible !== false;
+        layer.locked = obj.locked === true;
+        return layer;
+    }
+
+    /**
+     * Check whether shapes on this Layer can be picked, selected and snapped to
+     * @returns {boolean} True if the layer is visible and unlocked
+     */
+    isEditable() {
+        return this.visible && !this.locked;
+    }
+
+    /**
+     * Create a copy of this Layer
+     * @returns {Layer} A new Layer with the same properties and ID
+     */
+    clone() {
+        return Layer.fromObject(this.toObject());
+    }
+
+    /**
+     * Generate the SVG group that holds the shapes of this Layer
+     * @returns {SVGElement} The SVG g element
+     */
+    toSVGElement() {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('id', this.id);
+        group.setAttribute('data-type', this.type);
+        group.setAttribute('data-name', this.name);
+        group.setAttribute('stroke', this.color);
+        group.setAttribute('stroke-width', 1);
+        group.setAttribute('fill', 'none');
+        
+        if (!this.visible) {
+            group.setAttribute('display', 'none');
+        }
+        
+        return group;
+    }
+
+    /**
+     * Convert this Layer to a string representation
+     * @returns {string} The string representation of this Layer
+     */
+    toString() {
+        return `Layer ${this.name} (${this.visible ? 'visible' : 'hidden'}${this.locked ? ', locked' : ''})`;
+    }
+
+    /**
+     * Convert this Layer to an object
+     * @returns {Object} The object representation of this Layer
+     */
+    toObject() {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            visible: this.visible,
+            locked: this.locked
+        };
+    }
+}
+
+// Make Layer available globally
+window.Layer = Layer;
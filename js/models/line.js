@@ -16,7 +16,7 @@ class Line {
         this.x2 = x2 || 0;
         this.y2 = y2 || 0;
         this.type = 'line';
-        this.id = `line_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        this.id = ShapeFactory.generateId('line');
     }
 
     /**
@@ -162,6 +162,35 @@ class Line {
         this.y2 += dy;
     }
 
+    /**
+     * Rotate this Line around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the midpoint)
+     */
+    rotate(angle, pivot = this.getMidpoint()) {
+        const start = MathUtils.rotatePoint(this.x1, this.y1, pivot.x, pivot.y, angle);
+        const end = MathUtils.rotatePoint(this.x2, this.y2, pivot.x, pivot.y, angle);
+        
+        this.x1 = start.x;
+        this.y1 = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
+    /**
+     * Mirror this Line about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        const start = MathUtils.reflectPoint(this.x1, this.y1, axis.x1, axis.y1, axis.x2, axis.y2);
+        const end = MathUtils.reflectPoint(this.x2, this.y2, axis.x1, axis.y1, axis.x2, axis.y2);
+        
+        this.x1 = start.x;
+        this.y1 = start.y;
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
     /**
      * Snap this Line to the grid
      * @param {number} gridSize - The grid size
@@ -266,7 +295,7 @@ class Line {
         line.setAttribute('y2', this.y2);
         line.setAttribute('data-id', this.id);
         line.setAttribute('data-type', this.type);
-        return line;
+        return ShapeStyle.applyToElement(this, line);
     }
 
     /**
@@ -285,6 +314,10 @@ class Line {
         return {
             type: this.type,
             id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
             x1: this.x1,
             y1: this.y1,
             x2: this.x2,
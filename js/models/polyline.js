@@ -0,0 +1,319 @@
+/**
+ * Polyline class for the CAD Editor
+ * Represents a chain of connected line segments, optionally closed into a polygon
+ */
+class Polyline {
+    /**
+     * Create a new Polyline
+     * @param {Array<Object>} points - The vertices {x, y} in drawing order
+     * @param {boolean} closed - Whether the last vertex connects back to the first
+     */
+    constructor(points = [], closed = false) {
+        this.points = (points || []).map(point => ({ x: point.x || 0, y: point.y || 0 }));
+        this.closed = !!closed;
+        this.type = 'polyline';
+        this.id = ShapeFactory.generateId('polyline');
+    }
+
+    /**
+     * Create a Polyline from an object with points and closed properties
+     * @param {Object} obj - The object with polyline properties
+     * @returns {Polyline} A new Polyline instance
+     */
+    static fromObject(obj) {
+        return new Polyline(obj.points, obj.closed);
+    }
+
+    /**
+     * Get the vertices of this Polyline
+     * @returns {Array<Point>} The vertices
+     */
+    getVertices() {
+        return this.points.map(point => new Point(point.x, point.y));
+    }
+
+    /**
+     * Get the number of vertices of this Polyline
+     * @returns {number} The vertex count
+     */
+    getVertexCount() {
+        return this.points.length;
+    }
+
+    /**
+     * Get the segments of this Polyline, including the closing segment if closed
+     * @returns {Array<Line>} The segments as lines
+     */
+    getSegments() {
+        const segments = [];
+        const count = this.closed && this.points.length > 2 ? this.points.length : this.points.length - 1;
+        
+        for (let i = 0; i < count; i++) {
+            const start = this.points[i];
+            const end = this.points[(i + 1) % this.points.length];
+            segments.push(new Line(start.x, start.y, end.x, end.y));
+        }
+        
+        return segments;
+    }
+
+    /**
+     * Get the start point of this Polyline
+     * @returns {Point|null} The first vertex or null if there are no vertices
+     */
+    getStartPoint() {
+        if (this.points.length === 0) return null;
+        return new Point(this.points[0].x, this.points[0].y);
+    }
+
+    /**
+     * Get the end point of this Polyline
+     * @returns {Point|null} The last vertex or null if there are no vertices
+     */
+    getEndPoint() {
+        if (this.points.length === 0) return null;
+        const last = this.points[this.points.length - 1];
+        return new Point(last.x, last.y);
+    }
+
+    /**
+     * Get the total length of this Polyline
+     * @returns {number} The sum of the segment lengths
+     */
+    getLength() {
+        return this.getSegments().reduce((total, segment) => total + segment.getLength(), 0);
+    }
+
+    /**
+     * Get the enclosed area of this Polyline
+     * @returns {number} The area, or 0 if the polyline is open
+     */
+    getArea() {
+        if (!this.closed || this.points.length < 3) return 0;
+        
+        // Shoelace formula
+        let sum = 0;
+        for (let i = 0; i < this.points.length; i++) {
+            const current = this.points[i];
+            const next = this.points[(i + 1) % this.points.length];
+            sum += current.x * next.y - next.x * current.y;
+        }
+        
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * Get the center of the bounding box of this Polyline
+     * @returns {Point} The center point
+     */
+    getCenter() {
+        const bbox = this.getBoundingBox();
+        return new Point(bbox.x + bbox.width / 2, bbox.y + bbox.height / 2);
+    }
+
+    /**
+     * Get the bounding box of this Polyline
+     * @returns {Object} The bounding box {x, y, width, height}
+     */
+    getBoundingBox() {
+        if (this.points.length === 0) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+        
+        const xs = this.points.map(point => point.x);
+        const ys = this.points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+
+    /**
+     * Check if a point is on one of the segments of this Polyline
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @param {number} tolerance - Distance tolerance
+     * @returns {boolean} True if the point is on the polyline
+     */
+    isPointOnPolyline(x, y, tolerance = 5) {
+        return this.getSegments().some(segment => segment.isPointOnLine(x, y, tolerance));
+    }
+
+    /**
+     * Check if a point is inside this Polyline
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @returns {boolean} True if the polyline is closed and the point is inside it
+     */
+    containsPoint(x, y) {
+        if (!this.closed || this.points.length < 3) return false;
+        
+        // Even-odd rule: count the edges crossed by a ray towards +x
+        let inside = false;
+        for (let i = 0, j = this.points.length - 1; i < this.points.length; j = i++) {
+            const a = this.points[i];
+            const b = this.points[j];
+            
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        
+        return inside;
+    }
+
+    /**
+     * Check if this Polyline intersects with a rectangle
+     * @param {number} x - X coordinate of the rectangle's top-left corner
+     * @param {number} y - Y coordinate of the rectangle's top-left corner
+     * @param {number} width - Width of the rectangle
+     * @param {number} height - Height of the rectangle
+     * @returns {boolean} True if the polyline intersects with the rectangle
+     */
+    intersectsWithRect(x, y, width, height) {
+        if (this.getSegments().some(segment => segment.intersectsWithRect(x, y, width, height))) {
+            return true;
+        }
+        
+        // A closed polyline can also surround the rectangle completely
+        return this.containsPoint(x, y);
+    }
+
+    /**
+     * Add a vertex to the end of this Polyline
+     * @param {number} x - X coordinate of the vertex
+     * @param {number} y - Y coordinate of the vertex
+     */
+    addPoint(x, y) {
+        this.points.push({ x, y });
+    }
+
+    /**
+     * Move one vertex of this Polyline
+     * @param {number} index - The index of the vertex
+     * @param {number} x - The new x coordinate
+     * @param {number} y - The new y coordinate
+     */
+    setPoint(index, x, y) {
+        if (index < 0 || index >= this.points.length) return;
+        this.points[index] = { x, y };
+    }
+
+    /**
+     * Create a copy of this Polyline
+     * @returns {Polyline} A new Polyline with the same vertices
+     */
+    clone() {
+        return new Polyline(this.points, this.closed);
+    }
+
+    /**
+     * Check if this Polyline is equal to another Polyline
+     * @param {Polyline} polyline - The Polyline to compare with
+     * @param {number} tolerance - The tolerance for equality
+     * @returns {boolean} True if the polylines are equal within the tolerance
+     */
+    equals(polyline, tolerance = 0.001) {
+        if (!polyline || !polyline.points) return false;
+        if (this.closed !== !!polyline.closed || this.points.length !== polyline.points.length) return false;
+        
+        return this.points.every((point, i) =>
+            Math.abs(point.x - polyline.points[i].x) <= tolerance &&
+            Math.abs(point.y - polyline.points[i].y) <= tolerance
+        );
+    }
+
+    /**
+     * Move this Polyline by a specified offset
+     * @param {number} dx - The x offset
+     * @param {number} dy - The y offset
+     */
+    move(dx, dy) {
+        this.points = this.points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+    }
+
+    /**
+     * Rotate this Polyline around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the bounding box center)
+     */
+    rotate(angle, pivot = this.getCenter()) {
+        this.points = this.points.map(point => MathUtils.rotatePoint(point.x, point.y, pivot.x, pivot.y, angle));
+    }
+
+    /**
+     * Mirror this Polyline about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        this.points = this.points.map(point =>
+            MathUtils.reflectPoint(point.x, point.y, axis.x1, axis.y1, axis.x2, axis.y2));
+    }
+
+    /**
+     * Snap the vertices of this Polyline to the grid
+     * @param {number} gridSize - The grid size
+     */
+    snapToGrid(gridSize) {
+        this.points = this.points.map(point => MathUtils.snapPointToGrid(point.x, point.y, gridSize));
+    }
+
+    /**
+     * Generate the SVG path data for this Polyline
+     * @returns {string} The SVG path data
+     */
+    toSVGPathData() {
+        if (this.points.length === 0) return '';
+        
+        const [first, ...rest] = this.points;
+        const path = `M ${first.x} ${first.y}` + rest.map(point => ` L ${point.x} ${point.y}`).join('');
+        
+        return this.closed ? `${path} Z` : path;
+    }
+
+    /**
+     * Generate an SVG element for this Polyline
+     * @returns {SVGElement} The SVG polygon element if closed, otherwise a polyline element
+     */
+    toSVGElement() {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', this.closed ? 'polygon' : 'polyline');
+        element.setAttribute('points', this.points.map(point => `${point.x},${point.y}`).join(' '));
+        element.setAttribute('data-id', this.id);
+        element.setAttribute('data-type', this.type);
+        return ShapeStyle.applyToElement(this, element);
+    }
+
+    /**
+     * Convert this Polyline to a string representation
+     * @returns {string} The string representation of this Polyline
+     */
+    toString() {
+        return `${this.closed ? 'Closed polyline' : 'Polyline'} with ${this.points.length} vertices and length ${MathUtils.round(this.getLength(), 2)}`;
+    }
+
+    /**
+     * Convert this Polyline to an object
+     * @returns {Object} The object representation of this Polyline
+     */
+    toObject() {
+        return {
+            type: this.type,
+            id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
+            fill: this.fill,
+            points: this.points.map(point => ({ x: point.x, y: point.y })),
+            closed: this.closed
+        };
+    }
+}
+
+// Make Polyline available globally
+window.Polyline = Polyline;
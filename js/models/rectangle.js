@@ -9,8 +9,9 @@ class Rectangle {
      * @param {number} y - Y coordinate of the top-left corner
      * @param {number} width - Width of the rectangle
      * @param {number} height - Height of the rectangle
+     * @param {number} rotation - Rotation around the center in radians
      */
-    constructor(x, y, width, height) {
+    constructor(x, y, width, height, rotation = 0) {
         this.x = x || 0;
         this.y = y || 0;
         
@@ -18,8 +19,11 @@ class Rectangle {
         this.width = Math.abs(width || 0);
         this.height = Math.abs(height || 0);
         
+        // Rotation around the center point, in radians
+        this.rotation = rotation || 0;
+        
         this.type = 'rectangle';
-        this.id = `rectangle_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        this.id = ShapeFactory.generateId('rectangle');
     }
 
     /**
@@ -43,7 +47,39 @@ class Rectangle {
      * @returns {Rectangle} A new Rectangle instance
      */
     static fromObject(obj) {
-        return new Rectangle(obj.x, obj.y, obj.width, obj.height);
+        return new Rectangle(obj.x, obj.y, obj.width, obj.height, obj.rotation);
+    }
+
+    /**
+     * Transform a point from the unrotated frame of this Rectangle to world coordinates
+     * @param {number} x - X coordinate in the unrotated frame
+     * @param {number} y - Y coordinate in the unrotated frame
+     * @returns {Point} The point in world coordinates
+     */
+    localToWorld(x, y) {
+        if (!this.rotation) {
+            return new Point(x, y);
+        }
+        
+        const center = this.getCenter();
+        const rotated = MathUtils.rotatePoint(x, y, center.x, center.y, this.rotation);
+        return new Point(rotated.x, rotated.y);
+    }
+
+    /**
+     * Transform a point from world coordinates to the unrotated frame of this Rectangle
+     * @param {number} x - X coordinate in world coordinates
+     * @param {number} y - Y coordinate in world coordinates
+     * @returns {Point} The point in the unrotated frame
+     */
+    worldToLocal(x, y) {
+        if (!this.rotation) {
+            return new Point(x, y);
+        }
+        
+        const center = this.getCenter();
+        const unrotated = MathUtils.rotatePoint(x, y, center.x, center.y, -this.rotation);
+        return new Point(unrotated.x, unrotated.y);
     }
 
     /**
@@ -51,7 +87,7 @@ class Rectangle {
      * @returns {Point} The top-left corner
      */
     getTopLeft() {
-        return new Point(this.x, this.y);
+        return this.localToWorld(this.x, this.y);
     }
 
     /**
@@ -59,7 +95,7 @@ class Rectangle {
      * @returns {Point} The top-right corner
      */
     getTopRight() {
-        return new Point(this.x + this.width, this.y);
+        return this.localToWorld(this.x + this.width, this.y);
     }
 
     /**
@@ -67,7 +103,7 @@ class Rectangle {
      * @returns {Point} The bottom-left corner
      */
     getBottomLeft() {
-        return new Point(this.x, this.y + this.height);
+        return this.localToWorld(this.x, this.y + this.height);
     }
 
     /**
@@ -75,7 +111,20 @@ class Rectangle {
      * @returns {Point} The bottom-right corner
      */
     getBottomRight() {
-        return new Point(this.x + this.width, this.y + this.height);
+        return this.localToWorld(this.x + this.width, this.y + this.height);
+    }
+
+    /**
+     * Get the four corners of this Rectangle in drawing order
+     * @returns {Array<Point>} The top-left, top-right, bottom-right and bottom-left corners
+     */
+    getCorners() {
+        return [
+            this.getTopLeft(),
+            this.getTopRight(),
+            this.getBottomRight(),
+            this.getBottomLeft()
+        ];
     }
 
     /**
@@ -89,6 +138,29 @@ class Rectangle {
         );
     }
 
+    /**
+     * Get the axis-aligned bounding box of this Rectangle
+     * @returns {Object} The bounding box {x, y, width, height}
+     */
+    getBoundingBox() {
+        if (!this.rotation) {
+            return { x: this.x, y: this.y, width: this.width, height: this.height };
+        }
+        
+        const corners = this.getCorners();
+        const xs = corners.map(corner => corner.x);
+        const ys = corners.map(corner => corner.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+
     /**
      * Get the area of this Rectangle
      * @returns {number} The area
@@ -112,7 +184,8 @@ class Rectangle {
      * @returns {boolean} True if the point is inside the rectangle
      */
     containsPoint(x, y) {
-        return MathUtils.isPointInRectangle(x, y, this.x, this.y, this.width, this.height);
+        const local = this.worldToLocal(x, y);
+        return MathUtils.isPointInRectangle(local.x, local.y, this.x, this.y, this.width, this.height);
     }
 
     /**
@@ -155,7 +228,7 @@ class Rectangle {
      * @returns {Rectangle} A new Rectangle with the same properties
      */
     clone() {
-        return new Rectangle(this.x, this.y, this.width, this.height);
+        return new Rectangle(this.x, this.y, this.width, this.height, this.rotation);
     }
 
     /**
@@ -171,7 +244,8 @@ class Rectangle {
             Math.abs(this.x - rect.x) <= tolerance &&
             Math.abs(this.y - rect.y) <= tolerance &&
             Math.abs(this.width - rect.width) <= tolerance &&
-            Math.abs(this.height - rect.height) <= tolerance
+            Math.abs(this.height - rect.height) <= tolerance &&
+            Math.abs(MathUtils.normalizeAngle((this.rotation || 0) - (rect.rotation || 0))) <= tolerance
         );
     }
 
@@ -185,6 +259,35 @@ class Rectangle {
         this.y += dy;
     }
 
+    /**
+     * Rotate this Rectangle around a pivot point
+     * @param {number} angle - The rotation angle in radians
+     * @param {Point} pivot - The pivot point (defaults to the center)
+     */
+    rotate(angle, pivot = this.getCenter()) {
+        const center = this.getCenter();
+        const newCenter = MathUtils.rotatePoint(center.x, center.y, pivot.x, pivot.y, angle);
+        
+        this.x = newCenter.x - this.width / 2;
+        this.y = newCenter.y - this.height / 2;
+        this.rotation = MathUtils.normalizeAngle(this.rotation + angle);
+    }
+
+    /**
+     * Mirror this Rectangle about a line
+     * @param {Line} axis - The mirror line, extended past its ends
+     */
+    mirror(axis) {
+        const center = this.getCenter();
+        const newCenter = MathUtils.reflectPoint(center.x, center.y, axis.x1, axis.y1, axis.x2, axis.y2);
+        const axisAngle = MathUtils.angle(axis.x1, axis.y1, axis.x2, axis.y2);
+        
+        // A rectangle is symmetric about its own axes, so its reflection is the same rectangle turned
+        this.x = newCenter.x - this.width / 2;
+        this.y = newCenter.y - this.height / 2;
+        this.rotation = MathUtils.reflectAngle(this.rotation, axisAngle);
+    }
+
     /**
      * Resize this Rectangle
      * @param {number} newWidth - The new width
@@ -236,6 +339,11 @@ class Rectangle {
      * @returns {string} The SVG path data
      */
     toSVGPathData() {
+        if (this.rotation) {
+            const [topLeft, topRight, bottomRight, bottomLeft] = this.getCorners();
+            return `M ${topLeft.x} ${topLeft.y} L ${topRight.x} ${topRight.y} L ${bottomRight.x} ${bottomRight.y} L ${bottomLeft.x} ${bottomLeft.y} Z`;
+        }
+        
         return `M ${this.x} ${this.y} H ${this.x + this.width} V ${this.y + this.height} H ${this.x} Z`;
     }
 
@@ -249,9 +357,15 @@ class Rectangle {
         rect.setAttribute('y', this.y);
         rect.setAttribute('width', this.width);
         rect.setAttribute('height', this.height);
+        
+        if (this.rotation) {
+            const center = this.getCenter();
+            rect.setAttribute('transform', `rotate(${MathUtils.radiansToDegrees(this.rotation)} ${center.x} ${center.y})`);
+        }
+        
         rect.setAttribute('data-id', this.id);
         rect.setAttribute('data-type', this.type);
-        return rect;
+        return ShapeStyle.applyToElement(this, rect);
     }
 
     /**
@@ -259,7 +373,8 @@ class Rectangle {
      * @returns {string} The string representation of this Rectangle
      */
     toString() {
-        return `Rectangle at (${MathUtils.round(this.x, 2)}, ${MathUtils.round(this.y, 2)}) with width ${MathUtils.round(this.width, 2)} and height ${MathUtils.round(this.height, 2)}`;
+        return `Rectangle at (${MathUtils.round(this.x, 2)}, ${MathUtils.round(this.y, 2)}) with width ${MathUtils.round(this.width, 2)} and height ${MathUtils.round(this.height, 2)}` +
+            (this.rotation ? ` rotated ${MathUtils.round(MathUtils.radiansToDegrees(this.rotation), 2)}°` : '');
     }
 
     /**
@@ -270,10 +385,16 @@ class Rectangle {
         return {
             type: this.type,
             id: this.id,
+            layerId: this.layerId,
+            stroke: this.stroke,
+            strokeWidth: this.strokeWidth,
+            lineType: this.lineType,
+            fill: this.fill,
             x: this.x,
             y: this.y,
             width: this.width,
-            height: this.height
+            height: this.height,
+            rotation: this.rotation
         };
     }
 }
@@ -0,0 +1,86 @@
+/**
+ * Shape Factory for the CAD Editor
+ * Creates model instances from plain shape objects
+ */
+const ShapeFactory = {
+    // Counter that keeps IDs unique when many shapes are created at once
+    idCounter: 0,
+
+    // Non-geometric properties kept when a shape is rebuilt from another
+    ATTRIBUTES: ['id', 'layerId', 'stroke', 'strokeWidth', 'lineType', 'fill'],
+
+    /**
+     * Generate a unique shape ID
+     * @param {string} type - The shape type used as the ID prefix
+     * @returns {string} The new ID
+     */
+    generateId(type) {
+        this.idCounter++;
+        return `${type}_${Date.now()}_${this.idCounter}`;
+    },
+
+    /**
+     * Create a shape instance from a plain object, keeping its ID and attributes
+     * @param {Object} obj - The object with shape properties
+     * @returns {Object|null} The shape instance or null if the type is unknown
+     */
+    fromObject(obj) {
+        if (!obj) return null;
+        
+        let shape;
+        
+        switch (obj.type) {
+            case 'line':
+                shape = Line.fromObject(obj);
+                break;
+                
+            case 'rectangle':
+                shape = Rectangle.fromObject(obj);
+                break;
+                
+            case 'circle':
+                shape = Circle.fromObject(obj);
+                break;
+                
+            case 'arc':
+                shape = Arc.fromObject(obj);
+                break;
+                
+            case 'polyline':
+                shape = Polyline.fromObject(obj);
+                break;
+                
+            case 'ellipse':
+                shape = Ellipse.fromObject(obj);
+                break;
+                
+            case 'group':
+                shape = Group.fromObject(obj);
+                break;
+                
+            default:
+                return null;
+        }
+        
+        return this.copyAttributes(obj, shape);
+    },
+
+    /**
+     * Copy the ID and other non-geometric attributes from one shape to another
+     * @param {Object} source - The shape to copy from
+     * @param {Object} target - The shape to copy to
+     * @returns {Object} The target shape
+     */
+    copyAttributes(source, target) {
+        this.ATTRIBUTES.forEach(key => {
+            if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+                target[key] = source[key];
+            }
+        });
+        
+        return target;
+    }
+};
+
+// Make ShapeFactory available globally
+window.ShapeFactory = ShapeFactory;
@@ -19,6 +19,9 @@ class ArcTool extends BaseTool {
         this.originalEndAngle = 0;
         this.currentArc = null;
         this.dimensionInputActive = false;
+        this.drawMode = 'center'; // 'center', 'three-point' or 'tangent'
+        this.points = [];
+        this.tangentSource = null;
     }
 
     /**
@@ -53,6 +56,8 @@ class ArcTool extends BaseTool {
         this.originalEndAngle = 0;
         this.currentArc = null;
         this.dimensionInputActive = false;
+        this.points = [];
+        this.tangentSource = null;
         if (this.canvasManager) {
             this.canvasManager.clearPreview();
         }
@@ -62,12 +67,36 @@ class ArcTool extends BaseTool {
      * Update the status hint
      */
     updateStatusHint() {
-        this.statusHint = 'Arc: Click to set center point or press Tab for precise input';
+        if (this.drawMode === 'three-point') {
+            const steps = ['the start point', 'a point on the arc', 'the end point'];
+            this.statusHint = `Arc (3-point): Click ${steps[this.points.length]}, M to change mode`;
+        } else if (this.drawMode === 'tangent') {
+            this.statusHint = this.findTangentSource()
+                ? 'Arc (tangent): Click the end point of an arc continuing the nearer end of the last line or arc, M to change mode'
+                : 'Arc (tangent): Draw a line, arc or polyline first to continue from, M to change mode';
+        } else {
+            this.statusHint = 'Arc: Click to set center point or press Tab for precise input, M to change mode';
+        }
         if (this.appState) {
             this.appState.statusHint = this.statusHint;
         }
     }
 
+    /**
+     * Set the draw mode
+     * @param {string} mode - The draw mode ('center', 'three-point' or 'tangent')
+     */
+    setDrawMode(mode) {
+        if (mode === 'center' || mode === 'three-point' || mode === 'tangent') {
+            this.reset();
+            this.drawMode = mode;
+            this.updateStatusHint();
+            logger.info(`Arc tool: Draw mode set to ${mode}`);
+        } else {
+            logger.warn(`Arc tool: Invalid draw mode ${mode}`);
+        }
+    }
+
     /**
      * Handle mouse down event
      * @param {MouseEvent} event - The mouse event
@@ -75,6 +104,14 @@ class ArcTool extends BaseTool {
     onMouseDown(event) {
         if (!this.active || !this.canvasManager) return;
         
+        // Three-point and tangent arcs are placed by clicking their points
+        if (this.drawMode !== 'center') {
+            if (event.button === 0) {
+                this.placePoint(this.getEventPoint(event));
+            }
+            return;
+        }
+        
         // Call the parent method to handle dimension input clicks
         super.onMouseDown(event);
         if (this.dimensionInputActive) {
@@ -128,6 +165,11 @@ class ArcTool extends BaseTool {
             };
         }
         
+        if (this.drawMode !== 'center') {
+            this.updateConstructionPreview();
+            return;
+        }
+        
         // Update preview circle if we're drawing
         if (this.mouseDown && this.previewCircle && this.centerPoint) {
             this.updatePreviewCircle();
@@ -182,6 +224,15 @@ class ArcTool extends BaseTool {
     onKeyDown(event) {
         if (!this.active) return;
         
+        // M cycles through the draw modes unless it is typed into the arc input
+        const typing = event.target && event.target.tagName === 'INPUT';
+        if ((event.key === 'm' || event.key === 'M') && !typing) {
+            const modes = ['center', 'three-point', 'tangent'];
+            this.setDrawMode(modes[(modes.indexOf(this.drawMode) + 1) % modes.length]);
+            event.preventDefault();
+            return;
+        }
+        
         // Call the parent method to handle common key events
         super.onKeyDown(event);
         
@@ -191,7 +242,8 @@ class ArcTool extends BaseTool {
             return;
         }
         
-        if (event.key === 'Tab' && !this.dimensionInputActive) {
+        // Precise input applies to arcs drawn from their center
+        if (event.key === 'Tab' && !this.dimensionInputActive && this.drawMode === 'center') {
             // Create a default center point if none exists
             if (!this.centerPoint) {
                 this.centerPoint = new Point(0, 0);
@@ -211,6 +263,167 @@ class ArcTool extends BaseTool {
         }
     }
 
+    /**
+     * Get the constrained world position of a mouse event
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The position in world coordinates
+     */
+    getEventPoint(event) {
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const screenX = event.clientX - rect.left;
+        const screenY = event.clientY - rect.top;
+        const worldPos = this.canvasManager.screenToWorld(screenX, screenY);
+        const constrainedPos = this.constraintManager.applyConstraints(worldPos.x, worldPos.y);
+        
+        return new Point(constrainedPos.x, constrainedPos.y);
+    }
+
+    /**
+     * Place the next point of a three-point or tangent arc
+     * @param {Point} point - The point position
+     */
+    placePoint(point) {
+        const lastPoint = this.drawMode === 'tangent' || this.points.length === 2;
+        
+        if (!lastPoint) {
+            // Ignore repeated clicks on the previous point
+            const previous = this.points[this.points.length - 1];
+            if (previous && previous.distanceTo(point) < 0.001) return;
+            
+            this.points.push(point);
+            this.updateConstructionPreview();
+            this.updateStatusHint();
+            logger.info(`Arc tool: Point ${this.points.length} set at ${point.toString()}`);
+            return;
+        }
+        
+        const arc = this.buildArc(point);
+        
+        if (!arc) {
+            logger.warn(this.drawMode === 'tangent'
+                ? 'Arc tool: Nothing to continue from, or the end point is on the tangent'
+                : 'Arc tool: Cannot create an arc through collinear points');
+            return;
+        }
+        
+        this.currentArc = arc;
+        this.commitArc();
+    }
+
+    /**
+     * Build the three-point or tangent arc ending at a point
+     * @param {Point} point - The end point
+     * @returns {Arc|null} The arc, or null if the points do not define one
+     */
+    buildArc(point) {
+        if (this.drawMode === 'tangent') {
+            const source = this.findTangentSource(point);
+            return source ? Arc.fromTangent(source.point, source.direction, point) : null;
+        }
+        
+        if (this.points.length < 2) return null;
+        
+        return Arc.fromThreePoints(this.points[0], this.points[1], point);
+    }
+
+    /**
+     * Find the end of the most recently drawn line, arc or open polyline to continue from
+     * @param {Point} [near] - Continue from the end closest to this point instead of the last end
+     * @returns {Object|null} The end point and direction of travel {point, direction}, or null if there is none
+     */
+    findTangentSource(near) {
+        if (!this.canvasManager) return null;
+        
+        const shape = this.canvasManager.shapes.slice().reverse().find(candidate =>
+            candidate.type === 'line' ||
+            candidate.type === 'arc' ||
+            (candidate.type === 'polyline' && !candidate.closed && candidate.points.length > 1)
+        );
+        
+        if (!shape) return null;
+        
+        // Both ends of the shape, with the direction leading away from it
+        let ends;
+        
+        if (shape.type === 'line') {
+            ends = [
+                { point: new Point(shape.x2, shape.y2), direction: { x: shape.x2 - shape.x1, y: shape.y2 - shape.y1 } },
+                { point: new Point(shape.x1, shape.y1), direction: { x: shape.x1 - shape.x2, y: shape.y1 - shape.y2 } }
+            ];
+        } else if (shape.type === 'arc') {
+            // Arcs run with increasing angle
+            ends = [
+                { point: shape.getEndPoint(), direction: { x: -Math.sin(shape.endAngle), y: Math.cos(shape.endAngle) } },
+                { point: shape.getStartPoint(), direction: { x: Math.sin(shape.startAngle), y: -Math.cos(shape.startAngle) } }
+            ];
+        } else {
+            const points = shape.points;
+            const last = points[points.length - 1];
+            const beforeLast = points[points.length - 2];
+            ends = [
+                { point: new Point(last.x, last.y), direction: { x: last.x - beforeLast.x, y: last.y - beforeLast.y } },
+                { point: new Point(points[0].x, points[0].y), direction: { x: points[0].x - points[1].x, y: points[0].y - points[1].y } }
+            ];
+        }
+        
+        if (near && ends[1].point.distanceTo(near) < ends[0].point.distanceTo(near)) {
+            return ends[1];
+        }
+        
+        return ends[0];
+    }
+
+    /**
+     * Show the arc for the current cursor position with its construction lines
+     */
+    updateConstructionPreview() {
+        if (!this.canvasManager) return;
+        
+        const point = this.currentPoint;
+        
+        if (this.drawMode === 'tangent') {
+            this.tangentSource = this.findTangentSource(point);
+        }
+
+        const elements = [];
+        
+        if (this.drawMode === 'three-point') {
+            // Chords between the placed points and the cursor
+            const points = point ? [...this.points, point] : this.points;
+            for (let i = 1; i < points.length; i++) {
+                elements.push(new Line(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y));
+            }
+        } else if (this.tangentSource && point) {
+            // The tangent continues the direction of the previous shape
+            const source = this.tangentSource;
+            const length = Math.hypot(source.direction.x, source.direction.y) || 1;
+            const reach = source.point.distanceTo(point);
+            elements.push(new Line(
+                source.point.x,
+                source.point.y,
+                source.point.x + source.direction.x / length * reach,
+                source.point.y + source.direction.y / length * reach
+            ));
+        }
+        
+        const arc = point ? this.buildArc(point) : null;
+        
+        if (arc) {
+            // Radius lines from the center to both ends
+            const start = arc.getStartPoint();
+            const end = arc.getEndPoint();
+            elements.push(new Line(arc.cx, arc.cy, start.x, start.y));
+            elements.push(new Line(arc.cx, arc.cy, end.x, end.y));
+            elements.push(arc);
+        }
+        
+        if (elements.length > 0) {
+            this.canvasManager.setPreviewElement(elements);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+
     /**
      * Update the preview circle
      */
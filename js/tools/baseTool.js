@@ -63,6 +63,11 @@ class BaseTool {
         this.active = false;
         this.reset();
         
+        // The next tool acquires its own reference line
+        if (this.constraintManager) {
+            this.constraintManager.resetInference();
+        }
+        
         // Hide dimension input if visible
         if (this.dimensionInput && this.dimensionInput.isVisible()) {
             this.dimensionInput.hide();
@@ -88,6 +93,17 @@ class BaseTool {
         if (this.canvasManager) {
             this.canvasManager.clearPreview();
         }
+        
+        if (this.constraintManager) {
+            this.constraintManager.clearInference();
+            this.constraintManager.clearSnapIndicator();
+            this.constraintManager.resetTracking();
+            
+            // Tangent and perpendicular snaps have nothing to start from
+            if (this.constraintManager.referencePoint) {
+                this.constraintManager.setReferencePoint(null);
+            }
+        }
     }
 
     /**
@@ -109,6 +125,33 @@ class BaseTool {
         }
     }
 
+    /**
+     * Show a message in the status bar
+     * @param {string} hint - The message
+     */
+    setStatusHint(hint) {
+        this.statusHint = hint;
+        
+        if (this.appState) {
+            this.appState.statusHint = hint;
+        }
+        
+        if (window.appData) {
+            window.appData.statusHint = hint;
+        }
+    }
+
+    /**
+     * Get the world position of a mouse event without snapping, so picks stay on the clicked shape
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The position in world coordinates
+     */
+    getEventPoint(event) {
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const worldPos = this.canvasManager.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+        return new Point(worldPos.x, worldPos.y);
+    }
+
     /**
      * Handle mouse down event
      * @param {MouseEvent} event - The mouse event
@@ -240,6 +283,28 @@ class BaseTool {
         if (!this.active) return;
     }
 
+    /**
+     * Toggle parallel (P) or perpendicular (N) inference from the keyboard, for tools that draw lines
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {boolean} True if the key was handled
+     */
+    handleInferenceKey(event) {
+        if (!window.appStateManager || event.ctrlKey || event.metaKey || event.altKey) return false;
+        
+        const key = event.key.toLowerCase();
+        
+        if (key === 'p') {
+            window.appStateManager.toggleParallelInference();
+        } else if (key === 'n') {
+            window.appStateManager.togglePerpendicularInference();
+        } else {
+            return false;
+        }
+        
+        event.preventDefault();
+        return true;
+    }
+
     /**
      * Handle double click event
      * @param {MouseEvent} event - The mouse event
@@ -253,7 +318,17 @@ class BaseTool {
      * @param {WheelEvent} event - The wheel event
      */
     onWheel(event) {
-        if (!this.active) return;
+        if (!this.active || !this.canvasManager) return;
+        
+        event.preventDefault();
+        
+        // Zoom around the cursor so the point under it stays in place
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const screenX = event.clientX - rect.left;
+        const screenY = event.clientY - rect.top;
+        const factor = event.deltaY < 0 ? this.canvasManager.zoomStep : 1 / this.canvasManager.zoomStep;
+        
+        this.canvasManager.setZoom(this.canvasManager.zoom * factor, screenX, screenY);
     }
 
     /**
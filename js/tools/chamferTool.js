@@ -0,0 +1,98 @@
+/**
+ * Chamfer Tool for the CAD Editor
+ * Bevels the corner between two lines, by equal distances or by a distance and an angle
+ */
+class ChamferTool extends CornerTool {
+    /**
+     * Create a new ChamferTool
+     */
+    constructor() {
+        super('chamfer', { distance: 10, angle: 45 });
+        this.chamferMode = 'distance'; // 'distance' (same distance on both lines) or 'angle' (distance and angle)
+    }
+
+    /**
+     * Get the name of the tool and its settings for the status bar
+     * @returns {string} The label
+     */
+    getLabel() {
+        const distance = MathUtils.round(this.values.distance, 2);
+        
+        return this.chamferMode === 'angle'
+            ? `Chamfer (distance ${distance}, angle ${MathUtils.round(this.values.angle, 2)}°)`
+            : `Chamfer (distance ${distance})`;
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        super.updateStatusHint();
+        this.setStatusHint(`${this.statusHint}, M to change mode`);
+    }
+
+    /**
+     * Get the dimension types that Tab cycles through
+     * @returns {Array<string>} The dimension types
+     */
+    getDimensionTypes() {
+        return this.chamferMode === 'angle' ? ['distance', 'angle'] : ['distance'];
+    }
+
+    /**
+     * Create the cut lines and the bevel joining them
+     * @param {Object} corner - The corner from LineCorners.findCorner
+     * @param {Object} values - The dimension values {distance, angle}, with the angle in degrees
+     * @returns {Object|null} The result {first, second, join}, or null if the bevel does not fit
+     */
+    createJoin(corner, values) {
+        const angle = this.chamferMode === 'angle' ? MathUtils.degreesToRadians(values.angle) : null;
+        return LineCorners.chamfer(corner, values.distance, angle);
+    }
+
+    /**
+     * Get the message shown when the bevel does not fit on the lines
+     * @returns {string} The message
+     */
+    getFitError() {
+        return this.chamferMode === 'angle'
+            ? 'The chamfer does not fit on these lines at that distance and angle'
+            : 'The distance is too large for these lines';
+    }
+
+    /**
+     * Switch between the distance and distance-angle modes
+     */
+    toggleChamferMode() {
+        this.chamferMode = this.chamferMode === 'distance' ? 'angle' : 'distance';
+        
+        if (this.firstLine) {
+            this.updatePreview(this.currentPoint);
+        }
+        
+        this.updateStatusHint();
+        logger.info(`Chamfer tool: Mode set to ${this.chamferMode}`);
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        if ((event.key === 'm' || event.key === 'M') && !(event.target && event.target.tagName === 'INPUT')) {
+            this.toggleChamferMode();
+            event.preventDefault();
+            return;
+        }
+        
+        super.onKeyDown(event);
+    }
+}
+
+// Create a singleton instance
+const chamferTool = new ChamferTool();
+
+// Make chamferTool available globally
+window.chamferTool = chamferTool;
@@ -1,6 +1,7 @@
 /**
  * Circle Tool for the CAD Editor
- * Allows drawing circles by center and radius
+ * Allows drawing circles by center and radius, by diameter, through three points
+ * or tangent to existing lines, circles and arcs
  */
 class CircleTool extends BaseTool {
     /**
@@ -11,10 +12,13 @@ class CircleTool extends BaseTool {
         this.previewCircle = null;
         this.centerPoint = null;
         this.radiusPoint = null;
-        this.drawMode = 'center-radius'; // 'center-radius' or 'diameter'
+        this.drawMode = 'center-radius'; // 'center-radius', 'diameter', 'three-point', 'ttr' or 'ttt'
         this.radius = 0;
         this.originalRadius = 0;
         this.currentCircle = null; // Store the actual circle being edited
+        this.points = []; // Points picked in three-point mode
+        this.targets = []; // Tangency targets picked in ttr and ttt modes
+        this.pickedShapes = [];
     }
 
     /**
@@ -36,6 +40,9 @@ class CircleTool extends BaseTool {
         this.radius = 0;
         this.originalRadius = 0;
         this.currentCircle = null;
+        this.points = [];
+        this.targets = [];
+        this.pickedShapes = [];
     }
 
     /**
@@ -49,26 +56,58 @@ class CircleTool extends BaseTool {
         this.radius = 0;
         this.originalRadius = 0;
         this.currentCircle = null;
+        this.points = [];
+        this.targets = [];
+        this.pickedShapes = [];
     }
 
     /**
      * Update the status hint
      */
     updateStatusHint() {
-        this.statusHint = 'Circle: Click and drag to create a circle, press Tab for precise input';
+        const objects = ['the first', 'the second', 'the third'];
+        
+        if (this.drawMode === 'diameter') {
+            this.setStatusHint('Circle (2-point): Click and drag across the diameter, M to change mode');
+        } else if (this.drawMode === 'three-point') {
+            this.setStatusHint(`Circle (3-point): Click ${objects[this.points.length]} point on the circle, M to change mode`);
+        } else if (this.drawMode === 'ttr' && this.targets.length === 2) {
+            this.setStatusHint('Circle (tangent, tangent, radius): Type the radius and press Enter, Escape to cancel');
+        } else if (this.drawMode === 'ttr') {
+            this.setStatusHint(`Circle (tangent, tangent, radius): Click ${objects[this.targets.length]} line, circle or arc to touch, M to change mode`);
+        } else if (this.drawMode === 'ttt') {
+            this.setStatusHint(`Circle (tangent, tangent, tangent): Click ${objects[this.targets.length]} line, circle or arc to touch, M to change mode`);
+        } else {
+            this.setStatusHint('Circle: Click and drag to create a circle, press Tab for precise input, M to change mode');
+        }
+    }
+
+    /**
+     * Show a message in the status bar
+     * @param {string} hint - The message
+     */
+    setStatusHint(hint) {
+        this.statusHint = hint;
         
         if (this.appState) {
-            this.appState.statusHint = this.statusHint;
+            this.appState.statusHint = hint;
+        }
+        
+        // Errors appear while the tool stays active, so update the status bar directly
+        if (window.appData) {
+            window.appData.statusHint = hint;
         }
     }
 
     /**
      * Set the draw mode
-     * @param {string} mode - The draw mode ('center-radius' or 'diameter')
+     * @param {string} mode - The draw mode ('center-radius', 'diameter', 'three-point', 'ttr' or 'ttt')
      */
     setDrawMode(mode) {
-        if (mode === 'center-radius' || mode === 'diameter') {
+        if (['center-radius', 'diameter', 'three-point', 'ttr', 'ttt'].includes(mode)) {
+            this.reset();
             this.drawMode = mode;
+            this.updateStatusHint();
             logger.info(`Circle tool: Draw mode set to ${mode}`);
         } else {
             logger.warn(`Circle tool: Invalid draw mode ${mode}`);
@@ -88,6 +127,18 @@ class CircleTool extends BaseTool {
             return;
         }
         
+        // Three-point and tangent circles are built from clicked points and shapes
+        if (this.isConstructionMode()) {
+            if (event.button === 0 && !this.dimensionInputActive) {
+                if (this.drawMode === 'three-point') {
+                    this.placePoint(this.getEventPoint(event));
+                } else {
+                    this.pickTarget(event);
+                }
+            }
+            return;
+        }
+        
         // Get mouse position in world coordinates
         const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
         const screenX = event.clientX - rect.left;
@@ -142,6 +193,11 @@ class CircleTool extends BaseTool {
             };
         }
         
+        if (this.drawMode === 'three-point') {
+            this.updateConstructionPreview();
+            return;
+        }
+        
         // Update preview circle if we're drawing
         if (this.mouseDown && this.previewCircle && this.centerPoint) {
             this.updatePreviewCircle();
@@ -174,6 +230,13 @@ class CircleTool extends BaseTool {
         // Calculate radius
         this.radius = this.centerPoint.distanceTo(this.radiusPoint);
         
+        // A 2-point drag runs across the circle, so the center is halfway along it
+        if (this.drawMode === 'diameter') {
+            const circle = Circle.fromDiameter(this.centerPoint, this.radiusPoint);
+            this.centerPoint = new Point(circle.cx, circle.cy);
+            this.radius = circle.radius;
+        }
+        
         // Check if the circle has zero radius
         if (this.radius < 0.001) {
             logger.warn('Circle tool: Cannot create zero-radius circle');
@@ -198,8 +261,14 @@ class CircleTool extends BaseTool {
     onKeyDown(event) {
         if (!this.active) return;
         
-        // Call the parent method to handle common key events
-        super.onKeyDown(event);
+        // M cycles through the draw modes unless it is typed into the radius input
+        const typing = event.target && event.target.tagName === 'INPUT';
+        if ((event.key === 'm' || event.key === 'M') && !typing) {
+            const modes = ['center-radius', 'diameter', 'three-point', 'ttr', 'ttt'];
+            this.setDrawMode(modes[(modes.indexOf(this.drawMode) + 1) % modes.length]);
+            event.preventDefault();
+            return;
+        }
         
         // Handle escape key to cancel
         if (event.key === 'Escape') {
@@ -208,6 +277,12 @@ class CircleTool extends BaseTool {
             return;
         }
         
+        // Precise input only applies to circles drawn by dragging
+        if (this.isConstructionMode()) return;
+        
+        // Call the parent method to handle common key events
+        super.onKeyDown(event);
+        
         // Handle shift key for perfect circle from center
         if (event.key === 'Shift' && this.mouseDown) {
             // Update preview with perfect circle constraint
@@ -244,12 +319,23 @@ class CircleTool extends BaseTool {
     updatePreviewCircle(perfectCircle = false) {
         if (!this.centerPoint || !this.currentPoint || !this.previewCircle) return;
         
+        if (this.drawMode === 'diameter') {
+            // The drag runs across the circle
+            const circle = Circle.fromDiameter(this.centerPoint, this.currentPoint);
+            this.radius = circle.radius;
+            this.previewCircle.cx = circle.cx;
+            this.previewCircle.cy = circle.cy;
+            this.previewCircle.radius = this.radius;
+            this.canvasManager.setPreviewElement(this.previewCircle);
+            return;
+        }
+        
         // Calculate radius based on distance from center to current point
         this.radius = this.centerPoint.distanceTo(this.currentPoint);
         
         // Update preview circle
-        this.previewCircle.centerX = this.centerPoint.x;
-        this.previewCircle.centerY = this.centerPoint.y;
+        this.previewCircle.cx = this.centerPoint.x;
+        this.previewCircle.cy = this.centerPoint.y;
         this.previewCircle.radius = this.radius;
         
         this.canvasManager.setPreviewElement(this.previewCircle);
@@ -416,7 +502,12 @@ class CircleTool extends BaseTool {
         const applyChanges = () => {
             const radius = parseFloat(radiusInput.value);
             
-            if (!isNaN(radius) && radius > 0) {
+            if (this.drawMode === 'ttr') {
+                // Keep the input open so another radius can be tried when there is no solution
+                if (isNaN(radius) || radius <= 0 || !this.commitTangentCircle(radius)) {
+                    return;
+                }
+            } else if (!isNaN(radius) && radius > 0) {
                 // Update the current circle with new radius
                 if (this.currentCircle) {
                     this.currentCircle.radius = radius;
@@ -458,6 +549,11 @@ class CircleTool extends BaseTool {
      * @param {string} dimensionType - The type of dimension being changed
      */
     previewDimension(value, dimensionType) {
+        if (this.drawMode === 'ttr') {
+            this.updateTangentPreview(value);
+            return;
+        }
+        
         if (!this.previewCircle || !this.centerPoint) return;
         
         if (dimensionType === 'radius') {
@@ -471,6 +567,205 @@ class CircleTool extends BaseTool {
         // Update the preview
         this.canvasManager.setPreviewElement(this.previewCircle);
     }
+    
+    /**
+     * Check whether the circle is built from clicked points and shapes rather than dragged
+     * @returns {boolean} True for the three-point and tangent modes
+     */
+    isConstructionMode() {
+        return this.drawMode === 'three-point' || this.drawMode === 'ttr' || this.drawMode === 'ttt';
+    }
+    
+    /**
+     * Get the constrained world position of a mouse event
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The position in world coordinates
+     */
+    getEventPoint(event) {
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const screenX = event.clientX - rect.left;
+        const screenY = event.clientY - rect.top;
+        const worldPos = this.canvasManager.screenToWorld(screenX, screenY);
+        const constrainedPos = this.constraintManager.applyConstraints(worldPos.x, worldPos.y);
+        
+        return new Point(constrainedPos.x, constrainedPos.y);
+    }
+    
+    /**
+     * Show why a circle could not be created
+     * @param {string} message - The error message
+     */
+    showError(message) {
+        logger.warn(`Circle tool: ${message}`);
+        this.setStatusHint(message);
+    }
+    
+    /**
+     * Place the next point of a three-point circle
+     * @param {Point} point - The point position
+     */
+    placePoint(point) {
+        if (this.points.length < 2) {
+            // Ignore repeated clicks on the previous point
+            const previous = this.points[this.points.length - 1];
+            if (previous && previous.distanceTo(point) < 0.001) return;
+            
+            this.points.push(point);
+            this.updateConstructionPreview();
+            this.updateStatusHint();
+            logger.info(`Circle tool: Point ${this.points.length} set at ${point.toString()}`);
+            return;
+        }
+        
+        const circle = Circle.fromThreePoints(this.points[0], this.points[1], point);
+        
+        if (!circle) {
+            this.showError('Circle (3-point): The points lie on a line, so no circle passes through them');
+            return;
+        }
+        
+        this.currentCircle = circle;
+        this.commitCircle();
+    }
+    
+    /**
+     * Show the three-point circle for the current cursor position with its chords
+     */
+    updateConstructionPreview() {
+        if (!this.canvasManager) return;
+        
+        const point = this.currentPoint;
+        const points = point ? [...this.points, point] : this.points;
+        const elements = [];
+        
+        for (let i = 1; i < points.length; i++) {
+            elements.push(new Line(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y));
+        }
+        
+        if (points.length === 3) {
+            const circle = Circle.fromThreePoints(points[0], points[1], points[2]);
+            if (circle) {
+                elements.push(circle);
+            }
+        }
+        
+        if (elements.length > 0) {
+            this.canvasManager.setPreviewElement(elements);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+    
+    /**
+     * Pick the line, circle or arc under the cursor for a tangent circle to touch
+     * @param {MouseEvent} event - The mouse event
+     */
+    pickTarget(event) {
+        const label = this.drawMode === 'ttr' ? 'Circle (tangent, tangent, radius)' : 'Circle (tangent, tangent, tangent)';
+        
+        // Pick at the cursor itself, since snapping may pull the point off the shape
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const worldPos = this.canvasManager.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+        const pick = new Point(worldPos.x, worldPos.y);
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        let target = null;
+        let pickedShape = null;
+        
+        for (const shape of this.canvasManager.findShapesAtPoint(pick.x, pick.y, tolerance)) {
+            target = TangentCircles.createTarget(shape, pick, this.constraintManager);
+            if (target) {
+                pickedShape = shape;
+                break;
+            }
+        }
+        
+        if (!target) {
+            this.showError(`${label}: Click a line, circle or arc for the circle to touch`);
+            return;
+        }
+        
+        this.targets.push(target);
+        this.pickedShapes.push(pickedShape);
+        logger.info(`Circle tool: Picked ${pickedShape.type} ${pickedShape.id} to touch`);
+        
+        if (this.drawMode === 'ttr' && this.targets.length === 2) {
+            // Ask for the radius, previewing the circle as it is typed
+            this.radius = TangentCircles.getScale(this.targets) / 4;
+            this.updateStatusHint();
+            this.showDimensionInput(event);
+            this.updateTangentPreview(this.radius);
+            return;
+        }
+        
+        if (this.drawMode === 'ttt' && this.targets.length === 3) {
+            this.commitTangentCircle();
+            return;
+        }
+        
+        this.updateTangentPreview();
+        this.updateStatusHint();
+    }
+    
+    /**
+     * Find the tangent circle touching the picked shapes closest to where they were picked
+     * @param {number} [radius] - The radius in ttr mode
+     * @returns {Circle|null} The circle, or null if there is no solution
+     */
+    solveTangentCircle(radius) {
+        const solutions = this.drawMode === 'ttr'
+            ? TangentCircles.solveTTR(this.targets[0], this.targets[1], radius)
+            : TangentCircles.solveTTT(this.targets[0], this.targets[1], this.targets[2]);
+        
+        return TangentCircles.pickClosest(solutions, this.targets);
+    }
+    
+    /**
+     * Highlight the picked shapes and preview the tangent circle
+     * @param {number} [radius] - The radius in ttr mode
+     */
+    updateTangentPreview(radius) {
+        if (!this.canvasManager) return;
+        
+        const elements = [...this.pickedShapes];
+        
+        if (radius > 0 && this.targets.length === 2) {
+            const circle = this.solveTangentCircle(radius);
+            if (circle) {
+                elements.push(circle);
+            }
+        }
+        
+        if (elements.length > 0) {
+            this.canvasManager.setPreviewElement(elements);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+    
+    /**
+     * Create the tangent circle for the picked shapes
+     * @param {number} [radius] - The radius in ttr mode
+     * @returns {boolean} True if the circle was created
+     */
+    commitTangentCircle(radius) {
+        const circle = this.solveTangentCircle(radius);
+        
+        if (!circle) {
+            if (this.drawMode === 'ttr') {
+                this.showError(`Circle (tangent, tangent, radius): No circle of radius ${radius} touches both shapes`);
+            } else {
+                // Start again so other shapes can be picked
+                this.reset();
+                this.showError('Circle (tangent, tangent, tangent): No circle touches all three shapes');
+            }
+            return false;
+        }
+        
+        this.currentCircle = circle;
+        this.commitCircle();
+        return true;
+    }
 }
 
 // Create a singleton instance
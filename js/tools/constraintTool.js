@@ -0,0 +1,228 @@
+/**
+ * Constraint Tool for the CAD Editor
+ * Adds a geometric constraint by clicking the shapes or shape points it applies to
+ */
+class ConstraintTool extends BaseTool {
+    /**
+     * Create a new ConstraintTool
+     */
+    constructor() {
+        super('constrain');
+        this.constraintType = 'coincident';
+        this.refs = [];
+        this.lastScreenPosition = { x: 0, y: 0 };
+    }
+
+    /**
+     * Get the name of the tool and its settings for the status bar
+     * @returns {string} The label
+     */
+    getLabel() {
+        return `${Constraint.TYPES[this.constraintType].label} constraint`;
+    }
+
+    /**
+     * Choose the kind of constraint to add, dropping any picks made so far
+     * @param {string} type - The constraint type, see Constraint.TYPES
+     */
+    setConstraintType(type) {
+        if (!Constraint.TYPES[type]) {
+            logger.error(`Constraint tool: Unknown constraint type ${type}`);
+            return;
+        }
+        
+        this.constraintType = type;
+        this.refs = [];
+        
+        if (this.active) {
+            this.canvasManager.deselectAll();
+            this.canvasManager.clearPreview();
+            this.updateStatusHint();
+        }
+        
+        if (window.appData) {
+            window.appData.constraintType = type;
+        }
+    }
+
+    /**
+     * Activate the tool
+     */
+    activate() {
+        super.activate();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Reset the tool state
+     */
+    reset() {
+        super.reset();
+        
+        if (this.refs.length > 0 && this.canvasManager) {
+            this.canvasManager.deselectAll();
+        }
+        
+        this.refs = [];
+    }
+
+    /**
+     * Cancel the current operation
+     */
+    cancel() {
+        super.cancel();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        const kinds = Constraint.TYPES[this.constraintType].refs;
+        const names = { point: 'an end or center point', line: 'a line', curve: 'a circle or arc', edge: 'a line, circle or arc' };
+        const order = kinds.length > 1 ? ` (${this.refs.length + 1} of ${kinds.length})` : '';
+        
+        this.setStatusHint(`${this.getLabel()}: Click ${names[kinds[this.refs.length]]}${order}`);
+    }
+
+    /**
+     * Find the reference under a point for the next pick
+     * @param {Point} point - The point
+     * @returns {Object|null} The reference {shapeId, point} with its position {x, y} for point picks, or null
+     */
+    pickReference(point) {
+        const kind = Constraint.TYPES[this.constraintType].refs[this.refs.length];
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        const shapes = this.canvasManager.getSnapShapes().filter(shape => ConstraintSolver.fitsReference(shape, kind));
+        
+        if (kind !== 'point') {
+            const shape = shapes.find(candidate => this.canvasManager.isShapeAtPoint(candidate, point.x, point.y, tolerance));
+            return shape ? { shapeId: shape.id } : null;
+        }
+        
+        // The closest end or center point within the snap distance
+        let best = null;
+        let bestDistance = tolerance;
+        
+        shapes.forEach(shape => {
+            ConstraintSolver.getPointNames(shape).forEach(name => {
+                const position = ConstraintSolver.getPoint(shape, name);
+                const distance = MathUtils.distance(point.x, point.y, position.x, position.y);
+                const taken = this.refs.some(ref => ref.shapeId === shape.id && ref.point === name);
+                
+                if (distance <= bestDistance && !taken) {
+                    best = { shapeId: shape.id, point: name, position };
+                    bestDistance = distance;
+                }
+            });
+        });
+        
+        return best;
+    }
+
+    /**
+     * Add the constraint once every reference is picked; a dimension then asks for its value
+     */
+    addConstraint() {
+        const refs = this.refs.map(({ shapeId, point }) => (point ? { shapeId, point } : { shapeId }));
+        const constraint = this.constraintManager.addConstraint(this.constraintType, refs);
+        
+        this.reset();
+        
+        if (constraint) {
+            this.updateStatusHint();
+            
+            if (constraint.isDimension()) {
+                this.constraintManager.editDimension(constraint.id, this.lastScreenPosition);
+            }
+        } else {
+            this.setStatusHint(`${this.getLabel()}: Could not add the constraint, see the log`);
+        }
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        
+        const ref = this.pickReference(this.getEventPoint(event));
+        
+        if (!ref) {
+            this.updateStatusHint();
+            return;
+        }
+        
+        this.refs.push(ref);
+        this.canvasManager.clearPreview();
+        this.canvasManager.selectElements(this.refs.map(picked => this.canvasManager.getShapeById(picked.shapeId)));
+        
+        if (this.refs.length === Constraint.TYPES[this.constraintType].refs.length) {
+            this.addConstraint();
+        } else {
+            this.updateStatusHint();
+        }
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        // Mark the point a click would pick
+        const ref = this.pickReference(this.currentPoint);
+        
+        if (ref && ref.position) {
+            this.canvasManager.setPreviewElement([new Circle(ref.position.x, ref.position.y, 4 / this.canvasManager.zoom)]);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // References are picked on mouse down
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
+        // Constraints have no dimensions to type
+        if (event.key === 'Tab') {
+            event.preventDefault();
+            return;
+        }
+        
+        super.onKeyDown(event);
+    }
+}
+
+// Create a singleton instance
+const constraintTool = new ConstraintTool();
+
+// Make constraintTool available globally
+window.constraintTool = constraintTool;
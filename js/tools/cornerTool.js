@@ -0,0 +1,363 @@
+/**
+ * Corner Tool base class for the CAD Editor
+ * Picks two lines, cuts them back from their corner and joins them, for the Fillet and Chamfer tools
+ */
+class CornerTool extends BaseTool {
+    /**
+     * Create a new CornerTool
+     * @param {string} name - The name of the tool
+     * @param {Object} values - The initial dimension values, keyed by dimension type
+     */
+    constructor(name, values) {
+        super(name);
+        this.values = values;
+        this.firstLine = null;
+        this.firstPick = null;
+        this.secondLine = null; // Only set when both lines come from the selection
+        this.secondPick = null;
+        this.lastScreenPosition = { x: 0, y: 0 };
+    }
+
+    /**
+     * Get the name of the tool and its settings for the status bar
+     * @returns {string} The label
+     */
+    getLabel() {
+        return this.name;
+    }
+
+    /**
+     * Get the dimension types that Tab cycles through
+     * @returns {Array<string>} The dimension types
+     */
+    getDimensionTypes() {
+        return Object.keys(this.values);
+    }
+
+    /**
+     * Create the cut lines and the shape joining them
+     * @param {Object} corner - The corner from LineCorners.findCorner
+     * @param {Object} values - The dimension values
+     * @returns {Object|null} The result {first, second, join}, or null if the join does not fit
+     */
+    createJoin(corner, values) {
+        return null;
+    }
+
+    /**
+     * Get the message shown when the join does not fit on the lines
+     * @returns {string} The message
+     */
+    getFitError() {
+        return 'The corner does not fit on these lines';
+    }
+
+    /**
+     * Activate the tool, taking two selected lines as the lines to join
+     */
+    activate() {
+        super.activate();
+        
+        const selected = this.canvasManager ? this.canvasManager.selectedElements : [];
+        if (selected.length === 2 && selected.every(shape => shape.type === 'line')) {
+            this.firstLine = selected[0];
+            this.secondLine = selected[1];
+            this.updatePreview();
+        }
+        
+        this.updateStatusHint();
+    }
+
+    /**
+     * Reset the tool state
+     */
+    reset() {
+        super.reset();
+        
+        if (this.firstLine && this.canvasManager) {
+            this.canvasManager.deselectAll();
+        }
+        
+        this.firstLine = null;
+        this.firstPick = null;
+        this.secondLine = null;
+        this.secondPick = null;
+    }
+
+    /**
+     * Cancel the current operation
+     */
+    cancel() {
+        super.cancel();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        const label = this.getLabel();
+        
+        if (this.firstLine && this.secondLine) {
+            this.setStatusHint(`${label}: Click or press Enter to join the selected lines, Tab to change the size`);
+        } else if (this.firstLine) {
+            this.setStatusHint(`${label}: Click the second line, Tab to change the size`);
+        } else {
+            this.setStatusHint(`${label}: Click the first line, Tab to change the size`);
+        }
+    }
+
+    /**
+     * Find the line under a point
+     * @param {Point} point - The point
+     * @returns {Line|null} The line or null if there is none
+     */
+    pickLine(point) {
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        return this.canvasManager.findShapesAtPoint(point.x, point.y, tolerance)
+            .find(shape => shape.type === 'line') || null;
+    }
+
+    /**
+     * Work out the result of joining the first line with a second line
+     * @param {Line} secondLine - The second line
+     * @param {Point} [secondPick] - Where the second line was picked
+     * @param {Object} [values] - Dimension values to use instead of the current ones
+     * @returns {Object} The result {first, second, join}, or {error} if the lines cannot be joined
+     */
+    computeJoin(secondLine, secondPick, values = {}) {
+        const corner = LineCorners.findCorner(this.firstLine, secondLine, this.firstPick, secondPick);
+        if (!corner) return { error: 'The lines are parallel' };
+        
+        const result = this.createJoin(corner, { ...this.values, ...values });
+        return result || { error: this.getFitError() };
+    }
+
+    /**
+     * Preview the joined lines
+     * @param {Point} [point] - The cursor position, used to pick the second line
+     * @param {Object} [values] - Dimension values to use instead of the current ones
+     */
+    updatePreview(point, values) {
+        let secondLine = this.secondLine;
+        let secondPick = this.secondPick;
+        
+        if (!secondLine && this.firstLine && point) {
+            secondLine = this.pickLine(point);
+            secondPick = point;
+        }
+        
+        if (!secondLine || secondLine.id === this.firstLine.id) {
+            this.canvasManager.clearPreview();
+            return;
+        }
+        
+        const result = this.computeJoin(secondLine, secondPick, values);
+        
+        if (result.error) {
+            this.canvasManager.clearPreview();
+        } else {
+            this.canvasManager.setPreviewElement([result.first, result.second, result.join]);
+        }
+    }
+
+    /**
+     * Cut back the two lines and add the join as a single undo step
+     * @param {Line} secondLine - The second line
+     * @param {Point} [secondPick] - Where the second line was picked
+     */
+    joinLines(secondLine, secondPick) {
+        const result = this.computeJoin(secondLine, secondPick);
+        const label = this.getLabel();
+        
+        if (result.error) {
+            this.setStatusHint(`${label}: ${result.error}`);
+            logger.warn(`${this.name} tool: ${result.error}`);
+            return;
+        }
+        
+        const firstLine = this.firstLine;
+        
+        // The cut lines keep their IDs, the join takes its layer and style from the first line
+        ShapeFactory.copyAttributes(firstLine, result.first);
+        ShapeFactory.copyAttributes(secondLine, result.second);
+        ShapeFactory.copyAttributes(firstLine, result.join);
+        result.join.id = ShapeFactory.generateId(result.join.type);
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        this.canvasManager.updateShape(result.first, false);
+        this.canvasManager.updateShape(result.second, false);
+        this.canvasManager.addShape(result.join, false);
+        
+        logger.info(`${this.name} tool: Joined ${firstLine.id} and ${secondLine.id} with ${result.join.type} ${result.join.id}`);
+        
+        this.reset();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        // Clicking the canvas applies a value being typed
+        if (this.dimensionInput && this.dimensionInput.isVisible()) {
+            this.dimensionInput.applyValue();
+            return;
+        }
+        
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        
+        if (this.firstLine && this.secondLine) {
+            this.joinLines(this.secondLine, this.secondPick);
+            return;
+        }
+        
+        const point = this.getEventPoint(event);
+        const line = this.pickLine(point);
+        
+        if (!line) {
+            this.setStatusHint(`${this.getLabel()}: Click on a line`);
+            return;
+        }
+        
+        if (!this.firstLine) {
+            this.firstLine = line;
+            this.firstPick = point;
+            this.canvasManager.selectElements(line);
+            this.updateStatusHint();
+            return;
+        }
+        
+        if (line.id !== this.firstLine.id) {
+            this.joinLines(line, point);
+        }
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        if (this.firstLine && !this.dimensionInput.isVisible()) {
+            this.updatePreview(this.currentPoint);
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // Lines are picked on mouse down
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        // Keys typed into the dimension input are handled by the input itself
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
+        if (event.key === 'Enter' && this.firstLine && this.secondLine) {
+            this.joinLines(this.secondLine, this.secondPick);
+            event.preventDefault();
+            return;
+        }
+        
+        if (event.key === 'Tab') {
+            if (!this.dimensionInput.isVisible()) {
+                this.activateDimensionInput();
+            }
+            event.preventDefault();
+            return;
+        }
+        
+        super.onKeyDown(event);
+    }
+
+    /**
+     * Activate dimension input for the first dimension
+     */
+    activateDimensionInput() {
+        this.showDimension(this.getDimensionTypes()[0]);
+    }
+
+    /**
+     * Tab to the next dimension, keeping the value typed so far
+     */
+    tabDimensionInput() {
+        const types = this.getDimensionTypes();
+        if (types.length < 2) return;
+        
+        const type = this.dimensionInput.dimensionType;
+        const value = parseFloat(this.dimensionInput.input.value);
+        if (!isNaN(value) && value > 0) {
+            this.values[type] = value;
+        }
+        
+        this.showDimension(types[(types.indexOf(type) + 1) % types.length]);
+    }
+
+    /**
+     * Show the dimension input for one dimension with a live preview
+     * @param {string} type - The dimension type
+     */
+    showDimension(type) {
+        this.dimensionInputActive = true;
+        
+        this.dimensionInput.show(
+            type,
+            this.values[type],
+            this.lastScreenPosition,
+            value => this.applyDimensionValue(type, value),
+            this,
+            value => this.updatePreview(this.currentPoint, { [type]: value })
+        );
+    }
+
+    /**
+     * Apply dimension value, joining the lines straight away when both are chosen
+     * @param {string} dimensionType - The type of dimension
+     * @param {number} value - The value to apply
+     */
+    applyDimensionValue(dimensionType, value) {
+        this.values[dimensionType] = value;
+        this.dimensionInputActive = false;
+        
+        logger.info(`${this.name} tool: ${dimensionType} set to ${value}`);
+        
+        if (this.firstLine && this.secondLine) {
+            this.joinLines(this.secondLine, this.secondPick);
+            return;
+        }
+        
+        this.updatePreview(this.currentPoint);
+        this.updateStatusHint();
+    }
+}
+
+// Make CornerTool available globally
+window.CornerTool = CornerTool;
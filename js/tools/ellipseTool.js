@@ -0,0 +1,457 @@
+/**
+ * Ellipse Tool for the CAD Editor
+ * Allows drawing ellipses by center and both axes, or by their bounding box
+ */
+class EllipseTool extends BaseTool {
+    /**
+     * Create a new EllipseTool
+     */
+    constructor() {
+        super('ellipse');
+        this.drawMode = 'center'; // 'center' (center, axis, axis) or 'box' (opposite corners)
+        this.points = [];
+        this.shiftKey = false;
+        this.lastScreenPosition = { x: 0, y: 0 };
+        this.radiiInput = null;
+    }
+
+    /**
+     * Activate the tool
+     */
+    activate() {
+        super.activate();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Reset the tool state
+     */
+    reset() {
+        this.hideRadiiInput();
+        super.reset();
+        this.points = [];
+        this.shiftKey = false;
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        if (this.drawMode === 'box') {
+            this.statusHint = this.points.length === 0
+                ? 'Ellipse (box): Click the first corner, M to switch to center mode'
+                : 'Ellipse (box): Click the opposite corner, hold Shift for a circle, Tab for precise radii';
+        } else if (this.points.length === 0) {
+            this.statusHint = 'Ellipse (center): Click the center, M to switch to bounding box mode';
+        } else if (this.points.length === 1) {
+            this.statusHint = 'Ellipse (center): Click the end of the first axis, Tab for precise radii';
+        } else {
+            this.statusHint = 'Ellipse (center): Click to set the second radius, Tab for precise radii';
+        }
+        
+        if (this.appState) {
+            this.appState.statusHint = this.statusHint;
+        }
+    }
+
+    /**
+     * Set the draw mode
+     * @param {string} mode - The draw mode ('center' or 'box')
+     */
+    setDrawMode(mode) {
+        if (mode === 'center' || mode === 'box') {
+            this.reset();
+            this.drawMode = mode;
+            this.updateStatusHint();
+            logger.info(`Ellipse tool: Draw mode set to ${mode}`);
+        } else {
+            logger.warn(`Ellipse tool: Invalid draw mode ${mode}`);
+        }
+    }
+
+    /**
+     * Get the constrained world position of a mouse event
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The position in world coordinates
+     */
+    getEventPoint(event) {
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const screenX = event.clientX - rect.left;
+        const screenY = event.clientY - rect.top;
+        const worldPos = this.canvasManager.screenToWorld(screenX, screenY);
+        
+        // Apply constraints
+        const constrainedPos = this.constraintManager.applyConstraints(worldPos.x, worldPos.y);
+        return new Point(constrainedPos.x, constrainedPos.y);
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        // Clicking the canvas discards any pending radii input
+        this.hideRadiiInput();
+        
+        this.shiftKey = event.shiftKey;
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        this.mouseDown = true;
+        this.placePoint(this.getEventPoint(event));
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.shiftKey = event.shiftKey;
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        if (!this.radiiInput) {
+            this.updatePreview();
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        if (!this.active || !this.mouseDown || !this.canvasManager) return;
+        
+        this.mouseDown = false;
+        
+        // Dragging out the box finishes it on release, a plain click waits for the second corner
+        if (this.drawMode === 'box' && this.points.length === 1) {
+            const point = this.getEventPoint(event);
+            const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+            
+            if (this.points[0].distanceTo(point) > tolerance) {
+                this.shiftKey = event.shiftKey;
+                this.placePoint(point);
+            }
+        }
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        // Keys typed into the radii input are handled by the input itself
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
+        if (event.key === 'm' || event.key === 'M') {
+            this.setDrawMode(this.drawMode === 'center' ? 'box' : 'center');
+            event.preventDefault();
+            return;
+        }
+        
+        if (event.key === 'Shift') {
+            this.shiftKey = true;
+            this.updatePreview();
+        }
+        
+        // Escape cancels, Tab opens the radii input
+        super.onKeyDown(event);
+    }
+
+    /**
+     * Handle key up event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyUp(event) {
+        if (!this.active) return;
+        
+        if (event.key === 'Shift') {
+            this.shiftKey = false;
+            this.updatePreview();
+        }
+    }
+
+    /**
+     * Cancel the current operation
+     */
+    cancel() {
+        super.cancel();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Place the next defining point, committing the ellipse once all points are known
+     * @param {Point} point - The point position
+     */
+    placePoint(point) {
+        if (this.points.length > 0) {
+            const ellipse = this.buildEllipse(point);
+            
+            // The axis or box must have a size before the next point is accepted
+            if (!ellipse || ellipse.rx < 0.001 || (this.isLastPoint() && ellipse.ry < 0.001)) {
+                logger.warn('Ellipse tool: Cannot create a zero-size ellipse');
+                return;
+            }
+            
+            if (this.isLastPoint()) {
+                this.commitEllipse(ellipse);
+                return;
+            }
+        }
+        
+        this.points.push(point);
+        this.updatePreview();
+        this.updateStatusHint();
+        
+        logger.info(`Ellipse tool: Point ${this.points.length} set at ${point.toString()}`);
+    }
+
+    /**
+     * Check whether the next point completes the ellipse
+     * @returns {boolean} True if the next point is the last one
+     */
+    isLastPoint() {
+        return this.points.length === (this.drawMode === 'box' ? 1 : 2);
+    }
+
+    /**
+     * Build the ellipse defined by the placed points and a cursor position
+     * @param {Point} point - The cursor position
+     * @returns {Ellipse|null} The ellipse, or null if no point has been placed
+     */
+    buildEllipse(point) {
+        if (this.points.length === 0 || !point) return null;
+        
+        const first = this.points[0];
+        
+        if (this.drawMode === 'box') {
+            let corner = point;
+            
+            // Shift makes the box square so the ellipse becomes a circle
+            if (this.shiftKey) {
+                const size = Math.min(Math.abs(point.x - first.x), Math.abs(point.y - first.y));
+                corner = new Point(
+                    first.x + Math.sign(point.x - first.x) * size,
+                    first.y + Math.sign(point.y - first.y) * size
+                );
+            }
+            
+            return Ellipse.fromBoundingBox(first, corner);
+        }
+        
+        if (this.points.length === 1) {
+            // Until the first axis is fixed the preview is a circle through the cursor
+            return Ellipse.fromCenterAndAxis(first, point, first.distanceTo(point));
+        }
+        
+        // The second radius is the distance of the cursor from the first axis
+        const axisEnd = this.points[1];
+        const rotation = MathUtils.angle(first.x, first.y, axisEnd.x, axisEnd.y);
+        const otherRadius = Math.abs(
+            (point.y - first.y) * Math.cos(rotation) - (point.x - first.x) * Math.sin(rotation)
+        );
+        
+        return Ellipse.fromCenterAndAxis(first, axisEnd, otherRadius);
+    }
+
+    /**
+     * Show the ellipse for the current cursor position
+     */
+    updatePreview() {
+        if (!this.canvasManager) return;
+        
+        const ellipse = this.buildEllipse(this.currentPoint);
+        
+        if (!ellipse) {
+            this.canvasManager.clearPreview();
+            return;
+        }
+        
+        this.canvasManager.setPreviewElement(ellipse);
+    }
+
+    /**
+     * Add an ellipse to the canvas
+     * @param {Ellipse} ellipse - The ellipse to add
+     */
+    commitEllipse(ellipse) {
+        this.canvasManager.addShape(ellipse);
+        
+        logger.info(`Ellipse committed to canvas: ${ellipse.toString()}`);
+        
+        // Reset for next ellipse
+        this.reset();
+        
+        // Switch to Select tool and select the newly created ellipse
+        if (this.appState) {
+            this.appState.switchToSelectToolAndSelectShape(ellipse);
+        }
+    }
+
+    /**
+     * Activate dimension input for both radii
+     */
+    activateDimensionInput() {
+        if (this.points.length === 0) {
+            logger.warn(`Ellipse tool: Place the ${this.drawMode === 'box' ? 'first corner' : 'center'} before entering radii`);
+            return;
+        }
+        
+        this.showRadiiInput();
+    }
+
+    /**
+     * Show the radius inputs for the ellipse being drawn
+     */
+    showRadiiInput() {
+        this.hideRadiiInput();
+        
+        const first = this.points[0];
+        const cursor = this.currentPoint || first;
+        const initial = this.buildEllipse(cursor);
+        
+        // In box mode the box grows from the first corner towards the cursor
+        const directionX = cursor.x < first.x ? -1 : 1;
+        const directionY = cursor.y < first.y ? -1 : 1;
+        const rotation = this.drawMode === 'center' && this.points.length > 1 ? initial.rotation : 0;
+        
+        const container = document.createElement('div');
+        container.className = 'dimension-input-container ellipse-dimensions';
+        container.style.left = `${this.lastScreenPosition.x + 20}px`;
+        container.style.top = `${this.lastScreenPosition.y - 10}px`;
+        container.style.flexDirection = 'column';
+        container.style.alignItems = 'stretch';
+        container.style.gap = '4px';
+        
+        const rxInput = this.createRadiusField(container, 'Radius X:', initial.rx);
+        const ryInput = this.createRadiusField(container, 'Radius Y:', initial.ry);
+        
+        const applyButton = document.createElement('button');
+        applyButton.textContent = 'OK';
+        container.appendChild(applyButton);
+        
+        document.body.appendChild(container);
+        this.radiiInput = container;
+        this.dimensionInputActive = true;
+        
+        // Calculate the ellipse from the entered radii
+        const getEllipse = () => {
+            const rx = parseFloat(rxInput.value);
+            const ry = parseFloat(ryInput.value);
+            
+            if (isNaN(rx) || rx <= 0 || isNaN(ry) || ry <= 0) return null;
+            
+            if (this.drawMode === 'box') {
+                return new Ellipse(first.x + directionX * rx, first.y + directionY * ry, rx, ry);
+            }
+            
+            return new Ellipse(first.x, first.y, rx, ry, rotation);
+        };
+        
+        const updatePreview = () => {
+            const ellipse = getEllipse();
+            if (ellipse) {
+                this.canvasManager.setPreviewElement(ellipse);
+            }
+        };
+        
+        const applyChanges = () => {
+            const ellipse = getEllipse();
+            
+            if (!ellipse) {
+                rxInput.style.backgroundColor = '#ffdddd';
+                ryInput.style.backgroundColor = '#ffdddd';
+                setTimeout(() => {
+                    rxInput.style.backgroundColor = '';
+                    ryInput.style.backgroundColor = '';
+                }, 200);
+                return;
+            }
+            
+            this.commitEllipse(ellipse);
+        };
+        
+        const handleKeyDown = (event) => {
+            if (event.key === 'Enter') {
+                applyChanges();
+                event.preventDefault();
+            } else if (event.key === 'Escape') {
+                this.hideRadiiInput();
+                this.updatePreview();
+                event.preventDefault();
+            }
+        };
+        
+        [rxInput, ryInput].forEach(input => {
+            input.addEventListener('input', updatePreview);
+            input.addEventListener('keydown', handleKeyDown);
+        });
+        applyButton.addEventListener('click', applyChanges);
+        
+        updatePreview();
+        
+        // Focus first radius input
+        rxInput.focus();
+        rxInput.select();
+    }
+
+    /**
+     * Create a labelled number input inside the radii input
+     * @param {HTMLElement} container - The radii input container
+     * @param {string} label - The label text
+     * @param {number} value - The initial value
+     * @returns {HTMLInputElement} The input element
+     */
+    createRadiusField(container, label, value) {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+        labelElement.style.minWidth = '60px';
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.1';
+        input.min = '0';
+        input.value = value.toFixed(2);
+        
+        row.appendChild(labelElement);
+        row.appendChild(input);
+        container.appendChild(row);
+        
+        return input;
+    }
+
+    /**
+     * Remove the radii input if it is shown
+     */
+    hideRadiiInput() {
+        if (this.radiiInput && this.radiiInput.parentNode) {
+            this.radiiInput.parentNode.removeChild(this.radiiInput);
+        }
+        
+        this.radiiInput = null;
+        this.dimensionInputActive = false;
+    }
+}
+
+// Create a singleton instance
+const ellipseTool = new EllipseTool();
+
+// Make ellipseTool available globally
+window.ellipseTool = ellipseTool;
@@ -0,0 +1,114 @@
+/**
+ * Extend Tool for the CAD Editor
+ * Lengthens the clicked end of a line or arc until it meets the nearest other shape
+ */
+class ExtendTool extends BaseTool {
+    /**
+     * Create a new ExtendTool
+     */
+    constructor() {
+        super('extend');
+    }
+
+    /**
+     * Activate the tool
+     */
+    activate() {
+        super.activate();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        this.setStatusHint('Extend: Click near the end of a line or arc to lengthen it to the nearest boundary');
+    }
+
+    /**
+     * Find the line or arc under a point and how extending it would change it
+     * @param {Point} point - The picked point
+     * @returns {Object|null} The pick {shape, result}, or null if there is nothing to extend
+     */
+    findExtension(point) {
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        for (const shape of this.canvasManager.findShapesAtPoint(point.x, point.y, tolerance)) {
+            if (!TrimExtend.EXTEND_TYPES.includes(shape.type)) continue;
+            
+            const boundaries = this.canvasManager.getSnapShapes([shape.id]);
+            return { shape, result: TrimExtend.extend(shape, point, boundaries) };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        const pick = this.findExtension(this.getEventPoint(event));
+        
+        if (!pick) {
+            this.setStatusHint('Extend: Click on a line or arc near the end to extend');
+            return;
+        }
+        
+        if (!pick.result) {
+            this.setStatusHint(`Extend: No shape lies beyond that end of the ${pick.shape.type}`);
+            return;
+        }
+        
+        const extended = ShapeFactory.copyAttributes(pick.shape, pick.result.extended);
+        
+        this.canvasManager.clearPreview();
+        this.canvasManager.updateShape(extended);
+        
+        logger.info(`Extend tool: Extended ${pick.shape.type} ${pick.shape.id}`);
+        this.updateStatusHint();
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        // Preview the part that would be added
+        const pick = this.findExtension(this.currentPoint);
+        
+        if (pick && pick.result) {
+            this.canvasManager.setPreviewElement(pick.result.extension);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // Extending happens on mouse down
+    }
+}
+
+// Create a singleton instance
+const extendTool = new ExtendTool();
+
+// Make extendTool available globally
+window.extendTool = extendTool;
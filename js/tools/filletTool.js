@@ -0,0 +1,44 @@
+/**
+ * Fillet Tool for the CAD Editor
+ * Rounds the corner between two lines with an arc of a given radius
+ */
+class FilletTool extends CornerTool {
+    /**
+     * Create a new FilletTool
+     */
+    constructor() {
+        super('fillet', { radius: 10 });
+    }
+
+    /**
+     * Get the name of the tool and its settings for the status bar
+     * @returns {string} The label
+     */
+    getLabel() {
+        return `Fillet (radius ${MathUtils.round(this.values.radius, 2)})`;
+    }
+
+    /**
+     * Create the cut lines and the arc joining them
+     * @param {Object} corner - The corner from LineCorners.findCorner
+     * @param {Object} values - The dimension values {radius}
+     * @returns {Object|null} The result {first, second, join}, or null if the arc does not fit
+     */
+    createJoin(corner, values) {
+        return LineCorners.fillet(corner, values.radius);
+    }
+
+    /**
+     * Get the message shown when the arc does not fit on the lines
+     * @returns {string} The message
+     */
+    getFitError() {
+        return 'The radius is too large for these lines';
+    }
+}
+
+// Create a singleton instance
+const filletTool = new FilletTool();
+
+// Make filletTool available globally
+window.filletTool = filletTool;
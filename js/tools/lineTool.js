@@ -61,9 +61,9 @@ class LineTool extends BaseTool {
      */
     updateStatusHint() {
         if (this.continuousMode && this.lastEndPoint) {
-            this.statusHint = 'Line: Click to place next point, press Escape to exit continuous mode, press Tab for precise input';
+            this.statusHint = 'Line: Click to place next point, press Escape to exit continuous mode, press Tab for precise input, P/N for parallel/perpendicular';
         } else {
-            this.statusHint = 'Line: Click and drag to create a line, press Tab for precise input';
+            this.statusHint = 'Line: Click and drag to create a line, press Tab for precise input, P/N for parallel/perpendicular';
         }
         
         if (this.appState) {
@@ -112,6 +112,9 @@ class LineTool extends BaseTool {
         
         this.mouseDown = true;
         
+        // Tangent and perpendicular snaps are taken from the start point
+        this.constraintManager.setReferencePoint(this.startPoint);
+        
         // Create a preview line
         this.previewLine = new Line(
             this.startPoint.x,
@@ -144,7 +147,7 @@ class LineTool extends BaseTool {
         // Apply constraints
         const constrainedPos = this.constraintManager.applyConstraints(worldPos.x, worldPos.y);
         
-        this.currentPoint = new Point(constrainedPos.x, constrainedPos.y);
+        this.currentPoint = this.inferEndPoint(this.mouseDown ? this.startPoint : null, constrainedPos, worldPos, event);
         
         // Update mouse position in app state
         if (this.appState) {
@@ -179,7 +182,7 @@ class LineTool extends BaseTool {
         // Apply constraints
         const constrainedPos = this.constraintManager.applyConstraints(worldPos.x, worldPos.y);
         
-        const endPoint = new Point(constrainedPos.x, constrainedPos.y);
+        const endPoint = this.inferEndPoint(this.startPoint, constrainedPos, worldPos, event);
         
         // Calculate line dimensions
         this.calculateLineDimensions(endPoint);
@@ -208,6 +211,8 @@ class LineTool extends BaseTool {
     onKeyDown(event) {
         if (!this.active) return;
         
+        if (!(event.target && event.target.tagName === 'INPUT') && this.handleInferenceKey(event)) return;
+        
         // Call the parent method to handle common key events
         super.onKeyDown(event);
         
@@ -251,6 +256,24 @@ class LineTool extends BaseTool {
         this.updateStatusHint();
     }
 
+    /**
+     * Lock the end point parallel or perpendicular to the hovered reference line while dragging.
+     * Shift's horizontal/vertical constraint takes precedence.
+     * @param {Point|null} start - The start point of the line, or null before dragging
+     * @param {Object} point - The constrained end point {x, y, mode}, as returned by applyConstraints
+     * @param {Object} cursor - The cursor position {x, y} in world coordinates
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The end point
+     */
+    inferEndPoint(start, point, cursor, event) {
+        if (event.shiftKey) {
+            this.constraintManager.clearInference();
+            return new Point(point.x, point.y);
+        }
+        
+        return this.constraintManager.applyInference(start, point, cursor);
+    }
+
     /**
      * Update the preview line
      * @param {boolean} constrained - Whether to apply horizontal/vertical constraint
@@ -0,0 +1,353 @@
+/**
+ * Mirror Tool for the CAD Editor
+ * Mirrors the selected shapes about an axis picked by two points or an existing line
+ */
+class MirrorTool extends BaseTool {
+    /**
+     * Create a new MirrorTool
+     */
+    constructor() {
+        super('mirror');
+        this.axisMode = 'points'; // 'points' (two clicked points) or 'line' (an existing line)
+        this.keepOriginal = true;
+        this.shapes = [];
+        this.selectionDone = false;
+        this.firstPoint = null;
+    }
+
+    /**
+     * Get the name of the tool and its settings for the status bar
+     * @returns {string} The label
+     */
+    getLabel() {
+        return `Mirror (${this.keepOriginal ? 'keep' : 'delete'} original)`;
+    }
+
+    /**
+     * Activate the tool, taking the selected shapes as the shapes to mirror
+     */
+    activate() {
+        super.activate();
+        
+        this.shapes = this.canvasManager ? [...this.canvasManager.selectedElements] : [];
+        this.selectionDone = this.shapes.length > 0;
+        
+        this.updateStatusHint();
+    }
+
+    /**
+     * Reset the tool state
+     */
+    reset() {
+        super.reset();
+        
+        if (this.shapes.length > 0 && this.canvasManager) {
+            this.canvasManager.deselectAll();
+        }
+        
+        this.shapes = [];
+        this.selectionDone = false;
+        this.firstPoint = null;
+    }
+
+    /**
+     * Cancel the current operation, dropping the first axis point before the selection
+     */
+    cancel() {
+        if (this.firstPoint) {
+            this.firstPoint = null;
+            this.canvasManager.clearPreview();
+            logger.info('Mirror tool: Axis point cleared');
+        } else {
+            super.cancel();
+        }
+        
+        this.updateStatusHint();
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        const label = this.getLabel();
+        const keys = 'M to change axis mode, K to keep or delete the original';
+        
+        if (!this.selectionDone) {
+            this.setStatusHint(`${label}: Click the shapes to mirror, then press Enter`);
+        } else if (this.axisMode === 'line') {
+            this.setStatusHint(`${label}: Click a line to mirror about, ${keys}`);
+        } else if (this.firstPoint) {
+            this.setStatusHint(`${label}: Click the second point of the mirror line (Shift for horizontal/vertical), ${keys}`);
+        } else {
+            this.setStatusHint(`${label}: Click the first point of the mirror line, ${keys}`);
+        }
+    }
+
+    /**
+     * Get the snapped world position of a mouse event for an axis point
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The position in world coordinates
+     */
+    getAxisPoint(event) {
+        const point = this.getEventPoint(event);
+        const constrainedPos = this.constraintManager.applyConstraints(point.x, point.y);
+        
+        // Shift keeps the mirror line horizontal or vertical
+        if (event.shiftKey && this.firstPoint) {
+            if (Math.abs(constrainedPos.x - this.firstPoint.x) >= Math.abs(constrainedPos.y - this.firstPoint.y)) {
+                constrainedPos.y = this.firstPoint.y;
+            } else {
+                constrainedPos.x = this.firstPoint.x;
+            }
+        }
+        
+        return new Point(constrainedPos.x, constrainedPos.y);
+    }
+
+    /**
+     * Find the shape under a point
+     * @param {Point} point - The point
+     * @param {string} [type] - Only find shapes of this type
+     * @returns {Object|null} The shape or null if there is none
+     */
+    pickShape(point, type) {
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        return this.canvasManager.findShapesAtPoint(point.x, point.y, tolerance)
+            .find(shape => !type || shape.type === type) || null;
+    }
+
+    /**
+     * Add or remove a shape from the shapes to mirror
+     * @param {Object} shape - The shape
+     */
+    toggleShape(shape) {
+        const index = this.shapes.findIndex(selected => selected.id === shape.id);
+        
+        if (index === -1) {
+            this.shapes.push(shape);
+        } else {
+            this.shapes.splice(index, 1);
+        }
+        
+        this.canvasManager.selectElements(this.shapes);
+    }
+
+    /**
+     * Finish choosing the shapes to mirror
+     */
+    finishSelection() {
+        if (this.shapes.length === 0) {
+            this.setStatusHint(`${this.getLabel()}: Click at least one shape to mirror`);
+            return;
+        }
+        
+        this.selectionDone = true;
+        this.updateStatusHint();
+    }
+
+    /**
+     * Get the mirror line for the cursor position
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Line|null} The mirror line, or null if there is none yet
+     */
+    getAxis(event) {
+        if (this.axisMode === 'line') {
+            return this.pickShape(this.getEventPoint(event), 'line');
+        }
+        
+        if (!this.firstPoint) return null;
+        
+        const point = this.getAxisPoint(event);
+        if (point.equals(this.firstPoint)) return null;
+        
+        return new Line(this.firstPoint.x, this.firstPoint.y, point.x, point.y);
+    }
+
+    /**
+     * Create mirrored copies of the shapes to mirror
+     * @param {Line} axis - The mirror line
+     * @returns {Array<Object>} The mirrored shapes, keeping the IDs of the originals
+     */
+    createMirrored(axis) {
+        return this.shapes.map(shape => {
+            const mirrored = ShapeFactory.fromObject(shape.toObject());
+            mirrored.mirror(axis);
+            return mirrored;
+        });
+    }
+
+    /**
+     * Preview the mirrored shapes and the mirror line
+     * @param {Line|null} axis - The mirror line
+     */
+    updatePreview(axis) {
+        if (!axis) {
+            this.canvasManager.clearPreview();
+            return;
+        }
+        
+        this.canvasManager.setPreviewElement([...this.createMirrored(axis), new Line(axis.x1, axis.y1, axis.x2, axis.y2)]);
+    }
+
+    /**
+     * Mirror the shapes as a single undo step and select the result
+     * @param {Line} axis - The mirror line
+     */
+    mirrorShapes(axis) {
+        const keepOriginal = this.keepOriginal;
+        let mirrored;
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        if (keepOriginal) {
+            // The copies keep the layer and style of their originals with new IDs
+            mirrored = ShapeClipboard.createShapes(this.shapes.map(shape => shape.toObject()));
+            mirrored.forEach(shape => {
+                shape.mirror(axis);
+                this.canvasManager.addShape(shape, false);
+            });
+        } else {
+            mirrored = this.createMirrored(axis);
+            mirrored.forEach(shape => this.canvasManager.updateShape(shape, false));
+        }
+        
+        const result = mirrored.map(shape => this.canvasManager.getShapeById(shape.id)).filter(Boolean);
+        
+        logger.info(`Mirror tool: Mirrored ${result.length} shapes${keepOriginal ? ', keeping the originals' : ''}`);
+        
+        this.reset();
+        
+        if (window.appStateManager) {
+            window.appStateManager.selectShapes(result);
+        }
+    }
+
+    /**
+     * Switch between picking the mirror line by two points and by an existing line
+     */
+    toggleAxisMode() {
+        this.axisMode = this.axisMode === 'points' ? 'line' : 'points';
+        this.firstPoint = null;
+        this.canvasManager.clearPreview();
+        
+        this.updateStatusHint();
+        logger.info(`Mirror tool: Axis mode set to ${this.axisMode}`);
+    }
+
+    /**
+     * Switch between keeping and deleting the original shapes
+     */
+    toggleKeepOriginal() {
+        this.keepOriginal = !this.keepOriginal;
+        
+        this.updateStatusHint();
+        logger.info(`Mirror tool: ${this.keepOriginal ? 'Keeping' : 'Deleting'} the original shapes`);
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        if (!this.selectionDone) {
+            const shape = this.pickShape(this.getEventPoint(event));
+            
+            if (shape) {
+                this.toggleShape(shape);
+            }
+            return;
+        }
+        
+        if (this.axisMode === 'points' && !this.firstPoint) {
+            this.firstPoint = this.getAxisPoint(event);
+            this.updateStatusHint();
+            return;
+        }
+        
+        const axis = this.getAxis(event);
+        
+        if (!axis) {
+            this.setStatusHint(`${this.getLabel()}: ${this.axisMode === 'line' ? 'Click on a line' : 'Click a point away from the first point'}`);
+            return;
+        }
+        
+        this.mirrorShapes(axis);
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        if (this.selectionDone) {
+            this.updatePreview(this.getAxis(event));
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // Shapes and axis points are picked on mouse down
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
+        if (event.key === 'Enter' && !this.selectionDone) {
+            this.finishSelection();
+            event.preventDefault();
+            return;
+        }
+        
+        if ((event.key === 'm' || event.key === 'M') && !event.ctrlKey && !event.metaKey) {
+            this.toggleAxisMode();
+            event.preventDefault();
+            return;
+        }
+        
+        if ((event.key === 'k' || event.key === 'K') && !event.ctrlKey && !event.metaKey) {
+            this.toggleKeepOriginal();
+            event.preventDefault();
+            return;
+        }
+        
+        // The mirror line has no dimensions to type
+        if (event.key === 'Tab') {
+            event.preventDefault();
+            return;
+        }
+        
+        super.onKeyDown(event);
+    }
+}
+
+// Create a singleton instance
+const mirrorTool = new MirrorTool();
+
+// Make mirrorTool available globally
+window.mirrorTool = mirrorTool;
@@ -0,0 +1,296 @@
+/**
+ * Offset Tool for the CAD Editor
+ * Creates parallel lines, concentric circles and arcs, and inset or outset rectangles at a given distance
+ */
+class OffsetTool extends BaseTool {
+    /**
+     * Create a new OffsetTool
+     */
+    constructor() {
+        super('offset');
+        this.values = { distance: 10, count: 1 };
+        this.shape = null;
+        this.lastScreenPosition = { x: 0, y: 0 };
+    }
+
+    /**
+     * Get the name of the tool and its settings for the status bar
+     * @returns {string} The label
+     */
+    getLabel() {
+        const distance = MathUtils.round(this.values.distance, 2);
+        
+        return this.values.count > 1
+            ? `Offset (distance ${distance}, ${this.values.count} copies)`
+            : `Offset (distance ${distance})`;
+    }
+
+    /**
+     * Activate the tool, taking a single selected shape as the shape to offset
+     */
+    activate() {
+        super.activate();
+        
+        const selected = this.canvasManager ? this.canvasManager.selectedElements : [];
+        if (selected.length === 1 && ShapeOffset.TYPES.includes(selected[0].type)) {
+            this.shape = selected[0];
+        }
+        
+        this.updateStatusHint();
+    }
+
+    /**
+     * Reset the tool state
+     */
+    reset() {
+        super.reset();
+        
+        if (this.shape && this.canvasManager) {
+            this.canvasManager.deselectAll();
+        }
+        
+        this.shape = null;
+    }
+
+    /**
+     * Cancel the current operation
+     */
+    cancel() {
+        super.cancel();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        const label = this.getLabel();
+        
+        if (this.shape) {
+            this.setStatusHint(`${label}: Click the side to offset to, Tab to change the distance and copies`);
+        } else {
+            this.setStatusHint(`${label}: Click a line, circle, arc or rectangle, Tab to change the distance and copies`);
+        }
+    }
+
+    /**
+     * Find the shape that can be offset under a point
+     * @param {Point} point - The point
+     * @returns {Object|null} The shape or null if there is none
+     */
+    pickShape(point) {
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        return this.canvasManager.findShapesAtPoint(point.x, point.y, tolerance)
+            .find(shape => ShapeOffset.TYPES.includes(shape.type)) || null;
+    }
+
+    /**
+     * Create the offset copies on the side of a point
+     * @param {Point} point - A point on the side to offset to
+     * @param {Object} [values] - Dimension values to use instead of the current ones
+     * @returns {Array<Object>} The copies
+     */
+    createCopies(point, values = {}) {
+        const { distance, count } = { ...this.values, ...values };
+        return ShapeOffset.offsetTowards(this.shape, distance, point, Math.max(1, Math.round(count)));
+    }
+
+    /**
+     * Preview the copies on the side of the cursor
+     * @param {Point} [point] - The cursor position
+     * @param {Object} [values] - Dimension values to use instead of the current ones
+     */
+    updatePreview(point, values) {
+        if (!this.shape || !point) {
+            this.canvasManager.clearPreview();
+            return;
+        }
+        
+        this.canvasManager.setPreviewElement(this.createCopies(point, values));
+    }
+
+    /**
+     * Add the copies on the side of a point as a single undo step
+     * @param {Point} point - A point on the side to offset to
+     */
+    offsetShape(point) {
+        const copies = this.createCopies(point);
+        
+        if (copies.length === 0) {
+            this.setStatusHint(`${this.getLabel()}: The distance is too large to offset inwards`);
+            logger.warn('Offset tool: The shape is too small to offset inwards');
+            return;
+        }
+        
+        const shape = this.shape;
+        
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        copies.forEach(copy => {
+            ShapeFactory.copyAttributes(shape, copy);
+            copy.id = ShapeFactory.generateId(copy.type);
+            this.canvasManager.addShape(copy, false);
+        });
+        
+        logger.info(`Offset tool: Added ${copies.length} offset ${copies.length === 1 ? 'copy' : 'copies'} of ${shape.id}`);
+        
+        this.reset();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        // Clicking the canvas applies a value being typed
+        if (this.dimensionInput && this.dimensionInput.isVisible()) {
+            this.dimensionInput.applyValue();
+            return;
+        }
+        
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        
+        const point = this.getEventPoint(event);
+        
+        if (this.shape) {
+            this.offsetShape(point);
+            return;
+        }
+        
+        const shape = this.pickShape(point);
+        
+        if (!shape) {
+            this.setStatusHint(`${this.getLabel()}: Click on a line, circle, arc or rectangle`);
+            return;
+        }
+        
+        this.shape = shape;
+        this.canvasManager.selectElements(shape);
+        this.updateStatusHint();
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        if (this.shape && !this.dimensionInput.isVisible()) {
+            this.updatePreview(this.currentPoint);
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // Shapes and sides are picked on mouse down
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        // Keys typed into the dimension input are handled by the input itself
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
+        if (event.key === 'Tab') {
+            if (!this.dimensionInput.isVisible()) {
+                this.activateDimensionInput();
+            }
+            event.preventDefault();
+            return;
+        }
+        
+        super.onKeyDown(event);
+    }
+
+    /**
+     * Activate dimension input for the distance
+     */
+    activateDimensionInput() {
+        this.showDimension('distance');
+    }
+
+    /**
+     * Tab between the distance and the number of copies, keeping the value typed so far
+     */
+    tabDimensionInput() {
+        const type = this.dimensionInput.dimensionType;
+        const value = parseFloat(this.dimensionInput.input.value);
+        if (!isNaN(value) && value > 0) {
+            this.setValue(type, value);
+        }
+        
+        this.showDimension(type === 'distance' ? 'count' : 'distance');
+    }
+
+    /**
+     * Store a dimension value, rounding the number of copies to a whole number
+     * @param {string} type - The dimension type
+     * @param {number} value - The value
+     */
+    setValue(type, value) {
+        this.values[type] = type === 'count' ? Math.max(1, Math.round(value)) : value;
+    }
+
+    /**
+     * Show the dimension input for one dimension with a live preview
+     * @param {string} type - The dimension type
+     */
+    showDimension(type) {
+        this.dimensionInputActive = true;
+        
+        this.dimensionInput.show(
+            type,
+            this.values[type],
+            this.lastScreenPosition,
+            value => this.applyDimensionValue(type, value),
+            this,
+            value => this.updatePreview(this.currentPoint, { [type]: value })
+        );
+    }
+
+    /**
+     * Apply dimension value
+     * @param {string} dimensionType - The type of dimension
+     * @param {number} value - The value to apply
+     */
+    applyDimensionValue(dimensionType, value) {
+        this.setValue(dimensionType, value);
+        this.dimensionInputActive = false;
+        
+        logger.info(`Offset tool: ${dimensionType} set to ${this.values[dimensionType]}`);
+        
+        this.updatePreview(this.currentPoint);
+        this.updateStatusHint();
+    }
+}
+
+// Create a singleton instance
+const offsetTool = new OffsetTool();
+
+// Make offsetTool available globally
+window.offsetTool = offsetTool;
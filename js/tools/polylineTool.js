@@ -0,0 +1,474 @@
+/**
+ * Polyline Tool for the CAD Editor
+ * Allows drawing open or closed polylines by clicking their vertices
+ */
+class PolylineTool extends BaseTool {
+    /**
+     * Create a new PolylineTool
+     */
+    constructor() {
+        super('polyline');
+        this.points = [];
+        this.shiftKey = false;
+        this.lastScreenPosition = { x: 0, y: 0 };
+        this.segmentInput = null;
+    }
+
+    /**
+     * Activate the tool
+     */
+    activate() {
+        super.activate();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Reset the tool state
+     */
+    reset() {
+        this.hideSegmentInput();
+        super.reset();
+        this.points = [];
+        this.shiftKey = false;
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        if (this.points.length === 0) {
+            this.statusHint = 'Polyline: Click to place the first vertex';
+        } else {
+            this.statusHint = 'Polyline: Click to add vertices, double-click or Enter to finish, C to close, Tab for precise length and angle, Backspace to remove the last vertex, P/N for parallel/perpendicular';
+        }
+        
+        if (this.appState) {
+            this.appState.statusHint = this.statusHint;
+        }
+    }
+
+    /**
+     * Get the constrained world position of a mouse event
+     * @param {MouseEvent} event - The mouse event
+     * @returns {Point} The position in world coordinates
+     */
+    getEventPoint(event) {
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const screenX = event.clientX - rect.left;
+        const screenY = event.clientY - rect.top;
+        const worldPos = this.canvasManager.screenToWorld(screenX, screenY);
+        
+        // Apply constraints
+        const constrainedPos = this.constraintManager.applyConstraints(worldPos.x, worldPos.y);
+        let point = new Point(constrainedPos.x, constrainedPos.y);
+        
+        // Shift keeps the next segment horizontal or vertical; otherwise it can lock to the hovered reference line
+        if (this.shiftKey && this.points.length > 0) {
+            point = this.constrainToAxis(point);
+            this.constraintManager.clearInference();
+        } else {
+            const last = this.points.length > 0 ? this.points[this.points.length - 1] : null;
+            point = this.constraintManager.applyInference(last, constrainedPos, worldPos);
+        }
+        
+        return point;
+    }
+
+    /**
+     * Constrain a point so the segment from the last vertex is horizontal or vertical
+     * @param {Point} point - The point to constrain
+     * @returns {Point} The constrained point
+     */
+    constrainToAxis(point) {
+        const last = this.points[this.points.length - 1];
+        const dx = Math.abs(point.x - last.x);
+        const dy = Math.abs(point.y - last.y);
+        
+        return dx > dy ? new Point(point.x, last.y) : new Point(last.x, point.y);
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        // Clicking the canvas discards any pending segment input
+        this.hideSegmentInput();
+        
+        this.shiftKey = event.shiftKey;
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        const point = this.getEventPoint(event);
+        
+        // Clicking the first vertex closes the outline
+        if (this.points.length > 2 && this.isNearFirstVertex(point)) {
+            this.finish(true);
+            return;
+        }
+        
+        this.addVertex(point);
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.shiftKey = event.shiftKey;
+        this.lastScreenPosition = { x: event.clientX, y: event.clientY };
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        if (!this.segmentInput) {
+            this.updatePreview(this.currentPoint);
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // Vertices are placed on mouse down
+    }
+
+    /**
+     * Handle double click event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onDoubleClick(event) {
+        if (!this.active) return;
+        
+        // Both clicks of the double click landed on the last vertex, which addVertex ignores
+        this.finish(false);
+    }
+
+    /**
+     * Handle key down event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        
+        // Keys typed into the segment input are handled by the input itself
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
+        if (this.handleInferenceKey(event)) return;
+        
+        if (event.key === 'Enter') {
+            this.finish(false);
+            event.preventDefault();
+            return;
+        }
+        
+        if (event.key === 'c' || event.key === 'C') {
+            this.finish(true);
+            event.preventDefault();
+            return;
+        }
+        
+        if (event.key === 'Backspace') {
+            this.removeLastVertex();
+            event.preventDefault();
+            return;
+        }
+        
+        if (event.key === 'Shift') {
+            this.shiftKey = true;
+            this.refreshPreview();
+        }
+        
+        // Escape cancels, Tab opens the segment input
+        super.onKeyDown(event);
+    }
+
+    /**
+     * Handle key up event
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    onKeyUp(event) {
+        if (!this.active) return;
+        
+        if (event.key === 'Shift') {
+            this.shiftKey = false;
+            this.refreshPreview();
+        }
+    }
+
+    /**
+     * Cancel the current operation
+     */
+    cancel() {
+        super.cancel();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Add a vertex to the polyline being drawn
+     * @param {Point} point - The vertex position
+     */
+    addVertex(point) {
+        const last = this.points[this.points.length - 1];
+        
+        // Ignore repeated clicks on the same spot, such as the clicks of a double click
+        if (last && MathUtils.distance(last.x, last.y, point.x, point.y) < 0.001) return;
+        
+        this.points.push(new Point(point.x, point.y));
+        this.updateReferencePoint();
+        this.updatePreview(point);
+        this.updateStatusHint();
+        
+        logger.info(`Polyline tool: Vertex ${this.points.length} set at ${point.toString()}`);
+    }
+
+    /**
+     * Remove the most recently placed vertex
+     */
+    removeLastVertex() {
+        if (this.points.length === 0) return;
+        
+        this.points.pop();
+        this.updateReferencePoint();
+        this.refreshPreview();
+        this.updateStatusHint();
+        
+        logger.info(`Polyline tool: Removed vertex, ${this.points.length} remaining`);
+    }
+
+    /**
+     * Take tangent and perpendicular snaps from the last vertex
+     */
+    updateReferencePoint() {
+        const last = this.points[this.points.length - 1];
+        this.constraintManager.setReferencePoint(last ? last.clone() : null);
+    }
+
+    /**
+     * Check whether a point is within snapping distance of the first vertex
+     * @param {Point} point - The point to check
+     * @returns {boolean} True if the point is on the first vertex
+     */
+    isNearFirstVertex(point) {
+        const first = this.points[0];
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        return MathUtils.distance(first.x, first.y, point.x, point.y) <= tolerance;
+    }
+
+    /**
+     * Show the placed vertices plus a rubber-band segment to the given point
+     * @param {Point} [point] - The position of the next vertex
+     */
+    updatePreview(point) {
+        if (this.points.length === 0) {
+            this.canvasManager.clearPreview();
+            return;
+        }
+        
+        const previewPoints = point ? [...this.points, point] : this.points;
+        this.canvasManager.setPreviewElement(new Polyline(previewPoints, false));
+    }
+
+    /**
+     * Redraw the preview at the current mouse position
+     */
+    refreshPreview() {
+        if (!this.currentPoint || this.points.length === 0) {
+            this.updatePreview(null);
+            return;
+        }
+        
+        const point = this.shiftKey ? this.constrainToAxis(this.currentPoint) : this.currentPoint;
+        this.updatePreview(point);
+    }
+
+    /**
+     * Finish the polyline and add it to the canvas
+     * @param {boolean} closed - Whether to close the outline
+     */
+    finish(closed) {
+        const minimum = closed ? 3 : 2;
+        
+        if (this.points.length < minimum) {
+            logger.warn(`Polyline tool: ${closed ? 'A closed polyline' : 'A polyline'} needs at least ${minimum} vertices`);
+            return;
+        }
+        
+        const polyline = new Polyline(this.points, closed);
+        this.canvasManager.addShape(polyline);
+        
+        logger.info(`Polyline committed to canvas: ${polyline.toString()}`);
+        
+        // Reset for next polyline
+        this.reset();
+        
+        // Switch to Select tool and select the newly created polyline
+        if (this.appState) {
+            this.appState.switchToSelectToolAndSelectShape(polyline);
+        }
+    }
+
+    /**
+     * Activate dimension input for the next segment
+     */
+    activateDimensionInput() {
+        if (this.points.length === 0) {
+            logger.warn('Polyline tool: Place the first vertex before entering a segment');
+            return;
+        }
+        
+        this.showSegmentInput();
+    }
+
+    /**
+     * Show the length and angle inputs for the next segment
+     */
+    showSegmentInput() {
+        this.hideSegmentInput();
+        
+        const start = this.points[this.points.length - 1];
+        const end = this.currentPoint || start;
+        const initialLength = start.distanceTo(end);
+        let initialAngle = MathUtils.radiansToDegrees(Math.atan2(end.y - start.y, end.x - start.x));
+        
+        // Normalize angle to 0-360 range
+        if (initialAngle < 0) {
+            initialAngle += 360;
+        }
+        
+        const container = document.createElement('div');
+        container.className = 'dimension-input-container segment-dimensions';
+        container.style.left = `${this.lastScreenPosition.x + 20}px`;
+        container.style.top = `${this.lastScreenPosition.y - 10}px`;
+        container.style.flexDirection = 'column';
+        container.style.alignItems = 'stretch';
+        container.style.gap = '4px';
+        
+        const lengthInput = this.createSegmentField(container, 'Length:', initialLength, '0.1');
+        const angleInput = this.createSegmentField(container, 'Angle:', initialAngle, '1');
+        
+        const applyButton = document.createElement('button');
+        applyButton.textContent = 'OK';
+        container.appendChild(applyButton);
+        
+        document.body.appendChild(container);
+        this.segmentInput = container;
+        this.dimensionInputActive = true;
+        
+        // Calculate the end point of the segment from the entered values
+        const getSegmentEnd = () => {
+            const length = parseFloat(lengthInput.value);
+            const angle = parseFloat(angleInput.value);
+            
+            if (isNaN(length) || length <= 0 || isNaN(angle)) return null;
+            
+            const angleRad = MathUtils.degreesToRadians(angle);
+            return new Point(
+                start.x + length * Math.cos(angleRad),
+                start.y + length * Math.sin(angleRad)
+            );
+        };
+        
+        const updatePreview = () => {
+            const segmentEnd = getSegmentEnd();
+            if (segmentEnd) {
+                this.updatePreview(segmentEnd);
+            }
+        };
+        
+        const applyChanges = () => {
+            const segmentEnd = getSegmentEnd();
+            
+            if (!segmentEnd) {
+                lengthInput.style.backgroundColor = '#ffdddd';
+                setTimeout(() => {
+                    lengthInput.style.backgroundColor = '';
+                }, 200);
+                return;
+            }
+            
+            this.hideSegmentInput();
+            this.addVertex(segmentEnd);
+        };
+        
+        const handleKeyDown = (event) => {
+            if (event.key === 'Enter') {
+                applyChanges();
+                event.preventDefault();
+            } else if (event.key === 'Escape') {
+                this.hideSegmentInput();
+                this.refreshPreview();
+                event.preventDefault();
+            }
+        };
+        
+        [lengthInput, angleInput].forEach(input => {
+            input.addEventListener('input', updatePreview);
+            input.addEventListener('keydown', handleKeyDown);
+        });
+        applyButton.addEventListener('click', applyChanges);
+        
+        updatePreview();
+        
+        // Focus length input
+        lengthInput.focus();
+        lengthInput.select();
+    }
+
+    /**
+     * Create a labelled number input inside the segment input
+     * @param {HTMLElement} container - The segment input container
+     * @param {string} label - The label text
+     * @param {number} value - The initial value
+     * @param {string} step - The input step
+     * @returns {HTMLInputElement} The input element
+     */
+    createSegmentField(container, label, value, step) {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+        labelElement.style.minWidth = '60px';
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.value = value.toFixed(2);
+        
+        row.appendChild(labelElement);
+        row.appendChild(input);
+        container.appendChild(row);
+        
+        return input;
+    }
+
+    /**
+     * Remove the segment input if it is shown
+     */
+    hideSegmentInput() {
+        if (this.segmentInput && this.segmentInput.parentNode) {
+            this.segmentInput.parentNode.removeChild(this.segmentInput);
+        }
+        
+        this.segmentInput = null;
+        this.dimensionInputActive = false;
+    }
+}
+
+// Create a singleton instance
+const polylineTool = new PolylineTool();
+
+// Make polylineTool available globally
+window.polylineTool = polylineTool;
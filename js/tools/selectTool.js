@@ -15,7 +15,12 @@ class SelectTool extends BaseTool {
         this.lastDragPoint = null;
         this.dragMode = 'move'; // 'move', 'resize', 'rotate'
         this.resizeHandle = null;
+        this.resizeOriginal = null;
+        this.resizePreview = null;
         this.rotateCenter = null;
+        this.rotateStartAngle = 0;
+        this.rotatePreview = null;
+        this.shiftKey = false;
         this.propertiesPanel = null;
     }
 
@@ -55,6 +60,11 @@ class SelectTool extends BaseTool {
         this.selectionRect = null;
         this.dragging = false;
         
+        // Other tools draw at the top level
+        if (this.canvasManager) {
+            this.canvasManager.closeGroup(true);
+        }
+        
         // Hide properties panel
         if (this.propertiesPanel) {
             this.propertiesPanel.hideProperties();
@@ -72,7 +82,11 @@ class SelectTool extends BaseTool {
         this.lastDragPoint = null;
         this.dragMode = 'move';
         this.resizeHandle = null;
+        this.resizeOriginal = null;
+        this.resizePreview = null;
         this.rotateCenter = null;
+        this.rotateStartAngle = 0;
+        this.rotatePreview = null;
     }
 
     /**
@@ -82,11 +96,15 @@ class SelectTool extends BaseTool {
         if (this.selectedShapes.length === 0) {
             this.statusHint = 'Select: Click to select a shape, drag to select multiple shapes, or hold Ctrl/Shift for multi-selection';
         } else if (this.selectedShapes.length === 1) {
-            this.statusHint = 'Select: Shape selected. Drag to move, press Delete to remove';
+            this.statusHint = 'Select: Shape selected. Drag to move, drag the round handle to rotate (Shift snaps to 15°), press Delete to remove';
         } else {
             this.statusHint = `Select: ${this.selectedShapes.length} shapes selected. Drag to move, press Delete to remove`;
         }
         
+        if (this.canvasManager && this.canvasManager.getOpenGroup()) {
+            this.statusHint = `Editing group (double-click outside or press Esc to leave) - ${this.statusHint}`;
+        }
+        
         if (this.appState) {
             this.appState.statusHint = this.statusHint;
         }
@@ -133,7 +151,7 @@ class SelectTool extends BaseTool {
         const shapesAtPoint = this.canvasManager.findShapesAtPoint(
             this.startPoint.x, 
             this.startPoint.y,
-            5
+            5 / this.canvasManager.zoom
         );
         
         if (shapesAtPoint.length > 0) {
@@ -150,10 +168,8 @@ class SelectTool extends BaseTool {
                     this.selectedShapes = this.selectedShapes.filter(shape => shape.id !== clickedShape.id);
                     
                     // Update properties panel if needed
-                    if (this.selectedShapes.length === 1 && this.propertiesPanel) {
-                        this.propertiesPanel.showProperties(this.selectedShapes[0]);
-                    } else if (this.propertiesPanel) {
-                        this.propertiesPanel.hideProperties();
+                    if (this.propertiesPanel) {
+                        this.propertiesPanel.showSelectionProperties(this.selectedShapes);
                     }
                 } else {
                     // If clicking on an already selected shape without modifier, just start dragging
@@ -168,10 +184,8 @@ class SelectTool extends BaseTool {
                     this.canvasManager.selectElements(clickedShape, false);
                     
                     // Update properties panel if needed
-                    if (this.selectedShapes.length === 1 && this.propertiesPanel) {
-                        this.propertiesPanel.showProperties(this.selectedShapes[0]);
-                    } else if (this.propertiesPanel) {
-                        this.propertiesPanel.hideProperties();
+                    if (this.propertiesPanel) {
+                        this.propertiesPanel.showSelectionProperties(this.selectedShapes);
                     }
                 } else {
                     // If no modifier key, deselect all and select the new one
@@ -228,6 +242,7 @@ class SelectTool extends BaseTool {
         const worldPos = this.canvasManager.screenToWorld(screenX, screenY);
         
         this.currentPoint = new Point(worldPos.x, worldPos.y);
+        this.shiftKey = event.shiftKey;
         
         // Update mouse position in app state
         if (this.appState) {
@@ -237,6 +252,19 @@ class SelectTool extends BaseTool {
             };
         }
         
+        // Show a resize or rotate cursor when hovering over a handle
+        if (!this.mouseDown) {
+            let cursor = '';
+            
+            if (this.findResizeHandleAt(this.currentPoint.x, this.currentPoint.y)) {
+                cursor = 'move';
+            } else if (this.findRotateHandleAt(this.currentPoint.x, this.currentPoint.y)) {
+                cursor = 'grab';
+            }
+            
+            this.canvasManager.canvasOverlay.style.cursor = cursor;
+        }
+        
         // Handle dragging
         if (this.mouseDown) {
             if (this.dragging) {
@@ -287,6 +315,15 @@ class SelectTool extends BaseTool {
         const isMultiSelectModifier = event.ctrlKey || event.shiftKey;
         
         if (this.dragging) {
+            // Commit the resized shape as a single undo step
+            if (this.dragMode === 'resize') {
+                this.commitResize();
+            } else if (this.dragMode === 'rotate') {
+                this.commitRotate();
+            } else {
+                this.solveConstraints();
+            }
+            
             // Finalize the drag operation
             this.dragging = false;
             this.canvasManager.clearPreview();
@@ -324,10 +361,8 @@ class SelectTool extends BaseTool {
                 }
                 
                 // Update properties panel
-                if (this.selectedShapes.length === 1 && this.propertiesPanel) {
-                    this.propertiesPanel.showProperties(this.selectedShapes[0]);
-                } else if (this.propertiesPanel) {
-                    this.propertiesPanel.hideProperties();
+                if (this.propertiesPanel) {
+                    this.propertiesPanel.showSelectionProperties(this.selectedShapes);
                 }
             }
             
@@ -345,9 +380,20 @@ class SelectTool extends BaseTool {
     onKeyDown(event) {
         if (!this.active) return;
         
-        // Handle escape key to cancel
+        // Handle escape key to cancel, or to leave the open group when nothing is being dragged
         if (event.key === 'Escape') {
-            this.cancel();
+            if (!this.dragging && this.canvasManager && this.canvasManager.getOpenGroup()) {
+                this.canvasManager.closeGroup();
+                this.selectedShapes = [];
+                
+                if (this.propertiesPanel) {
+                    this.propertiesPanel.hideProperties();
+                }
+                
+                this.updateStatusHint();
+            } else {
+                this.cancel();
+            }
             event.preventDefault();
             return;
         }
@@ -367,6 +413,42 @@ class SelectTool extends BaseTool {
         }
     }
 
+    /**
+     * Handle double click event: edit a dimension label, open a group to edit its children, or leave the open group
+     * @param {MouseEvent} event - The mouse event
+     */
+    onDoubleClick(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        const rect = this.canvasManager.canvasOverlay.getBoundingClientRect();
+        const worldPos = this.canvasManager.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
+        
+        const dimension = this.constraintManager.getDimensionAt(worldPos.x, worldPos.y);
+        if (dimension) {
+            this.constraintManager.editDimension(dimension.id, { x: event.clientX, y: event.clientY });
+            return;
+        }
+        
+        const shapesAtPoint = this.canvasManager.findShapesAtPoint(worldPos.x, worldPos.y, 5 / this.canvasManager.zoom);
+        const group = shapesAtPoint.find(shape => shape.type === 'group');
+        
+        if (group) {
+            this.canvasManager.openGroup(group.id);
+        } else if (shapesAtPoint.length === 0 && this.canvasManager.getOpenGroup()) {
+            this.canvasManager.closeGroup();
+        } else {
+            return;
+        }
+        
+        this.selectedShapes = [];
+        
+        if (this.propertiesPanel) {
+            this.propertiesPanel.hideProperties();
+        }
+        
+        this.updateStatusHint();
+    }
+
     /**
      * Handle drag move operation
      */
@@ -389,22 +471,23 @@ class SelectTool extends BaseTool {
                     shape.x2 + dx,
                     shape.y2 + dy
                 );
-                clone.id = shape.id;
+                ShapeFactory.copyAttributes(shape, clone);
             } else if (shape.type === 'rectangle') {
                 clone = new Rectangle(
                     shape.x + dx,
                     shape.y + dy,
                     shape.width,
-                    shape.height
+                    shape.height,
+                    shape.rotation
                 );
-                clone.id = shape.id;
+                ShapeFactory.copyAttributes(shape, clone);
             } else if (shape.type === 'circle') {
                 clone = new Circle(
                     shape.cx + dx,
                     shape.cy + dy,
                     shape.radius
                 );
-                clone.id = shape.id;
+                ShapeFactory.copyAttributes(shape, clone);
             } else if (shape.type === 'arc') {
                 clone = new Arc(
                     shape.cx + dx,
@@ -413,7 +496,23 @@ class SelectTool extends BaseTool {
                     shape.startAngle,
                     shape.endAngle
                 );
-                clone.id = shape.id;
+                ShapeFactory.copyAttributes(shape, clone);
+            } else if (shape.type === 'polyline') {
+                clone = new Polyline(shape.points, shape.closed);
+                clone.move(dx, dy);
+                ShapeFactory.copyAttributes(shape, clone);
+            } else if (shape.type === 'ellipse') {
+                clone = new Ellipse(
+                    shape.cx + dx,
+                    shape.cy + dy,
+                    shape.rx,
+                    shape.ry,
+                    shape.rotation
+                );
+                ShapeFactory.copyAttributes(shape, clone);
+            } else if (shape.type === 'group') {
+                clone = ShapeFactory.fromObject(shape);
+                clone.move(dx, dy);
             } else {
                 // Fallback for unknown shape types
                 clone = { ...shape };
@@ -448,9 +547,13 @@ class SelectTool extends BaseTool {
             } else if (shape.type === 'rectangle') {
                 originalShape.x = shape.x;
                 originalShape.y = shape.y;
-            } else if (shape.type === 'circle' || shape.type === 'arc') {
+            } else if (shape.type === 'circle' || shape.type === 'arc' || shape.type === 'ellipse') {
                 originalShape.cx = shape.cx;
                 originalShape.cy = shape.cy;
+            } else if (shape.type === 'polyline') {
+                originalShape.points = shape.points;
+            } else if (shape.type === 'group') {
+                originalShape.children = shape.children;
             }
             
             this.canvasManager.updateShape(originalShape);
@@ -462,20 +565,230 @@ class SelectTool extends BaseTool {
         }
     }
 
+    /**
+     * Re-solve the constraints after the selected shapes were moved, keeping the selection on the solved shapes
+     */
+    solveConstraints() {
+        if (!this.constraintManager.solveConstraints(this.selectedShapes.map(shape => shape.id))) return;
+        
+        this.selectedShapes = this.selectedShapes
+            .map(shape => this.canvasManager.getShapeById(shape.id))
+            .filter(Boolean);
+        this.canvasManager.selectElements(this.selectedShapes);
+    }
+
     /**
      * Handle drag resize operation
      */
     handleDragResize() {
-        // Implement resize logic here
-        // This is a placeholder for the resize functionality
+        if (!this.canvasManager || !this.resizeOriginal || !this.resizeHandle) return;
+        
+        // Snap the dragged handle, ignoring the shape being resized
+        const snapped = this.constraintManager.applyConstraints(
+            this.currentPoint.x,
+            this.currentPoint.y,
+            [this.resizeOriginal.id]
+        );
+        
+        const resized = this.createResizedShape(this.resizeOriginal, this.resizeHandle, new Point(snapped.x, snapped.y));
+        if (!resized) return;
+        
+        this.resizePreview = resized;
+        this.canvasManager.previewUpdatedShape(resized);
+    }
+
+    /**
+     * Create a resized copy of a shape by moving one of its handles
+     * @param {Object} shape - The original shape
+     * @param {string} handleId - The ID of the dragged handle
+     * @param {Point} point - The new handle position
+     * @returns {Object|null} The resized shape or null if the handle is unknown
+     */
+    createResizedShape(shape, handleId, point) {
+        let resized = null;
+        
+        switch (shape.type) {
+            case 'line':
+                if (handleId === 'start') {
+                    resized = new Line(point.x, point.y, shape.x2, shape.y2);
+                } else if (handleId === 'end') {
+                    resized = new Line(shape.x1, shape.y1, point.x, point.y);
+                }
+                break;
+                
+            case 'rectangle': {
+                // Work in the unrotated frame so rotated rectangles resize along their own axes
+                const local = shape.worldToLocal(point.x, point.y);
+                let left = shape.x;
+                let top = shape.y;
+                let right = shape.x + shape.width;
+                let bottom = shape.y + shape.height;
+                
+                // Move the edges controlled by the handle, the opposite edges stay fixed
+                if (handleId.includes('n')) top = local.y;
+                if (handleId.includes('s')) bottom = local.y;
+                if (handleId.includes('w')) left = local.x;
+                if (handleId.includes('e')) right = local.x;
+                
+                const bounds = Rectangle.fromPoints(new Point(left, top), new Point(right, bottom));
+                const center = shape.localToWorld(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+                
+                resized = new Rectangle(
+                    center.x - bounds.width / 2,
+                    center.y - bounds.height / 2,
+                    bounds.width,
+                    bounds.height,
+                    shape.rotation
+                );
+                break;
+            }
+                
+            case 'circle':
+                resized = new Circle(shape.cx, shape.cy, shape.getCenter().distanceTo(point));
+                break;
+                
+            case 'arc': {
+                const angle = MathUtils.angle(shape.cx, shape.cy, point.x, point.y);
+                
+                if (handleId === 'start') {
+                    resized = new Arc(shape.cx, shape.cy, shape.radius, angle, shape.endAngle);
+                } else if (handleId === 'end') {
+                    resized = new Arc(shape.cx, shape.cy, shape.radius, shape.startAngle, angle);
+                } else if (handleId === 'radius') {
+                    resized = new Arc(shape.cx, shape.cy, shape.getCenter().distanceTo(point), shape.startAngle, shape.endAngle);
+                }
+                break;
+            }
+                
+            case 'polyline': {
+                // Vertex handles move a single vertex
+                const index = parseInt(handleId.replace('vertex-', ''), 10);
+                
+                if (index >= 0 && index < shape.points.length) {
+                    resized = shape.clone();
+                    resized.setPoint(index, point.x, point.y);
+                }
+                break;
+            }
+                
+            case 'ellipse': {
+                // East/west handles set the x radius, north/south handles the y radius
+                const local = shape.worldToLocal(point.x, point.y);
+                
+                if (handleId === 'e' || handleId === 'w') {
+                    resized = new Ellipse(shape.cx, shape.cy, Math.abs(local.x - shape.cx), shape.ry, shape.rotation);
+                } else if (handleId === 'n' || handleId === 's') {
+                    resized = new Ellipse(shape.cx, shape.cy, shape.rx, Math.abs(local.y - shape.cy), shape.rotation);
+                }
+                break;
+            }
+        }
+        
+        if (resized) {
+            ShapeFactory.copyAttributes(shape, resized);
+        }
+        
+        return resized;
+    }
+
+    /**
+     * Commit the previewed resize to the canvas
+     */
+    commitResize() {
+        if (!this.resizePreview) return;
+        
+        // updateShape records a single undo state for the whole drag
+        this.canvasManager.updateShape(this.resizePreview);
+        this.constraintManager.solveConstraints([this.resizePreview.id]);
+        
+        const resizedShape = this.canvasManager.getShapeById(this.resizePreview.id);
+        this.resizeOriginal = null;
+        this.resizePreview = null;
+        this.resizeHandle = null;
+        
+        if (resizedShape) {
+            this.selectedShapes = [resizedShape];
+            this.canvasManager.selectElements(resizedShape);
+            
+            if (this.propertiesPanel) {
+                this.propertiesPanel.showProperties(resizedShape);
+            }
+        }
+        
+        logger.info('Resized selected shape');
     }
 
     /**
      * Handle drag rotate operation
      */
     handleDragRotate() {
-        // Implement rotate logic here
-        // This is a placeholder for the rotate functionality
+        if (!this.canvasManager || !this.rotateCenter || this.selectedShapes.length === 0) return;
+        
+        let angle = MathUtils.angle(
+            this.rotateCenter.x,
+            this.rotateCenter.y,
+            this.currentPoint.x,
+            this.currentPoint.y
+        ) - this.rotateStartAngle;
+        
+        // Snap to 15° increments while Shift is held
+        if (this.shiftKey) {
+            const step = MathUtils.degreesToRadians(15);
+            angle = Math.round(angle / step) * step;
+        }
+        
+        angle = MathUtils.normalizeAngle(angle);
+        
+        // Preview rotated copies of the selected shapes, keeping their IDs
+        this.rotatePreview = this.selectedShapes
+            .map(shape => ShapeFactory.fromObject(shape))
+            .filter(shape => shape && typeof shape.rotate === 'function');
+        
+        this.rotatePreview.forEach(shape => shape.rotate(angle, this.rotateCenter));
+        this.canvasManager.setPreviewElement(this.rotatePreview);
+        
+        this.statusHint = `Rotate: ${MathUtils.round(MathUtils.radiansToDegrees(angle), 1)}° (hold Shift to snap to 15°)`;
+        
+        if (this.appState) {
+            this.appState.statusHint = this.statusHint;
+        }
+    }
+
+    /**
+     * Commit the previewed rotation to the canvas
+     */
+    commitRotate() {
+        if (!this.rotatePreview || this.rotatePreview.length === 0) {
+            this.rotateCenter = null;
+            return;
+        }
+        
+        // Save state for undo once for the whole rotation
+        if (window.appStateManager) {
+            window.appStateManager.pushUndoState();
+        }
+        
+        this.rotatePreview.forEach(shape => {
+            this.canvasManager.updateShape(shape, false);
+        });
+        
+        this.constraintManager.solveConstraints(this.rotatePreview.map(shape => shape.id));
+        
+        const rotatedShapes = this.rotatePreview
+            .map(shape => this.canvasManager.getShapeById(shape.id))
+            .filter(Boolean);
+        
+        this.rotateCenter = null;
+        this.rotatePreview = null;
+        
+        this.selectedShapes = rotatedShapes;
+        this.canvasManager.selectElements(rotatedShapes);
+        
+        if (this.propertiesPanel) {
+            this.propertiesPanel.showSelectionProperties(rotatedShapes);
+        }
+        
+        logger.info(`Rotated ${rotatedShapes.length} shape(s)`);
     }
 
     /**
@@ -485,9 +798,34 @@ class SelectTool extends BaseTool {
      * @returns {boolean} True if the point is on a resize handle
      */
     isOnResizeHandle(x, y) {
-        // Implement resize handle detection here
-        // This is a placeholder for the resize handle detection
-        return false;
+        const handle = this.findResizeHandleAt(x, y);
+        if (!handle) return false;
+        
+        // The canvas selection is the source of truth for the rendered handles
+        const shape = this.canvasManager.selectedElements[0];
+        this.selectedShapes = [shape];
+        this.resizeHandle = handle.id;
+        this.resizeOriginal = shape;
+        this.resizePreview = null;
+        
+        return true;
+    }
+
+    /**
+     * Find the resize handle at a point
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} The handle {id, x, y} or null if none is at the point
+     */
+    findResizeHandleAt(x, y) {
+        if (!this.canvasManager || this.canvasManager.selectedElements.length !== 1) return null;
+        
+        const shape = this.canvasManager.selectedElements[0];
+        const tolerance = this.canvasManager.handleSize / this.canvasManager.zoom;
+        
+        return this.canvasManager.getResizeHandles(shape).find(handle =>
+            Math.abs(handle.x - x) <= tolerance && Math.abs(handle.y - y) <= tolerance
+        ) || null;
     }
 
     /**
@@ -497,9 +835,33 @@ class SelectTool extends BaseTool {
      * @returns {boolean} True if the point is on a rotate handle
      */
     isOnRotateHandle(x, y) {
-        // Implement rotate handle detection here
-        // This is a placeholder for the rotate handle detection
-        return false;
+        const handle = this.findRotateHandleAt(x, y);
+        if (!handle) return false;
+        
+        // The canvas selection is the source of truth for the rendered handle
+        this.selectedShapes = [...this.canvasManager.selectedElements];
+        this.rotateCenter = handle.center;
+        this.rotateStartAngle = MathUtils.angle(handle.center.x, handle.center.y, x, y);
+        this.rotatePreview = null;
+        
+        return true;
+    }
+
+    /**
+     * Find the rotate handle at a point
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} The handle {x, y, center} or null if it is not at the point
+     */
+    findRotateHandleAt(x, y) {
+        if (!this.canvasManager) return null;
+        
+        const handle = this.canvasManager.getRotateHandle();
+        if (!handle) return null;
+        
+        const tolerance = this.canvasManager.handleSize / this.canvasManager.zoom;
+        
+        return MathUtils.distance(x, y, handle.x, handle.y) <= tolerance ? handle : null;
     }
 
     /**
@@ -536,16 +898,12 @@ class SelectTool extends BaseTool {
     selectAll() {
         if (!this.canvasManager) return;
         
-        this.selectedShapes = [...this.canvasManager.shapes];
+        // Shapes on hidden or locked layers cannot be selected, and inside a group only its children can
+        this.selectedShapes = [...this.canvasManager.getPickableShapes()];
         this.canvasManager.selectElements(this.selectedShapes);
         
-        // Hide properties panel if multiple shapes are selected
         if (this.propertiesPanel) {
-            if (this.selectedShapes.length === 1) {
-                this.propertiesPanel.showProperties(this.selectedShapes[0]);
-            } else {
-                this.propertiesPanel.hideProperties();
-            }
+            this.propertiesPanel.showSelectionProperties(this.selectedShapes);
         }
         
         this.updateStatusHint();
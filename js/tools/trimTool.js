@@ -0,0 +1,124 @@
+/**
+ * Trim Tool for the CAD Editor
+ * Removes the clicked part of a line, arc or circle up to the nearest intersections with other shapes
+ */
+class TrimTool extends BaseTool {
+    /**
+     * Create a new TrimTool
+     */
+    constructor() {
+        super('trim');
+    }
+
+    /**
+     * Activate the tool
+     */
+    activate() {
+        super.activate();
+        this.updateStatusHint();
+    }
+
+    /**
+     * Update the status hint
+     */
+    updateStatusHint() {
+        this.setStatusHint('Trim: Click the part of a line, arc or circle to remove up to the nearest intersections');
+    }
+
+    /**
+     * Find the shape under a point and how trimming it there would change it
+     * @param {Point} point - The picked point
+     * @returns {Object|null} The pick {shape, result}, or null if there is nothing to trim
+     */
+    findTrim(point) {
+        const tolerance = this.constraintManager.snapDistance / this.canvasManager.zoom;
+        
+        for (const shape of this.canvasManager.findShapesAtPoint(point.x, point.y, tolerance)) {
+            if (!TrimExtend.TRIM_TYPES.includes(shape.type)) continue;
+            
+            const boundaries = this.canvasManager.getSnapShapes([shape.id]);
+            const result = TrimExtend.trim(shape, point, boundaries);
+            
+            if (result) {
+                return { shape, result };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Handle mouse down event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseDown(event) {
+        if (!this.active || !this.canvasManager || event.button !== 0) return;
+        
+        const pick = this.findTrim(this.getEventPoint(event));
+        
+        if (!pick) {
+            this.setStatusHint('Trim: Click on a line, arc or circle to trim it');
+            return;
+        }
+        
+        const { shape, result } = pick;
+        
+        // The first piece of the same type carries on as the original shape, the others are new
+        const pieces = result.pieces.map((piece, i) => {
+            ShapeFactory.copyAttributes(shape, piece);
+            
+            if (i > 0 || piece.type !== shape.type) {
+                piece.id = ShapeFactory.generateId(piece.type);
+            }
+            
+            return piece;
+        });
+        
+        this.canvasManager.clearPreview();
+        this.canvasManager.replaceShape(shape.id, pieces);
+        
+        logger.info(`Trim tool: Trimmed ${shape.type} ${shape.id} into ${pieces.length} pieces`);
+        this.updateStatusHint();
+    }
+
+    /**
+     * Handle mouse move event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseMove(event) {
+        if (!this.active || !this.canvasManager) return;
+        
+        this.currentPoint = this.getEventPoint(event);
+        
+        // Update mouse position in app state
+        if (this.appState) {
+            this.appState.mousePosition = {
+                x: this.currentPoint.x,
+                y: this.currentPoint.y
+            };
+        }
+        
+        // Preview the part that would be removed
+        const pick = this.findTrim(this.currentPoint);
+        
+        if (pick) {
+            this.canvasManager.setPreviewElement(pick.result.removed);
+        } else {
+            this.canvasManager.clearPreview();
+        }
+    }
+
+    /**
+     * Handle mouse up event
+     * @param {MouseEvent} event - The mouse event
+     */
+    onMouseUp(event) {
+        // Trimming happens on mouse down
+    }
+}
+
+// Create a singleton instance
+const trimTool = new TrimTool();
+
+// Make trimTool available globally
+window.trimTool = trimTool;
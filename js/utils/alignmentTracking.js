@@ -0,0 +1,154 @@
+/**
+ * Alignment tracking utilities for the CAD Editor
+ * Finds where the cursor lines up with polar angles from the point being drawn from,
+ * and with the horizontal and vertical alignment lines of acquired snap points
+ */
+const AlignmentTracking = {
+    // Time in milliseconds the cursor rests on a snap point before it is acquired for tracking
+    ACQUIRE_DELAY: 500,
+
+    // Most snap points tracked at once; acquiring another drops the oldest
+    MAX_POINTS: 7,
+
+    // Polar angle increments offered in the toolbar, in degrees
+    INCREMENTS: [5, 10, 15, 30, 45, 90],
+
+    /**
+     * Get the polar tracking line the cursor is close to
+     * @param {Object} from - The point {x, y} being drawn from
+     * @param {number} x - X coordinate of the cursor
+     * @param {number} y - Y coordinate of the cursor
+     * @param {number} increment - The angle increment in degrees
+     * @param {number} tolerance - How far the cursor may be from the line, in world units
+     * @returns {Object|null} The line {x, y, angle, kind: 'polar'} through the point, or null if no angle is close
+     */
+    getPolarLine(from, x, y, increment, tolerance) {
+        const distance = MathUtils.distance(from.x, from.y, x, y);
+        if (distance === 0) return null;
+        
+        const angle = MathUtils.angleDegrees(from.x, from.y, x, y);
+        const tracked = Math.round(angle / increment) * increment;
+        const offset = distance * Math.abs(Math.sin(MathUtils.degreesToRadians(angle - tracked)));
+        
+        if (offset >= tolerance) return null;
+        
+        return { x: from.x, y: from.y, angle: (tracked + 360) % 360, kind: 'polar' };
+    },
+
+    /**
+     * Get the horizontal and vertical alignment lines of tracked points
+     * @param {Array<Object>} points - The tracked points {x, y}
+     * @returns {Array<Object>} The lines {x, y, angle, kind: 'tracking'}
+     */
+    getAlignmentLines(points) {
+        return points.reduce((lines, point) => lines.concat([
+            { x: point.x, y: point.y, angle: 0, kind: 'tracking' },
+            { x: point.x, y: point.y, angle: 90, kind: 'tracking' }
+        ]), []);
+    },
+
+    /**
+     * Find the alignment for a cursor position: where two lines from different points cross near the cursor,
+     * otherwise the closest point on the nearest line
+     * @param {Array<Object>} lines - The tracking lines {x, y, angle}
+     * @param {number} x - X coordinate of the cursor
+     * @param {number} y - Y coordinate of the cursor
+     * @param {number} tolerance - The snap distance in world units
+     * @returns {Object|null} The aligned point {x, y, lines}, or null if no line is in range
+     */
+    findAlignment(lines, x, y, tolerance) {
+        let best = null;
+        let bestDistance = tolerance;
+        
+        for (let i = 0; i < lines.length; i++) {
+            for (let j = i + 1; j < lines.length; j++) {
+                const first = lines[i];
+                const second = lines[j];
+                
+                // Lines through the same point only cross at that point, which object snap already offers
+                if (first.x === second.x && first.y === second.y) continue;
+                
+                const point = this.intersectLines(first, second);
+                if (!point) continue;
+                
+                const distance = MathUtils.distance(x, y, point.x, point.y);
+                if (distance < bestDistance) {
+                    best = { x: point.x, y: point.y, lines: [first, second] };
+                    bestDistance = distance;
+                }
+            }
+        }
+        
+        if (best) return best;
+        
+        lines.forEach(line => {
+            const point = this.projectOntoLine(line, x, y);
+            const distance = MathUtils.distance(x, y, point.x, point.y);
+            
+            if (distance < bestDistance) {
+                best = { x: point.x, y: point.y, lines: [line] };
+                bestDistance = distance;
+            }
+        });
+        
+        return best;
+    },
+
+    /**
+     * Get the direction of a tracking line
+     * @param {Object} line - The line {x, y, angle}
+     * @returns {Object} The unit vector {x, y}
+     */
+    getDirection(line) {
+        const radians = MathUtils.degreesToRadians(line.angle);
+        return { x: Math.cos(radians), y: Math.sin(radians) };
+    },
+
+    /**
+     * Calculate where two tracking lines cross
+     * @param {Object} first - The first line {x, y, angle}
+     * @param {Object} second - The second line {x, y, angle}
+     * @returns {Object|null} The point {x, y}, or null if the lines are parallel
+     */
+    intersectLines(first, second) {
+        const a = this.getDirection(first);
+        const b = this.getDirection(second);
+        const denominator = a.x * b.y - a.y * b.x;
+        
+        if (Math.abs(denominator) < 1e-9) return null;
+        
+        const t = ((second.x - first.x) * b.y - (second.y - first.y) * b.x) / denominator;
+        return { x: first.x + t * a.x, y: first.y + t * a.y };
+    },
+
+    /**
+     * Project a point onto a tracking line
+     * @param {Object} line - The line {x, y, angle}
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @returns {Object} The closest point {x, y} on the line
+     */
+    projectOntoLine(line, x, y) {
+        const direction = this.getDirection(line);
+        const t = (x - line.x) * direction.x + (y - line.y) * direction.y;
+        
+        return { x: line.x + t * direction.x, y: line.y + t * direction.y };
+    },
+
+    /**
+     * Describe a tracking line for the tooltip, with the distance and angle from its point to the aligned point
+     * @param {Object} line - The line {x, y, angle, kind}
+     * @param {Object} point - The aligned point {x, y}
+     * @returns {string} The description, such as "Polar: 50.00 < 45°"
+     */
+    describe(line, point) {
+        const distance = MathUtils.distance(line.x, line.y, point.x, point.y);
+        const angle = distance === 0 ? line.angle : (MathUtils.angleDegrees(line.x, line.y, point.x, point.y) + 360) % 360;
+        const label = line.kind === 'polar' ? 'Polar' : 'Tracking';
+        
+        return `${label}: ${distance.toFixed(2)} < ${MathUtils.round(angle, 2) % 360}°`;
+    }
+};
+
+// Make AlignmentTracking available globally
+window.AlignmentTracking = AlignmentTracking;
@@ -0,0 +1,439 @@
+/**
+ * Constraint solver for the CAD Editor
+ * Moves shapes the least it can so that their geometric constraints hold, using damped Newton iterations
+ */
+const ConstraintSolver = {
+    // Largest residual, in drawing units, that counts as satisfied
+    TOLERANCE: 1e-6,
+    MAX_ITERATIONS: 60,
+
+    // The numbers that describe each shape type, which the solver may change
+    PARAMETERS: {
+        line: ['x1', 'y1', 'x2', 'y2'],
+        circle: ['cx', 'cy', 'radius'],
+        arc: ['cx', 'cy', 'radius', 'startAngle', 'endAngle']
+    },
+
+    /**
+     * Get the parameters of a shape
+     * @param {Object} shape - A line, circle or arc
+     * @returns {Object} The parameter values by name
+     */
+    getParameters(shape) {
+        const values = {};
+        (this.PARAMETERS[shape.type] || []).forEach(key => {
+            values[key] = shape[key];
+        });
+        return values;
+    },
+
+    /**
+     * Get a named point of a shape
+     * @param {Object} shape - A line, circle or arc
+     * @param {string} name - 'start', 'end' or 'center'
+     * @returns {Object|null} The point {x, y}, or null if the shape has no such point
+     */
+    getPoint(shape, name) {
+        if (shape.type === 'line') {
+            if (name === 'start') return { x: shape.x1, y: shape.y1 };
+            if (name === 'end') return { x: shape.x2, y: shape.y2 };
+            return null;
+        }
+        
+        if (name === 'center') return { x: shape.cx, y: shape.cy };
+        
+        if (shape.type === 'arc' && (name === 'start' || name === 'end')) {
+            const angle = name === 'start' ? shape.startAngle : shape.endAngle;
+            return {
+                x: shape.cx + shape.radius * Math.cos(angle),
+                y: shape.cy + shape.radius * Math.sin(angle)
+            };
+        }
+        
+        return null;
+    },
+
+    /**
+     * Get the names of the points a shape has
+     * @param {Object} shape - A line, circle or arc
+     * @returns {Array<string>} The point names
+     */
+    getPointNames(shape) {
+        if (shape.type === 'line') return ['start', 'end'];
+        if (shape.type === 'arc') return ['center', 'start', 'end'];
+        if (shape.type === 'circle') return ['center'];
+        return [];
+    },
+
+    /**
+     * Check whether a shape can be picked for a kind of constraint reference
+     * @param {Object} shape - The shape
+     * @param {string} kind - 'point', 'line', 'curve' or 'edge', see Constraint.TYPES
+     * @returns {boolean} True if the shape fits
+     */
+    fitsReference(shape, kind) {
+        if (!shape || !Constraint.SHAPE_TYPES.includes(shape.type)) return false;
+        if (kind === 'line') return shape.type === 'line';
+        if (kind === 'curve') return shape.type === 'circle' || shape.type === 'arc';
+        return true;
+    },
+
+    /**
+     * Check that the shapes picked for a constraint go together
+     * @param {string} type - The constraint type
+     * @param {Array<Object>} shapes - The shapes, in the order of the constraint references
+     * @returns {string|null} A message describing the problem, or null if they fit
+     */
+    checkShapes(type, shapes) {
+        const info = Constraint.TYPES[type];
+        if (!info) return `Unknown constraint type ${type}`;
+        if (shapes.length !== info.refs.length) return `${info.label} needs ${info.refs.length} references`;
+        
+        if (!shapes.every((shape, index) => this.fitsReference(shape, info.refs[index]))) {
+            return `${info.label} cannot apply to these shapes`;
+        }
+        
+        if (type === 'tangent' && shapes.every(shape => shape.type === 'line')) {
+            return 'Tangent needs at least one circle or arc';
+        }
+        
+        if (type === 'equal' && (shapes[0].type === 'line') !== (shapes[1].type === 'line')) {
+            return 'Equal needs two lines or two circles and arcs';
+        }
+        
+        // Point references may share a shape, whole shapes may not
+        if (!info.refs.includes('point') && info.refs.length > 1 && shapes[0].id === shapes[1].id) {
+            return `${info.label} needs two different shapes`;
+        }
+        
+        if (type === 'symmetric' && shapes.slice(0, 2).some(shape => shape.id === shapes[2].id)) {
+            return 'Symmetric needs a mirror line apart from the points';
+        }
+        
+        return null;
+    },
+
+    /**
+     * Measure the dimension a dimensional constraint sets
+     * @param {Constraint} constraint - The constraint
+     * @param {Map<string, Object>} shapes - The shapes by ID
+     * @returns {number} The distance, the angle in degrees, the radius or the diameter
+     */
+    measure(constraint, shapes) {
+        const refs = constraint.refs.map(ref => shapes.get(ref.shapeId));
+        const points = constraint.refs.map((ref, index) => (ref.point ? this.getPoint(refs[index], ref.point) : null));
+        const [a, b] = refs;
+        
+        switch (constraint.type) {
+            case 'distance':
+                return Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y);
+            case 'horizontalDistance':
+                return Math.abs(points[1].x - points[0].x);
+            case 'verticalDistance':
+                return Math.abs(points[1].y - points[0].y);
+            case 'angle': {
+                // The angle between the line directions, from 0° to 180°
+                const d1 = { x: a.x2 - a.x1, y: a.y2 - a.y1 };
+                const d2 = { x: b.x2 - b.x1, y: b.y2 - b.y1 };
+                return MathUtils.radiansToDegrees(Math.abs(Math.atan2(d1.x * d2.y - d1.y * d2.x, d1.x * d2.x + d1.y * d2.y)));
+            }
+            case 'radius':
+                return a.radius;
+            case 'diameter':
+                return 2 * a.radius;
+            default:
+                return 0;
+        }
+    },
+
+    /**
+     * Get the residuals of a constraint, which are all zero when it holds
+     * @param {Constraint} constraint - The constraint
+     * @param {Map<string, Object>} shapes - The shapes by ID
+     * @param {number} [target] - The value a dimensional constraint sets
+     * @returns {Array<number>} The residuals
+     */
+    residuals(constraint, shapes, target) {
+        const refs = constraint.refs.map(ref => shapes.get(ref.shapeId));
+        const points = constraint.refs.map((ref, index) => (ref.point ? this.getPoint(refs[index], ref.point) : null));
+        const direction = line => ({ x: line.x2 - line.x1, y: line.y2 - line.y1 });
+        const length = vector => Math.max(Math.hypot(vector.x, vector.y), this.TOLERANCE);
+        const [a, b] = refs;
+        
+        switch (constraint.type) {
+            case 'coincident':
+                return [points[0].x - points[1].x, points[0].y - points[1].y];
+                
+            case 'horizontal':
+                return [a.y2 - a.y1];
+                
+            case 'vertical':
+                return [a.x2 - a.x1];
+                
+            case 'parallel':
+            case 'perpendicular': {
+                const d1 = direction(a);
+                const d2 = direction(b);
+                // Scaled by the second length so the residual is a distance along the first line
+                const value = constraint.type === 'parallel'
+                    ? d1.x * d2.y - d1.y * d2.x
+                    : d1.x * d2.x + d1.y * d2.y;
+                return [value / length(d2)];
+            }
+            
+            case 'tangent': {
+                if (a.type === 'line' || b.type === 'line') {
+                    const line = a.type === 'line' ? a : b;
+                    const curve = a.type === 'line' ? b : a;
+                    const d = direction(line);
+                    const distance = Math.abs(d.x * (curve.cy - line.y1) - d.y * (curve.cx - line.x1)) / length(d);
+                    return [distance - curve.radius];
+                }
+                
+                // Circles touch from outside or inside, whichever is closer to holding already
+                const distance = Math.hypot(a.cx - b.cx, a.cy - b.cy);
+                const outside = distance - (a.radius + b.radius);
+                const inside = distance - Math.abs(a.radius - b.radius);
+                return [Math.abs(outside) <= Math.abs(inside) ? outside : inside];
+            }
+            
+            case 'equal':
+                return a.type === 'line'
+                    ? [length(direction(a)) - length(direction(b))]
+                    : [a.radius - b.radius];
+                    
+            case 'concentric':
+                return [a.cx - b.cx, a.cy - b.cy];
+                
+            case 'fixed': {
+                const held = constraint.value || {};
+                return (this.PARAMETERS[a.type] || [])
+                    .filter(key => typeof held[key] === 'number')
+                    .map(key => a[key] - held[key]);
+            }
+            
+            case 'symmetric': {
+                const line = refs[2];
+                const d = direction(line);
+                const mid = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+                const across = { x: points[1].x - points[0].x, y: points[1].y - points[0].y };
+                return [
+                    (d.x * (mid.y - line.y1) - d.y * (mid.x - line.x1)) / length(d),
+                    (across.x * d.x + across.y * d.y) / length(d)
+                ];
+            }
+            
+            case 'angle': {
+                // Scaled by the first length so the residual is a distance like the others
+                const error = MathUtils.degreesToRadians(this.measure(constraint, shapes) - target);
+                return [error * length(direction(a))];
+            }
+            
+            case 'distance':
+            case 'horizontalDistance':
+            case 'verticalDistance':
+            case 'radius':
+            case 'diameter':
+                return [this.measure(constraint, shapes) - target];
+                
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Check whether every shape and point a constraint refers to exists
+     * @param {Constraint} constraint - The constraint
+     * @param {Map<string, Object>} shapes - The shapes by ID
+     * @returns {boolean} True if the constraint can be evaluated
+     */
+    canEvaluate(constraint, shapes) {
+        if (!Constraint.TYPES[constraint.type]) return false;
+        
+        return constraint.refs.every(ref => {
+            const shape = shapes.get(ref.shapeId);
+            if (!shape || !this.PARAMETERS[shape.type]) return false;
+            return !ref.point || this.getPoint(shape, ref.point) !== null;
+        });
+    },
+
+    /**
+     * Get the largest residual of a constraint
+     * @param {Constraint} constraint - The constraint
+     * @param {Map<string, Object>} shapes - The shapes by ID
+     * @param {number} [target] - The value a dimensional constraint sets
+     * @returns {number} The error, zero when the constraint holds
+     */
+    getError(constraint, shapes, target) {
+        return this.residuals(constraint, shapes, target).reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    },
+
+    /**
+     * Solve constraints by changing the parameters of the shapes they refer to
+     * @param {Array<Constraint>} constraints - The constraints
+     * @param {Array<Object>} shapes - The shapes, which are changed in place
+     * @param {Array<string>} [lockedIds] - IDs of shapes that must not change
+     * @param {Map<string, number>} [targets] - The values of the dimensional constraints by constraint ID
+     * @returns {Object} {solved, conflicts} with the constraints that still do not hold
+     */
+    solve(constraints, shapes, lockedIds = [], targets = new Map()) {
+        const shapeMap = new Map(shapes.map(shape => [shape.id, shape]));
+        const active = constraints.filter(constraint => this.canEvaluate(constraint, shapeMap) &&
+            (!constraint.isDimension() || targets.has(constraint.id)));
+        
+        // The unknowns are the parameters of every unlocked shape the constraints touch
+        const variables = [];
+        const seen = new Set(lockedIds);
+        active.forEach(constraint => {
+            constraint.getShapeIds().forEach(id => {
+                if (seen.has(id)) return;
+                seen.add(id);
+                
+                const shape = shapeMap.get(id);
+                this.PARAMETERS[shape.type].forEach(key => variables.push({ shape, key }));
+            });
+        });
+        
+        const evaluate = () => active.reduce((all, constraint) =>
+            all.concat(this.residuals(constraint, shapeMap, targets.get(constraint.id))), []);
+        const norm = values => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+        const largest = values => values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        
+        let residuals = evaluate();
+        
+        for (let iteration = 0; iteration < this.MAX_ITERATIONS && largest(residuals) > this.TOLERANCE; iteration++) {
+            if (variables.length === 0) break;
+            
+            const step = this.computeStep(variables, residuals, evaluate);
+            if (!step) break;
+            
+            // Halve the step while it makes things worse, so a bad start cannot throw shapes away
+            const start = variables.map(variable => variable.shape[variable.key]);
+            const startNorm = norm(residuals);
+            let scale = 1;
+            let next = null;
+            
+            for (let attempt = 0; attempt < 12; attempt++) {
+                variables.forEach((variable, index) => {
+                    variable.shape[variable.key] = start[index] + scale * step[index];
+                });
+                next = evaluate();
+                
+                if (norm(next) < startNorm) break;
+                scale /= 2;
+                next = null;
+            }
+            
+            if (!next) {
+                variables.forEach((variable, index) => {
+                    variable.shape[variable.key] = start[index];
+                });
+                break;
+            }
+            
+            residuals = next;
+        }
+        
+        // Shrinking a line to a point or a radius through zero satisfies constraints without keeping the shape
+        const collapsedIds = new Set(variables.filter(({ shape }) => this.isCollapsed(shape)).map(({ shape }) => shape.id));
+        const conflicts = active.filter(constraint => this.getError(constraint, shapeMap, targets.get(constraint.id)) > this.TOLERANCE * 10 ||
+            constraint.getShapeIds().some(id => collapsedIds.has(id)));
+            
+        return { solved: conflicts.length === 0, conflicts };
+    },
+
+    /**
+     * Check whether a shape has shrunk to nothing
+     * @param {Object} shape - A line, circle or arc
+     * @returns {boolean} True if a line has no length or a circle or arc has no radius
+     */
+    isCollapsed(shape) {
+        if (shape.type === 'line') {
+            return Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < this.TOLERANCE * 1000;
+        }
+        
+        return shape.radius <= this.TOLERANCE * 1000;
+    },
+
+    /**
+     * Compute the smallest parameter change that zeroes the linearised residuals
+     * @param {Array<Object>} variables - The unknowns as {shape, key}
+     * @param {Array<number>} residuals - The current residuals
+     * @param {Function} evaluate - Returns the residuals for the current parameters
+     * @returns {Array<number>|null} The change for each unknown, or null if there is none
+     */
+    computeStep(variables, residuals, evaluate) {
+        const rows = residuals.length;
+        const jacobian = residuals.map(() => new Array(variables.length).fill(0));
+        
+        // Numeric derivatives by forward differences
+        variables.forEach((variable, column) => {
+            const value = variable.shape[variable.key];
+            const h = 1e-7 * Math.max(1, Math.abs(value));
+            
+            variable.shape[variable.key] = value + h;
+            const shifted = evaluate();
+            variable.shape[variable.key] = value;
+            
+            for (let row = 0; row < rows; row++) {
+                jacobian[row][column] = (shifted[row] - residuals[row]) / h;
+            }
+        });
+        
+        // Minimum-norm step: dx = -J^T (J J^T + damping I)^-1 r
+        const normal = jacobian.map(rowA => jacobian.map(rowB => rowA.reduce((sum, value, k) => sum + value * rowB[k], 0)));
+        const scale = normal.reduce((max, row, index) => Math.max(max, row[index]), 0);
+        normal.forEach((row, index) => {
+            row[index] += 1e-9 * Math.max(scale, 1);
+        });
+        
+        const y = this.solveLinear(normal, residuals.slice());
+        if (!y) return null;
+        
+        return variables.map((variable, column) => -jacobian.reduce((sum, row, index) => sum + row[column] * y[index], 0));
+    },
+
+    /**
+     * Solve a square linear system by Gaussian elimination with partial pivoting
+     * @param {Array<Array<number>>} matrix - The matrix, which is changed
+     * @param {Array<number>} vector - The right-hand side, which is changed
+     * @returns {Array<number>|null} The solution, or null if the matrix is singular
+     */
+    solveLinear(matrix, vector) {
+        const n = vector.length;
+        
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+            }
+            
+            if (Math.abs(matrix[pivot][column]) < 1e-14) return null;
+            
+            [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+            [vector[column], vector[pivot]] = [vector[pivot], vector[column]];
+            
+            for (let row = column + 1; row < n; row++) {
+                const factor = matrix[row][column] / matrix[column][column];
+                for (let k = column; k < n; k++) {
+                    matrix[row][k] -= factor * matrix[column][k];
+                }
+                vector[row] -= factor * vector[column];
+            }
+        }
+        
+        const result = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = vector[row];
+            for (let k = row + 1; k < n; k++) {
+                sum -= matrix[row][k] * result[k];
+            }
+            result[row] = sum / matrix[row][row];
+        }
+        
+        return result;
+    }
+};
+
+// Make ConstraintSolver available globally
+window.ConstraintSolver = ConstraintSolver;
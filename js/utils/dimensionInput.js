@@ -200,6 +200,10 @@ class DimensionInput {
                 return 'Radius:';
             case 'diameter':
                 return 'Diameter:';
+            case 'distance':
+                return 'Distance:';
+            case 'count':
+                return 'Copies:';
             case 'angle':
                 return 'Angle:';
             default:
@@ -0,0 +1,335 @@
+/**
+ * DXF Exporter for the CAD Editor
+ * Writes shapes as an ASCII DXF (R12) document for fabrication tools
+ */
+const DXFExporter = {
+    // AutoCAD version written to the header (R12)
+    VERSION: 'AC1009',
+
+    // Names of the supported drawing units, written in a comment at the top of the file.
+    // R12 has no header variable for the drawing unit ($INSUNITS arrived with R14)
+    UNITS: {
+        unitless: 'Unitless',
+        inches: 'Inches',
+        feet: 'Feet',
+        millimeters: 'Millimeters',
+        centimeters: 'Centimeters',
+        meters: 'Meters'
+    },
+
+    // $LUNITS value for decimal linear units
+    DECIMAL_UNITS: 2,
+
+    // Layer used for shapes without a layer name
+    DEFAULT_LAYER: '0',
+
+    /**
+     * Export shapes as a DXF document
+     * @param {Array} shapes - The shapes to export
+     * @param {Object} [options] - Export options
+     * @param {string} [options.units='millimeters'] - Drawing units, a key of UNITS
+     * @param {Function} [options.getLayerName] - Returns the layer name for a shape
+     * @returns {string} The DXF content
+     */
+    export(shapes, options = {}) {
+        const settings = {
+            units: 'millimeters',
+            getLayerName: shape => shape.layer,
+            ...options
+        };
+        
+        const entities = [];
+        const layers = new Set([this.DEFAULT_LAYER]);
+        const skipped = {};
+        
+        shapes.forEach(shape => {
+            const layer = this.sanitizeLayerName(settings.getLayerName(shape));
+            const pairs = this.writeEntity(shape, layer);
+            
+            if (pairs) {
+                layers.add(layer);
+                entities.push(...pairs);
+            } else {
+                skipped[shape.type] = (skipped[shape.type] || 0) + 1;
+            }
+        });
+        
+        const skippedSummary = Object.entries(skipped)
+            .map(([type, count]) => `${type} x${count}`)
+            .join(', ');
+            
+        if (skippedSummary) {
+            logger.warn(`DXF export skipped unsupported shapes: ${skippedSummary}`);
+        }
+        
+        const pairs = [
+            ...this.writeHeader(shapes, settings),
+            ...this.writeTables(Array.from(layers)),
+            [0, 'SECTION'],
+            [2, 'ENTITIES'],
+            ...entities,
+            [0, 'ENDSEC'],
+            [0, 'EOF']
+        ];
+        
+        return pairs.map(([code, value]) => `${code}\n${value}`).join('\n') + '\n';
+    },
+
+    /**
+     * Write the HEADER section
+     * @param {Array} shapes - The exported shapes, used for the drawing extents
+     * @param {Object} settings - The export settings
+     * @returns {Array} The group code/value pairs
+     */
+    writeHeader(shapes, settings) {
+        const extents = this.getExtents(shapes);
+        const units = this.UNITS[settings.units] || this.UNITS.millimeters;
+        
+        return [
+            [999, `Units: ${units}`],
+            [0, 'SECTION'],
+            [2, 'HEADER'],
+            [9, '$ACADVER'],
+            [1, this.VERSION],
+            [9, '$LUNITS'],
+            [70, this.DECIMAL_UNITS],
+            [9, '$UNITMODE'],
+            [70, 0],
+            [9, '$EXTMIN'],
+            [10, this.formatNumber(extents.minX)],
+            [20, this.formatNumber(extents.minY)],
+            [30, 0],
+            [9, '$EXTMAX'],
+            [10, this.formatNumber(extents.maxX)],
+            [20, this.formatNumber(extents.maxY)],
+            [30, 0],
+            [0, 'ENDSEC']
+        ];
+    },
+
+    /**
+     * Write the TABLES section with the line type and layer tables
+     * @param {Array<string>} layers - The layer names
+     * @returns {Array} The group code/value pairs
+     */
+    writeTables(layers) {
+        const pairs = [
+            [0, 'SECTION'],
+            [2, 'TABLES'],
+            [0, 'TABLE'],
+            [2, 'LTYPE'],
+            [70, 1],
+            [0, 'LTYPE'],
+            [2, 'CONTINUOUS'],
+            [70, 0],
+            [3, 'Solid line'],
+            [72, 65],
+            [73, 0],
+            [40, 0],
+            [0, 'ENDTAB'],
+            [0, 'TABLE'],
+            [2, 'LAYER'],
+            [70, layers.length]
+        ];
+        
+        layers.forEach(layer => {
+            pairs.push(
+                [0, 'LAYER'],
+                [2, layer],
+                [70, 0],
+                [62, 7],
+                [6, 'CONTINUOUS']
+            );
+        });
+        
+        pairs.push(
+            [0, 'ENDTAB'],
+            [0, 'ENDSEC']
+        );
+        
+        return pairs;
+    },
+
+    /**
+     * Write the entity for a shape
+     * @param {Object} shape - The shape to write
+     * @param {string} layer - The layer name
+     * @returns {Array|null} The group code/value pairs or null if the shape type is not supported
+     */
+    writeEntity(shape, layer) {
+        switch (shape.type) {
+            case 'line': {
+                const start = this.toDXFPoint(shape.x1, shape.y1);
+                const end = this.toDXFPoint(shape.x2, shape.y2);
+                
+                return [
+                    [0, 'LINE'],
+                    [8, layer],
+                    [10, this.formatNumber(start.x)],
+                    [20, this.formatNumber(start.y)],
+                    [30, 0],
+                    [11, this.formatNumber(end.x)],
+                    [21, this.formatNumber(end.y)],
+                    [31, 0]
+                ];
+            }
+            
+            case 'circle': {
+                const center = this.toDXFPoint(shape.cx, shape.cy);
+                
+                return [
+                    [0, 'CIRCLE'],
+                    [8, layer],
+                    [10, this.formatNumber(center.x)],
+                    [20, this.formatNumber(center.y)],
+                    [30, 0],
+                    [40, this.formatNumber(shape.radius)]
+                ];
+            }
+            
+            case 'arc': {
+                const center = this.toDXFPoint(shape.cx, shape.cy);
+                
+                // Flipping the y axis negates angles and reverses the direction of travel,
+                // so the arc's end becomes the counter-clockwise DXF start and vice versa
+                return [
+                    [0, 'ARC'],
+                    [8, layer],
+                    [10, this.formatNumber(center.x)],
+                    [20, this.formatNumber(center.y)],
+                    [30, 0],
+                    [40, this.formatNumber(shape.radius)],
+                    [50, this.formatNumber(this.toDXFAngle(shape.endAngle))],
+                    [51, this.formatNumber(this.toDXFAngle(shape.startAngle))]
+                ];
+            }
+            
+            case 'rectangle':
+                return this.writePolyline(shape.getCorners(), true, layer);
+                
+            case 'polyline':
+                return this.writePolyline(shape.points, shape.closed, layer);
+                
+            case 'ellipse':
+                // R12 has no ELLIPSE entity, so the outline is written as a closed polyline
+                return this.writePolyline(shape.getOutlinePoints(), true, layer);
+                
+            case 'group':
+                // Groups are exploded onto the group's layer
+                return shape.children.reduce((pairs, child) => pairs.concat(this.writeEntity(child, layer) || []), []);
+                
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Write a polyline entity
+     * @param {Array<Object>} points - The vertices {x, y} in editor coordinates
+     * @param {boolean} closed - Whether the polyline is closed
+     * @param {string} layer - The layer name
+     * @returns {Array} The group code/value pairs
+     */
+    writePolyline(points, closed, layer) {
+        const vertices = points.map(point => this.toDXFPoint(point.x, point.y));
+        
+        const pairs = [
+            [0, 'POLYLINE'],
+            [8, layer],
+            [66, 1],
+            [10, 0],
+            [20, 0],
+            [30, 0],
+            [70, closed ? 1 : 0]
+        ];
+        
+        vertices.forEach(vertex => {
+            pairs.push(
+                [0, 'VERTEX'],
+                [8, layer],
+                [10, this.formatNumber(vertex.x)],
+                [20, this.formatNumber(vertex.y)],
+                [30, 0]
+            );
+        });
+        
+        pairs.push(
+            [0, 'SEQEND'],
+            [8, layer]
+        );
+        
+        return pairs;
+    },
+
+    /**
+     * Get the extents of the shapes in DXF coordinates
+     * @param {Array} shapes - The shapes
+     * @returns {Object} The extents {minX, minY, maxX, maxY}
+     */
+    getExtents(shapes) {
+        const boxes = shapes
+            .filter(shape => typeof shape.getBoundingBox === 'function')
+            .map(shape => shape.getBoundingBox());
+            
+        if (boxes.length === 0) {
+            return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        }
+        
+        // The y axis is flipped, so the top of the drawing becomes the maximum y
+        return {
+            minX: Math.min(...boxes.map(box => box.x)),
+            minY: -Math.max(...boxes.map(box => box.y + box.height)),
+            maxX: Math.max(...boxes.map(box => box.x + box.width)),
+            maxY: -Math.min(...boxes.map(box => box.y))
+        };
+    },
+
+    /**
+     * Convert an editor point (y-down) to a DXF point (y-up)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object} The DXF point {x, y}
+     */
+    toDXFPoint(x, y) {
+        return { x, y: -y };
+    },
+
+    /**
+     * Convert an editor angle (radians, y-down) to a DXF angle (degrees counter-clockwise, y-up)
+     * @param {number} angle - The angle in radians
+     * @returns {number} The angle in degrees in the range [0, 360)
+     */
+    toDXFAngle(angle) {
+        let degrees = MathUtils.radiansToDegrees(-angle) % 360;
+        
+        if (degrees < 0) {
+            degrees += 360;
+        }
+        
+        // Avoid writing 360 for angles that round up
+        return MathUtils.round(degrees, 6) % 360;
+    },
+
+    /**
+     * Make a layer name safe for DXF
+     * @param {string} name - The layer name
+     * @returns {string} The sanitized layer name
+     */
+    sanitizeLayerName(name) {
+        const sanitized = String(name || '').replace(/[<>\/\\":;?*|=`,]/g, '_').trim();
+        return sanitized || this.DEFAULT_LAYER;
+    },
+
+    /**
+     * Format a number for DXF output
+     * @param {number} value - The number
+     * @returns {string} The formatted number
+     */
+    formatNumber(value) {
+        const rounded = MathUtils.round(value, 6);
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    }
+};
+
+// Make DXFExporter available globally
+window.DXFExporter = DXFExporter;
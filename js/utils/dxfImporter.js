@@ -0,0 +1,440 @@
+/**
+ * DXF Importer for the CAD Editor
+ * Converts the entities of an ASCII DXF drawing into editable shapes
+ */
+const DXFImporter = {
+    // POLYLINE/LWPOLYLINE flag for a closed outline
+    FLAG_CLOSED: 1,
+
+    // POLYLINE flags for polygon and polyface meshes, which are not 2D outlines
+    FLAG_MESH: 16 | 64,
+
+    // VERTEX flag for spline frame control points, which are not part of the outline
+    FLAG_SPLINE_FRAME: 16,
+
+    // Tolerance used when comparing coordinates
+    EPSILON: 1e-9,
+
+    /**
+     * Parse DXF content into shapes
+     * @param {string} text - The DXF document
+     * @returns {Object} The result {shapes, skipped} where skipped maps entity types to counts
+     * @throws {Error} If the document cannot be read
+     */
+    parse(text) {
+        if (/^AutoCAD Binary DXF/.test(text)) {
+            throw new Error('Binary DXF files are not supported');
+        }
+        
+        const entities = this.readEntities(this.readPairs(text));
+        const result = { shapes: [], skipped: {} };
+        
+        entities.forEach(entity => {
+            const shapes = this.importEntity(entity);
+            
+            if (!shapes) {
+                result.skipped[entity.type] = (result.skipped[entity.type] || 0) + 1;
+                return;
+            }
+            
+            const layer = this.getValue(entity, 8);
+            shapes.forEach(shape => {
+                if (layer) {
+                    shape.layer = layer;
+                }
+                result.shapes.push(shape);
+            });
+        });
+        
+        return result;
+    },
+
+    /**
+     * Split DXF content into group code/value pairs
+     * @param {string} text - The DXF document
+     * @returns {Array<Object>} The pairs {code, value}
+     * @throws {Error} If a group code is invalid
+     */
+    readPairs(text) {
+        const lines = text.split(/\r\n|\r|\n/);
+        const pairs = [];
+        
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i].trim(), 10);
+            
+            if (isNaN(code)) {
+                throw new Error(`Invalid DXF group code "${lines[i].trim()}" on line ${i + 1}`);
+            }
+            
+            const value = lines[i + 1].trim();
+            pairs.push({ code, value });
+            
+            if (code === 0 && value === 'EOF') break;
+        }
+        
+        return pairs;
+    },
+
+    /**
+     * Collect the entities of the ENTITIES section, attaching
+     * VERTEX entities to the POLYLINE they belong to
+     * @param {Array<Object>} pairs - The group code/value pairs
+     * @returns {Array<Object>} The entities {type, pairs, vertices}
+     * @throws {Error} If the document has no ENTITIES section
+     */
+    readEntities(pairs) {
+        const entities = [];
+        let inEntities = false;
+        let found = false;
+        let current = null;
+        let polyline = null;
+        
+        for (let i = 0; i < pairs.length; i++) {
+            const { code, value } = pairs[i];
+            
+            if (!inEntities) {
+                if (code === 0 && value === 'SECTION' && pairs[i + 1] && pairs[i + 1].code === 2 && pairs[i + 1].value === 'ENTITIES') {
+                    inEntities = true;
+                    found = true;
+                    i++;
+                }
+                continue;
+            }
+            
+            if (code !== 0) {
+                if (current) {
+                    current.pairs.push({ code, value });
+                }
+                continue;
+            }
+            
+            if (value === 'ENDSEC') {
+                inEntities = false;
+                current = null;
+                polyline = null;
+                continue;
+            }
+            
+            current = { type: value, pairs: [] };
+            
+            if (value === 'VERTEX' && polyline) {
+                polyline.vertices.push(current);
+            } else if (value === 'SEQEND') {
+                polyline = null;
+            } else {
+                if (value === 'POLYLINE') {
+                    current.vertices = [];
+                    polyline = current;
+                } else {
+                    polyline = null;
+                }
+                entities.push(current);
+            }
+        }
+        
+        if (!found) {
+            throw new Error('DXF file has no ENTITIES section');
+        }
+        
+        return entities;
+    },
+
+    /**
+     * Convert a DXF entity into shapes
+     * @param {Object} entity - The entity
+     * @returns {Array|null} The shapes or null if the entity is not supported
+     */
+    importEntity(entity) {
+        switch (entity.type) {
+            case 'LINE':
+                return this.importLine(entity);
+            case 'CIRCLE':
+                return this.importCircle(entity);
+            case 'ARC':
+                return this.importArc(entity);
+            case 'LWPOLYLINE':
+                return this.importLWPolyline(entity);
+            case 'POLYLINE':
+                return this.importPolyline(entity);
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Import a LINE entity, whose points are in world coordinates
+     * @param {Object} entity - The entity
+     * @returns {Array} The shapes
+     */
+    importLine(entity) {
+        const start = this.toCanvasPoint(this.getNumber(entity, 10), this.getNumber(entity, 20), false);
+        const end = this.toCanvasPoint(this.getNumber(entity, 11), this.getNumber(entity, 21), false);
+        
+        return [new Line(start.x, start.y, end.x, end.y)];
+    },
+
+    /**
+     * Import a CIRCLE entity
+     * @param {Object} entity - The entity
+     * @returns {Array|null} The shapes or null if the circle has no radius
+     */
+    importCircle(entity) {
+        const center = this.toCanvasPoint(this.getNumber(entity, 10), this.getNumber(entity, 20), this.isMirrored(entity));
+        const radius = this.getNumber(entity, 40);
+        
+        if (!(radius > 0)) return null;
+        
+        return [new Circle(center.x, center.y, radius)];
+    },
+
+    /**
+     * Import an ARC entity
+     * @param {Object} entity - The entity
+     * @returns {Array|null} The shapes or null if the arc has no radius
+     */
+    importArc(entity) {
+        const mirrored = this.isMirrored(entity);
+        const center = this.toCanvasPoint(this.getNumber(entity, 10), this.getNumber(entity, 20), mirrored);
+        const radius = this.getNumber(entity, 40);
+        let startAngle = this.getNumber(entity, 50);
+        let endAngle = this.getNumber(entity, 51);
+        
+        if (!(radius > 0)) return null;
+        
+        // A 0 to 360 degree arc is a full circle
+        if (Math.abs(endAngle - startAngle) >= 360) {
+            return [new Circle(center.x, center.y, radius)];
+        }
+        
+        // A mirrored coordinate system reflects angles about the y axis and reverses the direction
+        if (mirrored) {
+            [startAngle, endAngle] = [180 - endAngle, 180 - startAngle];
+        }
+        
+        // DXF arcs run counter-clockwise in y-up space; flipping the y axis negates the
+        // angles and reverses the direction, so the DXF end becomes the Arc start
+        return [new Arc(
+            center.x,
+            center.y,
+            radius,
+            MathUtils.normalizeAngle(-MathUtils.degreesToRadians(endAngle)),
+            MathUtils.normalizeAngle(-MathUtils.degreesToRadians(startAngle))
+        )];
+    },
+
+    /**
+     * Import an LWPOLYLINE entity
+     * @param {Object} entity - The entity
+     * @returns {Array|null} The shapes or null if the polyline has no segments
+     */
+    importLWPolyline(entity) {
+        const vertices = [];
+        
+        entity.pairs.forEach(({ code, value }) => {
+            if (code === 10) {
+                vertices.push({ x: parseFloat(value) || 0, y: 0, bulge: 0 });
+            } else if (vertices.length > 0 && code === 20) {
+                vertices[vertices.length - 1].y = parseFloat(value) || 0;
+            } else if (vertices.length > 0 && code === 42) {
+                vertices[vertices.length - 1].bulge = parseFloat(value) || 0;
+            }
+        });
+        
+        const closed = (this.getNumber(entity, 70) & this.FLAG_CLOSED) !== 0;
+        return this.createPolyline(vertices, closed, this.isMirrored(entity));
+    },
+
+    /**
+     * Import a POLYLINE entity with its VERTEX entities
+     * @param {Object} entity - The entity
+     * @returns {Array|null} The shapes or null if the polyline is a mesh or has no segments
+     */
+    importPolyline(entity) {
+        const flags = this.getNumber(entity, 70);
+        
+        if (flags & this.FLAG_MESH) return null;
+        
+        const vertices = entity.vertices
+            .filter(vertex => (this.getNumber(vertex, 70) & this.FLAG_SPLINE_FRAME) === 0)
+            .map(vertex => ({
+                x: this.getNumber(vertex, 10),
+                y: this.getNumber(vertex, 20),
+                bulge: this.getNumber(vertex, 42)
+            }));
+            
+        return this.createPolyline(vertices, (flags & this.FLAG_CLOSED) !== 0, this.isMirrored(entity));
+    },
+
+    /**
+     * Create shapes for a polyline. A closed, axis-aligned outline with four
+     * straight sides becomes a Rectangle and other straight outlines become a
+     * Polyline; outlines with bulges are split into Lines and Arcs.
+     * @param {Array<Object>} vertices - The vertices {x, y, bulge} in DXF coordinates
+     * @param {boolean} closed - Whether the polyline is closed
+     * @param {boolean} mirrored - Whether the entity's coordinate system is mirrored
+     * @returns {Array|null} The shapes or null if there are no segments
+     */
+    createPolyline(vertices, closed, mirrored) {
+        // Reflections reverse the direction in which a bulge turns
+        const points = vertices.map(vertex => ({
+            ...this.toCanvasPoint(vertex.x, vertex.y, mirrored),
+            bulge: mirrored ? vertex.bulge : -vertex.bulge
+        }));
+        
+        // Treat a repeated first vertex as a closed outline
+        if (points.length > 2) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            
+            if (this.isSamePoint(first, last)) {
+                points.pop();
+                closed = true;
+            }
+        }
+        
+        const rectangle = closed ? this.createRectangle(points) : null;
+        if (rectangle) {
+            return [rectangle];
+        }
+        
+        if (points.every(point => Math.abs(point.bulge) <= this.EPSILON)) {
+            const distinct = points.filter((point, i) => i === 0 || !this.isSamePoint(point, points[i - 1]));
+            return distinct.length > 1 ? [new Polyline(distinct, closed && distinct.length > 2)] : null;
+        }
+        
+        const shapes = [];
+        const segmentCount = closed ? points.length : points.length - 1;
+        
+        for (let i = 0; i < segmentCount; i++) {
+            const from = points[i];
+            const to = points[(i + 1) % points.length];
+            
+            if (this.isSamePoint(from, to)) continue;
+            
+            if (Math.abs(from.bulge) > this.EPSILON) {
+                shapes.push(this.bulgeToArc(from, to, from.bulge));
+            } else {
+                shapes.push(new Line(from.x, from.y, to.x, to.y));
+            }
+        }
+        
+        return shapes.length > 0 ? shapes : null;
+    },
+
+    /**
+     * Create a Rectangle from four canvas points if they form an axis-aligned rectangle
+     * @param {Array<Object>} points - The points {x, y, bulge}
+     * @returns {Rectangle|null} The rectangle or null if the points do not form one
+     */
+    createRectangle(points) {
+        if (points.length !== 4) return null;
+        if (points.some(point => Math.abs(point.bulge) > this.EPSILON)) return null;
+        
+        // Every side must be horizontal or vertical, alternating around the outline
+        const sides = points.map((from, i) => {
+            const to = points[(i + 1) % 4];
+            const dx = Math.abs(to.x - from.x);
+            const dy = Math.abs(to.y - from.y);
+            
+            if (dy <= this.EPSILON && dx > this.EPSILON) return 'horizontal';
+            if (dx <= this.EPSILON && dy > this.EPSILON) return 'vertical';
+            return null;
+        });
+        
+        if (sides.some((side, i) => !side || side === sides[(i + 1) % 4])) return null;
+        
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        
+        return new Rectangle(minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY);
+    },
+
+    /**
+     * Create an Arc for a bulged polyline segment
+     * @param {Object} from - The start point {x, y}
+     * @param {Object} to - The end point {x, y}
+     * @param {number} bulge - The tangent of a quarter of the included angle; positive
+     *                         values run in the direction of increasing angle
+     * @returns {Arc} The arc
+     */
+    bulgeToArc(from, to, bulge) {
+        const chord = MathUtils.distance(from.x, from.y, to.x, to.y);
+        const includedAngle = 4 * Math.atan(Math.abs(bulge));
+        const radius = chord / (2 * Math.sin(includedAngle / 2));
+        
+        // The center lies on the chord's perpendicular bisector, to the left of the
+        // direction of travel for positive bulges (the offset turns negative past 180 degrees)
+        const offset = radius * Math.cos(includedAngle / 2) * Math.sign(bulge);
+        const ux = (to.x - from.x) / chord;
+        const uy = (to.y - from.y) / chord;
+        const cx = (from.x + to.x) / 2 - uy * offset;
+        const cy = (from.y + to.y) / 2 + ux * offset;
+        
+        const fromAngle = MathUtils.angle(cx, cy, from.x, from.y);
+        const toAngle = MathUtils.angle(cx, cy, to.x, to.y);
+        
+        // The Arc model always runs in the direction of increasing angle
+        return bulge > 0
+            ? new Arc(cx, cy, radius, MathUtils.normalizeAngle(fromAngle), MathUtils.normalizeAngle(toAngle))
+            : new Arc(cx, cy, radius, MathUtils.normalizeAngle(toAngle), MathUtils.normalizeAngle(fromAngle));
+    },
+
+    /**
+     * Convert a DXF point (y-up) to a canvas point (y-down)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {boolean} mirrored - Whether the point is in a mirrored object coordinate system
+     * @returns {Object} The canvas point {x, y}
+     */
+    toCanvasPoint(x, y, mirrored) {
+        return { x: mirrored ? -x : x, y: -y };
+    },
+
+    /**
+     * Check whether an entity's object coordinate system is mirrored, which
+     * happens when its extrusion direction points down the z axis
+     * @param {Object} entity - The entity
+     * @returns {boolean} True if the x axis is reversed
+     */
+    isMirrored(entity) {
+        return this.getNumber(entity, 230, 1) < 0;
+    },
+
+    /**
+     * Check whether two points coincide
+     * @param {Object} a - The first point {x, y}
+     * @param {Object} b - The second point {x, y}
+     * @returns {boolean} True if the points coincide
+     */
+    isSamePoint(a, b) {
+        return Math.abs(a.x - b.x) <= this.EPSILON && Math.abs(a.y - b.y) <= this.EPSILON;
+    },
+
+    /**
+     * Get the first value of a group code in an entity
+     * @param {Object} entity - The entity
+     * @param {number} code - The group code
+     * @returns {string|undefined} The value
+     */
+    getValue(entity, code) {
+        const pair = entity.pairs.find(p => p.code === code);
+        return pair ? pair.value : undefined;
+    },
+
+    /**
+     * Get the first value of a group code in an entity as a number
+     * @param {Object} entity - The entity
+     * @param {number} code - The group code
+     * @param {number} [defaultValue=0] - The value to use if the code is missing or invalid
+     * @returns {number} The number
+     */
+    getNumber(entity, code, defaultValue = 0) {
+        const value = parseFloat(this.getValue(entity, code));
+        return isFinite(value) ? value : defaultValue;
+    }
+};
+
+// Make DXFImporter available globally
+window.DXFImporter = DXFImporter;
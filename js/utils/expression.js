@@ -0,0 +1,193 @@
+/**
+ * Expression utilities for the CAD Editor
+ * Evaluates arithmetic typed into dimensions, such as "wall*2 + 5", without using eval
+ */
+const Expression = {
+    // Names variables may have
+    NAME_PATTERN: /^[A-Za-z_][A-Za-z0-9_]*$/,
+
+    // Functions expressions may call; trigonometry works in degrees like the rest of the editor
+    FUNCTIONS: {
+        sqrt: Math.sqrt,
+        abs: Math.abs,
+        sin: degrees => Math.sin(degrees * Math.PI / 180),
+        cos: degrees => Math.cos(degrees * Math.PI / 180),
+        tan: degrees => Math.tan(degrees * Math.PI / 180)
+    },
+
+    CONSTANTS: {
+        pi: Math.PI
+    },
+
+    /**
+     * Evaluate an expression
+     * @param {string} text - The expression, with numbers, names, + - * / ^, parentheses and functions
+     * @param {Function} [lookup] - Returns the value of a variable name, or undefined if there is none
+     * @returns {number} The value
+     * @throws {Error} If the expression is malformed, uses an unknown name or is not a finite number
+     */
+    evaluate(text, lookup = () => undefined) {
+        const tokens = this.tokenize(text);
+        let position = 0;
+        
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const expect = value => {
+            const token = next();
+            if (!token || token.value !== value) {
+                throw new Error(`Expected "${value}" in ${JSON.stringify(text)}`);
+            }
+        };
+        
+        // sum := product (('+' | '-') product)*
+        const sum = () => {
+            let value = product();
+            while (peek() && (peek().value === '+' || peek().value === '-')) {
+                value = next().value === '+' ? value + product() : value - product();
+            }
+            return value;
+        };
+        
+        // product := unary (('*' | '/') unary)*
+        const product = () => {
+            let value = unary();
+            while (peek() && (peek().value === '*' || peek().value === '/')) {
+                value = next().value === '*' ? value * unary() : value / unary();
+            }
+            return value;
+        };
+        
+        // unary := ('-' | '+') unary | power
+        const unary = () => {
+            if (peek() && (peek().value === '-' || peek().value === '+')) {
+                return next().value === '-' ? -unary() : unary();
+            }
+            return power();
+        };
+        
+        // power := atom ('^' unary)?
+        const power = () => {
+            const base = atom();
+            if (peek() && peek().value === '^') {
+                next();
+                return Math.pow(base, unary());
+            }
+            return base;
+        };
+        
+        const atom = () => {
+            const token = next();
+            if (!token) throw new Error(`Unexpected end of ${JSON.stringify(text)}`);
+            
+            if (token.type === 'number') return token.value;
+            
+            if (token.value === '(') {
+                const value = sum();
+                expect(')');
+                return value;
+            }
+            
+            if (token.type === 'name') {
+                if (peek() && peek().value === '(') {
+                    const fn = this.FUNCTIONS[token.value];
+                    if (!fn) throw new Error(`Unknown function "${token.value}"`);
+                    
+                    next();
+                    const value = sum();
+                    expect(')');
+                    return fn(value);
+                }
+                
+                const value = lookup(token.value);
+                if (value !== undefined) return value;
+                if (this.CONSTANTS[token.value] !== undefined) return this.CONSTANTS[token.value];
+                
+                throw new Error(`Unknown variable "${token.value}"`);
+            }
+            
+            throw new Error(`Unexpected "${token.value}" in ${JSON.stringify(text)}`);
+        };
+        
+        const value = sum();
+        
+        if (position < tokens.length) {
+            throw new Error(`Unexpected "${tokens[position].value}" in ${JSON.stringify(text)}`);
+        }
+        
+        if (!Number.isFinite(value)) {
+            throw new Error(`${JSON.stringify(text)} is not a finite number`);
+        }
+        
+        return value;
+    },
+
+    /**
+     * Get the variable names an expression uses
+     * @param {string} text - The expression
+     * @returns {Array<string>} The names, without functions and constants; empty if the expression is malformed
+     */
+    getNames(text) {
+        try {
+            const tokens = this.tokenize(text);
+            return [...new Set(tokens
+                .filter((token, index) => token.type === 'name' &&
+                    !(tokens[index + 1] && tokens[index + 1].value === '(') &&
+                    this.CONSTANTS[token.value] === undefined)
+                .map(token => token.value))];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Check whether an expression is just a number
+     * @param {string} text - The expression
+     * @returns {boolean} True if it uses no variables or operators
+     */
+    isNumber(text) {
+        return /^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(String(text));
+    },
+
+    /**
+     * Split an expression into tokens
+     * @param {string} text - The expression
+     * @returns {Array<Object>} The tokens {type, value} with type 'number', 'name' or 'symbol'
+     * @throws {Error} If the expression contains a character that cannot start a token
+     */
+    tokenize(text) {
+        const source = String(text);
+        const tokens = [];
+        const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^()]))/iy;
+        let index = 0;
+        
+        while (index < source.length) {
+            if (/^\s*$/.test(source.slice(index))) break;
+            
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            
+            if (!match) {
+                throw new Error(`Unexpected "${source.slice(index).trim()[0]}" in ${JSON.stringify(source)}`);
+            }
+            
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', value: match[2] });
+            } else {
+                tokens.push({ type: 'symbol', value: match[3] });
+            }
+            
+            index = pattern.lastIndex;
+        }
+        
+        if (tokens.length === 0) {
+            throw new Error('The expression is empty');
+        }
+        
+        return tokens;
+    }
+};
+
+// Make Expression available globally
+window.Expression = Expression;
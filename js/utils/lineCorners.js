@@ -0,0 +1,175 @@
+/**
+ * Line corner utilities for the CAD Editor
+ * Rounds and bevels the corner where two lines meet, for the Fillet and Chamfer tools
+ */
+const LineCorners = {
+    /**
+     * Find the corner formed by two lines, extended if they do not reach each other
+     * @param {Line} firstLine - The first line
+     * @param {Line} secondLine - The second line
+     * @param {Point} [firstPick] - Where the first line was picked; that side of the corner is kept
+     * @param {Point} [secondPick] - Where the second line was picked; that side of the corner is kept
+     * @returns {Object|null} The corner {point, angle, first, second}, or null if the lines are parallel
+     */
+    findCorner(firstLine, secondLine, firstPick, secondPick) {
+        const dx1 = firstLine.x2 - firstLine.x1;
+        const dy1 = firstLine.y2 - firstLine.y1;
+        const dx2 = secondLine.x2 - secondLine.x1;
+        const dy2 = secondLine.y2 - secondLine.y1;
+        const denominator = dx1 * dy2 - dy1 * dx2;
+        
+        if (Math.abs(denominator) < 1e-9 * Math.hypot(dx1, dy1) * Math.hypot(dx2, dy2)) return null;
+        
+        // Intersection of the lines extended to infinity
+        const t = ((secondLine.x1 - firstLine.x1) * dy2 - (secondLine.y1 - firstLine.y1) * dx2) / denominator;
+        const point = new Point(firstLine.x1 + t * dx1, firstLine.y1 + t * dy1);
+        
+        const first = this.getSide(firstLine, point, firstPick);
+        const second = this.getSide(secondLine, point, secondPick);
+        if (!first || !second) return null;
+        
+        const cos = MathUtils.clamp(first.ux * second.ux + first.uy * second.uy, -1, 1);
+        
+        return { point, angle: Math.acos(cos), first, second };
+    },
+
+    /**
+     * Work out which end of a line is kept when it is cut back from a corner
+     * @param {Line} line - The line
+     * @param {Point} corner - The corner point
+     * @param {Point} [pick] - Where the line was picked; without it the end farther from the corner is kept
+     * @returns {Object|null} The side {line, keepStart, ux, uy, length}, or null if both ends lie on the corner
+     */
+    getSide(line, corner, pick) {
+        const start = line.getStartPoint();
+        const end = line.getEndPoint();
+        const startDistance = corner.distanceTo(start);
+        const endDistance = corner.distanceTo(end);
+        
+        let keepStart = startDistance > endDistance;
+        
+        // The picked side wins when the corner lies between the ends of the line
+        const dx = line.x2 - line.x1;
+        const dy = line.y2 - line.y1;
+        const startSide = (start.x - corner.x) * dx + (start.y - corner.y) * dy;
+        const endSide = (end.x - corner.x) * dx + (end.y - corner.y) * dy;
+        
+        if (pick && startSide < 0 && endSide > 0) {
+            keepStart = (pick.x - corner.x) * dx + (pick.y - corner.y) * dy < 0;
+        }
+        
+        const kept = keepStart ? start : end;
+        const length = keepStart ? startDistance : endDistance;
+        if (length < 1e-9) return null;
+        
+        return {
+            line,
+            keepStart,
+            ux: (kept.x - corner.x) / length,
+            uy: (kept.y - corner.y) / length,
+            length
+        };
+    },
+
+    /**
+     * Get the point a given distance from the corner along one side
+     * @param {Object} corner - The corner
+     * @param {Object} side - The side of the corner
+     * @param {number} distance - The distance from the corner
+     * @returns {Point} The point
+     */
+    pointOnSide(corner, side, distance) {
+        return new Point(corner.point.x + side.ux * distance, corner.point.y + side.uy * distance);
+    },
+
+    /**
+     * Cut a line back so it runs from a new point to its kept end, keeping its direction
+     * @param {Object} side - The side of the corner
+     * @param {Point} point - The new end of the line at the corner
+     * @returns {Line} The shortened line
+     */
+    cutSide(side, point) {
+        const line = side.line;
+        
+        return side.keepStart
+            ? new Line(line.x1, line.y1, point.x, point.y)
+            : new Line(point.x, point.y, line.x2, line.y2);
+    },
+
+    /**
+     * Round a corner with an arc tangent to both lines
+     * @param {Object} corner - The corner
+     * @param {number} radius - The radius of the arc
+     * @returns {Object|null} The result {first, second, join}, or null if the arc does not fit on the lines
+     */
+    fillet(corner, radius) {
+        const half = corner.angle / 2;
+        if (radius <= 0 || half <= 0 || half >= Math.PI / 2) return null;
+        
+        // Distance from the corner to the tangent points
+        const distance = radius / Math.tan(half);
+        if (distance > corner.first.length + 1e-9 || distance > corner.second.length + 1e-9) return null;
+        
+        const firstPoint = this.pointOnSide(corner, corner.first, distance);
+        const secondPoint = this.pointOnSide(corner, corner.second, distance);
+        
+        // The center lies on the bisector of the corner
+        const bx = corner.first.ux + corner.second.ux;
+        const by = corner.first.uy + corner.second.uy;
+        const bisector = Math.hypot(bx, by);
+        const centerDistance = radius / Math.sin(half);
+        const center = new Point(
+            corner.point.x + bx / bisector * centerDistance,
+            corner.point.y + by / bisector * centerDistance
+        );
+        
+        let startAngle = MathUtils.angle(center.x, center.y, firstPoint.x, firstPoint.y);
+        let endAngle = MathUtils.angle(center.x, center.y, secondPoint.x, secondPoint.y);
+        
+        // Arcs run with increasing angle, so turn the short way round between the tangent points
+        if (MathUtils.normalizeAngle(endAngle - startAngle) < 0) {
+            [startAngle, endAngle] = [endAngle, startAngle];
+        }
+        
+        return {
+            first: this.cutSide(corner.first, firstPoint),
+            second: this.cutSide(corner.second, secondPoint),
+            join: new Arc(center.x, center.y, radius, startAngle, endAngle)
+        };
+    },
+
+    /**
+     * Bevel a corner with a line
+     * @param {Object} corner - The corner
+     * @param {number} distance - The distance from the corner along the first line
+     * @param {number|null} [angle] - The angle in radians between the first line and the bevel; null cuts the same distance from both lines
+     * @returns {Object|null} The result {first, second, join}, or null if the bevel does not fit on the lines
+     */
+    chamfer(corner, distance, angle = null) {
+        if (distance <= 0 || corner.angle <= 0 || corner.angle >= Math.PI) return null;
+        
+        let secondDistance = distance;
+        
+        if (angle !== null) {
+            // Law of sines in the triangle cut off the corner
+            const opposite = Math.sin(corner.angle + angle);
+            if (angle <= 0 || opposite <= 1e-9) return null;
+            
+            secondDistance = distance * Math.sin(angle) / opposite;
+        }
+        
+        if (distance > corner.first.length + 1e-9 || secondDistance > corner.second.length + 1e-9) return null;
+        
+        const firstPoint = this.pointOnSide(corner, corner.first, distance);
+        const secondPoint = this.pointOnSide(corner, corner.second, secondDistance);
+        
+        return {
+            first: this.cutSide(corner.first, firstPoint),
+            second: this.cutSide(corner.second, secondPoint),
+            join: new Line(firstPoint.x, firstPoint.y, secondPoint.x, secondPoint.y)
+        };
+    }
+};
+
+// Make LineCorners available globally
+window.LineCorners = LineCorners;
@@ -57,6 +57,93 @@ const MathUtils = {
         return degrees * Math.PI / 180;
     },
 
+    /**
+     * Clamp a value to a range
+     * @param {number} value - The value to clamp
+     * @param {number} min - The minimum value
+     * @param {number} max - The maximum value
+     * @returns {number} The clamped value
+     */
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, value));
+    },
+
+    /**
+     * Normalize an angle to the range (-π, π]
+     * @param {number} angle - The angle in radians
+     * @returns {number} The normalized angle in radians
+     */
+    normalizeAngle(angle) {
+        let normalized = angle % (2 * Math.PI);
+        
+        if (normalized <= -Math.PI) {
+            normalized += 2 * Math.PI;
+        } else if (normalized > Math.PI) {
+            normalized -= 2 * Math.PI;
+        }
+        
+        return normalized;
+    },
+
+    /**
+     * Rotate a point around a center point
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @param {number} cx - X coordinate of the rotation center
+     * @param {number} cy - Y coordinate of the rotation center
+     * @param {number} angle - The rotation angle in radians
+     * @returns {Object} The rotated point {x, y}
+     */
+    rotatePoint(x, y, cx, cy, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = x - cx;
+        const dy = y - cy;
+        
+        return {
+            x: cx + dx * cos - dy * sin,
+            y: cy + dx * sin + dy * cos
+        };
+    },
+
+    /**
+     * Reflect a point about a line through two points
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @param {number} x1 - X coordinate of the first point on the line
+     * @param {number} y1 - Y coordinate of the first point on the line
+     * @param {number} x2 - X coordinate of the second point on the line
+     * @param {number} y2 - Y coordinate of the second point on the line
+     * @returns {Object} The reflected point {x, y}
+     */
+    reflectPoint(x, y, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        if (lengthSquared === 0) return { x, y };
+        
+        // Foot of the perpendicular from the point to the line
+        const t = ((x - x1) * dx + (y - y1) * dy) / lengthSquared;
+        const footX = x1 + t * dx;
+        const footY = y1 + t * dy;
+        
+        return {
+            x: 2 * footX - x,
+            y: 2 * footY - y
+        };
+    },
+
+    /**
+     * Reflect a direction angle about a line at another angle
+     * @param {number} angle - The angle in radians
+     * @param {number} axisAngle - The angle of the line in radians
+     * @returns {number} The reflected angle in radians, normalized
+     */
+    reflectAngle(angle, axisAngle) {
+        return this.normalizeAngle(2 * axisAngle - angle);
+    },
+
     /**
      * Round a number to a specified precision
      * @param {number} value - The value to round
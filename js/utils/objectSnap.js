@@ -0,0 +1,263 @@
+/**
+ * Object snap utilities for the CAD Editor
+ * Finds the endpoints, midpoints, centers, quadrants, intersections, tangent and perpendicular points
+ * and nearest points of shapes, for snapping the cursor while drawing
+ */
+const ObjectSnap = {
+    // Snap modes, in priority order: when several are in range the earliest wins
+    MODES: ['endpoint', 'intersection', 'midpoint', 'center', 'quadrant', 'tangent', 'perpendicular', 'nearest'],
+
+    // Names shown in the Object Snap panel and the status bar
+    LABELS: {
+        endpoint: 'Endpoint',
+        intersection: 'Intersection',
+        midpoint: 'Midpoint',
+        center: 'Center',
+        quadrant: 'Quadrant',
+        tangent: 'Tangent',
+        perpendicular: 'Perpendicular',
+        nearest: 'Nearest'
+    },
+
+    /**
+     * Find the snap point for a cursor position
+     * @param {Array<Object>} shapes - The shapes to snap to, without groups
+     * @param {number} x - X coordinate of the cursor
+     * @param {number} y - Y coordinate of the cursor
+     * @param {number} tolerance - The snap distance in world units
+     * @param {Array<string>} modes - The enabled snap modes
+     * @param {Object} [from] - The point {x, y} a line is being drawn from, for tangent and perpendicular snaps
+     * @returns {Object|null} The snap point {x, y, mode}, or null if nothing is in range
+     */
+    findSnap(shapes, x, y, tolerance, modes, from = null) {
+        // Only shapes whose bounds come within the snap distance can have snap points in range
+        const nearby = shapes.filter(shape => {
+            const box = shape.getBoundingBox();
+            return x >= box.x - tolerance && x <= box.x + box.width + tolerance &&
+                y >= box.y - tolerance && y <= box.y + box.height + tolerance;
+        });
+        
+        for (const mode of this.MODES) {
+            if (!modes.includes(mode)) continue;
+            
+            const candidates = this.getCandidates(mode, nearby, x, y, from);
+            let best = null;
+            let bestDistance = tolerance;
+            
+            candidates.forEach(point => {
+                const distance = MathUtils.distance(x, y, point.x, point.y);
+                
+                if (distance < bestDistance) {
+                    best = point;
+                    bestDistance = distance;
+                }
+            });
+            
+            if (best) {
+                return { x: best.x, y: best.y, mode };
+            }
+        }
+        
+        return null;
+    },
+
+    /**
+     * Get the snap points of one mode
+     * @param {string} mode - The snap mode
+     * @param {Array<Object>} shapes - The shapes near the cursor
+     * @param {number} x - X coordinate of the cursor
+     * @param {number} y - Y coordinate of the cursor
+     * @param {Object|null} from - The point a line is being drawn from
+     * @returns {Array<Object>} The points {x, y}
+     */
+    getCandidates(mode, shapes, x, y, from) {
+        switch (mode) {
+            case 'intersection':
+                return this.getIntersections(shapes);
+                
+            case 'tangent':
+                return from ? shapes.reduce((points, shape) => points.concat(this.getTangentPoints(shape, from)), []) : [];
+                
+            case 'perpendicular':
+                return from ? shapes.reduce((points, shape) => points.concat(this.getPerpendicularPoints(shape, from)), []) : [];
+                
+            case 'nearest':
+                return shapes.reduce((points, shape) => points.concat(this.getNearestPoints(shape, x, y)), []);
+                
+            default:
+                return shapes.reduce((points, shape) => points.concat(this.getShapePoints(mode, shape)), []);
+        }
+    },
+
+    /**
+     * Get the endpoints, midpoints, centers or quadrant points of a shape
+     * @param {string} mode - 'endpoint', 'midpoint', 'center' or 'quadrant'
+     * @param {Object} shape - The shape
+     * @returns {Array<Object>} The points {x, y}
+     */
+    getShapePoints(mode, shape) {
+        switch (shape.type) {
+            case 'line':
+                if (mode === 'endpoint') return [{ x: shape.x1, y: shape.y1 }, { x: shape.x2, y: shape.y2 }];
+                if (mode === 'midpoint') return [shape.getMidpoint()];
+                return [];
+                
+            case 'rectangle':
+                if (mode === 'endpoint') return shape.getCorners();
+                if (mode === 'midpoint') return shape.getEdgeLines().map(edge => edge.getMidpoint());
+                if (mode === 'center') return [{ x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 }];
+                return [];
+                
+            case 'polyline':
+                if (mode === 'endpoint') return shape.points;
+                if (mode === 'midpoint') return shape.getSegments().map(segment => segment.getMidpoint());
+                return [];
+                
+            case 'circle':
+                if (mode === 'center') return [{ x: shape.cx, y: shape.cy }];
+                if (mode === 'quadrant') return this.getQuadrants(shape);
+                return [];
+                
+            case 'arc':
+                if (mode === 'endpoint') return [shape.getStartPoint(), shape.getEndPoint()];
+                if (mode === 'midpoint') return [shape.pointAtPercentage(0.5)];
+                if (mode === 'center') return [{ x: shape.cx, y: shape.cy }];
+                if (mode === 'quadrant') return shape.filterPointsOnArc(this.getQuadrants(shape));
+                return [];
+                
+            case 'ellipse':
+                if (mode === 'center') return [{ x: shape.cx, y: shape.cy }];
+                if (mode === 'quadrant') return shape.getQuadrantPoints();
+                return [];
+                
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Get the points at 0, 90, 180 and 270 degrees around a circle or arc
+     * @param {Circle|Arc} shape - The circle or arc
+     * @returns {Array<Object>} The points {x, y}
+     */
+    getQuadrants(shape) {
+        return [0, 1, 2, 3].map(quarter => MathUtils.pointAtDistanceAndAngle(shape.cx, shape.cy, shape.radius, quarter * Math.PI / 2));
+    },
+
+    /**
+     * Get the points where the lines, arcs and circles of different shapes cross each other.
+     * A shape's own edges are not crossed with each other, as they would meet at every vertex.
+     * @param {Array<Object>} shapes - The shapes
+     * @returns {Array<Object>} The points {x, y}
+     */
+    getIntersections(shapes) {
+        const primitives = shapes.map(shape => TrimExtend.getPrimitives(shape));
+        const points = [];
+        
+        for (let i = 0; i < primitives.length; i++) {
+            for (let j = i + 1; j < primitives.length; j++) {
+                primitives[i].forEach(first => {
+                    primitives[j].forEach(second => points.push(...TrimExtend.intersect(first, second)));
+                });
+            }
+        }
+        
+        return points;
+    },
+
+    /**
+     * Get the points on a circle or arc where a line from a point touches it
+     * @param {Object} shape - The shape
+     * @param {Object} from - The point {x, y} outside the circle
+     * @returns {Array<Object>} The tangent points {x, y}; none for other shapes or points inside the circle
+     */
+    getTangentPoints(shape, from) {
+        if (shape.type !== 'circle' && shape.type !== 'arc') return [];
+        
+        const distance = MathUtils.distance(shape.cx, shape.cy, from.x, from.y);
+        if (distance <= shape.radius) return [];
+        
+        // The tangent points are either side of the direction to the point
+        const direction = MathUtils.angle(shape.cx, shape.cy, from.x, from.y);
+        const spread = Math.acos(shape.radius / distance);
+        const points = [direction + spread, direction - spread]
+            .map(angle => MathUtils.pointAtDistanceAndAngle(shape.cx, shape.cy, shape.radius, angle));
+            
+        return shape.type === 'arc' ? shape.filterPointsOnArc(points) : points;
+    },
+
+    /**
+     * Get the points on a shape where a line from a point meets it at a right angle
+     * @param {Object} shape - The shape
+     * @param {Object} from - The point {x, y}
+     * @returns {Array<Object>} The perpendicular points {x, y}; none for ellipses
+     */
+    getPerpendicularPoints(shape, from) {
+        if (shape.type === 'circle' || shape.type === 'arc') {
+            if (MathUtils.distance(shape.cx, shape.cy, from.x, from.y) === 0) return [];
+            
+            // The closest and farthest points of the circle lie on the line through its center
+            const direction = MathUtils.angle(shape.cx, shape.cy, from.x, from.y);
+            const points = [direction, direction + Math.PI]
+                .map(angle => MathUtils.pointAtDistanceAndAngle(shape.cx, shape.cy, shape.radius, angle));
+                
+            return shape.type === 'arc' ? shape.filterPointsOnArc(points) : points;
+        }
+        
+        if (shape.type === 'ellipse') return [];
+        
+        return TrimExtend.getPrimitives(shape)
+            .map(edge => this.projectOntoSegment(from.x, from.y, edge))
+            .filter(point => point !== null);
+    },
+
+    /**
+     * Get the closest points on a shape's outline to the cursor
+     * @param {Object} shape - The shape
+     * @param {number} x - X coordinate of the cursor
+     * @param {number} y - Y coordinate of the cursor
+     * @returns {Array<Object>} The points {x, y}
+     */
+    getNearestPoints(shape, x, y) {
+        switch (shape.type) {
+            case 'circle':
+            case 'arc': {
+                const angle = MathUtils.angle(shape.cx, shape.cy, x, y);
+                const point = MathUtils.pointAtDistanceAndAngle(shape.cx, shape.cy, shape.radius, angle);
+                
+                return shape.type === 'arc' ? shape.filterPointsOnArc([point]) : [point];
+            }
+            
+            case 'ellipse':
+                return [shape.getClosestPoint(x, y)];
+                
+            default:
+                return TrimExtend.getPrimitives(shape)
+                    .map(edge => this.projectOntoSegment(x, y, edge))
+                    .filter(point => point !== null);
+        }
+    },
+
+    /**
+     * Project a point onto a line segment
+     * @param {number} x - X coordinate of the point
+     * @param {number} y - Y coordinate of the point
+     * @param {Line} line - The segment
+     * @returns {Object|null} The projected point {x, y}, or null if it falls outside the segment
+     */
+    projectOntoSegment(x, y, line) {
+        const dx = line.x2 - line.x1;
+        const dy = line.y2 - line.y1;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        if (lengthSquared === 0) return null;
+        
+        const t = ((x - line.x1) * dx + (y - line.y1) * dy) / lengthSquared;
+        if (t < 0 || t > 1) return null;
+        
+        return { x: line.x1 + t * dx, y: line.y1 + t * dy };
+    }
+};
+
+// Make ObjectSnap available globally
+window.ObjectSnap = ObjectSnap;
@@ -0,0 +1,487 @@
+/**
+ * Project File utilities for the CAD Editor
+ * Reads and writes the native versioned JSON project format
+ */
+const ProjectFile = {
+    // Identifier written to every project file
+    FORMAT: 'roughedge-cad',
+
+    // Current version of the project format
+    VERSION: 4,
+
+    // File extension and MIME type for project files
+    EXTENSION: '.cad.json',
+    MIME_TYPE: 'application/json',
+
+    // Required numeric properties for each shape type
+    SHAPE_FIELDS: {
+        line: ['x1', 'y1', 'x2', 'y2'],
+        rectangle: ['x', 'y', 'width', 'height'],
+        circle: ['cx', 'cy', 'radius'],
+        arc: ['cx', 'cy', 'radius', 'startAngle', 'endAngle'],
+        polyline: [],
+        ellipse: ['cx', 'cy', 'rx', 'ry'],
+        group: []
+    },
+
+    // Optional numeric properties for each shape type
+    OPTIONAL_SHAPE_FIELDS: {
+        rectangle: ['rotation'],
+        ellipse: ['rotation']
+    },
+
+    /**
+     * Migrations that upgrade a document from one version to the next.
+     * The function stored under key N receives a version N document and
+     * must return the equivalent version N + 1 document.
+     */
+    migrations: {
+        // Version 1 had no layer table. Shapes imported from DXF kept their DXF layer name in an
+        // optional "layer" string, and other shapes had no layer at all. Version 2 builds the layer
+        // table from those names and gives every shape a layerId, putting shapes without a name on layer 0
+        1: doc => {
+            if (!Array.isArray(doc.shapes)) return doc;
+            
+            const layers = [{ id: 'layer_0', name: '0', color: '#000000', visible: true, locked: false }];
+            
+            const shapes = doc.shapes.map(shape => {
+                if (!shape || typeof shape !== 'object') return shape;
+                
+                const { layer: name, ...rest } = shape;
+                const layerName = typeof name === 'string' && name ? name : '0';
+                let layer = layers.find(candidate => candidate.name === layerName);
+                
+                if (!layer) {
+                    layer = { id: `layer_${layers.length}`, name: layerName, color: '#000000', visible: true, locked: false };
+                    layers.push(layer);
+                }
+                
+                return { ...rest, layerId: layer.id };
+            });
+            
+            return { ...doc, layers, shapes };
+        },
+        
+        // Version 3 added the geometric constraints between shapes
+        2: doc => ({ ...doc, constraints: [] }),
+        
+        // Version 4 added the variables that dimensional constraints can use
+        3: doc => ({ ...doc, variables: [] })
+    },
+
+    /**
+     * Create a project document
+     * @param {Object} data - The project data
+     * @param {Array} data.shapes - The shapes to store
+     * @param {Array} [data.layers] - The layers, bottom layer first
+     * @param {Array} [data.constraints] - The geometric constraints between shapes
+     * @param {Array} [data.variables] - The variables {name, expression} used by dimensions
+     * @param {Object} [data.settings] - Grid and snap settings
+     * @param {Object} [data.view] - View state {zoom, panX, panY}
+     * @param {Object} [data.metadata] - Metadata such as the project name
+     * @returns {Object} The project document
+     */
+    create({ shapes = [], layers = [], constraints = [], variables = [], settings = {}, view = {}, metadata = {} }) {
+        const now = new Date().toISOString();
+        
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            metadata: {
+                name: metadata.name || 'Untitled',
+                created: metadata.created || now,
+                modified: now,
+                application: 'Roughedge Machineworks'
+            },
+            settings: { ...settings },
+            view: { ...view },
+            layers: layers.map(layer => (typeof layer.toObject === 'function' ? layer.toObject() : { ...layer })),
+            shapes: shapes.map(shape => (typeof shape.toObject === 'function' ? shape.toObject() : { ...shape })),
+            constraints: constraints.map(constraint => (typeof constraint.toObject === 'function' ? constraint.toObject() : { ...constraint })),
+            variables: variables.map(variable => ({ name: variable.name, expression: variable.expression }))
+        };
+    },
+
+    /**
+     * Serialize a project document to a string
+     * @param {Object} doc - The project document
+     * @returns {string} The JSON text
+     */
+    serialize(doc) {
+        return JSON.stringify(doc, null, 2);
+    },
+
+    /**
+     * Parse, migrate and validate project file contents
+     * @param {string} text - The file contents
+     * @returns {Object} The validated project document at the current version
+     * @throws {Error} If the file is malformed
+     */
+    parse(text) {
+        let doc;
+        
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Project file is not valid JSON: ${error.message}`);
+        }
+        
+        // Check the header before migrating so unknown files fail early
+        this.validateHeader(doc);
+        
+        doc = this.migrate(doc);
+        this.validate(doc);
+        
+        return doc;
+    },
+
+    /**
+     * Check the format identifier and version of a document
+     * @param {Object} doc - The project document
+     * @throws {Error} If the header is invalid
+     */
+    validateHeader(doc) {
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new Error('Project file must contain a JSON object');
+        }
+        
+        if (doc.format !== this.FORMAT) {
+            throw new Error(`Not a project file: expected format "${this.FORMAT}" but found ${JSON.stringify(doc.format)}`);
+        }
+        
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            throw new Error(`Invalid project version: ${JSON.stringify(doc.version)}`);
+        }
+        
+        if (doc.version > this.VERSION) {
+            throw new Error(`Project file version ${doc.version} is newer than the supported version ${this.VERSION}`);
+        }
+    },
+
+    /**
+     * Upgrade a document to the current version
+     * @param {Object} doc - The project document
+     * @returns {Object} The document at the current version
+     * @throws {Error} If a migration step is missing
+     */
+    migrate(doc) {
+        let migrated = doc;
+        
+        while (migrated.version < this.VERSION) {
+            const migration = this.migrations[migrated.version];
+            
+            if (typeof migration !== 'function') {
+                throw new Error(`No migration available from project version ${migrated.version}`);
+            }
+            
+            const fromVersion = migrated.version;
+            migrated = migration(migrated);
+            migrated.version = fromVersion + 1;
+            
+            logger.info(`Migrated project from version ${fromVersion} to ${migrated.version}`);
+        }
+        
+        return migrated;
+    },
+
+    /**
+     * Validate a document at the current version
+     * @param {Object} doc - The project document
+     * @throws {Error} If the document is invalid
+     */
+    validate(doc) {
+        this.validateHeader(doc);
+        
+        if (doc.metadata !== undefined && (typeof doc.metadata !== 'object' || doc.metadata === null)) {
+            throw new Error('Project "metadata" must be an object');
+        }
+        
+        if (doc.settings !== undefined) {
+            if (typeof doc.settings !== 'object' || doc.settings === null) {
+                throw new Error('Project "settings" must be an object');
+            }
+            
+            this.validateNumber(doc.settings, 'gridSize', 'Project settings', true);
+            this.validateNumber(doc.settings, 'snapDistance', 'Project settings', true);
+            this.validateNumber(doc.settings, 'polarIncrement', 'Project settings', true);
+            
+            ['gridVisible', 'snapToGrid', 'snapToPoints', 'snapToLines', 'inferParallel', 'inferPerpendicular', 'polarTracking', 'snapTracking'].forEach(key => {
+                if (doc.settings[key] !== undefined && typeof doc.settings[key] !== 'boolean') {
+                    throw new Error(`Project settings: "${key}" must be true or false`);
+                }
+            });
+            
+            if (doc.settings.snapModes !== undefined) {
+                const modes = doc.settings.snapModes;
+                
+                if (typeof modes !== 'object' || modes === null || Array.isArray(modes)) {
+                    throw new Error('Project settings: "snapModes" must be an object');
+                }
+                
+                Object.keys(modes).forEach(mode => {
+                    if (!ObjectSnap.MODES.includes(mode)) {
+                        throw new Error(`Project settings: Unknown snap mode "${mode}"`);
+                    }
+                    
+                    if (typeof modes[mode] !== 'boolean') {
+                        throw new Error(`Project settings: Snap mode "${mode}" must be true or false`);
+                    }
+                });
+            }
+        }
+        
+        if (doc.view !== undefined) {
+            if (typeof doc.view !== 'object' || doc.view === null) {
+                throw new Error('Project "view" must be an object');
+            }
+            
+            this.validateNumber(doc.view, 'zoom', 'Project view', true);
+            this.validateNumber(doc.view, 'panX', 'Project view', true);
+            this.validateNumber(doc.view, 'panY', 'Project view', true);
+            
+            if (doc.view.zoom !== undefined && doc.view.zoom <= 0) {
+                throw new Error('Project view: "zoom" must be greater than zero');
+            }
+        }
+        
+        if (doc.layers !== undefined) {
+            if (!Array.isArray(doc.layers)) {
+                throw new Error('Project "layers" must be an array');
+            }
+            
+            doc.layers.forEach((layer, index) => this.validateLayer(layer, index, doc.layers));
+        }
+        
+        if (!Array.isArray(doc.shapes)) {
+            throw new Error('Project "shapes" must be an array');
+        }
+        
+        doc.shapes.forEach((shape, index) => this.validateShape(shape, index));
+        
+        if (doc.constraints !== undefined) {
+            if (!Array.isArray(doc.constraints)) {
+                throw new Error('Project "constraints" must be an array');
+            }
+            
+            doc.constraints.forEach((constraint, index) => this.validateConstraint(constraint, index));
+        }
+        
+        if (doc.variables !== undefined) {
+            if (!Array.isArray(doc.variables)) {
+                throw new Error('Project "variables" must be an array');
+            }
+            
+            doc.variables.forEach((variable, index) => this.validateVariable(variable, index, doc.variables));
+        }
+    },
+
+    /**
+     * Validate a single layer entry
+     * @param {Object} layer - The layer object
+     * @param {number} index - The index of the layer in the document
+     * @param {Array} layers - All layers in the document, used to find duplicate IDs
+     * @throws {Error} If the layer is invalid
+     */
+    validateLayer(layer, index, layers) {
+        if (!layer || typeof layer !== 'object') {
+            throw new Error(`Layer ${index} must be an object`);
+        }
+        
+        if (typeof layer.id !== 'string' || !layer.id) {
+            throw new Error(`Layer ${index}: "id" must be a non-empty string`);
+        }
+        
+        if (layers.findIndex(other => other && other.id === layer.id) !== index) {
+            throw new Error(`Layer ${index}: duplicate id ${JSON.stringify(layer.id)}`);
+        }
+        
+        if (typeof layer.name !== 'string') {
+            throw new Error(`Layer ${index}: "name" must be a string`);
+        }
+        
+        if (layer.color !== undefined && !/^#[0-9a-f]{6}$/i.test(layer.color)) {
+            throw new Error(`Layer ${index}: "color" must be a #rrggbb colour`);
+        }
+        
+        ['visible', 'locked'].forEach(key => {
+            if (layer[key] !== undefined && typeof layer[key] !== 'boolean') {
+                throw new Error(`Layer ${index}: "${key}" must be true or false`);
+            }
+        });
+    },
+
+    /**
+     * Validate a single shape entry
+     * @param {Object} shape - The shape object
+     * @param {number|string} index - The index of the shape in the document
+     * @throws {Error} If the shape is invalid
+     */
+    validateShape(shape, index) {
+        if (!shape || typeof shape !== 'object') {
+            throw new Error(`Shape ${index} must be an object`);
+        }
+        
+        const fields = this.SHAPE_FIELDS[shape.type];
+        if (!fields) {
+            throw new Error(`Shape ${index} has unknown type ${JSON.stringify(shape.type)}`);
+        }
+        
+        if (shape.id !== undefined && typeof shape.id !== 'string') {
+            throw new Error(`Shape ${index} (${shape.type}): "id" must be a string`);
+        }
+        
+        if (shape.layerId !== undefined && typeof shape.layerId !== 'string') {
+            throw new Error(`Shape ${index} (${shape.type}): "layerId" must be a string`);
+        }
+        
+        const context = `Shape ${index} (${shape.type})`;
+        fields.forEach(field => this.validateNumber(shape, field, context, false));
+        (this.OPTIONAL_SHAPE_FIELDS[shape.type] || []).forEach(field => this.validateNumber(shape, field, context, true));
+        
+        if (shape.type === 'polyline') {
+            this.validatePolyline(shape, context);
+        } else if (shape.type === 'group') {
+            this.validateGroup(shape, index, context);
+        }
+        
+        ShapeStyle.validate(shape, context);
+    },
+
+    /**
+     * Validate a single constraint entry.
+     * References to shapes that are not in the document are allowed; such constraints are ignored.
+     * @param {Object} constraint - The constraint object
+     * @param {number} index - The index of the constraint in the document
+     * @throws {Error} If the constraint is invalid
+     */
+    validateConstraint(constraint, index) {
+        if (!constraint || typeof constraint !== 'object') {
+            throw new Error(`Constraint ${index} must be an object`);
+        }
+        
+        const info = Constraint.TYPES[constraint.type];
+        if (!info) {
+            throw new Error(`Constraint ${index} has unknown type ${JSON.stringify(constraint.type)}`);
+        }
+        
+        const context = `Constraint ${index} (${constraint.type})`;
+        
+        if (constraint.id !== undefined && typeof constraint.id !== 'string') {
+            throw new Error(`${context}: "id" must be a string`);
+        }
+        
+        if (!Array.isArray(constraint.refs) || constraint.refs.length !== info.refs.length) {
+            throw new Error(`${context}: "refs" must be an array of ${info.refs.length} references`);
+        }
+        
+        constraint.refs.forEach((ref, refIndex) => {
+            if (!ref || typeof ref.shapeId !== 'string' || !ref.shapeId) {
+                throw new Error(`${context}: reference ${refIndex} must have a "shapeId" string`);
+            }
+            
+            const isPoint = info.refs[refIndex] === 'point';
+            if (isPoint !== (ref.point !== undefined) || (isPoint && !['start', 'end', 'center'].includes(ref.point))) {
+                throw new Error(`${context}: reference ${refIndex} ${isPoint ? 'must name a start, end or center point' : 'must not name a point'}`);
+            }
+        });
+        
+        if (constraint.value !== undefined && (typeof constraint.value !== 'object' || constraint.value === null)) {
+            throw new Error(`${context}: "value" must be an object`);
+        }
+        
+        // Dimensions hold an expression, fixed shapes the numbers they are held at
+        if (info.dimension) {
+            if (!constraint.value || typeof constraint.value.expression !== 'string' || !constraint.value.expression.trim()) {
+                throw new Error(`${context}: "value" must have a non-empty "expression" string`);
+            }
+        } else if (constraint.value !== undefined) {
+            Object.keys(constraint.value).forEach(key => this.validateNumber(constraint.value, key, context, false));
+        }
+    },
+
+    /**
+     * Validate a single variable entry.
+     * Expressions are not evaluated here; one that cannot be evaluated only disables the dimensions using it.
+     * @param {Object} variable - The variable object
+     * @param {number} index - The index of the variable in the document
+     * @param {Array} variables - All variables in the document, used to find duplicate names
+     * @throws {Error} If the variable is invalid
+     */
+    validateVariable(variable, index, variables) {
+        if (!variable || typeof variable !== 'object') {
+            throw new Error(`Variable ${index} must be an object`);
+        }
+        
+        if (typeof variable.name !== 'string' || !Expression.NAME_PATTERN.test(variable.name)) {
+            throw new Error(`Variable ${index}: "name" must start with a letter or _ and hold only letters, digits and _`);
+        }
+        
+        if (variables.findIndex(other => other && other.name === variable.name) !== index) {
+            throw new Error(`Variable ${index}: duplicate name ${JSON.stringify(variable.name)}`);
+        }
+        
+        if (typeof variable.expression !== 'string' || !variable.expression.trim()) {
+            throw new Error(`Variable ${index} (${variable.name}): "expression" must be a non-empty string`);
+        }
+    },
+
+    /**
+     * Validate the children of a group entry
+     * @param {Object} shape - The group object
+     * @param {number|string} index - The index of the group in the document
+     * @param {string} context - Description of the shape for error messages
+     * @throws {Error} If the children are invalid
+     */
+    validateGroup(shape, index, context) {
+        if (!Array.isArray(shape.children) || shape.children.length === 0) {
+            throw new Error(`${context}: "children" must be a non-empty array`);
+        }
+        
+        // Children are numbered after their group, e.g. shape 3.0
+        shape.children.forEach((child, childIndex) => this.validateShape(child, `${index}.${childIndex}`));
+    },
+
+    /**
+     * Validate the vertex list of a polyline entry
+     * @param {Object} shape - The polyline object
+     * @param {string} context - Description of the shape for error messages
+     * @throws {Error} If the vertices are invalid
+     */
+    validatePolyline(shape, context) {
+        if (!Array.isArray(shape.points) || shape.points.length < 2) {
+            throw new Error(`${context}: "points" must be an array of at least two vertices`);
+        }
+        
+        shape.points.forEach((point, index) => {
+            if (!point || typeof point !== 'object') {
+                throw new Error(`${context}: vertex ${index} must be an object`);
+            }
+            
+            this.validateNumber(point, 'x', `${context} vertex ${index}`, false);
+            this.validateNumber(point, 'y', `${context} vertex ${index}`, false);
+        });
+        
+        if (shape.closed !== undefined && typeof shape.closed !== 'boolean') {
+            throw new Error(`${context}: "closed" must be true or false`);
+        }
+    },
+
+    /**
+     * Check that a property is a finite number
+     * @param {Object} obj - The object to check
+     * @param {string} key - The property name
+     * @param {string} context - Description of the object for error messages
+     * @param {boolean} optional - Whether the property may be missing
+     * @throws {Error} If the property is not a finite number
+     */
+    validateNumber(obj, key, context, optional) {
+        if (optional && obj[key] === undefined) return;
+        
+        if (typeof obj[key] !== 'number' || !isFinite(obj[key])) {
+            throw new Error(`${context}: "${key}" must be a finite number`);
+        }
+    }
+};
+
+// Make ProjectFile available globally
+window.ProjectFile = ProjectFile;
@@ -13,10 +13,12 @@ class PropertiesPanel {
         this.panel = document.getElementById('property-panel');
         this.contentContainer = document.querySelector('.property-content');
         this.selectedShape = null;
+        this.selectedShapes = [];
         this.originalValues = {};
         
         // Bind methods
         this.showProperties = this.showProperties.bind(this);
+        this.showSelectionProperties = this.showSelectionProperties.bind(this);
         this.hideProperties = this.hideProperties.bind(this);
         this.updateProperties = this.updateProperties.bind(this);
         this.createPropertiesForm = this.createPropertiesForm.bind(this);
@@ -29,15 +31,35 @@ class PropertiesPanel {
      */
     showProperties(shape) {
         this.selectedShape = shape;
+        this.selectedShapes = [shape];
         this.originalValues = this.getShapeValues(shape);
         this.createPropertiesForm(shape);
     }
 
+    /**
+     * Show properties for the current selection.
+     * A single shape gets the full form, several shapes get the style fields they share.
+     * @param {Array} shapes - The selected shapes
+     */
+    showSelectionProperties(shapes) {
+        if (shapes.length === 1) {
+            this.showProperties(shapes[0]);
+        } else if (shapes.length > 1) {
+            this.selectedShape = null;
+            this.selectedShapes = [...shapes];
+            this.originalValues = {};
+            this.createStyleForm(this.selectedShapes);
+        } else {
+            this.hideProperties();
+        }
+    }
+
     /**
      * Hide the properties panel
      */
     hideProperties() {
         this.selectedShape = null;
+        this.selectedShapes = [];
         this.originalValues = {};
         this.contentContainer.innerHTML = '<p>Select an element to view and edit its properties.</p>';
     }
@@ -76,6 +98,7 @@ class PropertiesPanel {
                 values.y = shape.y;
                 values.width = shape.width;
                 values.height = shape.height;
+                values.rotation = (shape.rotation || 0) * (180 / Math.PI);
                 values.area = shape.getArea();
                 values.perimeter = shape.getPerimeter();
                 break;
@@ -97,6 +120,30 @@ class PropertiesPanel {
                 values.endAngle = shape.endAngle * (180 / Math.PI);
                 values.arcLength = shape.getArcLength ? shape.getArcLength() : 0;
                 break;
+                
+            case 'polyline':
+                values.x = shape.getBoundingBox().x;
+                values.y = shape.getBoundingBox().y;
+                values.vertices = shape.getVertexCount();
+                values.length = shape.getLength();
+                values.area = shape.getArea();
+                break;
+                
+            case 'ellipse':
+                values.cx = shape.cx;
+                values.cy = shape.cy;
+                values.rx = shape.rx;
+                values.ry = shape.ry;
+                values.rotation = (shape.rotation || 0) * (180 / Math.PI);
+                values.area = shape.getArea();
+                values.perimeter = shape.getPerimeter();
+                break;
+                
+            case 'group':
+                values.x = shape.getBoundingBox().x;
+                values.y = shape.getBoundingBox().y;
+                values.shapes = shape.getLeafShapes().length;
+                break;
         }
         
         return values;
@@ -123,6 +170,20 @@ class PropertiesPanel {
             formContainer.appendChild(field);
         });
         
+        // Layer the shape is drawn on; shapes inside a group are drawn on the group's layer
+        const rootShape = this.canvasManager.getRootShape(shape.id);
+        if (window.layerManager && (!rootShape || rootShape.id === shape.id)) {
+            formContainer.appendChild(this.createFieldGroup('Layer', [this.createLayerField(shape)]));
+        }
+        
+        // Constraints that apply to the shape
+        const constraints = window.constraintManager ? window.constraintManager.getConstraintsForShape(shape.id) : [];
+        if (constraints.length > 0) {
+            formContainer.appendChild(this.createFieldGroup('Constraints', this.createConstraintFields(shape, constraints)));
+        }
+        
+        formContainer.appendChild(this.createStyleFields([shape]));
+        
         // Create buttons
         const buttonContainer = document.createElement('div');
         buttonContainer.className = 'button-container';
@@ -140,6 +201,35 @@ class PropertiesPanel {
         this.contentContainer.appendChild(formContainer);
     }
 
+    /**
+     * Create the style form for several selected shapes
+     * @param {Array} shapes - The selected shapes
+     */
+    createStyleForm(shapes) {
+        const formContainer = document.createElement('div');
+        formContainer.className = 'properties-form';
+        
+        const title = document.createElement('h4');
+        title.textContent = `${shapes.length} Shapes Selected`;
+        formContainer.appendChild(title);
+        
+        formContainer.appendChild(this.createStyleFields(shapes));
+        
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'button-container';
+        
+        const applyButton = document.createElement('button');
+        applyButton.textContent = 'Apply';
+        applyButton.className = 'apply-button';
+        applyButton.addEventListener('click', () => this.applyStyleChanges(shapes));
+        
+        buttonContainer.appendChild(applyButton);
+        formContainer.appendChild(buttonContainer);
+        
+        this.contentContainer.innerHTML = '';
+        this.contentContainer.appendChild(formContainer);
+    }
+
     /**
      * Create form fields for a shape
      * @param {Object} shape - The shape to create fields for
@@ -178,7 +268,8 @@ class PropertiesPanel {
                 // Dimension fields
                 fields.push(this.createFieldGroup('Dimensions', [
                     this.createInputField('width', 'Width', shape.width, 'number', true),
-                    this.createInputField('height', 'Height', shape.height, 'number', true)
+                    this.createInputField('height', 'Height', shape.height, 'number', true),
+                    this.createInputField('rotation', 'Rotation (°)', (shape.rotation || 0) * (180 / Math.PI), 'number', true)
                 ]));
                 
                 // Calculated fields
@@ -228,6 +319,60 @@ class PropertiesPanel {
                     this.createInputField('arcLength', 'Arc Length', arcLength, 'number', false)
                 ]));
                 break;
+                
+            case 'polyline':
+                // Position fields move the whole polyline by its bounding box corner
+                const polylineBounds = shape.getBoundingBox();
+                fields.push(this.createFieldGroup('Position', [
+                    this.createInputField('x', 'X', polylineBounds.x, 'number', true),
+                    this.createInputField('y', 'Y', polylineBounds.y, 'number', true)
+                ]));
+                
+                // Calculated fields
+                const polylineFields = [
+                    this.createInputField('vertices', 'Vertices', String(shape.getVertexCount()), 'number', false),
+                    this.createInputField('length', 'Length', shape.getLength().toFixed(2), 'number', false)
+                ];
+                if (shape.closed) {
+                    polylineFields.push(this.createInputField('area', 'Area', shape.getArea().toFixed(2), 'number', false));
+                }
+                fields.push(this.createFieldGroup('Calculated', polylineFields));
+                break;
+                
+            case 'ellipse':
+                // Position fields
+                fields.push(this.createFieldGroup('Center', [
+                    this.createInputField('cx', 'X', shape.cx, 'number', true),
+                    this.createInputField('cy', 'Y', shape.cy, 'number', true)
+                ]));
+                
+                // Dimension fields
+                fields.push(this.createFieldGroup('Dimensions', [
+                    this.createInputField('rx', 'Radius X', shape.rx, 'number', true),
+                    this.createInputField('ry', 'Radius Y', shape.ry, 'number', true),
+                    this.createInputField('rotation', 'Rotation (°)', (shape.rotation || 0) * (180 / Math.PI), 'number', true)
+                ]));
+                
+                // Calculated fields
+                fields.push(this.createFieldGroup('Calculated', [
+                    this.createInputField('area', 'Area', shape.getArea().toFixed(2), 'number', false),
+                    this.createInputField('perimeter', 'Perimeter', shape.getPerimeter().toFixed(2), 'number', false)
+                ]));
+                break;
+                
+            case 'group':
+                // Position fields move the whole group by its bounding box corner
+                const groupBounds = shape.getBoundingBox();
+                fields.push(this.createFieldGroup('Position', [
+                    this.createInputField('x', 'X', groupBounds.x, 'number', true),
+                    this.createInputField('y', 'Y', groupBounds.y, 'number', true)
+                ]));
+                
+                // Calculated fields
+                fields.push(this.createFieldGroup('Calculated', [
+                    this.createInputField('shapes', 'Shapes', String(shape.getLeafShapes().length), 'number', false)
+                ]));
+                break;
         }
         
         return fields;
@@ -309,6 +454,250 @@ class PropertiesPanel {
         return field;
     }
 
+    /**
+     * Create a field for choosing the layer of a shape
+     * @param {Object} shape - The shape
+     * @returns {HTMLElement} The layer field element
+     */
+    createLayerField(shape) {
+        const field = document.createElement('div');
+        field.className = 'input-field';
+        
+        const labelElement = document.createElement('label');
+        labelElement.textContent = 'Layer';
+        labelElement.htmlFor = 'property-layerId';
+        
+        const select = document.createElement('select');
+        select.id = 'property-layerId';
+        select.name = 'layerId';
+        
+        // Locked layers are left out since shapes cannot be edited there
+        const currentLayer = window.layerManager.getLayerForShape(shape);
+        window.layerManager.layers.slice().reverse().forEach(layer => {
+            if (layer.locked && layer !== currentLayer) return;
+            
+            const option = document.createElement('option');
+            option.value = layer.id;
+            option.textContent = layer.name;
+            option.selected = layer === currentLayer;
+            select.appendChild(option);
+        });
+        
+        field.appendChild(labelElement);
+        field.appendChild(select);
+        
+        return field;
+    }
+
+    /**
+     * Create a row for each constraint on a shape, with a button to remove it
+     * @param {Object} shape - The shape
+     * @param {Array<Constraint>} constraints - The constraints that apply to the shape
+     * @returns {Array} Array of constraint row elements
+     */
+    createConstraintFields(shape, constraints) {
+        const getShape = id => this.canvasManager.getShapeById(id);
+        
+        return constraints.map(constraint => {
+            const field = document.createElement('div');
+            field.className = 'constraint-field';
+            
+            const description = document.createElement('span');
+            description.textContent = constraint.describe(getShape);
+            
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.title = 'Remove this constraint';
+            removeButton.addEventListener('click', () => {
+                window.constraintManager.removeConstraint(constraint.id);
+                this.createPropertiesForm(this.canvasManager.getShapeById(shape.id));
+            });
+            
+            field.appendChild(description);
+            field.appendChild(removeButton);
+            
+            return field;
+        });
+    }
+
+    /**
+     * Create the style fields for one or more shapes.
+     * Values shared by all shapes are shown; only fields the user changes are applied.
+     * @param {Array} shapes - The shapes
+     * @returns {HTMLElement} The style field group
+     */
+    createStyleFields(shapes) {
+        const styles = shapes.map(shape => ShapeStyle.getStyle(shape));
+        const common = key => styles.every(style => style[key] === styles[0][key]) ? styles[0][key] : undefined;
+        const fields = [];
+        
+        const stroke = common('stroke');
+        fields.push(this.createColorField('stroke', 'Stroke', stroke, 'strokeByLayer', 'By layer', stroke === null));
+        
+        const strokeWidth = common('strokeWidth');
+        const widthField = this.createStyleControl('input', 'strokeWidth', 'Stroke Width');
+        const widthInput = widthField.querySelector('input');
+        widthInput.type = 'number';
+        widthInput.min = '0.1';
+        widthInput.step = '0.1';
+        widthInput.value = strokeWidth !== undefined ? strokeWidth : '';
+        fields.push(widthField);
+        
+        const lineType = common('lineType');
+        const lineTypeField = this.createStyleControl('select', 'lineType', 'Line Type');
+        const lineTypeSelect = lineTypeField.querySelector('select');
+        if (lineType === undefined) {
+            lineTypeSelect.appendChild(new Option('(mixed)', '', true, true));
+        }
+        Object.keys(ShapeStyle.LINE_TYPES).forEach(type => {
+            const label = type.charAt(0).toUpperCase() + type.slice(1);
+            lineTypeSelect.appendChild(new Option(label, type, false, type === lineType));
+        });
+        fields.push(lineTypeField);
+        
+        // Fill is only offered when a shape in the selection encloses an area
+        const closedStyles = styles.filter((style, index) => ShapeStyle.isClosed(shapes[index]));
+        if (closedStyles.length > 0) {
+            const fill = closedStyles.every(style => style.fill === closedStyles[0].fill) ? closedStyles[0].fill : undefined;
+            fields.push(this.createColorField('fill', 'Fill', fill, 'fillNone', 'None', fill === null));
+        }
+        
+        return this.createFieldGroup('Style', fields);
+    }
+
+    /**
+     * Create a labelled style control that records when the user changes it
+     * @param {string} tagName - The control element, input or select
+     * @param {string} name - The field name
+     * @param {string} label - The field label
+     * @returns {HTMLElement} The field element
+     */
+    createStyleControl(tagName, name, label) {
+        const field = document.createElement('div');
+        field.className = 'input-field';
+        
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+        labelElement.htmlFor = `property-${name}`;
+        
+        const control = document.createElement(tagName);
+        control.id = `property-${name}`;
+        control.name = name;
+        control.dataset.style = name;
+        control.addEventListener('change', () => {
+            control.dataset.changed = 'true';
+        });
+        
+        field.appendChild(labelElement);
+        field.appendChild(control);
+        
+        return field;
+    }
+
+    /**
+     * Create a colour style field with a checkbox for the unset value
+     * @param {string} name - The field name
+     * @param {string} label - The field label
+     * @param {string|null|undefined} value - The colour, null if unset or undefined if the shapes differ
+     * @param {string} unsetName - The name of the checkbox
+     * @param {string} unsetLabel - The label of the checkbox
+     * @param {boolean} unset - Whether the checkbox starts checked
+     * @returns {HTMLElement} The field element
+     */
+    createColorField(name, label, value, unsetName, unsetLabel, unset) {
+        const field = this.createStyleControl('input', name, label);
+        const input = field.querySelector('input');
+        input.type = 'color';
+        input.value = value || '#000000';
+        
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.className = 'style-unset';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = unsetName;
+        checkbox.dataset.style = name;
+        checkbox.checked = unset;
+        
+        // Picking a colour clears the checkbox, and either change marks the colour as edited
+        input.addEventListener('input', () => {
+            checkbox.checked = false;
+            input.dataset.changed = 'true';
+        });
+        checkbox.addEventListener('change', () => {
+            input.dataset.changed = 'true';
+        });
+        
+        checkboxLabel.appendChild(checkbox);
+        checkboxLabel.appendChild(document.createTextNode(` ${unsetLabel}`));
+        field.appendChild(checkboxLabel);
+        
+        return field;
+    }
+
+    /**
+     * Get the style properties the user changed in the form
+     * @returns {Object} The changed style properties, with null for properties to clear
+     */
+    getStyleData() {
+        const style = {};
+        const changed = name => this.contentContainer.querySelector(`[name="${name}"][data-changed]`);
+        const checked = name => {
+            const checkbox = this.contentContainer.querySelector(`[name="${name}"]`);
+            return checkbox ? checkbox.checked : false;
+        };
+        
+        const stroke = changed('stroke');
+        if (stroke) {
+            style.stroke = checked('strokeByLayer') ? null : stroke.value;
+        }
+        
+        const strokeWidth = changed('strokeWidth');
+        if (strokeWidth) {
+            const width = parseFloat(strokeWidth.value);
+            if (width > 0) {
+                style.strokeWidth = width === 1 ? null : width;
+            }
+        }
+        
+        const lineType = changed('lineType');
+        if (lineType && ShapeStyle.LINE_TYPES.hasOwnProperty(lineType.value)) {
+            style.lineType = lineType.value === 'solid' ? null : lineType.value;
+        }
+        
+        const fill = changed('fill');
+        if (fill) {
+            style.fill = checked('fillNone') ? null : fill.value;
+        }
+        
+        return style;
+    }
+
+    /**
+     * Apply the changed style fields to several shapes as one undo step
+     * @param {Array} shapes - The shapes to update
+     */
+    applyStyleChanges(shapes) {
+        const style = this.getStyleData();
+        
+        if (Object.keys(style).length > 0) {
+            if (window.appStateManager) {
+                window.appStateManager.pushUndoState();
+            }
+            
+            // Look the shapes up again in case they were moved since the form was built
+            shapes.map(shape => this.canvasManager.getShapeById(shape.id)).filter(Boolean).forEach(shape => {
+                const updatedShape = ShapeStyle.setStyle(ShapeFactory.fromObject(shape), style);
+                this.canvasManager.updateShape(updatedShape, false);
+            });
+            
+            logger.info(`Updated style of ${shapes.length} shapes`);
+        }
+        
+        this.canvasManager.deselectAll();
+        this.hideProperties();
+    }
+
     /**
      * Preview changes in real-time
      */
@@ -334,8 +723,19 @@ class PropertiesPanel {
         const updatedShape = this.createUpdatedShape(shape, formData);
         
         if (updatedShape) {
+            if (formData.layerId) {
+                updatedShape.layerId = formData.layerId;
+            }
+            
+            ShapeStyle.setStyle(updatedShape, this.getStyleData());
+            
             this.canvasManager.updateShape(updatedShape);
             
+            // Shapes constrained to this one follow the change
+            if (window.constraintManager) {
+                window.constraintManager.solveConstraints([updatedShape.id]);
+            }
+            
             // Deselect the shape after applying changes
             this.canvasManager.deselectAll();
             this.selectedShape = null;
@@ -351,7 +751,8 @@ class PropertiesPanel {
      */
     getFormData() {
         const formData = {};
-        const inputs = this.contentContainer.querySelectorAll('input:not([disabled])');
+        // Style fields are read separately by getStyleData
+        const inputs = this.contentContainer.querySelectorAll('input:not([disabled]):not([data-style]), select:not([data-style])');
         
         inputs.forEach(input => {
             const name = input.name;
@@ -367,7 +768,8 @@ class PropertiesPanel {
                 value = input.value;
             }
             
-            if (!isNaN(value)) {
+            // Selects hold IDs rather than numbers
+            if (input.tagName === 'SELECT' || !isNaN(value)) {
                 formData[name] = value;
             }
         });
@@ -406,7 +808,7 @@ class PropertiesPanel {
                 
                 // Create a new Line instance
                 const updatedLine = new Line(shapeProps.x1, shapeProps.y1, shapeProps.x2, shapeProps.y2);
-                updatedLine.id = shape.id;
+                ShapeFactory.copyAttributes(shape, updatedLine);
                 return updatedLine;
                 
             case 'rectangle':
@@ -416,9 +818,14 @@ class PropertiesPanel {
                 if (formData.width !== undefined) shapeProps.width = formData.width;
                 if (formData.height !== undefined) shapeProps.height = formData.height;
                 
+                // Handle rotation updates (convert from degrees to radians)
+                if (formData.rotation !== undefined) {
+                    shapeProps.rotation = formData.rotation * (Math.PI / 180);
+                }
+                
                 // Create a new Rectangle instance
-                const updatedRect = new Rectangle(shapeProps.x, shapeProps.y, shapeProps.width, shapeProps.height);
-                updatedRect.id = shape.id;
+                const updatedRect = new Rectangle(shapeProps.x, shapeProps.y, shapeProps.width, shapeProps.height, shapeProps.rotation);
+                ShapeFactory.copyAttributes(shape, updatedRect);
                 return updatedRect;
                 
             case 'circle':
@@ -435,7 +842,7 @@ class PropertiesPanel {
                 
                 // Create a new Circle instance
                 const updatedCircle = new Circle(shapeProps.cx, shapeProps.cy, shapeProps.radius);
-                updatedCircle.id = shape.id;
+                ShapeFactory.copyAttributes(shape, updatedCircle);
                 return updatedCircle;
                 
             case 'arc':
@@ -460,9 +867,47 @@ class PropertiesPanel {
                     shapeProps.startAngle, 
                     shapeProps.endAngle
                 );
-                updatedArc.id = shape.id;
+                ShapeFactory.copyAttributes(shape, updatedArc);
                 return updatedArc;
                 
+            case 'polyline':
+                // Move every vertex by the change in position
+                const currentBounds = shape.getBoundingBox();
+                const updatedPolyline = new Polyline(shape.points, shape.closed);
+                updatedPolyline.move(
+                    formData.x !== undefined ? formData.x - currentBounds.x : 0,
+                    formData.y !== undefined ? formData.y - currentBounds.y : 0
+                );
+                ShapeFactory.copyAttributes(shape, updatedPolyline);
+                return updatedPolyline;
+                
+            case 'ellipse':
+                // Handle direct property updates
+                if (formData.cx !== undefined) shapeProps.cx = formData.cx;
+                if (formData.cy !== undefined) shapeProps.cy = formData.cy;
+                if (formData.rx !== undefined) shapeProps.rx = formData.rx;
+                if (formData.ry !== undefined) shapeProps.ry = formData.ry;
+                
+                // Handle rotation updates (convert from degrees to radians)
+                if (formData.rotation !== undefined) {
+                    shapeProps.rotation = formData.rotation * (Math.PI / 180);
+                }
+                
+                // Create a new Ellipse instance
+                const updatedEllipse = new Ellipse(shapeProps.cx, shapeProps.cy, shapeProps.rx, shapeProps.ry, shapeProps.rotation);
+                ShapeFactory.copyAttributes(shape, updatedEllipse);
+                return updatedEllipse;
+                
+            case 'group':
+                // Move every child by the change in position, keeping their IDs
+                const groupBounds = shape.getBoundingBox();
+                const updatedGroup = ShapeFactory.fromObject(shape);
+                updatedGroup.move(
+                    formData.x !== undefined ? formData.x - groupBounds.x : 0,
+                    formData.y !== undefined ? formData.y - groupBounds.y : 0
+                );
+                return updatedGroup;
+                
             default:
                 return shape;
         }
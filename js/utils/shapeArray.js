@@ -0,0 +1,119 @@
+/**
+ * Shape array utilities for the CAD Editor
+ * Replicates shapes in a rectangular grid or a polar pattern around a center point
+ */
+const ShapeArray = {
+    // Most copies one array may create, to keep a mistyped count from freezing the editor
+    MAX_COPIES: 2500,
+
+    /**
+     * Check array options for values that cannot make an array
+     * @param {Object} options - The array options, see rectangular and polar
+     * @returns {string|null} A message describing the problem, or null if the options are usable
+     */
+    validate(options) {
+        const isCount = value => Number.isInteger(value) && value >= 1;
+        
+        if (options.type === 'polar') {
+            if (!isCount(options.count) || options.count < 2) return 'The count must be a whole number of at least 2';
+            if (!Number.isFinite(options.totalAngle) || options.totalAngle === 0 || Math.abs(options.totalAngle) > 360) {
+                return 'The total angle must be between -360° and 360°, and not 0';
+            }
+            if (!Number.isFinite(options.centerX) || !Number.isFinite(options.centerY)) return 'Enter the center point';
+            if (options.count - 1 > this.MAX_COPIES) return `An array can make at most ${this.MAX_COPIES} copies`;
+            
+            return null;
+        }
+        
+        if (!isCount(options.rows) || !isCount(options.columns)) return 'Rows and columns must be whole numbers of at least 1';
+        if (options.rows * options.columns < 2) return 'The array needs more than one row or column';
+        if (!Number.isFinite(options.rowSpacing) || !Number.isFinite(options.columnSpacing)) return 'Enter the row and column spacing';
+        if (options.rows * options.columns - 1 > this.MAX_COPIES) return `An array can make at most ${this.MAX_COPIES} copies`;
+        
+        return null;
+    },
+
+    /**
+     * Create the copies for an array
+     * @param {Array<Object>} shapes - The shapes to replicate
+     * @param {Object} options - The array options, with type 'rectangular' or 'polar'
+     * @returns {Array<Object>} The copies with new IDs, not including the originals; empty if the options are not usable
+     */
+    create(shapes, options) {
+        if (shapes.length === 0 || this.validate(options)) return [];
+        
+        return options.type === 'polar'
+            ? this.polar(shapes, options)
+            : this.rectangular(shapes, options);
+    },
+
+    /**
+     * Replicate shapes in rows and columns, with the originals in the first row and column
+     * @param {Array<Object>} shapes - The shapes to replicate
+     * @param {Object} options - The options {rows, columns, rowSpacing, columnSpacing}; negative spacings go up or left
+     * @returns {Array<Object>} The copies
+     */
+    rectangular(shapes, options) {
+        const copies = [];
+        
+        for (let row = 0; row < options.rows; row++) {
+            for (let column = 0; column < options.columns; column++) {
+                if (row === 0 && column === 0) continue;
+                
+                this.copyShapes(shapes).forEach(copy => {
+                    copy.move(column * options.columnSpacing, row * options.rowSpacing);
+                    copies.push(copy);
+                });
+            }
+        }
+        
+        return copies;
+    },
+
+    /**
+     * Replicate shapes around a center point, with the originals as the first item
+     * @param {Array<Object>} shapes - The shapes to replicate
+     * @param {Object} options - The options {count, totalAngle, centerX, centerY, rotateItems}, with the angle in degrees
+     * @returns {Array<Object>} The copies
+     */
+    polar(shapes, options) {
+        const totalAngle = MathUtils.degreesToRadians(options.totalAngle);
+        
+        // A full circle spaces the items evenly without putting the last on top of the first
+        const step = Math.abs(options.totalAngle) >= 360
+            ? totalAngle / options.count
+            : totalAngle / (options.count - 1);
+            
+        const reference = new Group(shapes).getCenter();
+        const copies = [];
+        
+        for (let i = 1; i < options.count; i++) {
+            const angle = step * i;
+            const items = this.copyShapes(shapes);
+            
+            if (options.rotateItems) {
+                items.forEach(copy => copy.rotate(angle, new Point(options.centerX, options.centerY)));
+            } else {
+                // Items keep their orientation and move with the center of the selection
+                const target = MathUtils.rotatePoint(reference.x, reference.y, options.centerX, options.centerY, angle);
+                items.forEach(copy => copy.move(target.x - reference.x, target.y - reference.y));
+            }
+            
+            copies.push(...items);
+        }
+        
+        return copies;
+    },
+
+    /**
+     * Copy shapes with new IDs, keeping their layers and styles
+     * @param {Array<Object>} shapes - The shapes
+     * @returns {Array<Object>} The copies
+     */
+    copyShapes(shapes) {
+        return ShapeClipboard.createShapes(shapes.map(shape => shape.toObject()));
+    }
+};
+
+// Make ShapeArray available globally
+window.ShapeArray = ShapeArray;
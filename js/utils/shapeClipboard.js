@@ -0,0 +1,124 @@
+/**
+ * Shape clipboard utilities for the CAD Editor
+ * Serializes shapes for copy and paste, within the editor and between editor tabs
+ */
+const ShapeClipboard = {
+    // Identifies clipboard text written by this editor
+    FORMAT: 'roughedge-cad-clipboard',
+
+    // Version of the clipboard format
+    VERSION: 1,
+
+    // Custom clipboard type carrying the JSON alongside the plain text copy
+    MIME_TYPE: 'application/x-roughedge-cad+json',
+
+    // Stroke given to the SVG copy for shapes that use their layer colour
+    SVG_STROKE: '#000000',
+
+    /**
+     * Serialize shapes to clipboard JSON
+     * @param {Array} shapes - The shapes to copy
+     * @returns {string} The JSON text
+     */
+    toJSON(shapes) {
+        return JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            shapes: shapes.map(shape => shape.toObject())
+        });
+    },
+
+    /**
+     * Serialize shapes to a standalone SVG document sized to their bounding box
+     * @param {Array} shapes - The shapes to copy
+     * @returns {string} The SVG markup
+     */
+    toSVG(shapes) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const bbox = this.getBoundingBox(shapes);
+        const padding = 1;
+        
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', [
+            bbox.x - padding,
+            bbox.y - padding,
+            bbox.width + padding * 2,
+            bbox.height + padding * 2
+        ].join(' '));
+        svg.setAttribute('width', bbox.width + padding * 2);
+        svg.setAttribute('height', bbox.height + padding * 2);
+        
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('stroke', this.SVG_STROKE);
+        group.setAttribute('fill', 'none');
+        
+        shapes.forEach(shape => group.appendChild(shape.toSVGElement()));
+        svg.appendChild(group);
+        
+        return new XMLSerializer().serializeToString(svg);
+    },
+
+    /**
+     * Get the bounding box around a list of shapes
+     * @param {Array} shapes - The shapes
+     * @returns {Object} The bounding box {x, y, width, height}
+     */
+    getBoundingBox(shapes) {
+        return new Group(shapes).getBoundingBox();
+    },
+
+    /**
+     * Parse clipboard text written by this editor
+     * @param {string} text - The clipboard text
+     * @returns {Array<Object>|null} The copied shape objects, or null if the text is not editor clipboard data
+     */
+    parse(text) {
+        if (typeof text !== 'string' || text.trim().charAt(0) !== '{') return null;
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        
+        if (!data || data.format !== this.FORMAT || !Array.isArray(data.shapes)) return null;
+        
+        if (data.version > this.VERSION) {
+            logger.warn(`Clipboard data is from a newer version (${data.version})`);
+        }
+        
+        return data.shapes;
+    },
+
+    /**
+     * Create new shapes from copied shape objects.
+     * IDs are left out so every shape, including those inside groups, gets a fresh one.
+     * @param {Array<Object>} objects - The copied shape objects
+     * @returns {Array} The new shapes; objects of unknown types are skipped
+     */
+    createShapes(objects) {
+        return objects
+            .map(obj => ShapeFactory.fromObject(this.withoutIds(obj)))
+            .filter(Boolean);
+    },
+
+    /**
+     * Copy a shape object without its ID or the IDs of its children
+     * @param {Object} obj - The shape object
+     * @returns {Object} The copy
+     */
+    withoutIds(obj) {
+        const copy = { ...obj };
+        delete copy.id;
+        
+        if (Array.isArray(copy.children)) {
+            copy.children = copy.children.map(child => this.withoutIds(child));
+        }
+        
+        return copy;
+    }
+};
+
+// Make ShapeClipboard available globally
+window.ShapeClipboard = ShapeClipboard;
@@ -0,0 +1,104 @@
+/**
+ * Shape offset utilities for the CAD Editor
+ * Creates parallel copies of lines, concentric circles and arcs, and inset or outset rectangles
+ */
+const ShapeOffset = {
+    // Shape types that can be offset
+    TYPES: ['line', 'circle', 'arc', 'rectangle'],
+
+    /**
+     * Work out which side of a shape a point lies on
+     * @param {Object} shape - The shape
+     * @param {Point} point - The point
+     * @returns {number} 1 for the left of a line or outside a closed shape or curve, -1 for the other side
+     */
+    getSide(shape, point) {
+        switch (shape.type) {
+            case 'line': {
+                // Positive on the side of the normal (-dy, dx)
+                const cross = (shape.x2 - shape.x1) * (point.y - shape.y1) - (shape.y2 - shape.y1) * (point.x - shape.x1);
+                return cross >= 0 ? 1 : -1;
+            }
+            
+            case 'circle':
+            case 'arc':
+                return MathUtils.distance(point.x, point.y, shape.cx, shape.cy) >= shape.radius ? 1 : -1;
+                
+            case 'rectangle':
+                return shape.containsPoint(point.x, point.y) ? -1 : 1;
+                
+            default:
+                return 1;
+        }
+    },
+
+    /**
+     * Create a copy of a shape offset by a signed distance
+     * @param {Object} shape - The shape
+     * @param {number} distance - The distance, positive to the left of a line or outwards, negative for the other side
+     * @returns {Object|null} The offset shape, or null if an inset shrinks the shape away
+     */
+    offset(shape, distance) {
+        switch (shape.type) {
+            case 'line': {
+                const length = shape.getLength();
+                if (length === 0) return null;
+                
+                const nx = -(shape.y2 - shape.y1) / length * distance;
+                const ny = (shape.x2 - shape.x1) / length * distance;
+                
+                return new Line(shape.x1 + nx, shape.y1 + ny, shape.x2 + nx, shape.y2 + ny);
+            }
+            
+            case 'circle':
+                return shape.radius + distance > 0
+                    ? new Circle(shape.cx, shape.cy, shape.radius + distance)
+                    : null;
+                    
+            case 'arc':
+                return shape.radius + distance > 0
+                    ? new Arc(shape.cx, shape.cy, shape.radius + distance, shape.startAngle, shape.endAngle)
+                    : null;
+                    
+            case 'rectangle':
+                // Grows or shrinks about the center, so the rotation carries over
+                return shape.width + 2 * distance > 0 && shape.height + 2 * distance > 0
+                    ? new Rectangle(
+                        shape.x - distance,
+                        shape.y - distance,
+                        shape.width + 2 * distance,
+                        shape.height + 2 * distance,
+                        shape.rotation
+                    )
+                    : null;
+                    
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Create repeated offset copies of a shape towards a point
+     * @param {Object} shape - The shape
+     * @param {number} distance - The distance between copies
+     * @param {Point} point - A point on the side to offset to
+     * @param {number} [count=1] - The number of copies
+     * @returns {Array<Object>} The copies, nearest first; fewer than asked if an inset shrinks the shape away
+     */
+    offsetTowards(shape, distance, point, count = 1) {
+        const side = this.getSide(shape, point);
+        const copies = [];
+        
+        for (let i = 1; i <= count; i++) {
+            const copy = this.offset(shape, side * distance * i);
+            if (!copy) break;
+            
+            copies.push(copy);
+        }
+        
+        return copies;
+    }
+};
+
+// Make ShapeOffset available globally
+window.ShapeOffset = ShapeOffset;
@@ -0,0 +1,146 @@
+/**
+ * Shape style utilities for the CAD Editor
+ * Describes the stroke, line type and fill stored on each shape
+ */
+const ShapeStyle = {
+    // Style properties stored on a shape; unset properties fall back to the layer defaults
+    PROPERTIES: ['stroke', 'strokeWidth', 'lineType', 'fill'],
+
+    // Dash patterns for each line type, in multiples of the stroke width
+    LINE_TYPES: {
+        solid: null,
+        dashed: [6, 3],
+        dotted: [1, 2],
+        center: [12, 3, 2, 3]
+    },
+
+    // Shape types that enclose an area and can be filled
+    CLOSED_TYPES: ['rectangle', 'circle', 'ellipse'],
+
+    /**
+     * Check whether a shape encloses an area and can be filled
+     * @param {Object} shape - The shape
+     * @returns {boolean} True if the shape is closed
+     */
+    isClosed(shape) {
+        return this.CLOSED_TYPES.includes(shape.type) || (shape.type === 'polyline' && shape.closed === true);
+    },
+
+    /**
+     * Check whether a value is a #rrggbb colour
+     * @param {*} value - The value to check
+     * @returns {boolean} True if the value is a colour
+     */
+    isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    },
+
+    /**
+     * Get the style of a shape with the defaults filled in
+     * @param {Object} shape - The shape
+     * @returns {Object} The style {stroke, strokeWidth, lineType, fill}, where a null stroke means the layer colour and a null fill means no fill
+     */
+    getStyle(shape) {
+        return {
+            stroke: this.isColor(shape.stroke) ? shape.stroke : null,
+            strokeWidth: shape.strokeWidth > 0 ? shape.strokeWidth : 1,
+            lineType: this.LINE_TYPES.hasOwnProperty(shape.lineType) ? shape.lineType : 'solid',
+            fill: this.isClosed(shape) && this.isColor(shape.fill) ? shape.fill : null
+        };
+    },
+
+    /**
+     * Get the SVG dash array for a line type
+     * @param {string} lineType - The line type
+     * @param {number} strokeWidth - The stroke width the pattern is scaled by
+     * @returns {string|null} The stroke-dasharray value or null for a solid line
+     */
+    getDashArray(lineType, strokeWidth) {
+        const pattern = this.LINE_TYPES[lineType];
+        if (!pattern) return null;
+        
+        return pattern.map(length => length * strokeWidth).join(' ');
+    },
+
+    /**
+     * Set the style attributes of a shape on its SVG element.
+     * Attributes are only written for properties set on the shape so the layer group defaults still apply.
+     * @param {Object} shape - The shape
+     * @param {SVGElement} element - The SVG element of the shape
+     * @returns {SVGElement} The element
+     */
+    applyToElement(shape, element) {
+        const style = this.getStyle(shape);
+        
+        // Written on the element rather than left to the stylesheet so exported SVGs keep screen stroke widths
+        element.setAttribute('vector-effect', 'non-scaling-stroke');
+        
+        if (style.stroke) {
+            element.setAttribute('stroke', style.stroke);
+        }
+        
+        if (style.strokeWidth !== 1) {
+            element.setAttribute('stroke-width', style.strokeWidth);
+        }
+        
+        const dashArray = this.getDashArray(style.lineType, style.strokeWidth);
+        if (dashArray) {
+            element.setAttribute('stroke-dasharray', dashArray);
+        }
+        
+        if (style.fill) {
+            element.setAttribute('fill', style.fill);
+        }
+        
+        return element;
+    },
+
+    /**
+     * Validate the style properties of a plain shape object
+     * @param {Object} shape - The shape object
+     * @param {string} context - Description of the shape for error messages
+     * @throws {Error} If a style property is invalid
+     */
+    validate(shape, context) {
+        ['stroke', 'fill'].forEach(key => {
+            if (shape[key] !== undefined && shape[key] !== null && !this.isColor(shape[key])) {
+                throw new Error(`${context}: "${key}" must be a #rrggbb colour`);
+            }
+        });
+        
+        if (shape.strokeWidth !== undefined && shape.strokeWidth !== null &&
+            !(typeof shape.strokeWidth === 'number' && shape.strokeWidth > 0 && isFinite(shape.strokeWidth))) {
+            throw new Error(`${context}: "strokeWidth" must be a positive number`);
+        }
+        
+        if (shape.lineType !== undefined && shape.lineType !== null && !this.LINE_TYPES.hasOwnProperty(shape.lineType)) {
+            throw new Error(`${context}: "lineType" must be one of ${Object.keys(this.LINE_TYPES).join(', ')}`);
+        }
+    },
+
+    /**
+     * Set style properties on a shape, clearing those given as null
+     * @param {Object} shape - The shape to update
+     * @param {Object} style - The style properties to set
+     * @returns {Object} The shape
+     */
+    setStyle(shape, style) {
+        this.PROPERTIES.forEach(key => {
+            if (!style.hasOwnProperty(key)) return;
+            
+            // Fill only makes sense on shapes that enclose an area
+            if (key === 'fill' && !this.isClosed(shape)) return;
+            
+            if (style[key] === null) {
+                delete shape[key];
+            } else {
+                shape[key] = style[key];
+            }
+        });
+        
+        return shape;
+    }
+};
+
+// Make ShapeStyle available globally
+window.ShapeStyle = ShapeStyle;
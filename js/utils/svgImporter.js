@@ -0,0 +1,757 @@
+/**
+ * SVG Importer for the CAD Editor
+ * Converts SVG documents into editable shapes
+ */
+const SVGImporter = {
+    // Number of line segments used to approximate curves
+    CURVE_SEGMENTS: 16,
+
+    // Elements that carry no geometry and are skipped silently
+    NON_GRAPHIC_ELEMENTS: [
+        'defs', 'title', 'desc', 'metadata', 'style', 'script', 'symbol',
+        'clipPath', 'mask', 'marker', 'pattern', 'linearGradient', 'radialGradient', 'filter'
+    ],
+
+    // Elements that only group their children
+    CONTAINER_ELEMENTS: ['svg', 'g', 'a', 'switch'],
+
+    // Editor groups that never contain drawing geometry
+    EDITOR_GROUP_IDS: ['grid-group', 'dimension-group', 'preview-group', 'selection-group', 'measurement-group'],
+
+    /**
+     * Parse SVG text into shapes
+     * @param {string} text - The SVG document
+     * @returns {Object} The result {shapes, unsupported, approximated}
+     * @throws {Error} If the text is not a valid SVG document
+     */
+    parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+        
+        if (!root || root.getElementsByTagName('parsererror').length > 0 || root.nodeName === 'parsererror') {
+            throw new Error('File is not a well-formed SVG document');
+        }
+        
+        if (root.localName !== 'svg') {
+            throw new Error(`Expected an <svg> root element but found <${root.localName}>`);
+        }
+        
+        const result = {
+            shapes: [],
+            unsupported: {},
+            approximated: 0
+        };
+        
+        this.importElement(root, this.identityMatrix(), result, true);
+        
+        return result;
+    },
+
+    /**
+     * Import an element and its children
+     * @param {Element} element - The SVG element
+     * @param {Array<number>} parentMatrix - The transform of the parent [a, b, c, d, e, f]
+     * @param {Object} result - The import result to add shapes to
+     * @param {boolean} [isRoot=false] - Whether this is the root <svg> element
+     */
+    importElement(element, parentMatrix, result, isRoot = false) {
+        const name = element.localName;
+        
+        if (this.NON_GRAPHIC_ELEMENTS.includes(name)) return;
+        if (this.EDITOR_GROUP_IDS.includes(element.getAttribute('id'))) return;
+        if (element.getAttribute('display') === 'none') return;
+        
+        let matrix = this.multiply(parentMatrix, this.parseTransform(element.getAttribute('transform')));
+        
+        // Nested <svg> elements establish a new origin
+        if (name === 'svg' && !isRoot) {
+            matrix = this.multiply(matrix, [1, 0, 0, 1, this.number(element, 'x'), this.number(element, 'y')]);
+        }
+        
+        if (this.CONTAINER_ELEMENTS.includes(name)) {
+            Array.from(element.children).forEach(child => this.importElement(child, matrix, result));
+            return;
+        }
+        
+        let shapes;
+        
+        switch (name) {
+            case 'line':
+                shapes = [this.createLine(
+                    this.applyMatrix(matrix, this.number(element, 'x1'), this.number(element, 'y1')),
+                    this.applyMatrix(matrix, this.number(element, 'x2'), this.number(element, 'y2'))
+                )];
+                break;
+                
+            case 'rect':
+                shapes = this.importRect(element, matrix, result);
+                break;
+                
+            case 'circle': {
+                const r = this.number(element, 'r');
+                shapes = this.importEllipse(this.number(element, 'cx'), this.number(element, 'cy'), r, r, matrix, result);
+                break;
+            }
+            
+            case 'ellipse':
+                shapes = this.importEllipse(
+                    this.number(element, 'cx'),
+                    this.number(element, 'cy'),
+                    this.number(element, 'rx'),
+                    this.number(element, 'ry'),
+                    matrix,
+                    result
+                );
+                break;
+                
+            case 'polyline':
+            case 'polygon': {
+                const points = this.parsePoints(element.getAttribute('points'))
+                    .map(point => this.applyMatrix(matrix, point.x, point.y));
+                shapes = this.createPolyline(points, name === 'polygon');
+                break;
+            }
+            
+            case 'path':
+                shapes = this.importPath(element.getAttribute('d') || '', matrix, result);
+                break;
+                
+            default:
+                result.unsupported[name] = (result.unsupported[name] || 0) + 1;
+                return;
+        }
+        
+        shapes.filter(Boolean).forEach(shape => result.shapes.push(shape));
+    },
+
+    /**
+     * Import a <rect> element
+     * @param {Element} element - The rect element
+     * @param {Array<number>} matrix - The element transform
+     * @param {Object} result - The import result
+     * @returns {Array} The created shapes
+     */
+    importRect(element, matrix, result) {
+        const x = this.number(element, 'x');
+        const y = this.number(element, 'y');
+        const width = this.number(element, 'width');
+        const height = this.number(element, 'height');
+        
+        if (width <= 0 || height <= 0) return [];
+        
+        if (this.number(element, 'rx') > 0 || this.number(element, 'ry') > 0) {
+            logger.debug('SVG import: rounded rectangle corners are imported as sharp corners');
+        }
+        
+        const [a, b, c, d] = matrix;
+        const center = this.applyMatrix(matrix, x + width / 2, y + height / 2);
+        
+        // Axis-aligned scaling keeps the rectangle axis-aligned
+        if (this.isZero(b) && this.isZero(c)) {
+            const scaledWidth = width * Math.abs(a);
+            const scaledHeight = height * Math.abs(d);
+            return [new Rectangle(center.x - scaledWidth / 2, center.y - scaledHeight / 2, scaledWidth, scaledHeight)];
+        }
+        
+        // Rotation with uniform scaling gives a rotated rectangle
+        if (this.isSimilarity(matrix)) {
+            const scale = Math.sqrt(Math.abs(a * d - b * c));
+            const scaledWidth = width * scale;
+            const scaledHeight = height * scale;
+            const rotation = MathUtils.normalizeAngle(Math.atan2(b, a));
+            return [new Rectangle(center.x - scaledWidth / 2, center.y - scaledHeight / 2, scaledWidth, scaledHeight, rotation)];
+        }
+        
+        // Skewed rectangles become their outline
+        result.approximated++;
+        const corners = [
+            this.applyMatrix(matrix, x, y),
+            this.applyMatrix(matrix, x + width, y),
+            this.applyMatrix(matrix, x + width, y + height),
+            this.applyMatrix(matrix, x, y + height)
+        ];
+        return this.createPolyline(corners, true);
+    },
+
+    /**
+     * Import a circle or ellipse
+     * @param {number} cx - X coordinate of the center
+     * @param {number} cy - Y coordinate of the center
+     * @param {number} rx - Horizontal radius
+     * @param {number} ry - Vertical radius
+     * @param {Array<number>} matrix - The element transform
+     * @param {Object} result - The import result
+     * @returns {Array} The created shapes
+     */
+    importEllipse(cx, cy, rx, ry, matrix, result) {
+        if (rx <= 0 || ry <= 0) return [];
+        
+        const center = this.applyMatrix(matrix, cx, cy);
+        
+        // Any affine transform maps an ellipse to an ellipse. The transformed
+        // conjugate half-axes u and v give the new radii and rotation.
+        const [a, b, c, d] = matrix;
+        const u = { x: a * rx, y: b * rx };
+        const v = { x: c * ry, y: d * ry };
+        const half = ((u.x * u.x + u.y * u.y) - (v.x * v.x + v.y * v.y)) / 2;
+        const dot = u.x * v.x + u.y * v.y;
+        const mean = ((u.x * u.x + u.y * u.y) + (v.x * v.x + v.y * v.y)) / 2;
+        const spread = Math.sqrt(half * half + dot * dot);
+        const major = Math.sqrt(mean + spread);
+        const minor = Math.sqrt(Math.max(0, mean - spread));
+        
+        if (this.isZero(minor)) return [];
+        
+        // Direction of the major axis
+        const t = Math.atan2(dot, half) / 2;
+        const rotation = Math.atan2(u.y * Math.cos(t) + v.y * Math.sin(t), u.x * Math.cos(t) + v.x * Math.sin(t));
+        
+        // Circles stay circles when the transform keeps them round
+        if (this.isClose(major, minor)) {
+            return [new Circle(center.x, center.y, major)];
+        }
+        
+        return [new Ellipse(center.x, center.y, major, minor, MathUtils.normalizeAngle(rotation))];
+    },
+
+    /**
+     * Import a <path> element
+     * @param {string} data - The path data
+     * @param {Array<number>} matrix - The element transform
+     * @param {Object} result - The import result
+     * @returns {Array} The created shapes
+     */
+    importPath(data, matrix, result) {
+        const shapes = [];
+        const commands = this.parsePathData(data);
+        
+        // Current point, subpath start and last control point, in untransformed coordinates
+        let current = { x: 0, y: 0 };
+        let start = { x: 0, y: 0 };
+        let lastControl = null;
+        let lastCommand = '';
+        
+        const lineTo = (point) => {
+            if (!this.isClose(point.x, current.x) || !this.isClose(point.y, current.y)) {
+                shapes.push(this.createLine(
+                    this.applyMatrix(matrix, current.x, current.y),
+                    this.applyMatrix(matrix, point.x, point.y)
+                ));
+            }
+            current = point;
+        };
+        
+        const curveTo = (pointAt) => {
+            result.approximated++;
+            for (let i = 1; i <= this.CURVE_SEGMENTS; i++) {
+                lineTo(pointAt(i / this.CURVE_SEGMENTS));
+            }
+        };
+        
+        commands.forEach(({ command, args }) => {
+            const relative = command === command.toLowerCase();
+            const type = command.toUpperCase();
+            const offset = (x, y) => (relative ? { x: current.x + x, y: current.y + y } : { x, y });
+            
+            switch (type) {
+                case 'M':
+                    current = offset(args[0], args[1]);
+                    start = current;
+                    
+                    // Extra coordinate pairs after a moveto are implicit linetos
+                    for (let i = 2; i + 1 < args.length; i += 2) {
+                        lineTo(offset(args[i], args[i + 1]));
+                    }
+                    lastControl = null;
+                    break;
+                    
+                case 'L':
+                    for (let i = 0; i + 1 < args.length; i += 2) {
+                        lineTo(offset(args[i], args[i + 1]));
+                    }
+                    lastControl = null;
+                    break;
+                    
+                case 'H':
+                    args.forEach(x => lineTo({ x: relative ? current.x + x : x, y: current.y }));
+                    lastControl = null;
+                    break;
+                    
+                case 'V':
+                    args.forEach(y => lineTo({ x: current.x, y: relative ? current.y + y : y }));
+                    lastControl = null;
+                    break;
+                    
+                case 'C':
+                case 'S':
+                    for (let i = 0; i < args.length; ) {
+                        let control1;
+                        if (type === 'C') {
+                            control1 = offset(args[i], args[i + 1]);
+                            i += 2;
+                        } else {
+                            // The first control point reflects the previous cubic control point
+                            control1 = lastControl && 'CS'.includes(lastCommand)
+                                ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                                : current;
+                        }
+                        const control2 = offset(args[i], args[i + 1]);
+                        const end = offset(args[i + 2], args[i + 3]);
+                        i += 4;
+                        
+                        const p0 = current;
+                        curveTo(t => this.cubicPoint(p0, control1, control2, end, t));
+                        lastControl = control2;
+                        lastCommand = type;
+                    }
+                    break;
+                    
+                case 'Q':
+                case 'T':
+                    for (let i = 0; i < args.length; ) {
+                        let control;
+                        if (type === 'Q') {
+                            control = offset(args[i], args[i + 1]);
+                            i += 2;
+                        } else {
+                            // The control point reflects the previous quadratic control point
+                            control = lastControl && 'QT'.includes(lastCommand)
+                                ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                                : current;
+                        }
+                        const end = offset(args[i], args[i + 1]);
+                        i += 2;
+                        
+                        const p0 = current;
+                        curveTo(t => this.quadraticPoint(p0, control, end, t));
+                        lastControl = control;
+                        lastCommand = type;
+                    }
+                    break;
+                    
+                case 'A':
+                    for (let i = 0; i + 6 < args.length; i += 7) {
+                        const end = offset(args[i + 5], args[i + 6]);
+                        shapes.push(...this.importArcSegment(
+                            current, end, args[i], args[i + 1], args[i + 2], args[i + 3], args[i + 4], matrix, result
+                        ));
+                        current = end;
+                    }
+                    lastControl = null;
+                    break;
+                    
+                case 'Z':
+                    lineTo(start);
+                    lastControl = null;
+                    break;
+            }
+            
+            if (type !== 'C' && type !== 'S' && type !== 'Q' && type !== 'T') {
+                lastCommand = type;
+            }
+        });
+        
+        return shapes;
+    },
+
+    /**
+     * Import an elliptical arc path segment
+     * @param {Object} from - The start point {x, y}
+     * @param {Object} to - The end point {x, y}
+     * @param {number} rx - The x radius
+     * @param {number} ry - The y radius
+     * @param {number} xAxisRotation - The rotation of the ellipse in degrees
+     * @param {number} largeArc - The large-arc flag
+     * @param {number} sweep - The sweep flag
+     * @param {Array<number>} matrix - The element transform
+     * @param {Object} result - The import result
+     * @returns {Array} The created shapes
+     */
+    importArcSegment(from, to, rx, ry, xAxisRotation, largeArc, sweep, matrix, result) {
+        if (this.isClose(from.x, to.x) && this.isClose(from.y, to.y)) return [];
+        
+        // Zero radii mean a straight line
+        if (this.isZero(rx) || this.isZero(ry)) {
+            return [this.createLine(this.applyMatrix(matrix, from.x, from.y), this.applyMatrix(matrix, to.x, to.y))];
+        }
+        
+        const arc = this.arcEndpointToCenter(from, to, rx, ry, MathUtils.degreesToRadians(xAxisRotation), largeArc, sweep);
+        
+        if (this.isClose(arc.rx, arc.ry) && this.isSimilarity(matrix)) {
+            const [a, b, c, d] = matrix;
+            const center = this.applyMatrix(matrix, arc.cx, arc.cy);
+            const radius = arc.rx * Math.sqrt(Math.abs(a * d - b * c));
+            
+            // Angles are measured in the circle's own frame, which includes the ellipse rotation
+            let startAngle = arc.phi + arc.theta1;
+            let endAngle = startAngle + arc.deltaTheta;
+            
+            // The Arc model always runs in the direction of increasing angle
+            if (arc.deltaTheta < 0) {
+                [startAngle, endAngle] = [endAngle, startAngle];
+            }
+            
+            // Map the angles through the transform; a reflection reverses the direction
+            const rotation = Math.atan2(b, a);
+            if (a * d - b * c < 0) {
+                [startAngle, endAngle] = [rotation - endAngle, rotation - startAngle];
+            } else {
+                startAngle += rotation;
+                endAngle += rotation;
+            }
+            
+            return [new Arc(
+                center.x,
+                center.y,
+                radius,
+                MathUtils.normalizeAngle(startAngle),
+                MathUtils.normalizeAngle(endAngle)
+            )];
+        }
+        
+        // Elliptical arcs are approximated with line segments
+        result.approximated++;
+        const shapes = [];
+        let previous = this.applyMatrix(matrix, from.x, from.y);
+        
+        for (let i = 1; i <= this.CURVE_SEGMENTS; i++) {
+            const theta = arc.theta1 + arc.deltaTheta * (i / this.CURVE_SEGMENTS);
+            const x = arc.cx + arc.rx * Math.cos(arc.phi) * Math.cos(theta) - arc.ry * Math.sin(arc.phi) * Math.sin(theta);
+            const y = arc.cy + arc.rx * Math.sin(arc.phi) * Math.cos(theta) + arc.ry * Math.cos(arc.phi) * Math.sin(theta);
+            const next = this.applyMatrix(matrix, x, y);
+            shapes.push(this.createLine(previous, next));
+            previous = next;
+        }
+        
+        return shapes;
+    },
+
+    /**
+     * Convert an SVG arc from endpoint to center parameterization (SVG spec F.6.5)
+     * @param {Object} from - The start point {x, y}
+     * @param {Object} to - The end point {x, y}
+     * @param {number} rx - The x radius
+     * @param {number} ry - The y radius
+     * @param {number} phi - The rotation of the ellipse in radians
+     * @param {number} largeArc - The large-arc flag
+     * @param {number} sweep - The sweep flag
+     * @returns {Object} The arc {cx, cy, rx, ry, phi, theta1, deltaTheta}
+     */
+    arcEndpointToCenter(from, to, rx, ry, phi, largeArc, sweep) {
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+        const dx = (from.x - to.x) / 2;
+        const dy = (from.y - to.y) / 2;
+        const x1p = cosPhi * dx + sinPhi * dy;
+        const y1p = -sinPhi * dx + cosPhi * dy;
+        
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        
+        // Scale up radii that are too small to reach the end point
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        const sign = Boolean(largeArc) === Boolean(sweep) ? -1 : 1;
+        const coefficient = sign * Math.sqrt(Math.max(0, numerator / denominator));
+        
+        const cxp = coefficient * (rx * y1p) / ry;
+        const cyp = coefficient * -(ry * x1p) / rx;
+        
+        const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        
+        const theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let deltaTheta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        
+        if (!sweep && deltaTheta > 0) {
+            deltaTheta -= 2 * Math.PI;
+        } else if (sweep && deltaTheta < 0) {
+            deltaTheta += 2 * Math.PI;
+        }
+        
+        return {
+            cx: cosPhi * cxp - sinPhi * cyp + (from.x + to.x) / 2,
+            cy: sinPhi * cxp + cosPhi * cyp + (from.y + to.y) / 2,
+            rx,
+            ry,
+            phi,
+            theta1,
+            deltaTheta
+        };
+    },
+
+    /**
+     * Split path data into commands with numeric arguments
+     * @param {string} data - The path data
+     * @returns {Array<Object>} The commands [{command, args}]
+     */
+    parsePathData(data) {
+        const commands = [];
+        const pattern = /([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+        let match;
+        
+        while ((match = pattern.exec(data)) !== null) {
+            const command = match[1];
+            const args = command.toUpperCase() === 'A'
+                ? this.parseArcArguments(match[2])
+                : this.parseNumbers(match[2]);
+            commands.push({ command, args });
+        }
+        
+        return commands;
+    },
+
+    /**
+     * Parse arc command arguments, where the flags may be written without separators
+     * @param {string} text - The argument text
+     * @returns {Array<number>} The arguments
+     */
+    parseArcArguments(text) {
+        const args = [];
+        const numberPattern = /[\s,]*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+        const flagPattern = /[\s,]*([01])/y;
+        let position = 0;
+        
+        while (/[^\s,]/.test(text.slice(position))) {
+            // Each arc has rx, ry, rotation, large-arc flag, sweep flag, x, y
+            for (let i = 0; i < 7; i++) {
+                const pattern = i === 3 || i === 4 ? flagPattern : numberPattern;
+                pattern.lastIndex = position;
+                const match = pattern.exec(text);
+                if (!match) return args;
+                args.push(parseFloat(match[1]));
+                position = pattern.lastIndex;
+            }
+        }
+        
+        return args;
+    },
+
+    /**
+     * Parse all numbers in a string
+     * @param {string} text - The text to parse
+     * @returns {Array<number>} The numbers
+     */
+    parseNumbers(text) {
+        const matches = (text || '').match(/[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g);
+        return matches ? matches.map(parseFloat) : [];
+    },
+
+    /**
+     * Parse a points attribute
+     * @param {string} text - The points attribute value
+     * @returns {Array<Object>} The points [{x, y}]
+     */
+    parsePoints(text) {
+        const numbers = this.parseNumbers(text);
+        const points = [];
+        
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+            points.push({ x: numbers[i], y: numbers[i + 1] });
+        }
+        
+        return points;
+    },
+
+    /**
+     * Parse a transform attribute into a matrix
+     * @param {string} text - The transform attribute value
+     * @returns {Array<number>} The matrix [a, b, c, d, e, f]
+     */
+    parseTransform(text) {
+        let matrix = this.identityMatrix();
+        if (!text) return matrix;
+        
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        
+        while ((match = pattern.exec(text)) !== null) {
+            const values = this.parseNumbers(match[2]);
+            let step;
+            
+            switch (match[1]) {
+                case 'matrix':
+                    step = values.length === 6 ? values : this.identityMatrix();
+                    break;
+                    
+                case 'translate':
+                    step = [1, 0, 0, 1, values[0] || 0, values[1] || 0];
+                    break;
+                    
+                case 'scale': {
+                    const sx = values[0] !== undefined ? values[0] : 1;
+                    const sy = values[1] !== undefined ? values[1] : sx;
+                    step = [sx, 0, 0, sy, 0, 0];
+                    break;
+                }
+                
+                case 'rotate': {
+                    const angle = MathUtils.degreesToRadians(values[0] || 0);
+                    const cx = values[1] || 0;
+                    const cy = values[2] || 0;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                
+                case 'skewX':
+                    step = [1, 0, Math.tan(MathUtils.degreesToRadians(values[0] || 0)), 1, 0, 0];
+                    break;
+                    
+                case 'skewY':
+                    step = [1, Math.tan(MathUtils.degreesToRadians(values[0] || 0)), 0, 1, 0, 0];
+                    break;
+            }
+            
+            matrix = this.multiply(matrix, step);
+        }
+        
+        return matrix;
+    },
+
+    /**
+     * Get the identity matrix
+     * @returns {Array<number>} The matrix [1, 0, 0, 1, 0, 0]
+     */
+    identityMatrix() {
+        return [1, 0, 0, 1, 0, 0];
+    },
+
+    /**
+     * Multiply two matrices
+     * @param {Array<number>} m - The left matrix
+     * @param {Array<number>} n - The right matrix, applied to points first
+     * @returns {Array<number>} The product matrix
+     */
+    multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    },
+
+    /**
+     * Apply a matrix to a point
+     * @param {Array<number>} m - The matrix
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object} The transformed point {x, y}
+     */
+    applyMatrix(m, x, y) {
+        return {
+            x: m[0] * x + m[2] * y + m[4],
+            y: m[1] * x + m[3] * y + m[5]
+        };
+    },
+
+    /**
+     * Check whether a matrix only rotates, reflects, scales uniformly and translates
+     * @param {Array<number>} m - The matrix
+     * @returns {boolean} True if circles stay circles under the matrix
+     */
+    isSimilarity(m) {
+        const [a, b, c, d] = m;
+        const scaleX = a * a + b * b;
+        const scaleY = c * c + d * d;
+        
+        return this.isClose(scaleX, scaleY) && this.isZero((a * c + b * d) / Math.max(scaleX, 1e-12));
+    },
+
+    /**
+     * Calculate a point on a cubic Bézier curve
+     * @param {Object} p0 - Start point
+     * @param {Object} p1 - First control point
+     * @param {Object} p2 - Second control point
+     * @param {Object} p3 - End point
+     * @param {number} t - Curve parameter between 0 and 1
+     * @returns {Object} The point {x, y}
+     */
+    cubicPoint(p0, p1, p2, p3, t) {
+        const u = 1 - t;
+        return {
+            x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+            y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+        };
+    },
+
+    /**
+     * Calculate a point on a quadratic Bézier curve
+     * @param {Object} p0 - Start point
+     * @param {Object} p1 - Control point
+     * @param {Object} p2 - End point
+     * @param {number} t - Curve parameter between 0 and 1
+     * @returns {Object} The point {x, y}
+     */
+    quadraticPoint(p0, p1, p2, t) {
+        const u = 1 - t;
+        return {
+            x: u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+            y: u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y
+        };
+    },
+
+    /**
+     * Create a Line between two points
+     * @param {Object} from - The start point {x, y}
+     * @param {Object} to - The end point {x, y}
+     * @returns {Line} The new Line
+     */
+    createLine(from, to) {
+        return new Line(from.x, from.y, to.x, to.y);
+    },
+
+    /**
+     * Create a Polyline connecting a list of points
+     * @param {Array<Object>} points - The points [{x, y}]
+     * @param {boolean} closed - Whether to connect the last point back to the first
+     * @returns {Array<Polyline>} The new Polyline, or no shapes if there are fewer than two points
+     */
+    createPolyline(points, closed) {
+        if (points.length < 2) return [];
+        
+        return [new Polyline(points, closed && points.length > 2)];
+    },
+
+    /**
+     * Read a numeric attribute
+     * @param {Element} element - The element
+     * @param {string} name - The attribute name
+     * @returns {number} The value, or 0 if missing or invalid
+     */
+    number(element, name) {
+        const value = parseFloat(element.getAttribute(name));
+        return isFinite(value) ? value : 0;
+    },
+
+    /**
+     * Check whether two numbers are equal within a relative tolerance
+     * @param {number} a - The first number
+     * @param {number} b - The second number
+     * @returns {boolean} True if the numbers are close
+     */
+    isClose(a, b) {
+        return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+    },
+
+    /**
+     * Check whether a number is zero within tolerance
+     * @param {number} value - The number
+     * @returns {boolean} True if the number is close to zero
+     */
+    isZero(value) {
+        return Math.abs(value) <= 1e-9;
+    }
+};
+
+// Make SVGImporter available globally
+window.SVGImporter = SVGImporter;
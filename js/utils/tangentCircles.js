@@ -0,0 +1,398 @@
+/**
+ * Tangent Circles utilities for the CAD Editor
+ * Finds circles tangent to picked lines, circles and arcs
+ */
+const TangentCircles = {
+    // Number of radii tried when searching for circles tangent to three objects,
+    // fine enough to separate solutions with nearly equal radii
+    RADIUS_SAMPLES: 1000,
+
+    // Bisection steps used to refine each radius found by the search
+    REFINE_STEPS: 60,
+
+    /**
+     * Create a tangency target from a shape picked at a point
+     * @param {Object} shape - The picked shape
+     * @param {Point} pick - The picked position
+     * @param {ConstraintManager} constraintManager - Used to find the picked edge of rectangles and polylines
+     * @returns {Object|null} The target, or null if the shape cannot be used
+     */
+    createTarget(shape, pick, constraintManager) {
+        switch (shape.type) {
+            case 'line':
+                return this.createLineTarget(shape, pick);
+                
+            case 'circle':
+            case 'arc':
+                // Arcs are treated as their full circle
+                return { kind: 'circle', cx: shape.cx, cy: shape.cy, radius: shape.radius, pick };
+                
+            case 'rectangle':
+            case 'polyline': {
+                // Use the edge closest to the pick
+                const edges = shape.type === 'rectangle' ? shape.getEdgeLines() : shape.getSegments();
+                let closestEdge = null;
+                let minDistance = Infinity;
+                
+                edges.forEach(edge => {
+                    const projected = constraintManager.projectPointOnLine(pick.x, pick.y, edge.x1, edge.y1, edge.x2, edge.y2);
+                    const distance = projected
+                        ? MathUtils.distance(pick.x, pick.y, projected.x, projected.y)
+                        : Math.min(MathUtils.distance(pick.x, pick.y, edge.x1, edge.y1), MathUtils.distance(pick.x, pick.y, edge.x2, edge.y2));
+                        
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        closestEdge = edge;
+                    }
+                });
+                
+                return closestEdge ? this.createLineTarget(closestEdge, pick) : null;
+            }
+            
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Create a tangency target for the infinite line through a segment
+     * @param {Line} line - The line segment
+     * @param {Point} pick - The picked position
+     * @returns {Object|null} The target, or null if the line has no length
+     */
+    createLineTarget(line, pick) {
+        const length = MathUtils.distance(line.x1, line.y1, line.x2, line.y2);
+        if (length === 0) return null;
+        
+        // Unit normal and its offset from the origin, so the signed distance of p is n·p - offset
+        const nx = -(line.y2 - line.y1) / length;
+        const ny = (line.x2 - line.x1) / length;
+        
+        return {
+            kind: 'line',
+            x1: line.x1,
+            y1: line.y1,
+            x2: line.x2,
+            y2: line.y2,
+            nx,
+            ny,
+            offset: nx * line.x1 + ny * line.y1,
+            pick
+        };
+    },
+
+    /**
+     * Find the circles of a given radius tangent to two targets
+     * @param {Object} a - The first target
+     * @param {Object} b - The second target
+     * @param {number} radius - The radius
+     * @returns {Array<Circle>} The solutions
+     */
+    solveTTR(a, b, radius) {
+        if (!(radius > 0)) return [];
+        
+        const centers = this.getCandidateCenters(a, b, radius).filter(Boolean);
+        return this.unique(centers.map(center => new Circle(center.x, center.y, radius)));
+    },
+
+    /**
+     * Find the circles tangent to three targets
+     * @param {Object} a - The first target
+     * @param {Object} b - The second target
+     * @param {Object} c - The third target
+     * @returns {Array<Circle>} The solutions
+     */
+    solveTTT(a, b, c) {
+        // Every circle tangent to a and b has its center on a curve parameterised by the radius,
+        // so search the radius for the points where that circle also touches c
+        const scale = this.getScale([a, b, c]);
+        const minRadius = scale * 1e-4;
+        const ratio = Math.pow(1e6, 1 / (this.RADIUS_SAMPLES - 1));
+        const solutions = [];
+        
+        let previousRadius = minRadius;
+        let previous = this.getResiduals(a, b, c, previousRadius);
+        
+        for (let i = 1; i < this.RADIUS_SAMPLES; i++) {
+            const radius = minRadius * Math.pow(ratio, i);
+            const current = this.getResiduals(a, b, c, radius);
+            
+            current.forEach((values, branch) => {
+                const before = previous[branch];
+                if (!values || !before) return;
+                
+                values.forEach((value, variant) => {
+                    if (value * before[variant] > 0) return;
+                    
+                    const solution = this.refine(a, b, c, branch, variant, previousRadius, radius, scale);
+                    if (solution) {
+                        solutions.push(solution);
+                    }
+                });
+            });
+            
+            previous = current;
+            previousRadius = radius;
+        }
+        
+        return this.unique(solutions);
+    },
+
+    /**
+     * Pick the solution that touches the targets closest to where they were picked
+     * @param {Array<Circle>} circles - The solutions
+     * @param {Array<Object>} targets - The targets
+     * @returns {Circle|null} The closest solution or null if there are none
+     */
+    pickClosest(circles, targets) {
+        let best = null;
+        let bestScore = Infinity;
+        
+        circles.forEach(circle => {
+            const score = targets.reduce((total, target) => {
+                const point = this.getTangencyPoint(circle, target);
+                return total + MathUtils.distance(point.x, point.y, target.pick.x, target.pick.y);
+            }, 0);
+            
+            if (score < bestScore) {
+                bestScore = score;
+                best = circle;
+            }
+        });
+        
+        return best;
+    },
+
+    /**
+     * Get the point where a circle touches a target
+     * @param {Circle} circle - The tangent circle
+     * @param {Object} target - The target
+     * @returns {Object} The tangency point {x, y}
+     */
+    getTangencyPoint(circle, target) {
+        if (target.kind === 'line') {
+            const distance = target.nx * circle.cx + target.ny * circle.cy - target.offset;
+            return { x: circle.cx - distance * target.nx, y: circle.cy - distance * target.ny };
+        }
+        
+        // The circles touch on the line through both centers, on whichever side lies on the tangent circle
+        const distance = MathUtils.distance(target.cx, target.cy, circle.cx, circle.cy);
+        const ux = distance > 0 ? (circle.cx - target.cx) / distance : 1;
+        const uy = distance > 0 ? (circle.cy - target.cy) / distance : 0;
+        const near = { x: target.cx + ux * target.radius, y: target.cy + uy * target.radius };
+        const far = { x: target.cx - ux * target.radius, y: target.cy - uy * target.radius };
+        
+        const nearError = Math.abs(MathUtils.distance(near.x, near.y, circle.cx, circle.cy) - circle.radius);
+        const farError = Math.abs(MathUtils.distance(far.x, far.y, circle.cx, circle.cy) - circle.radius);
+        return nearError <= farError ? near : far;
+    },
+
+    /**
+     * Get the centers of the circles of a given radius tangent to two targets
+     * @param {Object} a - The first target
+     * @param {Object} b - The second target
+     * @param {number} radius - The radius
+     * @returns {Array<Object|null>} The centers {x, y}, in a fixed order with null for missing solutions
+     */
+    getCandidateCenters(a, b, radius) {
+        const centers = [];
+        
+        if (a.kind === 'circle' && b.kind === 'line') {
+            return this.getCandidateCenters(b, a, radius);
+        }
+        
+        if (a.kind === 'line' && b.kind === 'line') {
+            // Centers lie on the parallels at the radius on either side of each line
+            [radius, -radius].forEach(offsetA => {
+                [radius, -radius].forEach(offsetB => {
+                    centers.push(this.intersectOffsetLines(a, offsetA, b, offsetB));
+                });
+            });
+            return centers;
+        }
+        
+        if (a.kind === 'line') {
+            // Centers lie on a parallel to the line and on a circle concentric with the target circle
+            [radius, -radius].forEach(offset => {
+                this.getOffsetRadii(b, radius).forEach(offsetRadius => {
+                    const parallel = this.getOffsetLine(a, offset, b, offsetRadius + 1);
+                    const points = offsetRadius > 0 ? new Circle(b.cx, b.cy, offsetRadius).intersectWithLine(parallel) : [];
+                    centers.push(points[0] || null, points[1] || points[0] || null);
+                });
+            });
+            return centers;
+        }
+        
+        // Centers lie on circles concentric with both target circles
+        this.getOffsetRadii(a, radius).forEach(radiusA => {
+            this.getOffsetRadii(b, radius).forEach(radiusB => {
+                const points = radiusA > 0 && radiusB > 0
+                    ? new Circle(a.cx, a.cy, radiusA).intersectWithCircle(new Circle(b.cx, b.cy, radiusB))
+                    : [];
+                centers.push(points[0] || null, points[1] || points[0] || null);
+            });
+        });
+        return centers;
+    },
+
+    /**
+     * Get the distances from a target circle's center at which a circle of a given radius touches it
+     * @param {Object} target - The circle target
+     * @param {number} radius - The radius of the touching circle
+     * @returns {Array<number>} The distances for outside and inside contact
+     */
+    getOffsetRadii(target, radius) {
+        return [target.radius + radius, Math.abs(target.radius - radius)];
+    },
+
+    /**
+     * Get a segment of the parallel to a line target, long enough to cross a circle around a center
+     * @param {Object} target - The line target
+     * @param {number} offset - The signed distance of the parallel
+     * @param {Object} center - The center {cx, cy} the segment must pass
+     * @param {number} reach - How far the segment extends either side of the center
+     * @returns {Line} The parallel segment
+     */
+    getOffsetLine(target, offset, center, reach) {
+        const distance = target.nx * center.cx + target.ny * center.cy - target.offset - offset;
+        const footX = center.cx - distance * target.nx;
+        const footY = center.cy - distance * target.ny;
+        
+        // The line direction is the normal turned back by 90°
+        const dx = target.ny;
+        const dy = -target.nx;
+        
+        return new Line(footX - dx * reach, footY - dy * reach, footX + dx * reach, footY + dy * reach);
+    },
+
+    /**
+     * Intersect the parallels to two line targets
+     * @param {Object} a - The first line target
+     * @param {number} offsetA - The signed distance of the first parallel
+     * @param {Object} b - The second line target
+     * @param {number} offsetB - The signed distance of the second parallel
+     * @returns {Object|null} The intersection {x, y} or null if the lines are parallel
+     */
+    intersectOffsetLines(a, offsetA, b, offsetB) {
+        const determinant = a.nx * b.ny - a.ny * b.nx;
+        if (Math.abs(determinant) < 1e-12) return null;
+        
+        const ca = a.offset + offsetA;
+        const cb = b.offset + offsetB;
+        
+        return {
+            x: (ca * b.ny - cb * a.ny) / determinant,
+            y: (a.nx * cb - b.nx * ca) / determinant
+        };
+    },
+
+    /**
+     * Measure how far the circles tangent to two targets are from touching a third
+     * @param {Object} a - The first target
+     * @param {Object} b - The second target
+     * @param {Object} c - The third target
+     * @param {number} radius - The radius
+     * @returns {Array<Array<number>|null>} The residuals of each kind of contact with c, per candidate
+     */
+    getResiduals(a, b, c, radius) {
+        return this.getCandidateCenters(a, b, radius).map(center => {
+            if (!center) return null;
+            
+            if (c.kind === 'line') {
+                return [Math.abs(c.nx * center.x + c.ny * center.y - c.offset) - radius];
+            }
+            
+            const distance = MathUtils.distance(center.x, center.y, c.cx, c.cy);
+            return this.getOffsetRadii(c, radius).map(offsetRadius => distance - offsetRadius);
+        });
+    },
+
+    /**
+     * Narrow down the radius at which a candidate touches the third target
+     * @param {Object} a - The first target
+     * @param {Object} b - The second target
+     * @param {Object} c - The third target
+     * @param {number} branch - The index of the candidate
+     * @param {number} variant - The kind of contact with c
+     * @param {number} low - A radius on one side of the solution
+     * @param {number} high - A radius on the other side of the solution
+     * @param {number} scale - The size of the construction
+     * @returns {Circle|null} The solution, or null if the candidate does not really touch c
+     */
+    refine(a, b, c, branch, variant, low, high, scale) {
+        const evaluate = radius => {
+            const values = this.getResiduals(a, b, c, radius)[branch];
+            return values ? values[variant] : null;
+        };
+        
+        let lowValue = evaluate(low);
+        
+        for (let i = 0; i < this.REFINE_STEPS; i++) {
+            const middle = (low + high) / 2;
+            const value = evaluate(middle);
+            if (value === null) return null;
+            
+            if (value * lowValue <= 0) {
+                high = middle;
+            } else {
+                low = middle;
+                lowValue = value;
+            }
+        }
+        
+        const radius = (low + high) / 2;
+        const center = this.getCandidateCenters(a, b, radius)[branch];
+        const value = evaluate(radius);
+        
+        // Jumps between candidates change sign without a real solution
+        if (!center || value === null || Math.abs(value) > scale * 1e-6) return null;
+        
+        return new Circle(center.x, center.y, radius);
+    },
+
+    /**
+     * Estimate the size of a construction from its targets
+     * @param {Array<Object>} targets - The targets
+     * @returns {number} A length representative of the construction
+     */
+    getScale(targets) {
+        const points = [];
+        let maxRadius = 0;
+        
+        targets.forEach(target => {
+            points.push(target.pick);
+            if (target.kind === 'circle') {
+                points.push({ x: target.cx, y: target.cy });
+                maxRadius = Math.max(maxRadius, target.radius);
+            }
+        });
+        
+        let maxDistance = 0;
+        points.forEach(p => points.forEach(q => {
+            maxDistance = Math.max(maxDistance, MathUtils.distance(p.x, p.y, q.x, q.y));
+        }));
+        
+        return Math.max(1, maxDistance + maxRadius);
+    },
+
+    /**
+     * Remove duplicate circles
+     * @param {Array<Circle>} circles - The circles
+     * @returns {Array<Circle>} The distinct circles
+     */
+    unique(circles) {
+        const distinct = [];
+        
+        circles.forEach(circle => {
+            const tolerance = 1e-6 * Math.max(1, circle.radius);
+            if (!distinct.some(other => other.equals(circle, tolerance))) {
+                distinct.push(circle);
+            }
+        });
+        
+        return distinct;
+    }
+};
+
+// Make TangentCircles available globally
+window.TangentCircles = TangentCircles;
@@ -0,0 +1,348 @@
+/**
+ * Trim and Extend utilities for the CAD Editor
+ * Cuts lines, arcs and circles back to the nearest intersections, and lengthens lines and arcs to a boundary
+ */
+const TrimExtend = {
+    // Pieces and extensions shorter than this are dropped as zero length
+    EPSILON: 1e-6,
+
+    // Shape types that can be trimmed
+    TRIM_TYPES: ['line', 'arc', 'circle'],
+
+    // Shape types that can be extended
+    EXTEND_TYPES: ['line', 'arc'],
+
+    /**
+     * Split a boundary shape into lines, arcs and circles
+     * @param {Object} shape - The boundary shape
+     * @returns {Array<Object>} The primitive shapes
+     */
+    getPrimitives(shape) {
+        switch (shape.type) {
+            case 'line':
+            case 'arc':
+            case 'circle':
+                return [shape];
+                
+            case 'rectangle':
+                return shape.getEdgeLines();
+                
+            case 'polyline':
+                return shape.getSegments();
+                
+            case 'ellipse':
+                // Ellipses are intersected through their outline polygon
+                return this.getOutlineLines(shape.getOutlinePoints(128));
+                
+            case 'group':
+                return shape.getLeafShapes().reduce((primitives, child) => primitives.concat(this.getPrimitives(child)), []);
+                
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Join a closed loop of points with lines
+     * @param {Array<Point>} points - The points
+     * @returns {Array<Line>} The lines between consecutive points
+     */
+    getOutlineLines(points) {
+        return points.map((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return new Line(point.x, point.y, next.x, next.y);
+        });
+    },
+
+    /**
+     * Calculate the intersection points of a line, arc or circle with a boundary primitive
+     * @param {Object} shape - The line, arc or circle
+     * @param {Object} boundary - The line, arc or circle to intersect with
+     * @returns {Array<Point>} The intersection points
+     */
+    intersect(shape, boundary) {
+        switch (shape.type) {
+            case 'line':
+                if (boundary.type === 'line') {
+                    const point = shape.intersectWith(boundary);
+                    return point ? [point] : [];
+                }
+                return boundary.intersectWithLine(shape);
+                
+            case 'circle':
+                if (boundary.type === 'line') return shape.intersectWithLine(boundary);
+                if (boundary.type === 'circle') return shape.intersectWithCircle(boundary);
+                return boundary.intersectWithCircle(shape);
+                
+            case 'arc':
+                if (boundary.type === 'line') return shape.intersectWithLine(boundary);
+                if (boundary.type === 'circle') return shape.intersectWithCircle(boundary);
+                return shape.intersectWithArc(boundary);
+                
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Calculate the intersection points of a line, arc or circle with a list of boundary shapes
+     * @param {Object} shape - The line, arc or circle
+     * @param {Array<Object>} boundaries - The boundary shapes
+     * @returns {Array<Point>} The intersection points
+     */
+    intersectAll(shape, boundaries) {
+        return boundaries.reduce((points, boundary) =>
+            this.getPrimitives(boundary).reduce((found, primitive) =>
+                found.concat(this.intersect(shape, primitive)), points), []);
+    },
+
+    /**
+     * Get the position of a point along a line, arc or circle
+     * @param {Object} shape - The line, arc or circle
+     * @param {Point} point - The point
+     * @returns {number} The fraction along a line, or the angle from the start of an arc or from angle 0 of a circle
+     */
+    getParameter(shape, point) {
+        if (shape.type === 'line') {
+            const dx = shape.x2 - shape.x1;
+            const dy = shape.y2 - shape.y1;
+            const lengthSquared = dx * dx + dy * dy;
+            if (lengthSquared === 0) return 0;
+            
+            return ((point.x - shape.x1) * dx + (point.y - shape.y1) * dy) / lengthSquared;
+        }
+        
+        const angle = MathUtils.angle(shape.cx, shape.cy, point.x, point.y);
+        const start = shape.type === 'arc' ? shape.startAngle : 0;
+        
+        return this.normalizePositive(angle - start);
+    },
+
+    /**
+     * Get the parameter at the far end of a line or arc
+     * @param {Object} shape - The line or arc
+     * @returns {number} 1 for a line, or the angle span of an arc
+     */
+    getEndParameter(shape) {
+        return shape.type === 'line' ? 1 : shape.getAngleSpan();
+    },
+
+    /**
+     * Normalize an angle to the range [0, 2π)
+     * @param {number} angle - The angle in radians
+     * @returns {number} The normalized angle in radians
+     */
+    normalizePositive(angle) {
+        const full = 2 * Math.PI;
+        return ((angle % full) + full) % full;
+    },
+
+    /**
+     * Create the part of a line or arc between two parameters
+     * @param {Object} shape - The line or arc
+     * @param {number} from - The start parameter
+     * @param {number} to - The end parameter
+     * @returns {Line|Arc} The piece
+     */
+    createPiece(shape, from, to) {
+        if (shape.type === 'line') {
+            const dx = shape.x2 - shape.x1;
+            const dy = shape.y2 - shape.y1;
+            
+            return new Line(
+                shape.x1 + dx * from, shape.y1 + dy * from,
+                shape.x1 + dx * to, shape.y1 + dy * to
+            );
+        }
+        
+        const start = shape.type === 'arc' ? shape.startAngle : 0;
+        
+        return new Arc(
+            shape.cx, shape.cy, shape.radius,
+            MathUtils.normalizeAngle(start + from),
+            MathUtils.normalizeAngle(start + to)
+        );
+    },
+
+    /**
+     * Get the length of the piece of a shape between two parameters
+     * @param {Object} shape - The line, arc or circle
+     * @param {number} from - The start parameter
+     * @param {number} to - The end parameter
+     * @returns {number} The length
+     */
+    getPieceLength(shape, from, to) {
+        return shape.type === 'line'
+            ? (to - from) * shape.getLength()
+            : (to - from) * shape.radius;
+    },
+
+    /**
+     * Work out how trimming a shape at a picked point would change it.
+     * The picked portion is removed up to the nearest intersection on each side, or to the end of the shape.
+     * @param {Object} shape - The line, arc or circle to trim
+     * @param {Point} pick - The picked point on the shape
+     * @param {Array<Object>} boundaries - The shapes that cut the trimmed shape
+     * @returns {Object|null} The result {removed, pieces}, or null if the shape cannot be trimmed
+     */
+    trim(shape, pick, boundaries) {
+        if (!this.TRIM_TYPES.includes(shape.type)) return null;
+        
+        const cuts = this.intersectAll(shape, boundaries)
+            .map(point => this.getParameter(shape, point))
+            .sort((a, b) => a - b);
+        let picked = this.getParameter(shape, pick);
+        
+        if (shape.type === 'circle') {
+            return this.trimCircle(shape, cuts, picked);
+        }
+        
+        const end = this.getEndParameter(shape);
+        
+        // A pick just past an end of an arc, within the hit tolerance, wraps round to the other side of the circle
+        if (shape.type === 'arc' && picked > end) {
+            picked = picked - end < 2 * Math.PI - picked ? end : 0;
+        }
+        const before = cuts.filter(cut => cut < picked - this.EPSILON && cut > this.EPSILON);
+        const after = cuts.filter(cut => cut > picked + this.EPSILON && cut < end - this.EPSILON);
+        const from = before.length > 0 ? before[before.length - 1] : 0;
+        const to = after.length > 0 ? after[0] : end;
+        
+        const pieces = [];
+        if (this.getPieceLength(shape, 0, from) > this.EPSILON) {
+            pieces.push(this.createPiece(shape, 0, from));
+        }
+        if (this.getPieceLength(shape, to, end) > this.EPSILON) {
+            pieces.push(this.createPiece(shape, to, end));
+        }
+        
+        return {
+            removed: this.createPiece(shape, from, to),
+            pieces
+        };
+    },
+
+    /**
+     * Work out how trimming a circle at a picked angle would change it
+     * @param {Circle} circle - The circle to trim
+     * @param {Array<number>} cuts - The sorted angles of the intersections
+     * @param {number} picked - The picked angle
+     * @returns {Object} The result {removed, pieces}
+     */
+    trimCircle(circle, cuts, picked) {
+        // Drop repeated intersections so a single crossing point does not open the circle
+        const angles = cuts.filter((cut, i) => i === 0 || cut - cuts[i - 1] > this.EPSILON);
+        if (angles.length > 1 && 2 * Math.PI - angles[angles.length - 1] + angles[0] <= this.EPSILON) {
+            angles.pop();
+        }
+        
+        // The whole circle goes unless two intersections bound the picked part
+        if (angles.length < 2) {
+            return { removed: circle, pieces: [] };
+        }
+        
+        const from = [...angles].reverse().find(angle => angle < picked);
+        const to = angles.find(angle => angle > picked);
+        const start = from !== undefined ? from : angles[angles.length - 1];
+        const end = to !== undefined ? to : angles[0];
+        
+        return {
+            removed: new Arc(circle.cx, circle.cy, circle.radius, MathUtils.normalizeAngle(start), MathUtils.normalizeAngle(end)),
+            pieces: [new Arc(circle.cx, circle.cy, circle.radius, MathUtils.normalizeAngle(end), MathUtils.normalizeAngle(start))]
+        };
+    },
+
+    /**
+     * Work out how extending the end of a line or arc nearest a picked point would change it
+     * @param {Object} shape - The line or arc to extend
+     * @param {Point} pick - The picked point on the shape
+     * @param {Array<Object>} boundaries - The shapes the end can be extended to
+     * @returns {Object|null} The result {extended, extension}, or null if no boundary is reached
+     */
+    extend(shape, pick, boundaries) {
+        if (!this.EXTEND_TYPES.includes(shape.type)) return null;
+        
+        const fromStart = this.getParameter(shape, pick) < this.getEndParameter(shape) / 2;
+        
+        return shape.type === 'line'
+            ? this.extendLine(shape, fromStart, boundaries)
+            : this.extendArc(shape, fromStart, boundaries);
+    },
+
+    /**
+     * Extend one end of a line along its direction to the nearest boundary
+     * @param {Line} line - The line
+     * @param {boolean} fromStart - Whether to extend the start rather than the end
+     * @param {Array<Object>} boundaries - The boundary shapes
+     * @returns {Object|null} The result {extended, extension}, or null if no boundary is reached
+     */
+    extendLine(line, fromStart, boundaries) {
+        const length = line.getLength();
+        if (length === 0) return null;
+        
+        const origin = fromStart ? line.getStartPoint() : line.getEndPoint();
+        const other = fromStart ? line.getEndPoint() : line.getStartPoint();
+        const ux = (origin.x - other.x) / length;
+        const uy = (origin.y - other.y) / length;
+        
+        // A ray long enough to leave the bounding box of all boundaries
+        const bbox = new Group(boundaries).getBoundingBox();
+        const reach = Math.hypot(bbox.width, bbox.height) +
+            Math.hypot(bbox.x - origin.x, bbox.y - origin.y) + 1;
+        const ray = new Line(origin.x, origin.y, origin.x + ux * reach, origin.y + uy * reach);
+        
+        const distances = this.intersectAll(ray, boundaries)
+            .map(point => (point.x - origin.x) * ux + (point.y - origin.y) * uy)
+            .filter(distance => distance > this.EPSILON);
+            
+        if (distances.length === 0) return null;
+        
+        const distance = Math.min(...distances);
+        const target = new Point(origin.x + ux * distance, origin.y + uy * distance);
+        
+        return {
+            extended: fromStart
+                ? new Line(target.x, target.y, line.x2, line.y2)
+                : new Line(line.x1, line.y1, target.x, target.y),
+            extension: new Line(origin.x, origin.y, target.x, target.y)
+        };
+    },
+
+    /**
+     * Extend one end of an arc around its circle to the nearest boundary
+     * @param {Arc} arc - The arc
+     * @param {boolean} fromStart - Whether to extend the start rather than the end
+     * @param {Array<Object>} boundaries - The boundary shapes
+     * @returns {Object|null} The result {extended, extension}, or null if no boundary is reached
+     */
+    extendArc(arc, fromStart, boundaries) {
+        // The rest of the circle, running from the end of the arc round to its start
+        const gap = new Arc(arc.cx, arc.cy, arc.radius, arc.endAngle, arc.startAngle);
+        const gapSpan = gap.getAngleSpan();
+        
+        const angles = this.intersectAll(gap, boundaries)
+            .map(point => this.getParameter(gap, point))
+            .filter(angle => angle > this.EPSILON && angle < gapSpan - this.EPSILON);
+            
+        if (angles.length === 0) return null;
+        
+        if (fromStart) {
+            const angle = MathUtils.normalizeAngle(arc.endAngle + Math.max(...angles));
+            
+            return {
+                extended: new Arc(arc.cx, arc.cy, arc.radius, angle, arc.endAngle),
+                extension: new Arc(arc.cx, arc.cy, arc.radius, angle, arc.startAngle)
+            };
+        }
+        
+        const angle = MathUtils.normalizeAngle(arc.endAngle + Math.min(...angles));
+        
+        return {
+            extended: new Arc(arc.cx, arc.cy, arc.radius, arc.startAngle, angle),
+            extension: new Arc(arc.cx, arc.cy, arc.radius, arc.endAngle, angle)
+        };
+    }
+};
+
+// Make TrimExtend available globally
+window.TrimExtend = TrimExtend;